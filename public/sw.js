@@ -0,0 +1,360 @@
+// SparkLog service worker.
+//
+// - App shell: index.html plus the hashed JS/CSS it references (the i18n
+//   dictionaries ship inside the main bundle) are cached so the app launches
+//   from the home screen with no signal. Navigations are network-first,
+//   static assets cache-first.
+// - Background Sync: when the app queued job writes offline (src/lib/outbox.js)
+//   it registers the "sparklog-outbox" sync. If a SparkLog tab is open the
+//   replay is delegated to it (live session, same code path as the manual
+//   "Sync now"); otherwise the worker replays the queue itself through the
+//   Supabase REST API with the access token the page mirrored into IndexedDB.
+// - Web Push: shows the notifications sent by the `send_push` edge function
+//   ({ title, body, url, tag }) and opens `url` inside the app on click.
+//
+// Supabase and other cross-origin requests are never cached.
+
+const SHELL_CACHE = "sparklog-shell-v1";
+const SHELL_URLS = [
+  "./",
+  "./index.html",
+  "./manifest.webmanifest",
+  "./icons/icon.svg",
+  "./icons/icon-192.png",
+  "./icons/icon-512.png",
+];
+
+// Keep in sync with src/lib/outbox.js.
+const DB_NAME = "sparklog";
+const DB_VERSION = 2;
+const OUTBOX_STORE = "outbox";
+const SESSION_STORE = "session";
+const SYNC_TAG = "sparklog-outbox";
+
+// ---------------------------------------------------------------------------
+// App shell cache
+
+// Hashed bundles referenced by index.html (script src / link href).
+function assetUrlsFromHtml(html) {
+  const urls = new Set();
+  const re = /(?:src|href)="([^"]+\.(?:js|css))"/g;
+  let match;
+  while ((match = re.exec(html))) urls.add(new URL(match[1], self.registration.scope).href);
+  return [...urls];
+}
+
+// Caches index.html and the bundles it points to, then drops bundles from
+// older builds so the cache does not grow with every deploy.
+async function cacheShell(indexResponse) {
+  const cache = await caches.open(SHELL_CACHE);
+  const html = await indexResponse.clone().text();
+  const assets = assetUrlsFromHtml(html);
+  await cache.put(new URL("./index.html", self.registration.scope).href, indexResponse.clone());
+  await Promise.all(
+    assets.map(async (url) => {
+      if (await cache.match(url)) return;
+      const res = await fetch(url);
+      if (res.ok) await cache.put(url, res);
+    })
+  );
+  const keep = new Set(assets);
+  const keys = await cache.keys();
+  await Promise.all(
+    keys
+      .filter((req) => new URL(req.url).pathname.includes("/assets/") && !keep.has(req.url))
+      .map((req) => cache.delete(req))
+  );
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(SHELL_URLS);
+      const index = await fetch("./index.html", { cache: "no-cache" });
+      if (index.ok) await cacheShell(index);
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(names.filter((name) => name !== SHELL_CACHE).map((name) => caches.delete(name)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // HashRouter: every navigation is index.html. Prefer the network so a new
+  // deploy is picked up on the next launch, fall back to the cached shell.
+  if (request.mode === "navigate") {
+    event.respondWith(
+      (async () => {
+        try {
+          const res = await fetch(request);
+          if (res.ok) event.waitUntil(cacheShell(res.clone()));
+          return res;
+        } catch {
+          const cache = await caches.open(SHELL_CACHE);
+          return (await cache.match("./index.html")) || Response.error();
+        }
+      })()
+    );
+    return;
+  }
+
+  // Hashed bundles never change; everything else same-origin (icons, the
+  // screenshot guide, lazily loaded chunks) is cached on first use.
+  event.respondWith(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      const cached = await cache.match(request);
+      if (cached) return cached;
+      const res = await fetch(request);
+      if (res.ok && res.type === "basic") cache.put(request, res.clone());
+      return res;
+    })()
+  );
+});
+
+// ---------------------------------------------------------------------------
+// Background Sync
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) db.createObjectStore(OUTBOX_STORE, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(SESSION_STORE)) db.createObjectStore(SESSION_STORE, { keyPath: "id" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function tx(storeName, mode, fn) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const req = fn(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(req?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+class SyncHttpError extends Error {
+  constructor(status, body) {
+    super(body?.message || body?.error || `HTTP ${status}`);
+    this.status = status;
+    this.code = body?.code || body?.statusCode || null;
+  }
+}
+
+async function supabaseFetch(session, path, init = {}) {
+  const res = await fetch(`${session.url}${path}`, {
+    ...init,
+    headers: {
+      apikey: session.anon_key,
+      Authorization: `Bearer ${session.access_token}`,
+      ...(init.headers || {}),
+    },
+  });
+  if (res.ok) return res;
+  const body = await res.json().catch(() => null);
+  throw new SyncHttpError(res.status, body);
+}
+
+function isUniqueViolation(error) {
+  return error?.code === "23505" || /duplicate key|unique constraint/i.test(String(error?.message || ""));
+}
+
+async function pushEvidence(session, entry) {
+  const ev = entry.evidence;
+  try {
+    await supabaseFetch(session, `/storage/v1/object/overtime-evidence/${ev.storage_path}`, {
+      method: "POST",
+      headers: { "Content-Type": "image/jpeg", "x-upsert": "false" },
+      body: ev.image,
+    });
+  } catch (error) {
+    // Uploaded by an earlier, partially completed replay.
+    if (!/already exists|duplicate/i.test(String(error.message || ""))) throw error;
+  }
+}
+
+async function pushEvidenceRows(session, entry) {
+  const ev = entry.evidence;
+  const profileRes = await supabaseFetch(
+    session,
+    `/rest/v1/profiles?id=eq.${entry.user_id}&select=evidence_retention_days`
+  );
+  const [profile] = await profileRes.json();
+  const retentionDays = Math.min(365, Math.max(1, Number(profile?.evidence_retention_days) || 30));
+  const expiresAt = new Date(Date.now() + retentionDays * 86400000).toISOString();
+
+  try {
+    await supabaseFetch(session, "/rest/v1/overtime_evidence", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Prefer: "return=minimal" },
+      body: JSON.stringify({
+        id: ev.id,
+        job_id: entry.id,
+        user_id: entry.user_id,
+        job_date: entry.payload.job_date,
+        storage_path: ev.storage_path,
+        ocr_text: ev.ocr_text || null,
+        ocr_status: ev.ocr_status || "needs_review",
+        ocr_provider: ev.ocr_provider || null,
+        ocr_confidence: ev.ocr_confidence ?? null,
+        authorized_by: ev.authorized_by ?? null,
+        authorized_date: ev.authorized_date ?? null,
+        authorized_minutes: ev.authorized_minutes ?? null,
+        authorized_until: ev.authorized_until ?? null,
+        authorized_ot: ev.authorized_ot ?? null,
+        overtime_minutes: ev.overtime_minutes ?? null,
+        authorization_warnings: ev.authorization_warnings || [],
+        daily_minutes: ev.daily_minutes,
+        expires_at: expiresAt,
+      }),
+    });
+  } catch (error) {
+    if (isUniqueViolation(error)) return;
+    throw error;
+  }
+
+  await supabaseFetch(session, "/rest/v1/manager_notifications", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Prefer: "return=minimal" },
+    body: JSON.stringify({
+      employee_id: entry.user_id,
+      job_id: entry.id,
+      evidence_id: ev.id,
+      daily_minutes: ev.daily_minutes,
+    }),
+  });
+}
+
+async function pushEntry(session, entry) {
+  if (entry.evidence) await pushEvidence(session, entry);
+
+  const { id, ...fields } = entry.payload;
+  if (entry.op === "insert") {
+    await supabaseFetch(session, "/rest/v1/jobs?on_conflict=id", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Prefer: "resolution=merge-duplicates,return=minimal" },
+      body: JSON.stringify({ ...fields, id }),
+    });
+  } else {
+    await supabaseFetch(session, `/rest/v1/jobs?id=eq.${id}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json", Prefer: "return=minimal" },
+      body: JSON.stringify(fields),
+    });
+  }
+
+  if (entry.evidence) await pushEvidenceRows(session, entry);
+}
+
+// Same outcome rules as flushOutbox(): network failures keep the entry
+// queued (and make the sync retry), server rejections are recorded on it.
+async function replayOutbox() {
+  const session = await tx(SESSION_STORE, "readonly", (store) => store.get("current"));
+  // No session, or the access token expired while the app was closed: the
+  // worker cannot refresh it safely, so the next launch flushes instead.
+  if (!session?.access_token || (session.expires_at && session.expires_at * 1000 < Date.now())) return;
+
+  const entries = ((await tx(OUTBOX_STORE, "readonly", (store) => store.getAll())) || [])
+    .filter((entry) => entry.state === "pending" && entry.user_id === session.user_id)
+    .sort((a, b) => (a.queued_at < b.queued_at ? -1 : 1));
+
+  for (const entry of entries) {
+    try {
+      await pushEntry(session, entry);
+      await tx(OUTBOX_STORE, "readwrite", (store) => store.delete(entry.id));
+    } catch (error) {
+      if (!(error instanceof SyncHttpError)) throw error;
+      if (error.status === 401) return;
+      const patch = isUniqueViolation(error)
+        ? { state: "conflict", code: "duplicate_ot", error: error.message || null }
+        : { state: "error", code: error.code || null, error: error.message };
+      await tx(OUTBOX_STORE, "readwrite", (store) => store.put({ ...entry, ...patch }));
+    }
+  }
+}
+
+// Hands the replay to an open tab and waits for its answer. A tab that is
+// still booting may never answer; the timeout lets the browser retry later.
+function flushInClient(client) {
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => reject(new Error("Client did not answer")), 60000);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      if (event.data?.ok && !event.data.offline) resolve();
+      else reject(new Error(event.data?.error || "Still offline"));
+    };
+    client.postMessage({ type: "outbox:flush" }, [channel.port2]);
+  });
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil(
+    (async () => {
+      const [client] = await self.clients.matchAll({ type: "window" });
+      if (client) await flushInClient(client);
+      else await replayOutbox();
+    })()
+  );
+});
+
+self.addEventListener("push", (event) => {
+  let data;
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data?.text() || "" };
+  }
+  event.waitUntil(
+    self.registration.showNotification(data.title || "SparkLog", {
+      body: data.body || "",
+      tag: data.tag || undefined,
+      icon: "./icons/icon-192.png",
+      badge: "./icons/icon-192.png",
+      data: { url: data.url || "" },
+    })
+  );
+});
+
+// `url` is an in-app route ("/history?job=…"); the app uses a HashRouter.
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const route = event.notification.data?.url || "/";
+  const target = new URL(`./#${route}`, self.registration.scope).href;
+  event.waitUntil(
+    (async () => {
+      const clients = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+      const client = clients.find((c) => c.url.startsWith(self.registration.scope));
+      if (client) {
+        await client.focus();
+        return client.navigate(target);
+      }
+      return self.clients.openWindow(target);
+    })()
+  );
+});
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+// Local Web Push service stub for the `send_push` edge function.
+//
+//   node scripts/push-stub.mjs vapid
+//       Prints a fresh VAPID key pair (VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY
+//       function secrets, VITE_VAPID_PUBLIC_KEY for the app).
+//
+//   node scripts/push-stub.mjs [port]
+//       Starts a fake push service (default port 8788) and prints a fake
+//       device subscription plus the SQL to register it for a user. Every
+//       push the function sends to that endpoint is checked (VAPID header,
+//       aes128gcm body), decrypted with the fake device's keys and logged.
+//
+// Set PUSH_STUB_HOST when the function runs in Docker (`supabase functions
+// serve`): e.g. PUSH_STUB_HOST=host.docker.internal. Append ?status=410 to
+// the endpoint in the database to simulate a device the service dropped.
+// No dependencies: node:http and node:crypto only.
+
+import http from "node:http";
+import crypto from "node:crypto";
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+function generateP256() {
+  const ecdh = crypto.createECDH("prime256v1");
+  ecdh.generateKeys();
+  return { ecdh, publicKey: ecdh.getPublicKey(), privateKey: ecdh.getPrivateKey() };
+}
+
+if (process.argv[2] === "vapid") {
+  const { publicKey, privateKey } = generateP256();
+  console.log(`VAPID_PUBLIC_KEY=${b64url(publicKey)}`);
+  console.log(`VAPID_PRIVATE_KEY=${b64url(privateKey)}`);
+  console.log(`VITE_VAPID_PUBLIC_KEY=${b64url(publicKey)}`);
+  process.exit(0);
+}
+
+const port = Number(process.argv[2]) || 8788;
+const host = process.env.PUSH_STUB_HOST || "localhost";
+const device = generateP256();
+const authSecret = crypto.randomBytes(16);
+const endpoint = `http://${host}:${port}/push/${crypto.randomUUID()}`;
+
+// RFC 8291 decryption with the fake device's private key.
+function decrypt(body) {
+  const salt = body.subarray(0, 16);
+  const idLength = body[20];
+  const senderPublic = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const ecdhSecret = device.ecdh.computeSecret(senderPublic);
+  const keyInfo = Buffer.concat([Buffer.from("WebPush: info\0"), device.publicKey, senderPublic]);
+  const ikm = Buffer.from(crypto.hkdfSync("sha256", ecdhSecret, authSecret, keyInfo, 32));
+  const cek = Buffer.from(crypto.hkdfSync("sha256", ikm, salt, Buffer.from("Content-Encoding: aes128gcm\0"), 16));
+  const nonce = Buffer.from(crypto.hkdfSync("sha256", ikm, salt, Buffer.from("Content-Encoding: nonce\0"), 12));
+
+  const decipher = crypto.createDecipheriv("aes-128-gcm", cek, nonce);
+  decipher.setAuthTag(ciphertext.subarray(ciphertext.length - 16));
+  const record = Buffer.concat([decipher.update(ciphertext.subarray(0, ciphertext.length - 16)), decipher.final()]);
+  let end = record.length - 1;
+  while (end >= 0 && record[end] === 0) end--;
+  if (record[end] !== 2) throw new Error("missing last-record padding delimiter");
+  return record.subarray(0, end).toString("utf8");
+}
+
+// Checks the ES256 signature of `vapid t=<jwt>, k=<public key>`.
+function verifyVapid(header) {
+  const match = /^vapid t=([^,\s]+),\s*k=([A-Za-z0-9_-]+)$/.exec(header || "");
+  if (!match) return { ok: false, error: "missing or malformed vapid Authorization header" };
+  const [, jwt, key] = match;
+  const [encodedHeader, encodedClaims, signature] = jwt.split(".");
+  const raw = Buffer.from(key, "base64url");
+  const publicKey = crypto.createPublicKey({
+    key: { kty: "EC", crv: "P-256", x: b64url(raw.subarray(1, 33)), y: b64url(raw.subarray(33, 65)) },
+    format: "jwk",
+  });
+  const valid = crypto.verify(
+    "sha256",
+    Buffer.from(`${encodedHeader}.${encodedClaims}`),
+    { key: publicKey, dsaEncoding: "ieee-p1363" },
+    Buffer.from(signature, "base64url")
+  );
+  const claims = JSON.parse(Buffer.from(encodedClaims, "base64url").toString("utf8"));
+  return { ok: valid, claims, error: valid ? undefined : "bad VAPID signature" };
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const stamp = new Date().toISOString();
+    if (req.method !== "POST" || !url.pathname.startsWith("/push/")) {
+      res.writeHead(404).end();
+      return;
+    }
+    const forcedStatus = Number(url.searchParams.get("status"));
+    if (forcedStatus) {
+      console.log(`[${stamp}] ${url.pathname} → ${forcedStatus} (forced)`);
+      res.writeHead(forcedStatus).end();
+      return;
+    }
+
+    const vapid = verifyVapid(req.headers.authorization);
+    if (!vapid.ok) {
+      console.log(`[${stamp}] ${url.pathname} → 401 ${vapid.error}`);
+      res.writeHead(401).end(vapid.error);
+      return;
+    }
+    if (req.headers["content-encoding"] !== "aes128gcm") {
+      console.log(`[${stamp}] ${url.pathname} → 400 unsupported Content-Encoding`);
+      res.writeHead(400).end("unsupported Content-Encoding");
+      return;
+    }
+    try {
+      const payload = decrypt(Buffer.concat(chunks));
+      console.log(`[${stamp}] ${url.pathname} → 201 (TTL ${req.headers.ttl}, sub ${vapid.claims.sub})`);
+      console.log(`  ${payload}`);
+      res.writeHead(201, { Location: `${url.pathname}/${crypto.randomUUID()}` }).end();
+    } catch (e) {
+      console.log(`[${stamp}] ${url.pathname} → 400 ${e.message}`);
+      res.writeHead(400).end("decryption failed");
+    }
+  });
+});
+
+server.listen(port, () => {
+  const subscription = { endpoint, keys: { p256dh: b64url(device.publicKey), auth: b64url(authSecret) } };
+  console.log(`Push stub listening on http://localhost:${port}`);
+  console.log("\nFake device subscription:");
+  console.log(JSON.stringify(subscription, null, 2));
+  console.log("\nRegister it for a user (SQL editor):");
+  console.log(
+    "insert into public.push_subscriptions (user_id, endpoint, p256dh, auth, user_agent)\n" +
+      `values ('<user uuid>', '${endpoint}', '${subscription.keys.p256dh}', '${subscription.keys.auth}', 'push-stub');`
+  );
+  console.log("\nWaiting for pushes… (Ctrl+C to stop)");
+});
@@ -8,6 +8,8 @@ import EmployeeForm from "./pages/EmployeeForm";
 import History from "./pages/History";
 import Week from "./pages/Week";
 import ManagerDashboard from "./pages/ManagerDashboard";
+import EvidenceReview from "./pages/EvidenceReview";
+import PayPeriods from "./pages/PayPeriods";
 import Testing from "./pages/Testing";
 import ResetPassword from "./pages/ResetPassword";
 import Profile from "./pages/Profile";
@@ -87,6 +89,26 @@ export default function App() {
           }
         />
 
+        {/* Overtime evidence review queue (manager only) */}
+        <Route
+          path="/evidence"
+          element={
+            <ProtectedRoute requireRole="manager">
+              <EvidenceReview />
+            </ProtectedRoute>
+          }
+        />
+
+        {/* Pay periods: review, close, reopen (manager only) */}
+        <Route
+          path="/pay-periods"
+          element={
+            <ProtectedRoute requireRole="manager">
+              <PayPeriods />
+            </ProtectedRoute>
+          }
+        />
+
         {/* Testing (manager only) */}
         <Route
           path="/testing"
@@ -1,6 +1,6 @@
 import React from "react";
 import { Link, NavLink, useNavigate } from "react-router-dom";
-import { LogOut } from "lucide-react";
+import { CloudOff, Download, LogOut, X } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { ThemeToggle } from "@/components/theme-toggle";
 import { LanguageToggle } from "@/components/language-toggle";
@@ -8,6 +8,8 @@ import { useAuth } from "@/contexts/AuthContext";
 import { cn } from "@/lib/utils";
 import { useT } from "@/lib/use-t";
 import NotificationsBell from "@/components/NotificationsBell";
+import { useOutbox } from "@/lib/use-outbox";
+import { useInstallPrompt } from "@/lib/use-install-prompt";
 
 function NavItem({ to, children }) {
   return (
@@ -32,6 +34,8 @@ export default function AppShell({ children }) {
   const { role, signOut } = useAuth();
   const navigate = useNavigate();
   const t = useT();
+  const outbox = useOutbox();
+  const installPrompt = useInstallPrompt();
 
   async function handleLogout() {
     await signOut();
@@ -52,6 +56,18 @@ export default function AppShell({ children }) {
           </div>
 
           <div className="ml-auto flex items-center gap-0">
+            {installPrompt.canInstall && (
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-8 w-8"
+                onClick={installPrompt.install}
+                title={t("pwa.install")}
+                aria-label={t("pwa.install")}
+              >
+                <Download className="h-4 w-4" />
+              </Button>
+            )}
             <NotificationsBell />
             <ThemeToggle className="h-8 w-8" />
             <LanguageToggle className="h-8 w-8" />
@@ -75,10 +91,60 @@ export default function AppShell({ children }) {
           <NavItem to="/week">{t("nav.week")}</NavItem>
           <NavItem to="/profile">{t("nav.profile")}</NavItem>
           {role === "manager" && <NavItem to="/manager">{t("nav.manager")}</NavItem>}
+          {role === "manager" && <NavItem to="/evidence">{t("nav.evidence")}</NavItem>}
+          {role === "manager" && <NavItem to="/pay-periods">{t("nav.payPeriods")}</NavItem>}
           {role === "manager" && <NavItem to="/testing">{t("nav.testing")}</NavItem>}
         </nav>
       </header>
 
+      {installPrompt.showIosHint && (
+        <div className="mx-auto max-w-6xl px-4 pt-4">
+          <div className="flex items-center gap-2 rounded-md border bg-muted/50 px-3 py-2 text-sm">
+            <Download className="h-4 w-4 shrink-0" />
+            <span className="flex-1">{t("pwa.iosHint")}</span>
+            <Button
+              variant="ghost"
+              size="icon"
+              className="h-7 w-7"
+              onClick={installPrompt.dismiss}
+              title={t("pwa.dismiss")}
+              aria-label={t("pwa.dismiss")}
+            >
+              <X className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {(outbox.pending.length > 0 || outbox.conflicts.length > 0) && (
+        <div className="mx-auto max-w-6xl px-4 pt-4">
+          <div
+            className={cn(
+              "flex flex-wrap items-center gap-2 rounded-md border px-3 py-2 text-sm",
+              outbox.conflicts.length > 0
+                ? "border-destructive/30 bg-destructive/10 text-destructive dark:text-red-400"
+                : "border-amber-500/30 bg-amber-500/10 text-amber-700 dark:text-amber-400"
+            )}
+          >
+            <CloudOff className="h-4 w-4 shrink-0" />
+            <span className="flex-1">
+              {outbox.conflicts.length > 0
+                ? t("outbox.bannerConflict", { count: outbox.conflicts.length })
+                : t("outbox.bannerPending", { count: outbox.pending.length })}
+            </span>
+            {outbox.conflicts.length > 0 ? (
+              <Button asChild size="sm" variant="outline" className="h-7 text-xs">
+                <Link to="/history">{t("outbox.review")}</Link>
+              </Button>
+            ) : (
+              <Button size="sm" variant="outline" className="h-7 text-xs" disabled={outbox.syncing} onClick={outbox.sync}>
+                {outbox.syncing ? t("outbox.syncing") : t("outbox.syncNow")}
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+
       <main className="mx-auto max-w-6xl px-4 py-4">{children}</main>
     </div>
   );
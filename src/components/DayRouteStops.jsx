@@ -0,0 +1,143 @@
+import React from "react";
+import { MapPin, Plus, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import TripRecorder from "@/components/TripRecorder";
+import SiteSelect from "@/components/SiteSelect";
+import { formatMinutesHM } from "@/lib/payroll";
+import { newRouteStop, pickRouteStopSite, routeLegMinutes } from "@/lib/routes";
+import { useT } from "@/lib/use-t";
+
+// Stop list of the day-route mode in EmployeeForm. Each stop only asks for
+// its own times and the km of the leg that leads to it; the travel leg is
+// derived from the previous stop (or the storage departure). A recorded GPS
+// trip fills the leg's km, and so does the first stop's site distance (the
+// registry only knows distances from the storage shop). `onOtBlur(stop)` lets
+// the form suggest the site of a known OT.
+export default function DayRouteStops({ storageDepart, stops, sites = [], onChange, onOtBlur, onRemove, disabled }) {
+  const t = useT();
+  const legs = routeLegMinutes(storageDepart, stops);
+
+  function update(index, field, value) {
+    onChange(stops.map((stop, i) => (i === index ? { ...stop, [field]: value } : stop)));
+  }
+
+  function pickSite(index, id, site) {
+    onChange(pickRouteStopSite(stops, index, id, site));
+  }
+
+  return (
+    <div className="space-y-3">
+      {stops.map((stop, index) => (
+        <div key={stop.id} className="space-y-3 rounded-lg border bg-muted/20 p-3">
+          <div className="flex items-center justify-between gap-2">
+            <div className="flex items-center gap-2 text-sm font-semibold">
+              <MapPin className="h-4 w-4 text-primary" />
+              {t("route.stop", { n: index + 1 })}
+            </div>
+            {stops.length > 1 && (
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                className="h-8 px-2 text-xs text-destructive"
+                disabled={disabled}
+                onClick={() => onRemove(index)}
+                aria-label={t("route.removeStop")}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            )}
+          </div>
+
+          <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-4">
+            <div className="grid gap-1.5">
+              <Label htmlFor={`stop-ot-${stop.id}`}>{t("form.ot")}</Label>
+              <Input
+                id={`stop-ot-${stop.id}`}
+                value={stop.ot}
+                onChange={(e) => update(index, "ot", e.target.value)}
+                onBlur={() => onOtBlur?.(stop)}
+                placeholder={t("form.otPlaceholder")}
+                disabled={disabled}
+              />
+            </div>
+            <div className="grid gap-1.5">
+              <Label htmlFor={`stop-arrivee-${stop.id}`}>{t("form.arrival")}</Label>
+              <Input
+                id={`stop-arrivee-${stop.id}`}
+                type="time"
+                value={stop.arrivee}
+                onChange={(e) => update(index, "arrivee", e.target.value)}
+                disabled={disabled}
+              />
+            </div>
+            <div className="grid gap-1.5">
+              <Label htmlFor={`stop-fin-${stop.id}`}>{t("form.end")}</Label>
+              <Input
+                id={`stop-fin-${stop.id}`}
+                type="time"
+                value={stop.fin}
+                onChange={(e) => update(index, "fin", e.target.value)}
+                disabled={disabled}
+              />
+            </div>
+            <div className="grid gap-1.5">
+              <Label htmlFor={`stop-km-${stop.id}`}>
+                {index === 0 ? t("route.kmFromStorage") : t("route.kmFromPrevious")}
+              </Label>
+              <Input
+                id={`stop-km-${stop.id}`}
+                type="number"
+                value={stop.km_aller}
+                onChange={(e) => update(index, "km_aller", e.target.value)}
+                disabled={disabled}
+                placeholder="0"
+              />
+            </div>
+          </div>
+
+          <div className="grid gap-1.5">
+            <Label htmlFor={`stop-site-${stop.id}`}>{t("sites.site")}</Label>
+            <SiteSelect
+              id={`stop-site-${stop.id}`}
+              sites={sites}
+              value={stop.site_id}
+              onChange={(id, site) => pickSite(index, id, site)}
+              disabled={disabled}
+            />
+          </div>
+
+          <TripRecorder
+            label={index === 0 ? t("trip.fromStorage") : t("trip.fromPrevious")}
+            track={stop.km_aller_track}
+            onTrack={(trip) => onChange(stops.map((s, i) => (
+              i === index ? { ...s, km_aller_track: trip, ...(trip ? { km_aller: String(trip.distance_km) } : {}) } : s
+            )))}
+            disabled={disabled}
+          />
+
+          <div className="text-xs text-muted-foreground">
+            {t("route.travel")}: <b className="text-foreground">{legs[index].travel === null ? "—" : formatMinutesHM(legs[index].travel)}</b>
+            {" • "}
+            {t("route.onSite")}: <b className="text-foreground">{legs[index].onSite === null ? "—" : formatMinutesHM(legs[index].onSite)}</b>
+          </div>
+        </div>
+      ))}
+
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        className="text-xs"
+        disabled={disabled}
+        onClick={() => onChange([...stops, newRouteStop()])}
+      >
+        <Plus className="h-4 w-4" />
+        {t("route.addStop")}
+      </Button>
+      <p className="text-xs text-muted-foreground">{t("route.returnNotice")}</p>
+    </div>
+  );
+}
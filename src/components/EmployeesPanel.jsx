@@ -1,5 +1,4 @@
 import React, { useEffect, useState } from "react";
-import dayjs from "dayjs";
 import { Phone, Mail, Download } from "lucide-react";
 import { supabase } from "../supabaseClient";
 import { Card, CardContent } from "@/components/ui/card";
@@ -8,6 +7,8 @@ import { Input } from "@/components/ui/input";
 import { Select } from "@/components/ui/select";
 import { useT } from "@/lib/use-t";
 import { withTimeout } from "@/lib/utils";
+import { downloadPayrollCsv } from "@/lib/payroll";
+import { fetchStorageLocations } from "@/lib/storage-locations";
 
 const LEVELS = [
   { value: "compagnon",  label: "Compagnon" },
@@ -25,6 +26,7 @@ const SECTORS = [
 export default function EmployeesPanel() {
   const t = useT();
   const [profiles, setProfiles] = useState([]);
+  const [shops, setShops]       = useState([]);
   const [loading, setLoading]   = useState(true);
   const [err, setErr]           = useState("");
   const [info, setInfo]         = useState("");
@@ -33,15 +35,19 @@ export default function EmployeesPanel() {
     setErr("");
     setLoading(true);
     try {
-      const { data, error } = await withTimeout(
-        supabase
-          .from("profiles")
-          .select("id, role, full_name, phone, email, ccq_number, apprentice_level, sector, km_rate, storage_compensation, overtime_evidence_required, include_return_time_in_overtime, evidence_retention_days")
-          .order("full_name", { ascending: true }),
-        12000
-      );
+      const [{ data, error }, shopRows] = await Promise.all([
+        withTimeout(
+          supabase
+            .from("profiles")
+            .select("id, role, full_name, phone, email, ccq_number, payroll_employee_code, apprentice_level, sector, km_rate, storage_compensation, storage_location_id, overtime_evidence_required, include_return_time_in_overtime, evidence_retention_days")
+            .order("full_name", { ascending: true }),
+          12000
+        ),
+        fetchStorageLocations({ includeInactive: true }),
+      ]);
       if (error) throw error;
       setProfiles(data ?? []);
+      setShops(shopRows);
     } catch (e) {
       setErr(e?.message ?? "Failed to load employees.");
     } finally {
@@ -66,78 +72,19 @@ export default function EmployeesPanel() {
       value = value.trim() || null;
     }
     const { error } = await supabase.from("profiles").update({ [field]: value }).eq("id", id);
-    if (error) setErr(error.message);
+    if (error?.code === "23505" && field === "payroll_employee_code") setErr(t("employees.payrollCodeTaken"));
+    else if (error) setErr(error.message);
     else { setInfo(`${field} ✓`); setTimeout(() => setInfo(""), 1500); }
   }
 
-  // Per-employee payroll CSV: fetch that employee's approved jobs on demand.
+  // Per-employee payroll CSV, all approved weeks, from the payroll engine.
   async function downloadCsv(p) {
     try {
-      const { data: rows, error } = await withTimeout(
-        supabase
-          .from("jobs")
-          .select("job_date, ot, depart, arrivee, fin, km_aller, km_retour, return_time_minutes, status")
-          .eq("user_id", p.id)
-          .eq("status", "approved")
-          .order("job_date", { ascending: true }),
-        12000
-      );
-      if (error) throw error;
-
-      const header = [
-        "employee_name", "employee_email", "employee_phone", "ccq_number",
-        "apprentice_level", "sector", "km_rate",
-        "week_iso", "job_date", "weekday", "ot", "depart", "arrivee", "fin",
-        "hours_decimal", "hours_hhmm", "km", "return_time_minutes", "return_km",
-      ];
-
-      const decimalHours = (depart, fin) => {
-        if (!depart || !fin) return 0;
-        const [dh, dm] = String(depart).slice(0, 5).split(":").map(Number);
-        const [fh, fm] = String(fin).slice(0, 5).split(":").map(Number);
-        if ([dh, dm, fh, fm].some((n) => Number.isNaN(n))) return 0;
-        let mins = fh * 60 + fm - (dh * 60 + dm);
-        if (mins < 0) mins += 24 * 60;
-        return Math.round((mins / 60) * 100) / 100;
-      };
-      const fmtHHmm = (dec) => {
-        if (!Number.isFinite(dec) || dec <= 0) return "0h00";
-        const total = Math.round(dec * 60);
-        return `${Math.floor(total / 60)}h${String(total % 60).padStart(2, "0")}`;
-      };
-
-      const csvRows = (rows ?? []).map((j) => {
-        const dec = decimalHours(j.depart, j.fin);
-        const km = (Number(j.km_aller ?? 0) || 0) + (Number(j.km_retour ?? 0) || 0);
-        return [
-          p.full_name || "", p.email || "", p.phone || "", p.ccq_number || "",
-          p.apprentice_level || "", p.sector || "", p.km_rate ?? "",
-          dayjs(j.job_date).format("YYYY-[W]WW"), j.job_date,
-          dayjs(j.job_date).format("dddd"), j.ot || "",
-          j.depart ? String(j.depart).slice(0, 5) : "",
-          j.arrivee ? String(j.arrivee).slice(0, 5) : "",
-          j.fin ? String(j.fin).slice(0, 5) : "",
-          dec.toFixed(2), fmtHHmm(dec), km,
-          Number(j.return_time_minutes ?? 0) || 0, Number(j.km_retour ?? 0) || 0,
-        ];
-      });
-
-      const esc = (v) => {
-        const s = String(v ?? "");
-        return /[",\n;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
-      };
-      const csv = "﻿" + [header.join(";"), ...csvRows.map((r) => r.map(esc).join(";"))].join("\r\n");
-
-      const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
       const safeName = (p.full_name || "employee").replace(/[^\w-]+/g, "_");
-      a.href = url;
-      a.download = `sparklog_payroll_${safeName}_all.csv`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      await downloadPayrollCsv({
+        employeeId: p.id,
+        filename: `sparklog_payroll_${safeName}_all.csv`,
+      });
     } catch (e) {
       setErr(e?.message ?? "CSV export failed.");
     }
@@ -220,6 +167,14 @@ export default function EmployeesPanel() {
                   className="h-9"
                 />
               </Field>
+              <Field label={t("employees.payrollCode")}>
+                <Input
+                  value={p.payroll_employee_code || ""}
+                  onChange={(e) => setLocal(p.id, "payroll_employee_code", e.target.value)}
+                  onBlur={(e) => saveField(p.id, "payroll_employee_code", e.target.value)}
+                  className="h-9"
+                />
+              </Field>
               <Field label={t("employees.level")}>
                 <Select
                   value={p.apprentice_level || ""}
@@ -260,13 +215,26 @@ export default function EmployeesPanel() {
               </Field>
             </div>
 
+            <Field label={t("employees.homeShop")}>
+              <Select
+                value={p.storage_location_id || ""}
+                onChange={(e) => { setLocal(p.id, "storage_location_id", e.target.value); saveField(p.id, "storage_location_id", e.target.value); }}
+                className="h-9"
+              >
+                <option value="">—</option>
+                {shops
+                  .filter((s) => s.active || s.id === p.storage_location_id)
+                  .map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+              </Select>
+            </Field>
+
             <label className="flex cursor-pointer items-center justify-between gap-4 rounded-lg border bg-muted/20 px-4 py-3">
               <span>
                 <span className="block text-sm font-semibold">{t("employees.storage")}</span>
                 <span className="block text-xs text-muted-foreground">{t("employees.storageDescription")}</span>
               </span>
               <span className="flex shrink-0 items-center gap-3">
-                <span className="text-sm font-bold text-primary">$50</span>
+                <span className="text-sm font-bold text-primary">${Number(shops.find((s) => s.id === p.storage_location_id)?.weekly_compensation ?? 50)}</span>
                 <input
                   type="checkbox"
                   checked={Boolean(p.storage_compensation)}
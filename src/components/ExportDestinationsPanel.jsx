@@ -0,0 +1,226 @@
+import React, { useEffect, useState } from "react";
+import { Plus, Trash2 } from "lucide-react";
+import { supabase } from "../supabaseClient";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Select } from "@/components/ui/select";
+import { useAuth } from "@/contexts/AuthContext";
+import { useT } from "@/lib/use-t";
+import { EXPORT_KINDS, exportFolder, fetchExportDestinations, fetchExportFiles } from "@/lib/exports";
+
+// Export destinations (0031_export_destinations.sql), same inline editing as
+// StorageLocationsPanel. Config values live in the `config` column; secrets
+// are only named here (secret_env) and set as edge function secrets.
+export default function ExportDestinationsPanel() {
+  const t = useT();
+  const { user } = useAuth();
+  const [destinations, setDestinations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy]       = useState(false);
+  const [err, setErr]         = useState("");
+  const [info, setInfo]       = useState("");
+  const [draft, setDraft]     = useState({ name: "", kind: "webhook" });
+  // Destination id → its latest files, once listed.
+  const [files, setFiles]     = useState({});
+
+  async function load() {
+    setErr("");
+    setLoading(true);
+    try {
+      setDestinations(await fetchExportDestinations({ includeInactive: true }));
+    } catch (e) {
+      setErr(e?.message ?? "Failed to load export destinations.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  function flash(message) {
+    setInfo(message);
+    setTimeout(() => setInfo(""), 1500);
+  }
+
+  function setLocal(id, patch) {
+    setDestinations((prev) => prev.map((d) => (d.id === id ? { ...d, ...patch } : d)));
+  }
+
+  async function save(destination, patch) {
+    const { error } = await supabase
+      .from("export_destinations")
+      .update({ ...patch, updated_at: new Date().toISOString(), updated_by: user?.id ?? null })
+      .eq("id", destination.id);
+    if (error) setErr(error.message);
+    else flash(`${destination.name} ✓`);
+  }
+
+  function saveName(destination, value) {
+    const name = value.trim();
+    if (name) save(destination, { name });
+  }
+
+  function setConfig(destination, key, value) {
+    setLocal(destination.id, { config: { ...destination.config, [key]: value } });
+  }
+
+  function saveConfig(destination, key, value) {
+    const config = { ...destination.config };
+    if (value.trim()) config[key] = value.trim();
+    else delete config[key];
+    save(destination, { config });
+  }
+
+  function toggle(destination, field, value) {
+    setLocal(destination.id, { [field]: value });
+    save(destination, { [field]: value });
+  }
+
+  async function addDestination(e) {
+    e.preventDefault();
+    if (!draft.name.trim()) return;
+    setBusy(true);
+    setErr("");
+    const { error } = await supabase.from("export_destinations").insert({
+      name: draft.name.trim(),
+      kind: draft.kind,
+      updated_by: user?.id ?? null,
+    });
+    setBusy(false);
+    if (error) { setErr(error.message); return; }
+    setDraft((d) => ({ ...d, name: "" }));
+    load();
+  }
+
+  // Deleting drops the destination's export queue with it.
+  async function remove(destination) {
+    if (!window.confirm(t("exports.confirmDelete", { name: destination.name }))) return;
+    const { error } = await supabase.from("export_destinations").delete().eq("id", destination.id);
+    if (error) { setErr(error.message); return; }
+    setDestinations((prev) => prev.filter((d) => d.id !== destination.id));
+  }
+
+  async function listFiles(destination) {
+    setErr("");
+    try {
+      const list = await fetchExportFiles(exportFolder(destination));
+      setFiles((prev) => ({ ...prev, [destination.id]: list }));
+    } catch (e) {
+      setErr(e?.message ?? String(e));
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-muted-foreground">{t("exports.description")}</p>
+
+      {err && (
+        <div className="rounded-md border border-destructive/30 bg-destructive/10 px-3 py-2 text-sm text-destructive flex items-center justify-between gap-3">
+          <span>{err}</span>
+          <Button size="sm" variant="outline" className="shrink-0 text-xs" onClick={load}>
+            {t("common.retry")}
+          </Button>
+        </div>
+      )}
+      {info && (
+        <div className="rounded-md border border-primary/30 bg-primary/10 px-3 py-1.5 text-xs text-primary">{info}</div>
+      )}
+
+      <Card>
+        <CardContent className="p-4">
+          <form onSubmit={addDestination} className="grid gap-2 sm:grid-cols-[1fr_12rem_auto]">
+            <Input value={draft.name} onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))} placeholder={t("exports.name")} className="h-9" required />
+            <Select value={draft.kind} onChange={(e) => setDraft((d) => ({ ...d, kind: e.target.value }))} className="h-9">
+              {Object.keys(EXPORT_KINDS).map((kind) => (
+                <option key={kind} value={kind}>{t(`exports.kinds.${kind}`)}</option>
+              ))}
+            </Select>
+            <Button type="submit" size="sm" className="h-9 gap-1.5" disabled={busy}>
+              <Plus className="h-4 w-4" /> {t("exports.add")}
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {loading && (
+        <Card><CardContent className="p-6 text-center text-sm text-muted-foreground">{t("common.loading")}</CardContent></Card>
+      )}
+
+      {!loading && destinations.length === 0 && (
+        <Card><CardContent className="p-6 text-center text-sm text-muted-foreground">{t("exports.empty")}</CardContent></Card>
+      )}
+
+      {!loading && destinations.map((destination) => (
+        <Card key={destination.id} className={destination.active ? "" : "opacity-70"}>
+          <CardContent className="space-y-2 p-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <Input
+                value={destination.name}
+                onChange={(e) => setLocal(destination.id, { name: e.target.value })}
+                onBlur={(e) => saveName(destination, e.target.value)}
+                placeholder={t("exports.name")}
+                className="h-9 max-w-xs font-semibold"
+              />
+              <span className="text-xs text-muted-foreground">{t(`exports.kinds.${destination.kind}`)}</span>
+              <label className="flex items-center gap-2 text-xs">
+                <input
+                  type="checkbox"
+                  checked={destination.active}
+                  onChange={(e) => toggle(destination, "active", e.target.checked)}
+                  className="h-4 w-4 accent-primary"
+                />
+                {t("sites.active")}
+              </label>
+              <label className="flex items-center gap-2 text-xs" title={t("exports.defaultHint")}>
+                <input
+                  type="checkbox"
+                  checked={destination.is_default}
+                  onChange={(e) => toggle(destination, "is_default", e.target.checked)}
+                  className="h-4 w-4 accent-primary"
+                />
+                {t("exports.default")}
+              </label>
+              <Button type="button" size="sm" variant="ghost" className="ml-auto h-9 text-destructive" onClick={() => remove(destination)} aria-label={t("exports.delete")}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+
+            <div className="grid gap-2 sm:grid-cols-2">
+              {EXPORT_KINDS[destination.kind].map((key) => (
+                <label key={key} className="space-y-1 text-xs">
+                  <span className="text-muted-foreground">{t(`exports.config.${key}`)}</span>
+                  <Input
+                    value={destination.config?.[key] ?? ""}
+                    onChange={(e) => setConfig(destination, key, e.target.value)}
+                    onBlur={(e) => saveConfig(destination, key, e.target.value)}
+                    placeholder={t(`exports.placeholder.${destination.kind}.${key}`)}
+                    className="h-9"
+                  />
+                </label>
+              ))}
+            </div>
+
+            {EXPORT_KINDS[destination.kind].includes("folder") && (
+              <div className="space-y-1 text-xs">
+                <Button type="button" size="sm" variant="outline" className="h-7 text-xs" onClick={() => listFiles(destination)}>
+                  {t("exports.showFiles")}
+                </Button>
+                {files[destination.id]?.length === 0 && (
+                  <div className="text-muted-foreground">{t("exports.noFiles")}</div>
+                )}
+                {files[destination.id]?.map((file) => (
+                  <div key={file.name}>
+                    <a href={file.url} target="_blank" rel="noreferrer" className="text-primary underline">{file.name}</a>
+                  </div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+import React, { useEffect, useState } from "react";
+import dayjs from "dayjs";
+import { Plus, Trash2, Wand2 } from "lucide-react";
+import { supabase } from "../supabaseClient";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Select } from "@/components/ui/select";
+import { useAuth } from "@/contexts/AuthContext";
+import { useT } from "@/lib/use-t";
+import { fetchHolidays, generateHolidays } from "@/lib/holidays";
+
+const KINDS = ["statutory", "construction"];
+
+export default function HolidaysPanel() {
+  const t = useT();
+  const { user } = useAuth();
+  const [year, setYear]         = useState(dayjs().year());
+  const [holidays, setHolidays] = useState([]);
+  const [loading, setLoading]   = useState(true);
+  const [busy, setBusy]         = useState(false);
+  const [err, setErr]           = useState("");
+  const [info, setInfo]         = useState("");
+  const [newDate, setNewDate]   = useState("");
+  const [newName, setNewName]   = useState("");
+
+  const years = [dayjs().year() - 1, dayjs().year(), dayjs().year() + 1];
+
+  async function load() {
+    setErr("");
+    setLoading(true);
+    try {
+      setHolidays(await fetchHolidays({ from: `${year}-01-01`, to: `${year}-12-31` }));
+    } catch (e) {
+      setErr(e?.message ?? "Failed to load holidays.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [year]);
+
+  function flash(message) {
+    setInfo(message);
+    setTimeout(() => setInfo(""), 1500);
+  }
+
+  function setLocal(date, field, value) {
+    setHolidays((prev) =>
+      prev.map((h) => (h.holiday_date === date ? { ...h, [field]: value } : h))
+    );
+  }
+
+  async function saveField(date, field, rawValue) {
+    const value = typeof rawValue === "string" ? rawValue.trim() : rawValue;
+    if (field === "name" && !value) return;
+    const { error } = await supabase
+      .from("holidays")
+      .update({ [field]: value, updated_at: new Date().toISOString(), updated_by: user?.id ?? null })
+      .eq("holiday_date", date);
+    if (error) setErr(error.message);
+    else flash(`${date} ✓`);
+  }
+
+  async function addHoliday(e) {
+    e.preventDefault();
+    if (!newDate || !newName.trim()) return;
+    setBusy(true);
+    setErr("");
+    const { error } = await supabase.from("holidays").insert({
+      holiday_date: newDate,
+      name: newName.trim(),
+      kind: "statutory",
+      updated_by: user?.id ?? null,
+    });
+    setBusy(false);
+    if (error) { setErr(error.message); return; }
+    setNewDate("");
+    setNewName("");
+    if (dayjs(newDate).year() === year) load();
+    else setYear(dayjs(newDate).year());
+  }
+
+  async function removeHoliday(date) {
+    if (!window.confirm(t("holidays.confirmDelete", { date }))) return;
+    const { error } = await supabase.from("holidays").delete().eq("holiday_date", date);
+    if (error) { setErr(error.message); return; }
+    setHolidays((prev) => prev.filter((h) => h.holiday_date !== date));
+  }
+
+  async function generateYear() {
+    setBusy(true);
+    setErr("");
+    try {
+      const added = await generateHolidays(year);
+      flash(t("holidays.generated", { count: added }));
+      load();
+    } catch (e) {
+      setErr(e?.message ?? "Failed to generate holidays.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-muted-foreground">{t("holidays.description")}</p>
+
+      {err && (
+        <div className="rounded-md border border-destructive/30 bg-destructive/10 px-3 py-2 text-sm text-destructive flex items-center justify-between gap-3">
+          <span>{err}</span>
+          <Button size="sm" variant="outline" className="shrink-0 text-xs" onClick={load}>
+            {t("common.retry")}
+          </Button>
+        </div>
+      )}
+      {info && (
+        <div className="rounded-md border border-primary/30 bg-primary/10 px-3 py-1.5 text-xs text-primary">{info}</div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <Select value={String(year)} onChange={(e) => setYear(Number(e.target.value))} className="h-9 w-28">
+          {years.map((y) => <option key={y} value={y}>{y}</option>)}
+        </Select>
+        {!loading && holidays.length === 0 && (
+          <Button type="button" size="sm" className="h-9 gap-1.5" disabled={busy} onClick={generateYear}>
+            <Wand2 className="h-4 w-4" /> {t("holidays.generate", { year })}
+          </Button>
+        )}
+      </div>
+
+      <Card>
+        <CardContent className="p-4">
+          <form onSubmit={addHoliday} className="grid gap-2 sm:grid-cols-[10rem_1fr_auto]">
+            <Input type="date" value={newDate} onChange={(e) => setNewDate(e.target.value)} className="h-9" required />
+            <Input value={newName} onChange={(e) => setNewName(e.target.value)} placeholder={t("holidays.name")} className="h-9" required />
+            <Button type="submit" size="sm" className="h-9 gap-1.5" disabled={busy}>
+              <Plus className="h-4 w-4" /> {t("holidays.add")}
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {loading && (
+        <Card><CardContent className="p-6 text-center text-sm text-muted-foreground">{t("common.loading")}</CardContent></Card>
+      )}
+
+      {!loading && holidays.map((h) => (
+        <Card key={h.holiday_date}>
+          <CardContent className="grid items-center gap-2 p-3 sm:grid-cols-[10rem_1fr_10rem_auto]">
+            <div className="text-sm font-bold">{dayjs(h.holiday_date).format("ddd DD MMM YYYY")}</div>
+            <Input
+              value={h.name}
+              onChange={(e) => setLocal(h.holiday_date, "name", e.target.value)}
+              onBlur={(e) => saveField(h.holiday_date, "name", e.target.value)}
+              className="h-9"
+            />
+            <Select
+              value={h.kind}
+              onChange={(e) => { setLocal(h.holiday_date, "kind", e.target.value); saveField(h.holiday_date, "kind", e.target.value); }}
+              className="h-9"
+            >
+              {KINDS.map((k) => <option key={k} value={k}>{t(`holidays.kind.${k}`)}</option>)}
+            </Select>
+            <Button type="button" size="sm" variant="ghost" className="h-9 text-destructive" onClick={() => removeHoliday(h.holiday_date)} aria-label={t("holidays.delete")}>
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </CardContent>
+        </Card>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useRef, useState } from "react";
+import { FileText, Lock, Paperclip, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Select } from "@/components/ui/select";
+import {
+  ATTACHMENT_ACCEPT,
+  ATTACHMENT_KINDS,
+  deleteAttachment,
+  isImageAttachment,
+  uploadAttachment,
+} from "@/lib/attachments";
+import { useT } from "@/lib/use-t";
+
+// Thumbnail strip of a job's attachments (History, ManagerDashboard,
+// EmployeeForm). With `editable`, files can be added and removed; approved
+// jobs only ever show the strip. `attachments` come from fetchAttachments()
+// and `onChange` gets the list after an add or a delete.
+export default function JobAttachments({ job, attachments, editable = false, onChange, onAdded }) {
+  const t = useT();
+  const inputRef = useRef(null);
+  const [kind, setKind] = useState("work_order");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const locked = job.status === "approved";
+  const canEdit = editable && !locked;
+
+  if (!attachments.length && !canEdit) return null;
+
+  async function add(e) {
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    if (!files.length) return;
+    setBusy(true);
+    setErr("");
+    try {
+      for (const file of files) await uploadAttachment({ job, file, kind });
+      onAdded?.();
+    } catch (error) {
+      setErr(error?.message === "too_large" ? t("attachments.errors.tooLarge") : error?.message || t("attachments.errors.failed"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function remove(attachment) {
+    if (!window.confirm(t("attachments.confirmDelete", { name: attachment.file_name }))) return;
+    setBusy(true);
+    setErr("");
+    try {
+      await deleteAttachment(attachment);
+      onChange?.(attachments.filter((a) => a.id !== attachment.id));
+    } catch (error) {
+      setErr(error?.message || t("attachments.errors.failed"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="space-y-1.5">
+      <div className="flex flex-wrap items-center gap-2">
+        {attachments.map((attachment) => (
+          <div key={attachment.id} className="group relative">
+            <a
+              href={attachment.url || undefined}
+              target="_blank"
+              rel="noreferrer"
+              title={`${t(`attachments.kinds.${attachment.kind}`)} · ${attachment.file_name}`}
+              className="flex h-14 w-14 items-center justify-center overflow-hidden rounded-md border bg-muted"
+            >
+              {isImageAttachment(attachment) && attachment.url ? (
+                <img src={attachment.url} alt={attachment.file_name} loading="lazy" className="h-full w-full object-cover" />
+              ) : (
+                <FileText className="h-6 w-6 text-muted-foreground" />
+              )}
+            </a>
+            <span className="pointer-events-none absolute inset-x-0 bottom-0 truncate rounded-b-md bg-black/50 px-1 text-[9px] text-white">
+              {t(`attachments.kinds.${attachment.kind}`)}
+            </span>
+            {canEdit && (
+              <button
+                type="button"
+                onClick={() => remove(attachment)}
+                disabled={busy}
+                className="absolute -right-1.5 -top-1.5 rounded-full border bg-background p-0.5 text-muted-foreground shadow-sm hover:text-destructive"
+                aria-label={t("attachments.delete")}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            )}
+          </div>
+        ))}
+        {locked && attachments.length > 0 && (
+          <span className="inline-flex items-center gap-1 text-xs text-muted-foreground" title={t("attachments.locked")}>
+            <Lock className="h-3 w-3" />
+          </span>
+        )}
+        {canEdit && (
+          <div className="flex items-center gap-1.5">
+            <Select value={kind} onChange={(e) => setKind(e.target.value)} disabled={busy} className="h-8 w-auto text-xs" aria-label={t("attachments.kind")}>
+              {ATTACHMENT_KINDS.map((k) => <option key={k} value={k}>{t(`attachments.kinds.${k}`)}</option>)}
+            </Select>
+            <Button type="button" size="sm" variant="outline" className="h-8 gap-1 px-2 text-xs" disabled={busy} onClick={() => inputRef.current?.click()}>
+              <Paperclip className="h-3.5 w-3.5" />
+              {busy ? t("attachments.uploading") : t("attachments.add")}
+            </Button>
+            <input ref={inputRef} type="file" accept={ATTACHMENT_ACCEPT} multiple className="hidden" onChange={add} />
+          </div>
+        )}
+      </div>
+      {err && <p className="text-xs text-destructive">{err}</p>}
+    </div>
+  );
+}
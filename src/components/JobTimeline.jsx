@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import dayjs from "dayjs";
+import { ChevronDown, ChevronRight, History as HistoryIcon } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { useT } from "@/lib/use-t";
+import { fetchJobEvents } from "@/lib/job-events";
+
+// Field → label key for the before/after lines. Anything else shows its
+// column name.
+const FIELD_LABELS = {
+  job_date: "form.date",
+  ot: "form.ot",
+  depart: "history.depart",
+  arrivee: "history.arrival",
+  fin: "history.end",
+  km_aller: "form.kmAller",
+  km_retour: "form.kmRetour",
+  return_time_minutes: "timeline.field.returnTime",
+  km_aller_track: "trip.legAller",
+  km_retour_track: "trip.legRetour",
+  site_id: "sites.site",
+  storage_location_id: "storage.returnShop",
+};
+
+// Status, lock and export bookkeeping are summarised by the action line.
+const HIDDEN_FIELDS = new Set(["status", "locked", "exported_at", "exported_by", "exported_to_sheet"]);
+
+function formatValue(value) {
+  if (value == null || value === "") return "—";
+  if (typeof value === "boolean") return value ? "✓" : "✗";
+  // GPS tracks (trip.js): the distance says enough, not the polyline.
+  if (typeof value === "object" && "distance_km" in value) return `GPS ${value.distance_km} km`;
+  if (typeof value === "string" && /^\d{2}:\d{2}:\d{2}$/.test(value)) return value.slice(0, 5);
+  return String(value);
+}
+
+// Collapsible audit trail of one job (job_events), loaded on first open.
+export default function JobTimeline({ jobId }) {
+  const t = useT();
+  const [open, setOpen] = useState(false);
+  const [events, setEvents] = useState(null);
+  const [err, setErr] = useState("");
+
+  async function toggle() {
+    const next = !open;
+    setOpen(next);
+    if (!next) return;
+    setErr("");
+    try {
+      setEvents(await fetchJobEvents(jobId));
+    } catch (e) {
+      setErr(e?.message || t("timeline.errors.failedLoad"));
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <Button type="button" size="sm" variant="ghost" className="h-7 gap-1 px-2 text-xs text-muted-foreground" onClick={toggle}>
+        <HistoryIcon className="h-3.5 w-3.5" />
+        {t("timeline.title")}
+        {open ? <ChevronDown className="h-3.5 w-3.5" /> : <ChevronRight className="h-3.5 w-3.5" />}
+      </Button>
+
+      {open && (
+        <div className="rounded-md border bg-muted/20 px-3 py-2">
+          {err && <div className="text-xs text-destructive">{err}</div>}
+          {!err && events === null && <div className="text-xs text-muted-foreground">{t("common.loading")}</div>}
+          {!err && events?.length === 0 && <div className="text-xs text-muted-foreground">{t("timeline.empty")}</div>}
+          {!err && events?.length > 0 && (
+            <ol className="space-y-2 border-l pl-3">
+              {events.map((ev) => {
+                const fields = Object.entries(ev.changes || {}).filter(([field]) => !HIDDEN_FIELDS.has(field));
+                return (
+                  <li key={ev.id} className="relative text-xs">
+                    <span className="absolute -left-[17px] top-1 h-2 w-2 rounded-full bg-primary" />
+                    <div className="flex flex-wrap items-baseline gap-x-1.5">
+                      <b>{t(`timeline.action.${ev.action}`)}</b>
+                      {ev.old_status && ev.new_status && ev.old_status !== ev.new_status && (
+                        <span className="text-muted-foreground">
+                          ({t(`status.${ev.old_status}`)} → {t(`status.${ev.new_status}`)})
+                        </span>
+                      )}
+                      <span className="text-muted-foreground">
+                        · {ev.actor_name || t(ev.actor_role === "system" ? "timeline.system" : "timeline.unknownActor")}
+                        {" · "}{dayjs(ev.created_at).format("DD MMM HH:mm")}
+                      </span>
+                    </div>
+                    {ev.reason && (
+                      <div className="mt-0.5 italic">{t("timeline.reason")}: {ev.reason}</div>
+                    )}
+                    {fields.length > 0 && (
+                      <ul className="mt-0.5 text-muted-foreground">
+                        {fields.map(([field, change]) => (
+                          <li key={field}>
+                            {FIELD_LABELS[field] ? t(FIELD_LABELS[field]) : field}: {formatValue(change?.before)} → <span className="text-foreground">{formatValue(change?.after)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import React, { useCallback, useEffect, useState } from "react";
+import dayjs from "dayjs";
 import { Bell } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import { supabase } from "@/supabaseClient";
@@ -6,8 +7,17 @@ import { useAuth } from "@/contexts/AuthContext";
 import { Button } from "@/components/ui/button";
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
 import { useT } from "@/lib/use-t";
+import { fetchNotifications, markNotificationsRead, subscribeNotifications } from "@/lib/notifications";
 
+// Managers get the overtime evidence bell; everyone else their own
+// notification center.
 export default function NotificationsBell() {
+  const { user, role } = useAuth();
+  if (!user?.id || !role) return null;
+  return role === "manager" ? <ManagerNotificationsBell /> : <EmployeeNotificationsBell />;
+}
+
+function ManagerNotificationsBell() {
   const { user, role } = useAuth();
   const navigate = useNavigate();
   const t = useT();
@@ -68,3 +78,107 @@ export default function NotificationsBell() {
     </DropdownMenu>
   );
 }
+
+function notificationText(t, notification) {
+  const ot = notification.data?.ot || "—";
+  const date = notification.data?.job_date ? dayjs(notification.data.job_date).format("DD MMM") : "";
+  switch (notification.type) {
+    case "job_approved":
+      return { title: t("notifications.jobApproved", { ot, date }), body: "" };
+    case "job_unlocked":
+      return { title: t("notifications.jobUnlocked", { ot, date }), body: notification.body };
+    case "job_rejected":
+      return { title: t("notifications.jobRejected", { ot, date }), body: notification.body };
+    case "reminder":
+      return { title: t("notifications.reminder", { count: notification.data?.count ?? 0 }), body: "" };
+    default:
+      return { title: notification.title || t("notifications.announcement"), body: notification.body };
+  }
+}
+
+function EmployeeNotificationsBell() {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const navigate = useNavigate();
+  const t = useT();
+  const [notifications, setNotifications] = useState([]);
+  // Announcement opened in place (they have no page of their own).
+  const [expandedId, setExpandedId] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!userId) return;
+    try {
+      setNotifications(await fetchNotifications(userId));
+    } catch (e) {
+      console.warn("Notifications load failed:", e);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    load();
+    return subscribeNotifications(userId, (row) => {
+      setNotifications((current) => [row, ...current.filter((item) => item.id !== row.id)]);
+    });
+  }, [load, userId]);
+
+  const unread = notifications.filter((notification) => !notification.read_at).length;
+
+  async function markRead(ids) {
+    const now = new Date().toISOString();
+    setNotifications((current) => current.map((item) => ids.includes(item.id) && !item.read_at ? { ...item, read_at: now } : item));
+    await markNotificationsRead(userId, ids).catch((e) => console.warn("Mark read failed:", e));
+  }
+
+  function openNotification(event, notification) {
+    markRead([notification.id]);
+    if (notification.link) {
+      navigate(notification.link);
+      return;
+    }
+    // Keep the menu open and show the full text instead.
+    event.preventDefault();
+    setExpandedId((current) => (current === notification.id ? null : notification.id));
+  }
+
+  return (
+    <DropdownMenu onOpenChange={(open) => { if (open) load(); }}>
+      <DropdownMenuTrigger asChild>
+        <Button variant="ghost" size="icon" className="relative h-8 w-8" aria-label={t("notifications.title")}>
+          <Bell className="h-5 w-5" />
+          {unread > 0 && <span className="absolute -right-1 -top-1 min-w-4 rounded-full bg-red-600 px-1 text-[10px] font-bold leading-4 text-white">{unread > 99 ? "99+" : unread}</span>}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="max-h-96 w-80 overflow-y-auto">
+        <div className="flex items-center justify-between px-2 py-2">
+          <span className="text-sm font-semibold">{t("notifications.title")}</span>
+          {unread > 0 && (
+            <button
+              type="button"
+              className="text-xs text-primary hover:underline"
+              onClick={() => markRead(notifications.filter((item) => !item.read_at).map((item) => item.id))}
+            >
+              {t("notifications.markAllRead")}
+            </button>
+          )}
+        </div>
+        {notifications.length === 0 && <div className="px-2 py-4 text-center text-xs text-muted-foreground">{t("notifications.empty")}</div>}
+        {notifications.map((notification) => {
+          const { title, body } = notificationText(t, notification);
+          const expanded = expandedId === notification.id;
+          return (
+            <DropdownMenuItem
+              key={notification.id}
+              onSelect={(event) => openNotification(event, notification)}
+              className={`block border-t px-3 py-3 ${notification.read_at ? "opacity-65" : "bg-primary/10"}`}
+            >
+              <div className="font-semibold">{title}</div>
+              {body && <div className={`text-xs text-muted-foreground ${expanded ? "whitespace-pre-wrap" : "line-clamp-2"}`}>{body}</div>}
+              <div className="mt-1 text-[11px] text-muted-foreground">{new Date(notification.created_at).toLocaleString()}</div>
+            </DropdownMenuItem>
+          );
+        })}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
@@ -0,0 +1,150 @@
+import React, { useEffect, useState } from "react";
+import { ArrowRight } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { LOW_CONFIDENCE, OCR_FIELDS, getOcrTemplate } from "@/lib/ocr-templates";
+import { useT } from "@/lib/use-t";
+
+const FIELD_LABELS = {
+  job_date: "form.date",
+  ot: "form.ot",
+  depart: "form.depart",
+  arrivee: "form.arrival",
+  fin: "form.end",
+  km_aller: "form.kmAller",
+};
+
+function sameValue(a, b) {
+  return String(a ?? "").trim() === String(b ?? "").trim();
+}
+
+// Auto-fill review (EmployeeForm): the photo next to what was read from it.
+// Nothing reaches the form until the employee applies the fields they kept.
+// `review` is { result, source, imageUrl, text } with `result` from
+// parseWorkOrder(); `current` holds the form's values by field.
+export default function OcrReviewDialog({ review, current, canAttach, onApply, onCancel }) {
+  const t = useT();
+  const [accepted, setAccepted] = useState({});
+  const [attach, setAttach] = useState(true);
+
+  // Values that would change the form start ticked.
+  useEffect(() => {
+    if (!review) return;
+    setAccepted(Object.fromEntries(
+      Object.entries(review.result.fields).map(([field, hit]) => [field, !sameValue(hit.value, current[field])])
+    ));
+    setAttach(true);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [review]);
+
+  const fields = review?.result.fields || {};
+  const template = review ? getOcrTemplate(review.result.template) : null;
+  const acceptedCount = Object.values(accepted).filter(Boolean).length;
+
+  function apply() {
+    const values = Object.fromEntries(
+      Object.entries(fields).filter(([field]) => accepted[field]).map(([field, hit]) => [field, hit.value])
+    );
+    onApply(values, canAttach && attach);
+  }
+
+  return (
+    <Dialog open={Boolean(review)} onOpenChange={(open) => { if (!open) onCancel(); }}>
+      <DialogContent className="max-h-[92vh] max-w-3xl overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{t("ocr.review.title")}</DialogTitle>
+          <DialogDescription>
+            {t("ocr.review.description", { template: template ? t(template.labelKey) : "—", source: review?.source || "" })}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid gap-4 md:grid-cols-[minmax(0,1fr)_minmax(0,1.2fr)]">
+          {review?.imageUrl && (
+            <a href={review.imageUrl} target="_blank" rel="noreferrer" className="block self-start">
+              <img src={review.imageUrl} alt={t("ocr.review.photoAlt")} className="max-h-[60vh] w-full rounded-md border object-contain" />
+            </a>
+          )}
+
+          <div className="space-y-2">
+            {OCR_FIELDS.map((field) => {
+              const hit = fields[field];
+              if (!hit) {
+                return (
+                  <div key={field} className="flex items-center justify-between rounded-md border border-dashed px-3 py-2 text-xs text-muted-foreground">
+                    <span>{t(FIELD_LABELS[field])}</span>
+                    <span>{t("ocr.review.notFound")}</span>
+                  </div>
+                );
+              }
+              const unchanged = sameValue(hit.value, current[field]);
+              const low = hit.confidence <= LOW_CONFIDENCE;
+              return (
+                <label
+                  key={field}
+                  className={`block cursor-pointer rounded-md border px-3 py-2 ${accepted[field] ? "bg-primary/5" : "bg-muted/20 opacity-70"} ${low ? "border-amber-500/60" : ""}`}
+                >
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(accepted[field])}
+                      onChange={(e) => setAccepted((prev) => ({ ...prev, [field]: e.target.checked }))}
+                      className="h-4 w-4 accent-primary"
+                    />
+                    <span className="text-xs font-medium uppercase tracking-wide text-muted-foreground">{t(FIELD_LABELS[field])}</span>
+                    <Badge variant={low ? "warning" : "outline"} className="ml-auto">
+                      {t("ocr.review.confidence", { percent: Math.round(hit.confidence * 100) })}
+                    </Badge>
+                  </div>
+                  <div className="mt-1 flex flex-wrap items-center gap-2 text-sm">
+                    {unchanged ? (
+                      <>
+                        <b>{String(hit.value)}</b>
+                        <span className="text-xs text-muted-foreground">{t("ocr.review.unchanged")}</span>
+                      </>
+                    ) : (
+                      <>
+                        <span className="text-muted-foreground line-through">{current[field] || t("ocr.review.empty")}</span>
+                        <ArrowRight className="h-3.5 w-3.5 text-muted-foreground" />
+                        <b>{String(hit.value)}</b>
+                      </>
+                    )}
+                  </div>
+                  {hit.snippet && (
+                    <div className="mt-1 truncate rounded bg-muted px-2 py-0.5 font-mono text-[11px] text-muted-foreground" title={hit.snippet}>
+                      “{hit.snippet}”
+                    </div>
+                  )}
+                </label>
+              );
+            })}
+
+            {review?.text && (
+              <details className="text-xs">
+                <summary className="cursor-pointer text-muted-foreground">{t("ocr.review.rawText")}</summary>
+                <pre className="mt-1 max-h-40 overflow-auto whitespace-pre-wrap rounded bg-muted p-2 font-mono text-[11px]">{review.text}</pre>
+              </details>
+            )}
+          </div>
+        </div>
+
+        {canAttach && (
+          <label className="flex cursor-pointer items-start gap-2 rounded-md border bg-muted/20 px-3 py-2 text-sm">
+            <input type="checkbox" checked={attach} onChange={(e) => setAttach(e.target.checked)} className="mt-0.5 h-4 w-4 accent-primary" />
+            <span>
+              <span className="block font-medium">{t("ocr.review.attach")}</span>
+              <span className="block text-xs text-muted-foreground">{t("ocr.review.attachHint")}</span>
+            </span>
+          </label>
+        )}
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={onCancel}>{t("common.cancel")}</Button>
+          <Button type="button" onClick={apply} disabled={acceptedCount === 0 && !(canAttach && attach)}>
+            {t("ocr.review.apply", { count: acceptedCount })}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from "react";
+import { supabase } from "../supabaseClient";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Select } from "@/components/ui/select";
+import { useAuth } from "@/contexts/AuthContext";
+import { useT } from "@/lib/use-t";
+import { withTimeout } from "@/lib/utils";
+
+// Rule sets edited here drive payroll_daily (0014_overtime_rules.sql), so Week,
+// the payroll CSV, CCQ pay and the overtime evidence check all follow them.
+const SECTOR_ORDER = ["default", "C", "R"];
+
+const MULTIPLIERS = ["1", "1.5", "2"];
+
+// Minute columns are shown in hours; blank means "no threshold".
+const HOUR_FIELDS = ["daily_regular_minutes", "weekly_regular_minutes", "ot15_minutes"];
+
+function toHours(minutes) {
+  return minutes == null ? "" : String(Math.round((minutes / 60) * 100) / 100);
+}
+
+export default function OvertimeRulesPanel() {
+  const t = useT();
+  const { user } = useAuth();
+  const [rules, setRules]     = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [err, setErr]         = useState("");
+  const [info, setInfo]       = useState("");
+
+  async function load() {
+    setErr("");
+    setLoading(true);
+    try {
+      const { data, error } = await withTimeout(
+        supabase.from("overtime_rules").select("*"),
+        12000
+      );
+      if (error) throw error;
+      const rows = (data ?? []).map((r) => ({
+        ...r,
+        ...Object.fromEntries(HOUR_FIELDS.map((f) => [f, toHours(r[f])])),
+      }));
+      rows.sort((a, b) => SECTOR_ORDER.indexOf(a.sector) - SECTOR_ORDER.indexOf(b.sector));
+      setRules(rows);
+    } catch (e) {
+      setErr(e?.message ?? "Failed to load overtime rules.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => { load(); }, []);
+
+  function setLocal(sector, field, value) {
+    setRules((prev) =>
+      prev.map((r) => (r.sector === sector ? { ...r, [field]: value } : r))
+    );
+  }
+
+  async function saveField(sector, field, rawValue) {
+    let value = rawValue;
+    if (HOUR_FIELDS.includes(field)) {
+      const hours = String(rawValue ?? "").trim().replace(",", ".");
+      value = hours === "" ? null : Math.round(Number(hours) * 60);
+      if (value != null && (Number.isNaN(value) || value < 0)) return;
+    } else if (field.endsWith("_multiplier")) {
+      value = Number(rawValue);
+    }
+    const { error } = await supabase
+      .from("overtime_rules")
+      .update({ [field]: value, updated_at: new Date().toISOString(), updated_by: user?.id ?? null })
+      .eq("sector", sector);
+    if (error) setErr(error.message);
+    else { setInfo(`${t(`overtimeRules.sector.${sector}`)} ✓`); setTimeout(() => setInfo(""), 1500); }
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-muted-foreground">{t("overtimeRules.description")}</p>
+
+      {err && (
+        <div className="rounded-md border border-destructive/30 bg-destructive/10 px-3 py-2 text-sm text-destructive flex items-center justify-between gap-3">
+          <span>{err}</span>
+          <Button size="sm" variant="outline" className="shrink-0 text-xs" onClick={load}>
+            {t("common.retry")}
+          </Button>
+        </div>
+      )}
+      {info && (
+        <div className="rounded-md border border-primary/30 bg-primary/10 px-3 py-1.5 text-xs text-primary">{info}</div>
+      )}
+
+      {loading && (
+        <Card><CardContent className="p-6 text-center text-sm text-muted-foreground">{t("common.loading")}</CardContent></Card>
+      )}
+
+      {!loading && rules.map((r) => (
+        <Card key={r.sector}>
+          <CardContent className="p-4 space-y-3">
+            <div className="font-semibold">{t(`overtimeRules.sector.${r.sector}`)}</div>
+
+            <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
+              <Field label={t("overtimeRules.dailyHours")}>
+                <HoursInput rule={r} field="daily_regular_minutes" setLocal={setLocal} saveField={saveField} />
+              </Field>
+              <Field label={t("overtimeRules.weeklyHours")}>
+                <HoursInput rule={r} field="weekly_regular_minutes" setLocal={setLocal} saveField={saveField} />
+              </Field>
+              <Field label={t("overtimeRules.ot15Hours")}>
+                <HoursInput rule={r} field="ot15_minutes" setLocal={setLocal} saveField={saveField} />
+              </Field>
+              <Field label={t("overtimeRules.ot15Scope")}>
+                <Select
+                  value={r.ot15_scope}
+                  onChange={(e) => { setLocal(r.sector, "ot15_scope", e.target.value); saveField(r.sector, "ot15_scope", e.target.value); }}
+                  className="h-9"
+                >
+                  <option value="day">{t("overtimeRules.scope.day")}</option>
+                  <option value="week">{t("overtimeRules.scope.week")}</option>
+                </Select>
+              </Field>
+            </div>
+
+            <div className="grid grid-cols-3 gap-3">
+              {["saturday_multiplier", "sunday_multiplier", "holiday_multiplier"].map((field) => (
+                <Field key={field} label={t(`overtimeRules.${field}`)}>
+                  <Select
+                    value={String(Number(r[field]))}
+                    onChange={(e) => { setLocal(r.sector, field, e.target.value); saveField(r.sector, field, e.target.value); }}
+                    className="h-9"
+                  >
+                    {MULTIPLIERS.map((m) => <option key={m} value={m}>{m}x</option>)}
+                  </Select>
+                </Field>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      ))}
+    </div>
+  );
+}
+
+function HoursInput({ rule, field, setLocal, saveField }) {
+  return (
+    <div className="flex h-9 items-center gap-1">
+      <Input
+        type="number"
+        step="0.25"
+        min="0"
+        inputMode="decimal"
+        value={rule[field]}
+        onChange={(e) => setLocal(rule.sector, field, e.target.value)}
+        onBlur={(e) => saveField(rule.sector, field, e.target.value)}
+        placeholder="—"
+        className="h-9"
+      />
+      <span className="text-xs text-muted-foreground">h</span>
+    </div>
+  );
+}
+
+function Field({ label, children }) {
+  return (
+    <label className="block space-y-1">
+      <span className="text-xs font-medium uppercase tracking-wide text-muted-foreground">{label}</span>
+      {children}
+    </label>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from "react";
+import { supabase } from "../supabaseClient";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { useAuth } from "@/contexts/AuthContext";
+import { useT } from "@/lib/use-t";
+import { EARNINGS, fetchEarningCodes } from "@/lib/payroll";
+
+// Same rule as the payroll_earning_codes check constraint.
+const CODE_RE = /^[A-Za-z0-9]{1,6}$/;
+
+// Desjardins earning code of each SparkLog amount
+// (0032_payroll_earning_codes.sql). Clearing a code removes it; the payroll
+// file then refuses to build while that earning is used.
+export default function PayrollCodesPanel() {
+  const t = useT();
+  const { user } = useAuth();
+  const [codes, setCodes]     = useState({});
+  const [loading, setLoading] = useState(true);
+  const [err, setErr]         = useState("");
+  const [info, setInfo]       = useState("");
+
+  async function load() {
+    setErr("");
+    setLoading(true);
+    try {
+      setCodes(await fetchEarningCodes());
+    } catch (e) {
+      setErr(e?.message ?? "Failed to load earning codes.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  function flash(message) {
+    setInfo(message);
+    setTimeout(() => setInfo(""), 1500);
+  }
+
+  async function save(earning, rawValue) {
+    const code = rawValue.trim().toUpperCase();
+    setCodes((prev) => ({ ...prev, [earning]: code }));
+    if (code && !CODE_RE.test(code)) {
+      setErr(t("payroll.codes.invalid"));
+      return;
+    }
+    setErr("");
+    const { error } = code
+      ? await supabase
+        .from("payroll_earning_codes")
+        .upsert({ earning, code, updated_at: new Date().toISOString(), updated_by: user?.id ?? null })
+      : await supabase.from("payroll_earning_codes").delete().eq("earning", earning);
+    if (error) setErr(error.message);
+    else flash(`${t(`payroll.earnings.${earning}`)} ✓`);
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-muted-foreground">{t("payroll.codes.description")}</p>
+
+      {err && (
+        <div className="rounded-md border border-destructive/30 bg-destructive/10 px-3 py-2 text-sm text-destructive flex items-center justify-between gap-3">
+          <span>{err}</span>
+          <Button size="sm" variant="outline" className="shrink-0 text-xs" onClick={load}>
+            {t("common.retry")}
+          </Button>
+        </div>
+      )}
+      {info && (
+        <div className="rounded-md border border-primary/30 bg-primary/10 px-3 py-1.5 text-xs text-primary">{info}</div>
+      )}
+
+      {loading ? (
+        <Card><CardContent className="p-6 text-center text-sm text-muted-foreground">{t("common.loading")}</CardContent></Card>
+      ) : (
+        <Card>
+          <CardContent className="space-y-2 p-3">
+            {EARNINGS.map((earning) => (
+              <div key={earning} className="grid items-center gap-2 sm:grid-cols-[1fr_10rem]">
+                <span className="text-sm">{t(`payroll.earnings.${earning}`)}</span>
+                <Input
+                  value={codes[earning] ?? ""}
+                  onChange={(e) => setCodes((prev) => ({ ...prev, [earning]: e.target.value }))}
+                  onBlur={(e) => save(earning, e.target.value)}
+                  placeholder={t("payroll.codes.code")}
+                  aria-label={t(`payroll.earnings.${earning}`)}
+                  className="h-9 font-mono uppercase"
+                />
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
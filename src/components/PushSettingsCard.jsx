@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from "react";
+import { BellRing } from "lucide-react";
+import { supabase } from "@/supabaseClient";
+import { useAuth } from "@/contexts/AuthContext";
+import { useLanguage } from "@/components/language-provider";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { getPushSubscription, isPushSupported, sendTestPush, subscribePush, unsubscribePush } from "@/lib/push";
+import { useT } from "@/lib/use-t";
+
+// Push notifications on the Profile page: this device's subscription plus
+// the per-user switches `send_push` honours (managers: overtime proof,
+// employees: job status changes).
+export default function PushSettingsCard({ profile, onProfileChange }) {
+  const t = useT();
+  const { user, role } = useAuth();
+  const { language } = useLanguage();
+  const supported = isPushSupported();
+  const [subscribed, setSubscribed] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [info, setInfo] = useState("");
+
+  useEffect(() => {
+    if (!supported) return;
+    getPushSubscription()
+      .then((subscription) => setSubscribed(Boolean(subscription)))
+      .catch(() => setSubscribed(false));
+  }, [supported]);
+
+  // Pushes are written in the device's app language; keep the row in step
+  // when it changes.
+  useEffect(() => {
+    if (subscribed) subscribePush(language).catch(() => {});
+  }, [subscribed, language]);
+
+  async function run(action, message) {
+    setBusy(true);
+    setErr("");
+    setInfo("");
+    try {
+      await action();
+      if (message) setInfo(message);
+    } catch (e) {
+      setErr(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const enable = () => run(async () => {
+    await subscribePush(language);
+    setSubscribed(true);
+  }, t("push.enabled"));
+
+  const disable = () => run(async () => {
+    await unsubscribePush();
+    setSubscribed(false);
+  }, t("push.disabled"));
+
+  const test = () => run(async () => {
+    const result = await sendTestPush();
+    if (!result.sent) throw new Error(t("push.testNoDevice"));
+  }, t("push.testSent"));
+
+  async function savePreference(field, value) {
+    onProfileChange({ ...profile, [field]: value });
+    const { error } = await supabase.from("profiles").update({ [field]: value }).eq("id", user.id);
+    if (error) {
+      setErr(error.message);
+      onProfileChange(profile);
+    }
+  }
+
+  const preference = role === "manager"
+    ? { field: "push_overtime_evidence", label: t("push.overtimeEvidence"), description: t("push.overtimeEvidenceDescription") }
+    : { field: "push_job_updates", label: t("push.jobUpdates"), description: t("push.jobUpdatesDescription") };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2"><BellRing className="h-5 w-5 text-primary" />{t("push.title")}</CardTitle>
+        <CardDescription>{t("push.description")}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {err && <div className="rounded-md bg-destructive/10 p-3 text-sm text-destructive">{err}</div>}
+        {info && <div className="rounded-md bg-emerald-500/10 p-3 text-sm text-emerald-700 dark:text-emerald-300">{info}</div>}
+
+        {!supported ? (
+          <p className="text-sm text-muted-foreground">{t("push.unsupported")}</p>
+        ) : (
+          <div className="flex flex-wrap items-center justify-between gap-3 rounded-lg border bg-muted/20 px-4 py-3">
+            <span>
+              <span className="block text-sm font-semibold">{t("push.thisDevice")}</span>
+              <span className="block text-xs text-muted-foreground">
+                {subscribed ? t("push.deviceOn") : t("push.deviceOff")}
+              </span>
+            </span>
+            <span className="flex gap-2">
+              {subscribed && (
+                <Button type="button" variant="outline" size="sm" disabled={busy} onClick={test}>{t("push.test")}</Button>
+              )}
+              <Button type="button" variant={subscribed ? "outline" : "default"} size="sm" disabled={busy} onClick={subscribed ? disable : enable}>
+                {busy ? t("common.working") : subscribed ? t("push.disable") : t("push.enable")}
+              </Button>
+            </span>
+          </div>
+        )}
+
+        <label className="flex cursor-pointer items-center gap-3 rounded-lg border bg-muted/20 px-4 py-3">
+          <input
+            type="checkbox"
+            checked={profile?.[preference.field] !== false}
+            onChange={(e) => savePreference(preference.field, e.target.checked)}
+            className="h-5 w-5 rounded border-input accent-primary"
+          />
+          <span>
+            <span className="block text-sm font-semibold">{preference.label}</span>
+            <span className="block text-xs text-muted-foreground">{preference.description}</span>
+          </span>
+        </label>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { useT } from "@/lib/use-t";
+
+// Asks for a mandatory free-text reason before a manager action (unlock,
+// reject…). `onConfirm(reason)` may be async; the dialog stays open and busy
+// until it settles and closes itself only when it resolves.
+export default function ReasonDialog({ open, onOpenChange, title, description, confirmLabel, confirmVariant = "default", onConfirm }) {
+  const t = useT();
+  const [reason, setReason] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  function handleOpenChange(next) {
+    if (busy) return;
+    if (!next) setReason("");
+    onOpenChange(next);
+  }
+
+  async function submit(e) {
+    e.preventDefault();
+    const trimmed = reason.trim();
+    if (!trimmed) return;
+    setBusy(true);
+    try {
+      await onConfirm(trimmed);
+      setReason("");
+      onOpenChange(false);
+    } catch {
+      // The caller reports the error; keep the dialog open with the text.
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="max-w-md">
+        <form onSubmit={submit} className="grid gap-4">
+          <DialogHeader>
+            <DialogTitle>{title}</DialogTitle>
+            {description && <DialogDescription>{description}</DialogDescription>}
+          </DialogHeader>
+          <div className="space-y-1.5">
+            <label className="text-xs font-medium uppercase tracking-wide text-muted-foreground">
+              {t("reason.label")}
+            </label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={3}
+              maxLength={500}
+              required
+              autoFocus
+              placeholder={t("reason.placeholder")}
+              className="flex w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 resize-y"
+            />
+          </div>
+          <DialogFooter className="gap-2 sm:gap-0">
+            <Button type="button" variant="outline" disabled={busy} onClick={() => handleOpenChange(false)}>
+              {t("common.cancel")}
+            </Button>
+            <Button type="submit" variant={confirmVariant} disabled={busy || !reason.trim()}>
+              {busy ? t("common.working") : confirmLabel}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
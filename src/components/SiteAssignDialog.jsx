@@ -0,0 +1,56 @@
+import React, { useEffect, useState } from "react";
+import { supabase } from "@/supabaseClient";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import SiteSelect from "@/components/SiteSelect";
+import { useT } from "@/lib/use-t";
+import { withTimeout } from "@/lib/utils";
+
+// Manager fix-up of a job's site (ManagerDashboard), e.g. when the employee
+// did not pick one. `onSaved` gets the new site id (or null).
+export default function SiteAssignDialog({ job, sites, onOpenChange, onSaved }) {
+  const t = useT();
+  const [siteId, setSiteId] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    setSiteId(job?.site_id || "");
+    setErr("");
+  }, [job]);
+
+  async function save() {
+    setBusy(true);
+    setErr("");
+    try {
+      const { error } = await withTimeout(
+        supabase.from("jobs").update({ site_id: siteId || null }).eq("id", job.id),
+        12000
+      );
+      if (error) throw error;
+      onSaved(siteId || null);
+      onOpenChange(false);
+    } catch (e) {
+      setErr(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Dialog open={Boolean(job)} onOpenChange={(open) => { if (!busy) onOpenChange(open); }}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>{t("sites.assignTitle", { ot: job?.ot || "—" })}</DialogTitle>
+          <DialogDescription>{t("sites.assignDescription")}</DialogDescription>
+        </DialogHeader>
+        {err && <div className="rounded-md bg-destructive/10 p-3 text-sm text-destructive">{err}</div>}
+        <SiteSelect sites={sites} value={siteId} onChange={(id) => setSiteId(id)} disabled={busy} />
+        <DialogFooter>
+          <Button type="button" variant="outline" disabled={busy} onClick={() => onOpenChange(false)}>{t("common.cancel")}</Button>
+          <Button type="button" disabled={busy} onClick={save}>{busy ? t("common.saving") : t("form.buttons.save")}</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,35 @@
+import React from "react";
+import { Select } from "@/components/ui/select";
+import { groupSitesByClient } from "@/lib/sites";
+import { useT } from "@/lib/use-t";
+
+// Site picker grouped by client. `onChange` gets the site id ("" for none)
+// and the site row.
+export default function SiteSelect({ id, sites, value, onChange, disabled, className }) {
+  const t = useT();
+  const groups = groupSitesByClient(sites);
+  // A job may point at a site deactivated since; keep it selectable.
+  const missing = value && !sites.some((site) => site.id === value);
+
+  return (
+    <Select
+      id={id}
+      value={value || ""}
+      onChange={(e) => onChange(e.target.value, sites.find((site) => site.id === e.target.value) || null)}
+      disabled={disabled}
+      className={className}
+    >
+      <option value="">{t("sites.none")}</option>
+      {missing && <option value={value}>{t("sites.unknown")}</option>}
+      {groups.map((group) => (
+        <optgroup key={group.client.id} label={group.client.name}>
+          {group.sites.map((site) => (
+            <option key={site.id} value={site.id}>
+              {site.name}{site.city ? ` · ${site.city}` : ""}
+            </option>
+          ))}
+        </optgroup>
+      ))}
+    </Select>
+  );
+}
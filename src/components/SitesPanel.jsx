@@ -0,0 +1,257 @@
+import React, { useEffect, useState } from "react";
+import { Plus, Trash2 } from "lucide-react";
+import { supabase } from "../supabaseClient";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { useAuth } from "@/contexts/AuthContext";
+import { useT } from "@/lib/use-t";
+import { fetchClients, fetchSites } from "@/lib/sites";
+
+// Editable text columns of a site → their label key.
+const SITE_FIELDS = {
+  name: "sites.name",
+  address: "sites.address",
+  city: "sites.city",
+  postal_code: "sites.postalCode",
+};
+
+// Clients and their sites (0022_clients_sites.sql). Inline edits save on
+// blur, like the other Testing panels; anything referenced by jobs can only
+// be deactivated.
+export default function SitesPanel() {
+  const t = useT();
+  const { user } = useAuth();
+  const [clients, setClients]   = useState([]);
+  const [sites, setSites]       = useState([]);
+  const [loading, setLoading]   = useState(true);
+  const [busy, setBusy]         = useState(false);
+  const [err, setErr]           = useState("");
+  const [info, setInfo]         = useState("");
+  const [newClient, setNewClient] = useState("");
+  const [newSites, setNewSites] = useState({});
+
+  async function load() {
+    setErr("");
+    setLoading(true);
+    try {
+      const [clientRows, siteRows] = await Promise.all([fetchClients(), fetchSites({ includeInactive: true })]);
+      setClients(clientRows);
+      setSites(siteRows);
+    } catch (e) {
+      setErr(e?.message ?? "Failed to load sites.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  function flash(message) {
+    setInfo(message);
+    setTimeout(() => setInfo(""), 1500);
+  }
+
+  // Postgres foreign_key_violation: the row is still used.
+  function describeError(error) {
+    return error?.code === "23503" ? t("sites.errors.inUse") : error?.code === "23505" ? t("sites.errors.duplicateClient") : error.message;
+  }
+
+  function setLocalClient(id, field, value) {
+    setClients((prev) => prev.map((c) => (c.id === id ? { ...c, [field]: value } : c)));
+  }
+
+  function setLocalSite(id, field, value) {
+    setSites((prev) => prev.map((s) => (s.id === id ? { ...s, [field]: value } : s)));
+  }
+
+  async function saveRow(table, id, field, rawValue, label) {
+    let value = typeof rawValue === "string" ? rawValue.trim() : rawValue;
+    if (field === "name" && !value) return;
+    if (field === "distance_km") value = value === "" ? null : Number(String(value).replace(",", "."));
+    if (field === "distance_km" && value !== null && !(value >= 0)) {
+      setErr(t("sites.errors.distance"));
+      return;
+    }
+    if (typeof value === "string" && field !== "name") value = value || null;
+    const { error } = await supabase
+      .from(table)
+      .update({ [field]: value, updated_at: new Date().toISOString(), updated_by: user?.id ?? null })
+      .eq("id", id);
+    if (error) setErr(describeError(error));
+    else flash(`${label} ✓`);
+  }
+
+  async function addClient(e) {
+    e.preventDefault();
+    if (!newClient.trim()) return;
+    setBusy(true);
+    setErr("");
+    const { error } = await supabase.from("clients").insert({ name: newClient.trim(), updated_by: user?.id ?? null });
+    setBusy(false);
+    if (error) { setErr(describeError(error)); return; }
+    setNewClient("");
+    load();
+  }
+
+  async function addSite(e, clientId) {
+    e.preventDefault();
+    const draft = newSites[clientId] || {};
+    if (!draft.name?.trim()) return;
+    const distance = draft.distance_km ? Number(String(draft.distance_km).replace(",", ".")) : null;
+    if (distance !== null && !(distance >= 0)) {
+      setErr(t("sites.errors.distance"));
+      return;
+    }
+    setBusy(true);
+    setErr("");
+    const { error } = await supabase.from("sites").insert({
+      client_id: clientId,
+      name: draft.name.trim(),
+      distance_km: distance,
+      updated_by: user?.id ?? null,
+    });
+    setBusy(false);
+    if (error) { setErr(describeError(error)); return; }
+    setNewSites((prev) => ({ ...prev, [clientId]: {} }));
+    load();
+  }
+
+  async function remove(table, id, name) {
+    if (!window.confirm(t("sites.confirmDelete", { name }))) return;
+    const { error } = await supabase.from(table).delete().eq("id", id);
+    if (error) { setErr(describeError(error)); return; }
+    if (table === "clients") setClients((prev) => prev.filter((c) => c.id !== id));
+    else setSites((prev) => prev.filter((s) => s.id !== id));
+  }
+
+  function setNewSite(clientId, field, value) {
+    setNewSites((prev) => ({ ...prev, [clientId]: { ...prev[clientId], [field]: value } }));
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-muted-foreground">{t("sites.description")}</p>
+
+      {err && (
+        <div className="rounded-md border border-destructive/30 bg-destructive/10 px-3 py-2 text-sm text-destructive flex items-center justify-between gap-3">
+          <span>{err}</span>
+          <Button size="sm" variant="outline" className="shrink-0 text-xs" onClick={load}>
+            {t("common.retry")}
+          </Button>
+        </div>
+      )}
+      {info && (
+        <div className="rounded-md border border-primary/30 bg-primary/10 px-3 py-1.5 text-xs text-primary">{info}</div>
+      )}
+
+      <Card>
+        <CardContent className="p-4">
+          <form onSubmit={addClient} className="grid gap-2 sm:grid-cols-[1fr_auto]">
+            <Input value={newClient} onChange={(e) => setNewClient(e.target.value)} placeholder={t("sites.clientName")} className="h-9" required />
+            <Button type="submit" size="sm" className="h-9 gap-1.5" disabled={busy}>
+              <Plus className="h-4 w-4" /> {t("sites.addClient")}
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {loading && (
+        <Card><CardContent className="p-6 text-center text-sm text-muted-foreground">{t("common.loading")}</CardContent></Card>
+      )}
+
+      {!loading && clients.length === 0 && (
+        <Card><CardContent className="p-6 text-center text-sm text-muted-foreground">{t("sites.empty")}</CardContent></Card>
+      )}
+
+      {!loading && clients.map((client) => {
+        const clientSites = sites.filter((site) => site.client_id === client.id);
+        const draft = newSites[client.id] || {};
+        return (
+          <Card key={client.id} className={client.active ? "" : "opacity-70"}>
+            <CardContent className="space-y-3 p-3">
+              <div className="grid items-center gap-2 sm:grid-cols-[1fr_auto_auto]">
+                <Input
+                  value={client.name}
+                  onChange={(e) => setLocalClient(client.id, "name", e.target.value)}
+                  onBlur={(e) => saveRow("clients", client.id, "name", e.target.value, client.name)}
+                  className="h-9 font-semibold"
+                  aria-label={t("sites.clientName")}
+                />
+                <label className="flex items-center gap-2 text-xs">
+                  <input
+                    type="checkbox"
+                    checked={client.active}
+                    onChange={(e) => { setLocalClient(client.id, "active", e.target.checked); saveRow("clients", client.id, "active", e.target.checked, client.name); }}
+                    className="h-4 w-4 accent-primary"
+                  />
+                  {t("sites.active")}
+                </label>
+                <Button type="button" size="sm" variant="ghost" className="h-9 text-destructive" onClick={() => remove("clients", client.id, client.name)} aria-label={t("sites.deleteClient")}>
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+
+              {clientSites.length > 0 && (
+                <div className="hidden gap-2 px-1 text-xs font-medium uppercase tracking-wide text-muted-foreground lg:grid lg:grid-cols-[1fr_1.4fr_1fr_7rem_6rem_auto_auto]">
+                  <span>{t("sites.name")}</span>
+                  <span>{t("sites.address")}</span>
+                  <span>{t("sites.city")}</span>
+                  <span>{t("sites.postalCode")}</span>
+                  <span>{t("sites.distance")}</span>
+                  <span />
+                  <span />
+                </div>
+              )}
+              {clientSites.map((site) => (
+                <div key={site.id} className="grid items-center gap-2 rounded-md border bg-muted/20 p-2 lg:grid-cols-[1fr_1.4fr_1fr_7rem_6rem_auto_auto]">
+                  {Object.entries(SITE_FIELDS).map(([field, labelKey]) => (
+                    <Input
+                      key={field}
+                      value={site[field] ?? ""}
+                      onChange={(e) => setLocalSite(site.id, field, e.target.value)}
+                      onBlur={(e) => saveRow("sites", site.id, field, e.target.value, site.name)}
+                      placeholder={t(labelKey)}
+                      className="h-9"
+                    />
+                  ))}
+                  <Input
+                    type="text"
+                    inputMode="decimal"
+                    value={site.distance_km ?? ""}
+                    onChange={(e) => setLocalSite(site.id, "distance_km", e.target.value)}
+                    onBlur={(e) => saveRow("sites", site.id, "distance_km", e.target.value, site.name)}
+                    placeholder={t("sites.distance")}
+                    className="h-9"
+                  />
+                  <label className="flex items-center gap-2 text-xs">
+                    <input
+                      type="checkbox"
+                      checked={site.active}
+                      onChange={(e) => { setLocalSite(site.id, "active", e.target.checked); saveRow("sites", site.id, "active", e.target.checked, site.name); }}
+                      className="h-4 w-4 accent-primary"
+                    />
+                    {t("sites.active")}
+                  </label>
+                  <Button type="button" size="sm" variant="ghost" className="h-9 text-destructive" onClick={() => remove("sites", site.id, site.name)} aria-label={t("sites.deleteSite")}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+
+              <form onSubmit={(e) => addSite(e, client.id)} className="grid gap-2 sm:grid-cols-[1fr_8rem_auto]">
+                <Input value={draft.name || ""} onChange={(e) => setNewSite(client.id, "name", e.target.value)} placeholder={t("sites.newSite")} className="h-9" required />
+                <Input type="text" inputMode="decimal" value={draft.distance_km || ""} onChange={(e) => setNewSite(client.id, "distance_km", e.target.value)} placeholder={t("sites.distance")} className="h-9" />
+                <Button type="submit" size="sm" variant="outline" className="h-9 gap-1.5" disabled={busy}>
+                  <Plus className="h-4 w-4" /> {t("sites.addSite")}
+                </Button>
+              </form>
+            </CardContent>
+          </Card>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,203 @@
+import React, { useEffect, useState } from "react";
+import { Plus, Trash2 } from "lucide-react";
+import { supabase } from "../supabaseClient";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { useAuth } from "@/contexts/AuthContext";
+import { useT } from "@/lib/use-t";
+import { fetchStorageLocations } from "@/lib/storage-locations";
+
+// Editable text columns of a shop → their label key.
+const SHOP_FIELDS = {
+  name: "storage.name",
+  address: "sites.address",
+  city: "sites.city",
+  postal_code: "sites.postalCode",
+};
+
+// Storage shops (0023_storage_locations.sql), same inline editing as
+// SitesPanel. A shop that jobs returned to can only be deactivated.
+export default function StorageLocationsPanel() {
+  const t = useT();
+  const { user } = useAuth();
+  const [shops, setShops]     = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy]       = useState(false);
+  const [err, setErr]         = useState("");
+  const [info, setInfo]       = useState("");
+  const [draft, setDraft]     = useState({ name: "", weekly_compensation: "" });
+
+  async function load() {
+    setErr("");
+    setLoading(true);
+    try {
+      setShops(await fetchStorageLocations({ includeInactive: true }));
+    } catch (e) {
+      setErr(e?.message ?? "Failed to load storage shops.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  function flash(message) {
+    setInfo(message);
+    setTimeout(() => setInfo(""), 1500);
+  }
+
+  // Postgres foreign_key_violation: jobs still point at the shop.
+  function describeError(error) {
+    return error?.code === "23503" ? t("storage.errors.inUse") : error.message;
+  }
+
+  function parseAmount(value) {
+    return Number(String(value).replace(",", "."));
+  }
+
+  function setLocal(id, field, value) {
+    setShops((prev) => prev.map((s) => (s.id === id ? { ...s, [field]: value } : s)));
+  }
+
+  async function saveField(id, field, rawValue, label) {
+    let value = typeof rawValue === "string" ? rawValue.trim() : rawValue;
+    if (field === "name" && !value) return;
+    if (field === "weekly_compensation") {
+      value = parseAmount(value);
+      if (!(value >= 0)) {
+        setErr(t("storage.errors.compensation"));
+        return;
+      }
+    }
+    if (typeof value === "string" && field !== "name") value = value || null;
+    const { error } = await supabase
+      .from("storage_locations")
+      .update({ [field]: value, updated_at: new Date().toISOString(), updated_by: user?.id ?? null })
+      .eq("id", id);
+    if (error) setErr(describeError(error));
+    else flash(`${label} ✓`);
+  }
+
+  async function addShop(e) {
+    e.preventDefault();
+    if (!draft.name.trim()) return;
+    const compensation = draft.weekly_compensation === "" ? 50 : parseAmount(draft.weekly_compensation);
+    if (!(compensation >= 0)) {
+      setErr(t("storage.errors.compensation"));
+      return;
+    }
+    setBusy(true);
+    setErr("");
+    const { error } = await supabase.from("storage_locations").insert({
+      name: draft.name.trim(),
+      weekly_compensation: compensation,
+      updated_by: user?.id ?? null,
+    });
+    setBusy(false);
+    if (error) { setErr(describeError(error)); return; }
+    setDraft({ name: "", weekly_compensation: "" });
+    load();
+  }
+
+  async function remove(shop) {
+    if (!window.confirm(t("sites.confirmDelete", { name: shop.name }))) return;
+    const { error } = await supabase.from("storage_locations").delete().eq("id", shop.id);
+    if (error) { setErr(describeError(error)); return; }
+    setShops((prev) => prev.filter((s) => s.id !== shop.id));
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-muted-foreground">{t("storage.description")}</p>
+
+      {err && (
+        <div className="rounded-md border border-destructive/30 bg-destructive/10 px-3 py-2 text-sm text-destructive flex items-center justify-between gap-3">
+          <span>{err}</span>
+          <Button size="sm" variant="outline" className="shrink-0 text-xs" onClick={load}>
+            {t("common.retry")}
+          </Button>
+        </div>
+      )}
+      {info && (
+        <div className="rounded-md border border-primary/30 bg-primary/10 px-3 py-1.5 text-xs text-primary">{info}</div>
+      )}
+
+      <Card>
+        <CardContent className="p-4">
+          <form onSubmit={addShop} className="grid gap-2 sm:grid-cols-[1fr_9rem_auto]">
+            <Input value={draft.name} onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))} placeholder={t("storage.name")} className="h-9" required />
+            <Input type="text" inputMode="decimal" value={draft.weekly_compensation} onChange={(e) => setDraft((d) => ({ ...d, weekly_compensation: e.target.value }))} placeholder={t("storage.compensation")} className="h-9" />
+            <Button type="submit" size="sm" className="h-9 gap-1.5" disabled={busy}>
+              <Plus className="h-4 w-4" /> {t("storage.add")}
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {loading && (
+        <Card><CardContent className="p-6 text-center text-sm text-muted-foreground">{t("common.loading")}</CardContent></Card>
+      )}
+
+      {!loading && shops.length === 0 && (
+        <Card><CardContent className="p-6 text-center text-sm text-muted-foreground">{t("storage.empty")}</CardContent></Card>
+      )}
+
+      {!loading && shops.length > 0 && (
+        <Card>
+          <CardContent className="space-y-2 p-3">
+            <div className="hidden gap-2 px-1 text-xs font-medium uppercase tracking-wide text-muted-foreground lg:grid lg:grid-cols-[1fr_1.4fr_1fr_7rem_7rem_auto_auto]">
+              <span>{t("storage.name")}</span>
+              <span>{t("sites.address")}</span>
+              <span>{t("sites.city")}</span>
+              <span>{t("sites.postalCode")}</span>
+              <span>{t("storage.compensation")}</span>
+              <span />
+              <span />
+            </div>
+            {shops.map((shop) => (
+              <div key={shop.id} className={`grid items-center gap-2 rounded-md border bg-muted/20 p-2 lg:grid-cols-[1fr_1.4fr_1fr_7rem_7rem_auto_auto] ${shop.active ? "" : "opacity-70"}`}>
+                {Object.entries(SHOP_FIELDS).map(([field, labelKey]) => (
+                  <Input
+                    key={field}
+                    value={shop[field] ?? ""}
+                    onChange={(e) => setLocal(shop.id, field, e.target.value)}
+                    onBlur={(e) => saveField(shop.id, field, e.target.value, shop.name)}
+                    placeholder={t(labelKey)}
+                    className={field === "name" ? "h-9 font-semibold" : "h-9"}
+                  />
+                ))}
+                <div className="flex h-9 items-center gap-1">
+                  <span className="text-sm text-muted-foreground">$</span>
+                  <Input
+                    type="text"
+                    inputMode="decimal"
+                    value={shop.weekly_compensation ?? ""}
+                    onChange={(e) => setLocal(shop.id, "weekly_compensation", e.target.value)}
+                    onBlur={(e) => saveField(shop.id, "weekly_compensation", e.target.value, shop.name)}
+                    aria-label={t("storage.compensation")}
+                    className="h-9"
+                  />
+                </div>
+                <label className="flex items-center gap-2 text-xs">
+                  <input
+                    type="checkbox"
+                    checked={shop.active}
+                    onChange={(e) => { setLocal(shop.id, "active", e.target.checked); saveField(shop.id, "active", e.target.checked, shop.name); }}
+                    className="h-4 w-4 accent-primary"
+                  />
+                  {t("sites.active")}
+                </label>
+                <Button type="button" size="sm" variant="ghost" className="h-9 text-destructive" onClick={() => remove(shop)} aria-label={t("storage.delete")}>
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { useT } from "@/lib/use-t";
+import { SAMPLE_TRIP_PATH, getSyntheticFeedSetting, parseTripPath, setSyntheticFeedSetting } from "@/lib/trip";
+
+function pathToText(path) {
+  return path.map(([lat, lng]) => `${lat}, ${lng}`).join("\n");
+}
+
+function initialText() {
+  const setting = getSyntheticFeedSetting();
+  if (setting && setting !== "1") {
+    try {
+      return pathToText(JSON.parse(setting));
+    } catch {
+      // Unreadable custom path: show the sample instead.
+    }
+  }
+  return pathToText(SAMPLE_TRIP_PATH);
+}
+
+// Swaps this device's geolocation for a simulated drive so the trip
+// recorder in EmployeeForm can be tried without leaving the desk.
+export default function SyntheticGpsPanel() {
+  const t = useT();
+  const [enabled, setEnabled] = useState(Boolean(getSyntheticFeedSetting()));
+  const [text, setText] = useState(initialText);
+  const [err, setErr] = useState("");
+  const [info, setInfo] = useState("");
+
+  function flash(message) {
+    setInfo(message);
+    setTimeout(() => setInfo(""), 1500);
+  }
+
+  function save(nextEnabled) {
+    setErr("");
+    if (!nextEnabled) {
+      setSyntheticFeedSetting(null);
+      setEnabled(false);
+      flash(t("trip.testing.disabled"));
+      return;
+    }
+    const path = parseTripPath(text);
+    if (!path) {
+      setErr(t("trip.testing.invalidPath"));
+      return;
+    }
+    const isSample = pathToText(path) === pathToText(SAMPLE_TRIP_PATH);
+    setSyntheticFeedSetting(isSample ? "1" : JSON.stringify(path));
+    setEnabled(true);
+    flash(t("trip.testing.enabled"));
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-muted-foreground">{t("trip.testing.description")}</p>
+
+      {err && (
+        <div className="rounded-md border border-destructive/30 bg-destructive/10 px-3 py-2 text-sm text-destructive">{err}</div>
+      )}
+      {info && (
+        <div className="rounded-md border border-primary/30 bg-primary/10 px-3 py-1.5 text-xs text-primary">{info}</div>
+      )}
+
+      <Card>
+        <CardContent className="space-y-3 p-4">
+          <label className="flex cursor-pointer items-center gap-3">
+            <input
+              type="checkbox"
+              checked={enabled}
+              onChange={(e) => save(e.target.checked)}
+              className="h-5 w-5 rounded border-input accent-primary"
+            />
+            <span className="text-sm font-semibold">{t("trip.testing.toggle")}</span>
+          </label>
+
+          <div className="space-y-1.5">
+            <label className="text-xs font-medium uppercase tracking-wide text-muted-foreground">
+              {t("trip.testing.path")}
+            </label>
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              rows={8}
+              className="flex w-full rounded-md border border-input bg-background px-3 py-2 font-mono text-xs ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 resize-y"
+            />
+            <p className="text-xs text-muted-foreground">{t("trip.testing.pathHint")}</p>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            <Button type="button" size="sm" onClick={() => save(true)}>{t("trip.testing.save")}</Button>
+            <Button type="button" size="sm" variant="outline" onClick={() => setText(pathToText(SAMPLE_TRIP_PATH))}>
+              {t("trip.testing.reset")}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
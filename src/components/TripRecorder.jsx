@@ -0,0 +1,103 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Navigation, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { getPositionSource, startTripRecorder } from "@/lib/trip";
+import { useT } from "@/lib/use-t";
+
+// "Start trip" / "Arrived" for one travel leg. The finished trip goes to
+// `onTrack`, which pre-fills the leg's km and keeps the track for the save.
+export default function TripRecorder({ label, track, onTrack, disabled }) {
+  const t = useT();
+  const recorderRef = useRef(null);
+  const wakeLockRef = useRef(null);
+  const [live, setLive] = useState(null);
+  const [err, setErr] = useState("");
+
+  // Leaving the form mid-trip stops the watch.
+  useEffect(() => () => {
+    recorderRef.current?.cancel();
+    wakeLockRef.current?.release().catch(() => {});
+  }, []);
+
+  function release() {
+    recorderRef.current = null;
+    wakeLockRef.current?.release().catch(() => {});
+    wakeLockRef.current = null;
+    setLive(null);
+  }
+
+  async function start() {
+    const source = getPositionSource();
+    if (!source) {
+      setErr(t("trip.errors.unsupported"));
+      return;
+    }
+    setErr("");
+    setLive({ pointCount: 0, distanceKm: 0 });
+    recorderRef.current = startTripRecorder({
+      source,
+      onUpdate: setLive,
+      onError: (error) => {
+        release();
+        setErr(error?.code === 1 ? t("trip.errors.denied") : t("trip.errors.failed"));
+      },
+    });
+    // Most phones pause geolocation once the screen sleeps.
+    const lock = await navigator.wakeLock?.request("screen").catch(() => null);
+    if (recorderRef.current) wakeLockRef.current = lock;
+    else lock?.release().catch(() => {});
+  }
+
+  function arrive() {
+    const trip = recorderRef.current?.stop();
+    release();
+    if (trip) onTrack(trip);
+    else setErr(t("trip.errors.tooShort"));
+  }
+
+  function cancel() {
+    recorderRef.current?.cancel();
+    release();
+  }
+
+  return (
+    <div className="space-y-1">
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <span className="font-medium text-muted-foreground">{label}</span>
+        {live ? (
+          <>
+            <span className="inline-flex items-center gap-1.5 font-semibold">
+              <span className="h-2 w-2 animate-pulse rounded-full bg-red-500" />
+              {t("trip.recording", { km: live.distanceKm.toFixed(1), points: live.pointCount })}
+            </span>
+            <Button type="button" size="sm" variant="success" className="h-7 px-2 text-xs" onClick={arrive}>
+              {t("trip.arrived")}
+            </Button>
+            <Button type="button" size="sm" variant="ghost" className="h-7 px-2 text-xs" onClick={cancel}>
+              {t("common.cancel")}
+            </Button>
+          </>
+        ) : (
+          <>
+            {track && (
+              <span className="inline-flex items-center gap-1 rounded-full border bg-muted px-2 py-0.5">
+                {t("trip.recorded", { km: track.distance_km })}
+                {track.source === "synthetic" && <span className="text-amber-700 dark:text-amber-300">· {t("trip.synthetic")}</span>}
+                {!disabled && (
+                  <button type="button" className="text-muted-foreground hover:text-foreground" onClick={() => onTrack(null)} aria-label={t("trip.clear")}>
+                    <X className="h-3 w-3" />
+                  </button>
+                )}
+              </span>
+            )}
+            <Button type="button" size="sm" variant="outline" className="h-7 px-2 text-xs" disabled={disabled} onClick={start}>
+              <Navigation className="h-3.5 w-3.5" />
+              {track ? t("trip.restart") : t("trip.start")}
+            </Button>
+          </>
+        )}
+      </div>
+      {err && <p className="text-xs text-destructive">{err}</p>}
+    </div>
+  );
+}
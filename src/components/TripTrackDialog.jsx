@@ -0,0 +1,120 @@
+import React, { useMemo } from "react";
+import dayjs from "dayjs";
+import { ExternalLink } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { decodePolyline, tripKmMismatch } from "@/lib/trip";
+import { useT } from "@/lib/use-t";
+
+const WIDTH = 320;
+const HEIGHT = 220;
+const PADDING = 14;
+
+const LEGS = [
+  { key: "aller", track: "km_aller_track", km: "km_aller", label: "trip.legAller", stroke: "hsl(var(--primary))", dash: undefined },
+  { key: "retour", track: "km_retour_track", km: "km_retour", label: "trip.legRetour", stroke: "#d97706", dash: "6 4" },
+];
+
+// Fits every leg of the job into one SVG on a flat projection; good enough
+// to see the shape of a drive without pulling in a map library.
+function project(legs) {
+  const all = legs.flatMap((leg) => leg.points);
+  if (!all.length) return legs;
+  const minLat = Math.min(...all.map((p) => p.lat));
+  const maxLat = Math.max(...all.map((p) => p.lat));
+  const minLng = Math.min(...all.map((p) => p.lng));
+  const maxLng = Math.max(...all.map((p) => p.lng));
+  const kx = Math.cos(((minLat + maxLat) / 2) * (Math.PI / 180));
+  const spanX = Math.max((maxLng - minLng) * kx, 1e-6);
+  const spanY = Math.max(maxLat - minLat, 1e-6);
+  const scale = Math.min((WIDTH - PADDING * 2) / spanX, (HEIGHT - PADDING * 2) / spanY);
+  const offsetX = (WIDTH - spanX * scale) / 2;
+  const offsetY = (HEIGHT - spanY * scale) / 2;
+  return legs.map((leg) => ({
+    ...leg,
+    xy: leg.points.map((p) => [offsetX + (p.lng - minLng) * kx * scale, HEIGHT - (offsetY + (p.lat - minLat) * scale)]),
+  }));
+}
+
+// Manager view of the GPS trips recorded on a job (ManagerDashboard).
+export default function TripTrackDialog({ job, onOpenChange }) {
+  const t = useT();
+
+  const legs = useMemo(() => {
+    if (!job) return [];
+    return project(
+      LEGS.filter((leg) => job[leg.track]?.polyline).map((leg) => ({
+        ...leg,
+        data: job[leg.track],
+        typedKm: Number(job[leg.km] ?? 0) || 0,
+        points: decodePolyline(job[leg.track].polyline),
+      }))
+    );
+  }, [job]);
+
+  return (
+    <Dialog open={Boolean(job)} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>{t("trip.dialogTitle", { ot: job?.ot || "—" })}</DialogTitle>
+          <DialogDescription>{t("trip.dialogDescription")}</DialogDescription>
+        </DialogHeader>
+
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full rounded-md border bg-muted/30" role="img" aria-label={t("trip.mapLabel")}>
+          {legs.map((leg) => leg.xy?.length > 0 && (
+            <g key={leg.key}>
+              <polyline
+                points={leg.xy.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(" ")}
+                fill="none"
+                stroke={leg.stroke}
+                strokeWidth="3"
+                strokeDasharray={leg.dash}
+                strokeLinecap="round"
+                strokeLinejoin="round"
+              />
+              <circle cx={leg.xy[0][0]} cy={leg.xy[0][1]} r="5" fill="#16a34a" stroke="white" strokeWidth="1.5" />
+              <circle cx={leg.xy[leg.xy.length - 1][0]} cy={leg.xy[leg.xy.length - 1][1]} r="5" fill="#dc2626" stroke="white" strokeWidth="1.5" />
+            </g>
+          ))}
+        </svg>
+
+        <div className="space-y-2 text-sm">
+          {legs.map((leg) => {
+            const end = leg.points[leg.points.length - 1];
+            return (
+              <div key={leg.key} className="space-y-1 rounded-lg border bg-muted/20 p-3">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="font-semibold">{t(leg.label)}</span>
+                  {tripKmMismatch(leg.typedKm, leg.data) && <Badge variant="warning">{t("trip.mismatch")}</Badge>}
+                  {leg.data.source === "synthetic" && <Badge variant="outline">{t("trip.synthetic")}</Badge>}
+                </div>
+                <div className="text-xs text-muted-foreground">
+                  {t("trip.gpsKm")}: <b className="text-foreground">{leg.data.distance_km} km</b>
+                  {" • "}
+                  {t("trip.typedKm")}: <b className="text-foreground">{leg.typedKm} km</b>
+                  {leg.data.started_at && leg.data.ended_at && (
+                    <>
+                      {" • "}
+                      {dayjs(leg.data.started_at).format("HH:mm")}–{dayjs(leg.data.ended_at).format("HH:mm")}
+                    </>
+                  )}
+                </div>
+                {end && (
+                  <a
+                    href={`https://www.openstreetmap.org/?mlat=${end.lat}&mlon=${end.lng}#map=15/${end.lat}/${end.lng}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center gap-1 text-xs text-primary hover:underline"
+                  >
+                    {t("trip.openArrival")}
+                    <ExternalLink className="h-3 w-3" />
+                  </a>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,143 @@
+// Job attachments (supabase/migrations/0025_job_attachments.sql): photos and
+// documents stored under <job owner>/<job_id>/ in the private
+// 'job-attachments' bucket, one job_attachments row each. Work-order photos
+// from before 0025 stay in 'work-order-photos' (row.bucket).
+import { supabase } from "@/supabaseClient";
+import { withTimeout } from "@/lib/utils";
+
+export const ATTACHMENT_BUCKET = "job-attachments";
+export const ATTACHMENT_KINDS = ["work_order", "signed_sheet", "receipt", "other"];
+export const ATTACHMENT_ACCEPT = "image/*,application/pdf";
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// Downscales a photo to a JPEG blob; phone pictures are 5–10 MB otherwise.
+export async function compressImage(file, maxEdge = 1600, quality = 0.7) {
+  const url = URL.createObjectURL(file);
+  try {
+    const img = await new Promise((resolve, reject) => {
+      const i = new Image();
+      i.onload = () => resolve(i);
+      i.onerror = reject;
+      i.src = url;
+    });
+    const scale = Math.min(1, maxEdge / Math.max(img.width, img.height));
+    const w = Math.round(img.width * scale);
+    const h = Math.round(img.height * scale);
+    const canvas = document.createElement("canvas");
+    canvas.width = w;
+    canvas.height = h;
+    canvas.getContext("2d").drawImage(img, 0, 0, w, h);
+    return await new Promise((resolve) =>
+      canvas.toBlob((b) => resolve(b), "image/jpeg", quality)
+    );
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+export function isImageAttachment(attachment) {
+  return String(attachment?.content_type || "").startsWith("image/");
+}
+
+// Attachments of the given jobs with a signed `url` each, grouped by job id.
+export async function fetchAttachments(jobIds, { expiresIn = 3600 } = {}) {
+  const byJob = new Map();
+  const rows = [];
+  // Chunked so the id list stays well inside the request URL limit.
+  for (let i = 0; i < jobIds.length; i += 100) {
+    const { data, error } = await withTimeout(
+      supabase
+        .from("job_attachments")
+        .select("*")
+        .in("job_id", jobIds.slice(i, i + 100))
+        .order("created_at", { ascending: true }),
+      12000
+    );
+    if (error) throw error;
+    rows.push(...(data || []));
+  }
+
+  const urls = new Map();
+  for (const bucket of new Set(rows.map((row) => row.bucket))) {
+    const paths = rows.filter((row) => row.bucket === bucket).map((row) => row.storage_path);
+    const { data: signed, error: signError } = await supabase.storage.from(bucket).createSignedUrls(paths, expiresIn);
+    if (signError) throw signError;
+    for (const item of signed || []) {
+      if (item.signedUrl) urls.set(`${bucket}/${item.path}`, item.signedUrl);
+    }
+  }
+
+  for (const row of rows) {
+    const list = byJob.get(row.job_id) || [];
+    list.push({ ...row, url: urls.get(`${row.bucket}/${row.storage_path}`) || "" });
+    byJob.set(row.job_id, list);
+  }
+  return byJob;
+}
+
+// Uploads `file` for the job and records it. Photos are downscaled first;
+// PDFs and other documents go up as they are.
+export async function uploadAttachment({ job, file, kind = "other" }) {
+  const image = file.type.startsWith("image/") ? await compressImage(file) : null;
+  const body = image || file;
+  if (body.size > MAX_ATTACHMENT_BYTES) throw new Error("too_large");
+
+  const id = crypto.randomUUID();
+  const baseName = (file.name || "attachment").replace(/\.[^.]+$/, "");
+  const fileName = image ? `${baseName}.jpg` : file.name || "attachment";
+  const safeName = fileName.replace(/[^\w.-]+/g, "_").slice(-80);
+  const path = `${job.user_id}/${job.id}/${id}-${safeName}`;
+  const contentType = image ? "image/jpeg" : file.type || "application/octet-stream";
+
+  const { error: uploadError } = await withTimeout(
+    supabase.storage.from(ATTACHMENT_BUCKET).upload(path, body, { contentType, upsert: false }),
+    30000
+  );
+  if (uploadError) throw uploadError;
+
+  const { data, error } = await supabase
+    .from("job_attachments")
+    .insert({
+      id,
+      job_id: job.id,
+      user_id: job.user_id,
+      kind,
+      storage_path: path,
+      file_name: fileName,
+      content_type: contentType,
+      size_bytes: body.size,
+    })
+    .select("*")
+    .single();
+  if (error) {
+    // The row was refused (job approved meanwhile): drop the orphan file.
+    await supabase.storage.from(ATTACHMENT_BUCKET).remove([path]);
+    throw error;
+  }
+  return data;
+}
+
+// Row first: the lock trigger refuses it on an approved job, and then the
+// file must stay too.
+export async function deleteAttachment(attachment) {
+  const { error } = await supabase.from("job_attachments").delete().eq("id", attachment.id);
+  if (error) throw error;
+  const { error: removeError } = await supabase.storage.from(attachment.bucket).remove([attachment.storage_path]);
+  if (removeError) console.warn("Attachment file left in storage:", removeError);
+}
+
+// Files of a job about to be deleted: its rows cascade, its files do not.
+// Read them before the delete, remove them after it succeeded.
+export async function listAttachmentFiles(jobId) {
+  const { data, error } = await supabase.from("job_attachments").select("bucket, storage_path").eq("job_id", jobId);
+  if (error) throw error;
+  return data || [];
+}
+
+export async function removeAttachmentFiles(files) {
+  for (const bucket of new Set(files.map((file) => file.bucket))) {
+    const paths = files.filter((file) => file.bucket === bucket).map((file) => file.storage_path);
+    const { error } = await supabase.storage.from(bucket).remove(paths);
+    if (error) console.warn("Attachment files left in storage:", error);
+  }
+}
@@ -0,0 +1,62 @@
+// Overtime SMS evidence review (supabase/migrations/0027_evidence_review.sql).
+// Evidence OCR could not confirm waits as review_status 'pending' until a
+// manager accepts or rejects it; a rejection sends the job back.
+import { supabase } from "@/supabaseClient";
+import { withTimeout } from "@/lib/utils";
+import { fetchPayrollDays } from "@/lib/payroll";
+
+export const REVIEW_STATUSES = ["pending", "accepted", "rejected"];
+
+// Evidence rows with their job, employee, reviewer, a signed `imageUrl` and
+// the day's overtime as it stands now (`currentOvertimeMinutes`, from the
+// payroll engine), oldest first for the pending queue, newest first
+// otherwise.
+export async function fetchEvidenceQueue({ reviewStatus = "pending", limit = 50 } = {}) {
+  const { data, error } = await withTimeout(
+    supabase
+      .from("overtime_evidence")
+      .select("*")
+      .eq("review_status", reviewStatus)
+      .order(reviewStatus === "pending" ? "created_at" : "reviewed_at", { ascending: reviewStatus === "pending" })
+      .limit(limit),
+    12000
+  );
+  if (error) throw error;
+  const rows = data || [];
+  if (!rows.length) return [];
+
+  const jobIds = [...new Set(rows.map((row) => row.job_id))];
+  const profileIds = [...new Set(rows.flatMap((row) => [row.user_id, row.reviewed_by]).filter(Boolean))];
+  const dates = rows.map((row) => row.job_date).sort();
+  const [jobsRes, profilesRes, signedRes, days] = await Promise.all([
+    supabase.from("jobs").select("id, ot, job_date, status, depart, arrivee, fin, return_time_minutes").in("id", jobIds),
+    supabase.from("profiles").select("id, full_name, email").in("id", profileIds),
+    supabase.storage.from("overtime-evidence").createSignedUrls(rows.map((row) => row.storage_path), 600),
+    fetchPayrollDays({ from: dates[0], to: dates[dates.length - 1], statuses: null }).catch(() => []),
+  ]);
+  if (jobsRes.error) throw jobsRes.error;
+  if (profilesRes.error) throw profilesRes.error;
+
+  const jobsById = new Map((jobsRes.data || []).map((job) => [job.id, job]));
+  const names = new Map((profilesRes.data || []).map((p) => [p.id, p.full_name || p.email || p.id]));
+  const urls = new Map((signedRes.data || []).map((item) => [item.path, item.signedUrl]));
+  const overtime = new Map(days.map((day) => [`${day.user_id}:${day.job_date}`, day.overtime_minutes]));
+  return rows.map((row) => ({
+    ...row,
+    job: jobsById.get(row.job_id) || null,
+    employeeName: names.get(row.user_id) || "—",
+    reviewerName: row.reviewed_by ? names.get(row.reviewed_by) || "—" : null,
+    imageUrl: urls.get(row.storage_path) || "",
+    currentOvertimeMinutes: overtime.get(`${row.user_id}:${row.job_date}`) ?? row.overtime_minutes ?? null,
+  }));
+}
+
+// `decision` is "accepted" or "rejected"; a rejection needs `note`, which
+// the employee receives as the reason.
+export async function reviewEvidence(evidenceId, decision, note = null) {
+  const { error } = await withTimeout(
+    supabase.rpc("review_overtime_evidence", { p_evidence_id: evidenceId, p_decision: decision, p_note: note }),
+    12000
+  );
+  if (error) throw error;
+}
@@ -0,0 +1,106 @@
+// Approval and sheet export (supabase/migrations/0029_export_outbox.sql).
+// Approving only changes the database and queues the job in export_outbox;
+// the process_export_outbox edge function sends queued jobs to the sheet and
+// retries failures with backoff, once per destination chosen for the batch
+// (0031_export_destinations.sql). Not to be confused with the offline outbox
+// of unsent employee forms (outbox.js).
+import { supabase } from "@/supabaseClient";
+import { withTimeout } from "@/lib/utils";
+
+export const EXPORT_BUCKET = "export-files";
+
+// Destination kinds → the config fields a manager fills in.
+export const EXPORT_KINDS = {
+  google_sheets: ["url", "secret_env"],
+  webhook: ["url", "secret_env"],
+  file_drop: ["folder"],
+  payroll_file: ["folder"],
+};
+
+export async function fetchExportDestinations({ includeInactive = false } = {}) {
+  let q = supabase.from("export_destinations").select("*").order("created_at", { ascending: true });
+  if (!includeInactive) q = q.eq("active", true);
+  const { data, error } = await withTimeout(q, 12000);
+  if (error) throw error;
+  return data || [];
+}
+
+// Approves the submitted jobs among `jobIds` and returns the ids approved.
+// `destinationIds`: where to export them; null for the default
+// destinations, [] for none.
+export async function approveJobs(jobIds, destinationIds = null) {
+  const { data, error } = await withTimeout(
+    supabase.rpc("approve_jobs", { p_job_ids: jobIds, p_destination_ids: destinationIds }),
+    12000
+  );
+  if (error) throw error;
+  return data || [];
+}
+
+// export_outbox rows of the given jobs, as job id → rows (one per
+// destination).
+export async function fetchExportStates(jobIds) {
+  if (!jobIds.length) return new Map();
+  const { data, error } = await withTimeout(
+    supabase
+      .from("export_outbox")
+      .select("job_id, destination_id, action, status, attempts, next_attempt_at, last_attempt_at, last_error, exported_at")
+      .in("job_id", jobIds),
+    12000
+  );
+  if (error) throw error;
+  const byJob = new Map();
+  for (const row of data || []) byJob.set(row.job_id, [...(byJob.get(row.job_id) || []), row]);
+  return byJob;
+}
+
+// Queues an approved job again, whatever its export state, or retries the
+// void of an unlocked one (0030_export_void.sql). Without `destinationId`,
+// every destination the job was queued for.
+export async function retryExport(jobId, destinationId = null) {
+  const { error } = await withTimeout(
+    supabase.rpc("retry_job_export", { p_job_id: jobId, p_destination_id: destinationId }),
+    12000
+  );
+  if (error) throw error;
+}
+
+// Folder of a file_drop / payroll_file destination in the bucket; same rule
+// as slug() in the process_export_outbox function.
+export function exportFolder(destination) {
+  return (
+    String(destination.config?.folder || destination.name)
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^\w-]+/g, "_")
+      .replace(/^_+|_+$/g, "") || "export"
+  );
+}
+
+// Latest files a file_drop / payroll_file destination wrote, newest first,
+// with a signed `url` each.
+export async function fetchExportFiles(folder, limit = 5) {
+  const { data, error } = await withTimeout(
+    supabase.storage.from(EXPORT_BUCKET).list(folder, { limit, sortBy: { column: "name", order: "desc" } }),
+    12000
+  );
+  if (error) throw error;
+  const files = (data || []).filter((file) => file.id);
+  if (!files.length) return [];
+  const { data: signed } = await supabase.storage
+    .from(EXPORT_BUCKET)
+    .createSignedUrls(files.map((file) => `${folder}/${file.name}`), 600);
+  return files.map((file, i) => ({ name: file.name, url: signed?.[i]?.signedUrl || "" }));
+}
+
+// Runs the export queue now instead of waiting for the next cron tick.
+// Resolves to { claimed, exported, failed, error }.
+export async function processExports() {
+  const { data, error } = await withTimeout(
+    supabase.functions.invoke("process_export_outbox", { body: {} }),
+    60000
+  );
+  if (error) throw error;
+  if (data?.ok !== true) throw new Error(data?.error || "Export failed");
+  return data;
+}
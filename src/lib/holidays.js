@@ -0,0 +1,24 @@
+// Holiday calendar (supabase/migrations/0015_holidays.sql). Payroll reads the
+// table itself; screens only need it to flag dates.
+import { supabase } from "@/supabaseClient";
+import { withTimeout } from "@/lib/utils";
+
+export async function fetchHolidays({ from = null, to = null } = {}) {
+  let q = supabase.from("holidays").select("*").order("holiday_date", { ascending: true });
+  if (from) q = q.gte("holiday_date", from);
+  if (to) q = q.lte("holiday_date", to);
+  const { data, error } = await withTimeout(q, 12000);
+  if (error) throw error;
+  return data || [];
+}
+
+// Fills a year with the default Quebec / construction calendar. Does nothing
+// (returns 0) when the year already has holidays. Managers only.
+export async function generateHolidays(year) {
+  const { data, error } = await withTimeout(
+    supabase.rpc("generate_holidays", { p_year: year }),
+    12000
+  );
+  if (error) throw error;
+  return Number(data) || 0;
+}
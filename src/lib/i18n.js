@@ -28,6 +28,8 @@ export const dictionaries = {
     "nav.history": "History",
     "nav.week": "Week",
     "nav.manager": "Manager",
+    "nav.evidence": "Evidence",
+    "nav.payPeriods": "Pay periods",
     "nav.testing": "Testing",
     "nav.profile": "Profile",
     "profile.title": "Profile",
@@ -39,15 +41,74 @@ export const dictionaries = {
     "profile.quickReference": "Quick reference",
     "profile.quickReferenceDescription": "Useful procedures and technical references.",
     "profile.noReferences": "No quick references have been added yet.",
+    "push.title": "Push notifications",
+    "push.description": "Get notified on this device even when SparkLog is closed.",
+    "push.unsupported": "Push notifications are not available here. Install the app (or open it in a recent browser over HTTPS) to turn them on.",
+    "push.thisDevice": "This device",
+    "push.deviceOn": "Receiving push notifications.",
+    "push.deviceOff": "Push notifications are off on this device.",
+    "push.enable": "Turn on",
+    "push.disable": "Turn off",
+    "push.enabled": "Push notifications turned on for this device.",
+    "push.disabled": "Push notifications turned off for this device.",
+    "push.test": "Send a test",
+    "push.testSent": "Test notification sent.",
+    "push.testNoDevice": "No subscribed device received the test.",
+    "push.overtimeEvidence": "Overtime proof",
+    "push.overtimeEvidenceDescription": "When an employee sends an SMS proof for overtime.",
+    "push.jobUpdates": "Job updates",
+    "push.jobUpdatesDescription": "When a job is approved, unlocked or sent back for changes.",
     "manager.forms.title": "Employee forms",
     "manager.forms.description": "Choose which forms employees can see in their Profile tab.",
     "notifications.title": "Overtime notifications",
     "notifications.empty": "No notifications.",
+    "notifications.markAllRead": "Mark all read",
+    "notifications.jobApproved": "Job OT {ot} ({date}) approved",
+    "notifications.jobUnlocked": "Job OT {ot} ({date}) unlocked — you can edit it",
+    "notifications.jobRejected": "Changes requested on job OT {ot} ({date})",
+    "notifications.reminder": "{count} job(s) from previous days not submitted yet",
+    "notifications.announcement": "Message from your manager",
     "notifications.employee": "Employee",
     "notifications.overtime": "Daily total: {hours} h · SMS proof received",
     "notifications.evidence": "Overtime SMS proof",
     "notifications.evidenceAlt": "SMS screenshot authorizing overtime",
     "notifications.ocrUnavailable": "OCR text unavailable — review the original screenshot.",
+    "evidence.title": "Overtime evidence",
+    "evidence.subtitle": "SMS screenshots the automatic check could not confirm, or that do not cover the overtime worked. Accept them, or send the job back to the employee.",
+    "evidence.filter": "Review status",
+    "evidence.status.pending": "To review",
+    "evidence.status.accepted": "Accepted",
+    "evidence.status.rejected": "Rejected",
+    "evidence.empty.pending": "No evidence waiting for review.",
+    "evidence.empty.accepted": "No accepted evidence yet.",
+    "evidence.empty.rejected": "No rejected evidence.",
+    "evidence.imageUnavailable": "Screenshot unavailable.",
+    "evidence.dailyTotal": "Daily total",
+    "evidence.received": "received {date}",
+    "evidence.smsParse": "Authorization SMS",
+    "evidence.check.overtime": "Mentions overtime",
+    "evidence.check.approval": "Approval wording",
+    "evidence.sms.authorizer": "Authorized by",
+    "evidence.sms.date": "For",
+    "evidence.sms.approved": "Approved",
+    "evidence.sms.until": "until {time}",
+    "evidence.sms.ot": "OT",
+    "evidence.sms.worked": "Overtime worked",
+    "evidence.warnings.exceeds_authorized": "More overtime worked than approved",
+    "evidence.warnings.after_until": "Work ended after the approved time",
+    "evidence.warnings.date_mismatch": "The SMS names another day",
+    "evidence.warnings.ot_mismatch": "The SMS names another OT",
+    "evidence.warnings.no_authorizer": "No identifiable sender",
+    "evidence.accept": "Accept",
+    "evidence.reject": "Reject evidence",
+    "evidence.rejectDescription": "The job goes back to the employee with your comment, and they will have to attach a new screenshot.",
+    "evidence.rejectSend": "Reject and send back",
+    "evidence.rejectApprovedHint": "Unlock the job before rejecting its evidence",
+    "evidence.openQueue": "Awaiting review — open the evidence queue",
+    "evidence.reviewedBy.accepted": "Accepted by {name} on {date}",
+    "evidence.reviewedBy.rejected": "Rejected by {name} on {date}",
+    "evidence.errors.failedLoad": "Failed to load evidence.",
+    "evidence.errors.failedReview": "Failed to save the review.",
     "nav.logout": "Logout",
     "testing.tabs.employees": "Employees",
     "testing.tabs.ccq": "CCQ rates",
@@ -57,18 +118,50 @@ export const dictionaries = {
     "testing.tabs.week": "Week",
     "testing.tabs.month": "Month",
     "testing.tabs.forms": "Forms",
+    "testing.tabs.gps": "GPS",
+    "testing.tabs.overtime": "Overtime rules",
+    "testing.tabs.holidays": "Holidays",
+    "testing.tabs.sites": "Sites",
+    "testing.tabs.storage": "Storage shops",
+    "testing.tabs.exports": "Exports",
+    "testing.tabs.payroll": "Payroll codes",
+    "holidays.description": "Statutory and construction holidays. Work on these dates is flagged in Week and the payroll CSV and paid at the holiday multiplier of the overtime rules. Next year is generated automatically every December.",
+    "holidays.generate": "Generate {year}",
+    "holidays.generated": "{count} holiday(s) added",
+    "holidays.name": "Holiday name",
+    "holidays.add": "Add",
+    "holidays.delete": "Delete holiday",
+    "holidays.confirmDelete": "Delete the holiday on {date}?",
+    "holidays.kind.statutory": "Statutory",
+    "holidays.kind.construction": "Construction",
+    "overtimeRules.description": "Regular hours before overtime and premium days, per sector. Payroll, the Week screen and the overtime evidence check all use these rules. Leave a threshold blank to turn it off.",
+    "overtimeRules.sector.default": "Default (no sector)",
+    "overtimeRules.sector.C": "Commercial (ICI)",
+    "overtimeRules.sector.R": "Residential",
+    "overtimeRules.dailyHours": "Regular hours / day",
+    "overtimeRules.weeklyHours": "Regular hours / week",
+    "overtimeRules.ot15Hours": "Hours at 1.5x",
+    "overtimeRules.ot15Scope": "1.5x allowance",
+    "overtimeRules.scope.day": "Per day",
+    "overtimeRules.scope.week": "Per week",
+    "overtimeRules.saturday_multiplier": "Saturday",
+    "overtimeRules.sunday_multiplier": "Sunday",
+    "overtimeRules.holiday_multiplier": "Holiday",
     "forms.title": "Company forms",
     "forms.description": "Select a form to open it in a new tab.",
     "forms.open": "Open",
     "employees.level": "Level",
     "employees.sector": "Sector",
     "employees.kmRate": "Km rate",
+    "employees.payrollCode": "Desjardins employee #",
+    "employees.payrollCodeTaken": "Another employee already has this Desjardins number.",
     "employees.storage": "Storage",
-    "employees.storageDescription": "$50 storage compensation",
+    "employees.storageDescription": "Weekly compensation of the home shop, paid in weeks with at least one return to a shop",
+    "employees.homeShop": "Home shop",
     "employees.overtimeEvidence": "Overtime screenshot",
-    "employees.overtimeEvidenceDescription": "Require SMS proof when the daily total exceeds 8 hours (return time included).",
+    "employees.overtimeEvidenceDescription": "Require SMS proof when the day includes overtime under the overtime rules.",
     "employees.retentionDays": "Retention (days)",
-    "employees.includeReturnTime": "Count return-to-storage time toward 8 hours",
+    "employees.includeReturnTime": "Count return-to-storage time toward the overtime threshold",
     "testing.tabs.announce": "Announcements",
     "announce.title": "Manager Message",
     "announce.subject": "Subject",
@@ -103,6 +196,9 @@ export const dictionaries = {
     "nav.toggleTheme": "Toggle theme",
     "nav.toggleThemeTitle": "Toggle light/dark",
     "nav.toggleLanguage": "Switch language",
+    "pwa.install": "Install app",
+    "pwa.iosHint": "Install SparkLog: tap Share, then \"Add to Home Screen\".",
+    "pwa.dismiss": "Dismiss",
 
     // auth / Login
     "auth.title": "SparkLog",
@@ -155,11 +251,14 @@ export const dictionaries = {
     "form.buttons.autofill": "Auto-fill",
     "form.buttons.newJob": "New job",
     "form.lockedNotice": "This job is locked ({status}). You can only edit when it is {saved} or {updated} and unlocked.",
+    "form.rejected.title": "Your manager asked for changes to this job",
+    "form.rejected.by": "{name} · {date}. Fix the job, then submit it again.",
     "form.toasts.submitted": "Job submitted.",
     "form.toasts.updated": "Job updated.",
     "form.toasts.savedAndSubmitted": "Job saved and submitted.",
     "form.toasts.saved": "Job saved.",
-    "form.toasts.filledFromImage": "Fields filled from image ({source}). Please review before saving.",
+    "form.toasts.filledFromImage": "Fields filled from image ({source}, read as a {template}). Please review before saving.",
+    "form.toasts.savedOffline": "No connection — job saved on this device. It will sync automatically once you are back online.",
     "form.errors.notSignedIn": "Not signed in.",
     "form.errors.notFound": "Job not found.",
     "form.errors.notAuthorized": "Not authorized.",
@@ -168,6 +267,36 @@ export const dictionaries = {
     "form.errors.duplicateOt": "A job with OT \"{ot}\" already exists. Please use a different OT number.",
     "form.errors.insertNoId": "Insert succeeded but no id returned.",
     "form.errors.extractFailed": "Failed to extract from image.",
+    "ocr.lowConfidence": "Read from the photo with {percent}% confidence. Check it.",
+    "ocr.reviewFlagged": "The outlined fields were hard to read on the photo. Check them before saving.",
+    "ocr.templates.dynamicsBilan": "Dynamics 365 work order",
+    "ocr.templates.clientPortal": "client portal printout",
+    "ocr.templates.calypso": "Calypso sheet",
+    "ocr.templates.handwritten": "handwritten timesheet",
+    "ocr.review.title": "Check what was read",
+    "ocr.review.description": "Read as a {template} ({source}). Tick the values to copy into the form.",
+    "ocr.review.photoAlt": "Work order photo",
+    "ocr.review.notFound": "not found",
+    "ocr.review.confidence": "{percent}% sure",
+    "ocr.review.unchanged": "same as the form",
+    "ocr.review.empty": "empty",
+    "ocr.review.rawText": "Show the full OCR text",
+    "ocr.review.attach": "Attach this photo to the job",
+    "ocr.review.attachHint": "Your manager can see it next to the job. It is uploaded when you save.",
+    "ocr.review.apply": "Apply {count} field(s)",
+    "ocr.photoPending": "Work-order photo will be attached on the next save.",
+    "attachments.add": "Attach",
+    "attachments.uploading": "Uploading…",
+    "attachments.kind": "Attachment type",
+    "attachments.kinds.work_order": "Work order",
+    "attachments.kinds.signed_sheet": "Signed sheet",
+    "attachments.kinds.receipt": "Receipt",
+    "attachments.kinds.other": "Other",
+    "attachments.delete": "Remove attachment",
+    "attachments.confirmDelete": "Remove {name}?",
+    "attachments.locked": "Approved job: attachments are locked.",
+    "attachments.errors.tooLarge": "This file is larger than 10 MB.",
+    "attachments.errors.failed": "The attachment could not be saved.",
     "form.errors.timedOut": "{label} timed out after {seconds}s. Please retry.",
     "form.autofillTip.title": "How to take the screenshot",
     "form.autofillTip.step1": "Open the work order in your app (e.g. Dynamics 365).",
@@ -184,7 +313,7 @@ export const dictionaries = {
     "form.return.savedDescription": "The job was saved. The form is ready for a new job.",
     "form.return.saveError": "The job could not be saved. Verify that the latest Supabase migrations are installed, then try again.",
     "form.evidence.title": "Overtime authorization required",
-    "form.evidence.description": "Your daily total exceeds 8 hours. Add the special SMS screenshot authorizing this overtime before the job can be saved.",
+    "form.evidence.description": "Your hours for this day include overtime. Add the special SMS screenshot authorizing this overtime before the job can be saved.",
     "form.evidence.ocrNotice": "The screenshot will be stored securely for the configured retention period and its SMS text will be extracted for manager review.",
     "form.evidence.choose": "Choose SMS screenshot",
     "form.evidence.processing": "Uploading and reading screenshot…",
@@ -193,7 +322,173 @@ export const dictionaries = {
     "form.evidence.requiredApproval": "The SMS message clearly approving the overtime request.",
     "form.evidence.requiredDuration": "The employee’s reply confirming the overtime duration (for example, 30 min).",
     "form.evidence.requiredCrop": "A close crop of the approval and duration, like the provided second example — not the entire conversation.",
-    "form.evidence.invalid": "This screenshot does not clearly contain an overtime approval and a duration. Crop the approval message and duration reply, then try again.",
+    "form.evidence.invalid": "This screenshot does not clearly contain an overtime approval with a duration or an end time. Crop the approval message and the reply with the duration, then try again.",
+    "form.evidence.warningsIntro": "Your manager will review this authorization:",
+    "route.title": "Route",
+    "route.modeSingle": "Single job",
+    "route.modeRoute": "Day route",
+    "route.leaveStorage": "Left the storage shop",
+    "route.stop": "Stop {n}",
+    "route.stopOf": "Stop {n}/{count}",
+    "route.addStop": "Add a stop",
+    "route.removeStop": "Remove this stop",
+    "route.kmFromStorage": "KM from the storage shop",
+    "route.kmFromPrevious": "KM from the previous stop",
+    "route.travel": "Travel",
+    "route.onSite": "On site",
+    "route.returnNotice": "The return to the storage shop is asked once, from the last stop, when you save.",
+    "trip.title": "GPS trip recorder",
+    "trip.description": "Optional. Tap “Start trip” when you leave and “Arrived” at the destination: the distance fills the km. Keep SparkLog open during the drive.",
+    "trip.toJob": "To the job",
+    "trip.toStorage": "Back to the storage shop",
+    "trip.fromStorage": "From the storage shop",
+    "trip.fromPrevious": "From the previous stop",
+    "trip.start": "Start trip",
+    "trip.restart": "Record again",
+    "trip.arrived": "Arrived",
+    "trip.recording": "Recording… {km} km · {points} points",
+    "trip.recorded": "GPS {km} km",
+    "trip.clear": "Remove the recorded trip",
+    "trip.synthetic": "simulated",
+    "trip.returnPrefilled": "Pre-filled from the GPS trip ({km} km).",
+    "trip.errors.unsupported": "This device does not share its location.",
+    "trip.errors.denied": "Location access was refused. Allow it in the browser settings to record a trip.",
+    "trip.errors.failed": "The location could not be read. Try again outdoors.",
+    "trip.errors.tooShort": "Not enough GPS positions were recorded for this trip.",
+    "trip.pill": "GPS",
+    "trip.view": "view",
+    "trip.mismatch": "km differ",
+    "trip.dialogTitle": "GPS trips · OT {ot}",
+    "trip.dialogDescription": "Simplified trail recorded by the employee, green at the start and red at the arrival.",
+    "trip.mapLabel": "Recorded trail",
+    "trip.legAller": "Outbound trip",
+    "trip.legRetour": "Return trip",
+    "trip.gpsKm": "GPS",
+    "trip.typedKm": "Entered",
+    "trip.openArrival": "Show the arrival on OpenStreetMap",
+    "trip.testing.description": "Replaces this device’s location with a simulated drive along the path below, so the trip recorder can be tested without moving. Sign in as an employee on this same browser to use it.",
+    "trip.testing.toggle": "Use the simulated GPS feed on this device",
+    "trip.testing.path": "Path",
+    "trip.testing.pathHint": "One “latitude, longitude” per line, at least two. The drive runs at 50 km/h, sped up 12×.",
+    "trip.testing.save": "Save path",
+    "trip.testing.reset": "Sample path",
+    "trip.testing.enabled": "Simulated GPS on ✓",
+    "trip.testing.disabled": "Simulated GPS off",
+    "trip.testing.invalidPath": "Enter at least two “latitude, longitude” lines.",
+    "sites.site": "Site",
+    "sites.none": "— No site —",
+    "sites.unknown": "Site no longer offered",
+    "sites.notSet": "not set",
+    "sites.distanceHint": "About {km} km from the storage shop.",
+    "sites.useDistance": "Use it",
+    "sites.assignTitle": "Site of OT {ot}",
+    "sites.assignDescription": "Links this OT to a client site for reports and exports.",
+    "sites.filters.allClients": "All clients",
+    "sites.filters.allSites": "All sites",
+    "sites.downloadReport": "Download client / site report (CSV)",
+    "sites.description": "Clients and their job sites. The distance is one way from the storage shop; the form suggests it as km when the employee picks the site. Sites used by jobs can only be deactivated.",
+    "sites.clientName": "Client name",
+    "sites.addClient": "Add client",
+    "sites.deleteClient": "Delete client",
+    "sites.empty": "No clients yet.",
+    "sites.active": "Active",
+    "sites.name": "Site name",
+    "sites.address": "Address",
+    "sites.city": "City",
+    "sites.postalCode": "Postal code",
+    "sites.distance": "Distance (km)",
+    "sites.newSite": "New site name",
+    "sites.addSite": "Add site",
+    "sites.deleteSite": "Delete site",
+    "sites.confirmDelete": "Delete {name}?",
+    "sites.errors.inUse": "Still used by jobs or sites — deactivate it instead.",
+    "sites.errors.duplicateClient": "A client with this name already exists.",
+    "sites.errors.distance": "The distance must be a positive number of km.",
+    "storage.description": "Storage shops employees return to after a job. The weekly compensation is paid to eligible employees in weeks where they returned to the shop at least once.",
+    "storage.name": "Shop name",
+    "storage.compensation": "Weekly compensation ($)",
+    "storage.add": "Add shop",
+    "storage.delete": "Delete shop",
+    "storage.empty": "No storage shops yet.",
+    "storage.errors.inUse": "Jobs returned to this shop — deactivate it instead.",
+    "storage.errors.compensation": "The compensation must be a positive amount.",
+    "storage.returnShop": "Returned to",
+    "storage.noShop": "— No shop —",
+    "storage.home": "home",
+    "storage.suggestedTime": "Suggested: {time} (from {count} earlier trips)",
+    "storage.suggestedKm": "Km suggested from {count} earlier trips to this shop.",
+    "exports.description": "Where approved jobs are exported. Each approval goes to the destinations ticked on the dashboard; default destinations are ticked to start with. Tokens and signing keys are edge function secrets — only their name is entered here.",
+    "exports.name": "Destination name",
+    "exports.add": "Add destination",
+    "exports.delete": "Delete destination",
+    "exports.empty": "No export destinations yet.",
+    "exports.confirmDelete": "Delete {name}? Its pending exports are dropped.",
+    "exports.default": "Default",
+    "exports.defaultHint": "Ticked on the dashboard and used when an approval names no destination",
+    "exports.kinds.google_sheets": "Google Sheets",
+    "exports.kinds.webhook": "Signed webhook",
+    "exports.kinds.file_drop": "File drop (CSV)",
+    "exports.kinds.payroll_file": "Payroll file",
+    "exports.config.url": "URL",
+    "exports.config.secret_env": "Secret name",
+    "exports.config.folder": "Folder",
+    "exports.placeholder.google_sheets.url": "APPS_SCRIPT_URL when empty",
+    "exports.placeholder.google_sheets.secret_env": "APPS_SCRIPT_TOKEN",
+    "exports.placeholder.webhook.url": "https://…",
+    "exports.placeholder.webhook.secret_env": "EXPORT_WEBHOOK_SECRET",
+    "exports.placeholder.file_drop.folder": "Destination name when empty",
+    "exports.placeholder.payroll_file.folder": "Destination name when empty",
+    "exports.showFiles": "Latest files",
+    "exports.noFiles": "No files yet.",
+    "payroll.codes.description": "Desjardins earning code of each amount in the payroll import file. Match them to the company’s Desjardins setup; each employee’s Desjardins number is set under Employees.",
+    "payroll.codes.code": "Code",
+    "payroll.codes.invalid": "A code is 1 to 6 letters or digits.",
+    "payroll.earnings.regular": "Regular hours",
+    "payroll.earnings.ot15": "Overtime 1.5x",
+    "payroll.earnings.ot20": "Overtime 2x",
+    "payroll.earnings.km": "Km reimbursement",
+    "payroll.earnings.storage": "Storage compensation",
+    "payroll.desjardins.download": "Desjardins file",
+    "payroll.desjardins.title": "Payroll import file for this week, approved jobs only",
+    "payroll.desjardins.errors.invalid_period": "The pay period is invalid.",
+    "payroll.desjardins.errors.empty": "No approved hours or amounts in this period.",
+    "payroll.desjardins.errors.missing_employee_code": "{employee} has no Desjardins employee number.",
+    "payroll.desjardins.errors.invalid_employee_code": "{employee}: Desjardins number “{value}” must be 1 to 10 letters or digits.",
+    "payroll.desjardins.errors.duplicate_employee_code": "{employee} and {other} share the Desjardins number “{value}”.",
+    "payroll.desjardins.errors.missing_earning_code": "No earning code for {earning} (Testing → Payroll codes).",
+    "payroll.desjardins.errors.negative": "{employee}: negative {earning}.",
+    "payroll.desjardins.errors.too_long": "{employee}: {value} does not fit the {field} column.",
+    "payPeriods.title": "Pay periods",
+    "payPeriods.subtitle": "Review each period, close it once every job is submitted and approved, then export it. A closed period freezes its jobs — no entry, change or unlock — until a manager reopens it with a reason.",
+    "payPeriods.frequency": "Frequency",
+    "payPeriods.frequencies.weekly": "Weekly",
+    "payPeriods.frequencies.biweekly": "Biweekly",
+    "payPeriods.anchor": "First day of a period (a Monday)",
+    "payPeriods.saveSettings": "Save",
+    "payPeriods.settingsHint": "Changes shape the periods not created yet; existing periods keep their dates.",
+    "payPeriods.settingsSaved": "Pay period settings saved.",
+    "payPeriods.status.open": "Open",
+    "payPeriods.status.review": "In review",
+    "payPeriods.status.closed": "Closed",
+    "payPeriods.counts": "{jobs} jobs · {approved} approved · {submitted} awaiting approval · {drafts} not submitted",
+    "payPeriods.startReview": "Start review",
+    "payPeriods.backToOpen": "Back to open",
+    "payPeriods.close": "Close period",
+    "payPeriods.closeBlocked": "{count} job(s) still wait for approval",
+    "payPeriods.closeBlockedDrafts": "{count} job(s) are not submitted yet — a closed period would freeze them",
+    "payPeriods.confirmClose": "Close the pay period {label}? Its jobs can no longer be entered, changed or unlocked, and the payroll snapshot is taken now.",
+    "payPeriods.reopen": "Reopen",
+    "payPeriods.reopenDescription": "Why does this closed period need to change? The reason is kept with the period.",
+    "payPeriods.snapshot": "Snapshot of {time}: {employees} employees · {regular} regular · {overtime} overtime",
+    "payPeriods.reopened": "Reopened {time}: {reason}",
+    "payPeriods.errors.failedLoad": "Failed to load the pay periods.",
+    "payPeriods.errors.anchorMonday": "The first day of a period must be a Monday.",
+    "route.returnDescription": "Is there travel time and mileage from the last stop (OT {ot}) back to the storage shop?",
+    "route.toasts.saved": "Route saved.",
+    "route.toasts.submitted": "Route submitted.",
+    "route.errors.incomplete": "Enter the storage departure time and the arrival and end times of every stop.",
+    "route.errors.order": "Route times must follow each other: each arrival after the previous end, each end after its arrival.",
+    "route.errors.removeOffline": "A saved stop can only be removed while online.",
 
     // history
     "history.title": "History",
@@ -220,6 +515,35 @@ export const dictionaries = {
     "history.errors.deleteFailed": "Delete failed.",
     "history.errors.submitFailed": "Submit failed.",
     "history.errors.submitDayFailed": "Submit day failed.",
+    "timeline.title": "Timeline",
+    "timeline.empty": "No recorded changes yet.",
+    "timeline.reason": "Reason",
+    "timeline.system": "System",
+    "timeline.unknownActor": "Unknown user",
+    "timeline.field.returnTime": "Return time (min)",
+    "timeline.action.created": "Created",
+    "timeline.action.edited": "Edited",
+    "timeline.action.submitted": "Submitted",
+    "timeline.action.approved": "Approved",
+    "timeline.action.rejected": "Changes requested",
+    "timeline.action.unlocked": "Unlocked",
+    "timeline.action.status_changed": "Status changed",
+    "timeline.action.exported": "Exported",
+    "timeline.action.deleted": "Deleted",
+    "timeline.errors.failedLoad": "Failed to load the timeline.",
+    "reason.label": "Reason",
+    "reason.placeholder": "Explain why (visible in the job's timeline)",
+    // outbox (offline queue)
+    "outbox.pending": "Pending sync",
+    "outbox.conflict": "Sync failed",
+    "outbox.bannerPending": "{count} job(s) saved on this device are waiting to sync.",
+    "outbox.bannerConflict": "{count} job(s) could not be synced. Review them in History.",
+    "outbox.syncNow": "Sync now",
+    "outbox.syncing": "Syncing…",
+    "outbox.review": "Review",
+    "outbox.discard": "DISCARD",
+    "outbox.confirmDiscard": "Discard this unsynced job? It never reached the server and will be lost.",
+    "outbox.discarded": "Unsynced job discarded.",
 
     // week
     "week.title": "Week",
@@ -232,6 +556,15 @@ export const dictionaries = {
     "week.ot15": "1.5x",
     "week.ot20": "2.0x",
     "week.otCountLabel": "OT x",
+    "week.returnTime": "Return",
+    "week.kmReimbursement": "Km reimbursement",
+    "week.storageCompensation": "Storage",
+    "week.holiday": "Holiday",
+    "week.holidayWork": "Holiday work",
+    "week.pay": "Pay (approved)",
+    "week.benefits": "benefits",
+    "week.ratesAsOf": "CCQ rates of {date}",
+    "week.payMissingRates": "Pay unavailable: {count} day(s) without CCQ rates (check sector and level in Employees).",
     "week.errors.failedLoad": "Failed to load weekly data.",
 
     // manager
@@ -267,6 +600,22 @@ export const dictionaries = {
     "manager.downloadCsv": "Download CSV",
     "manager.downloadCsvTitle": "Download approved jobs for this employee (and week if selected) as CSV for payroll",
     "manager.unlock": "Unlock",
+    "manager.export.pending": "Export pending",
+    "manager.export.exported": "Exported",
+    "manager.export.failed": "Export failed",
+    "manager.export.void.pending": "Removal pending",
+    "manager.export.void.failed": "Removal failed",
+    "manager.export.attempts": "Attempt {count}",
+    "manager.export.nextAttempt": "next try {time}",
+    "manager.export.noMoreAttempts": "no automatic retry left",
+    "manager.export.retry": "Retry export",
+    "manager.export.reexport": "Re-export",
+    "manager.export.failedRetrying": "An export failed: {error}. It will be retried automatically.",
+    "manager.export.targets": "Export approvals to:",
+    "manager.export.noTargets": "(no export)",
+    "manager.requestChanges": "Request changes",
+    "manager.requestChangesDescription": "The job goes back to the employee, editable, with your comment. They are notified and can resubmit it.",
+    "manager.requestChangesSend": "Send back",
     "manager.savedSection": "Saved",
     "manager.submittedSection": "Submitted",
     "manager.noSaved": "No saved jobs.",
@@ -277,10 +626,12 @@ export const dictionaries = {
     "manager.confirm.approveWeek": "Approve ALL submitted jobs for {name} in {label}?\n\nCount: {count}",
     "manager.confirm.selectedPeriod": "the selected period",
     "manager.toasts.unlocked": "Job unlocked. Employee can now edit it.",
-    "manager.toasts.approvedAndExported": "Approved and exported.",
-    "manager.toasts.approvedSkipped": "Approved. Export skipped (already exported).",
-    "manager.toasts.approvedManyExported": "Approved {count} job(s) and exported.",
-    "manager.toasts.approvedManySkipped": "Approved {count} job(s). Export skipped for {skipped} (already exported).",
+    "manager.toasts.changesRequested": "Job sent back to the employee.",
+    "manager.toasts.approved": "Approved. The export to the sheet is queued.",
+    "manager.toasts.approvedNone": "Nothing approved: the job is no longer submitted.",
+    "manager.toasts.approvedMany": "Approved {count} job(s). The export to the sheet is queued.",
+    "manager.toasts.approvedManySkipped": "Approved {count} job(s); {skipped} were no longer submitted. The export to the sheet is queued.",
+    "manager.toasts.exportQueued": "Export queued again.",
     "manager.errors.failedLoad": "Failed to load manager.",
     "manager.errors.failedMore": "Failed to load more.",
     "manager.errors.noSession": "No session token (manager). Please re-login.",
@@ -289,6 +640,7 @@ export const dictionaries = {
     "manager.errors.jobNotFound": "Job not found in list.",
     "manager.errors.approveFailed": "Approve failed.",
     "manager.errors.unlockFailed": "Unlock failed.",
+    "manager.errors.requestChangesFailed": "Could not send the job back.",
     "manager.errors.approveWeekFailed": "Approve week failed.",
 
     // status labels
@@ -296,6 +648,7 @@ export const dictionaries = {
     "status.submitted": "submitted",
     "status.approved": "approved",
     "status.updated": "updated",
+    "status.rejected": "changes requested",
     "status.new": "new",
 
     // common labels
@@ -332,6 +685,8 @@ export const dictionaries = {
     "nav.history": "Historique",
     "nav.week": "Semaine",
     "nav.manager": "Gestion",
+    "nav.evidence": "Preuves",
+    "nav.payPeriods": "Périodes de paie",
     "nav.testing": "Tests",
     "nav.profile": "Profil",
     "profile.title": "Profil",
@@ -343,15 +698,74 @@ export const dictionaries = {
     "profile.quickReference": "Références rapides",
     "profile.quickReferenceDescription": "Procédures utiles et références techniques.",
     "profile.noReferences": "Aucune référence rapide n’a encore été ajoutée.",
+    "push.title": "Notifications push",
+    "push.description": "Soyez averti sur cet appareil même lorsque SparkLog est fermé.",
+    "push.unsupported": "Les notifications push ne sont pas disponibles ici. Installez l’application (ou ouvrez-la dans un navigateur récent en HTTPS) pour les activer.",
+    "push.thisDevice": "Cet appareil",
+    "push.deviceOn": "Reçoit les notifications push.",
+    "push.deviceOff": "Les notifications push sont désactivées sur cet appareil.",
+    "push.enable": "Activer",
+    "push.disable": "Désactiver",
+    "push.enabled": "Notifications push activées pour cet appareil.",
+    "push.disabled": "Notifications push désactivées pour cet appareil.",
+    "push.test": "Envoyer un test",
+    "push.testSent": "Notification de test envoyée.",
+    "push.testNoDevice": "Aucun appareil abonné n’a reçu le test.",
+    "push.overtimeEvidence": "Preuve de temps supplémentaire",
+    "push.overtimeEvidenceDescription": "Lorsqu’un employé envoie une preuve SMS de temps supplémentaire.",
+    "push.jobUpdates": "Mises à jour des jobs",
+    "push.jobUpdatesDescription": "Lorsqu’un job est approuvé, déverrouillé ou renvoyé pour corrections.",
     "manager.forms.title": "Formulaires des employés",
     "manager.forms.description": "Choisissez les formulaires visibles dans l’onglet Profil des employés.",
     "notifications.title": "Notifications de temps supplémentaire",
     "notifications.empty": "Aucune notification.",
+    "notifications.markAllRead": "Tout marquer comme lu",
+    "notifications.jobApproved": "Job OT {ot} ({date}) approuvé",
+    "notifications.jobUnlocked": "Job OT {ot} ({date}) déverrouillé — vous pouvez le modifier",
+    "notifications.jobRejected": "Corrections demandées pour le job OT {ot} ({date})",
+    "notifications.reminder": "{count} job(s) des jours précédents pas encore soumis",
+    "notifications.announcement": "Message de votre gestionnaire",
     "notifications.employee": "Employé",
     "notifications.overtime": "Total quotidien : {hours} h · preuve SMS reçue",
     "notifications.evidence": "Preuve SMS de temps supplémentaire",
     "notifications.evidenceAlt": "Capture du SMS autorisant le temps supplémentaire",
     "notifications.ocrUnavailable": "Texte OCR indisponible — vérifiez la capture originale.",
+    "evidence.title": "Preuves de temps supplémentaire",
+    "evidence.subtitle": "Captures SMS que la vérification automatique n’a pas pu confirmer, ou qui ne couvrent pas le temps supplémentaire travaillé. Acceptez-les, ou renvoyez la tâche à l’employé.",
+    "evidence.filter": "Statut de révision",
+    "evidence.status.pending": "À réviser",
+    "evidence.status.accepted": "Acceptées",
+    "evidence.status.rejected": "Refusées",
+    "evidence.empty.pending": "Aucune preuve en attente de révision.",
+    "evidence.empty.accepted": "Aucune preuve acceptée pour l’instant.",
+    "evidence.empty.rejected": "Aucune preuve refusée.",
+    "evidence.imageUnavailable": "Capture indisponible.",
+    "evidence.dailyTotal": "Total quotidien",
+    "evidence.received": "reçue le {date}",
+    "evidence.smsParse": "SMS d’autorisation",
+    "evidence.check.overtime": "Mentionne le temps supplémentaire",
+    "evidence.check.approval": "Formule d’approbation",
+    "evidence.sms.authorizer": "Autorisé par",
+    "evidence.sms.date": "Pour le",
+    "evidence.sms.approved": "Approuvé",
+    "evidence.sms.until": "jusqu’à {time}",
+    "evidence.sms.ot": "OT",
+    "evidence.sms.worked": "Temps supplémentaire travaillé",
+    "evidence.warnings.exceeds_authorized": "Plus de temps supplémentaire travaillé qu’approuvé",
+    "evidence.warnings.after_until": "Travail terminé après l’heure approuvée",
+    "evidence.warnings.date_mismatch": "Le SMS vise un autre jour",
+    "evidence.warnings.ot_mismatch": "Le SMS vise un autre OT",
+    "evidence.warnings.no_authorizer": "Expéditeur non identifiable",
+    "evidence.accept": "Accepter",
+    "evidence.reject": "Refuser la preuve",
+    "evidence.rejectDescription": "La tâche est renvoyée à l’employé avec votre commentaire ; il devra joindre une nouvelle capture.",
+    "evidence.rejectSend": "Refuser et renvoyer",
+    "evidence.rejectApprovedHint": "Déverrouillez la tâche avant de refuser sa preuve",
+    "evidence.openQueue": "En attente de révision — ouvrir la file des preuves",
+    "evidence.reviewedBy.accepted": "Acceptée par {name} le {date}",
+    "evidence.reviewedBy.rejected": "Refusée par {name} le {date}",
+    "evidence.errors.failedLoad": "Impossible de charger les preuves.",
+    "evidence.errors.failedReview": "Impossible d’enregistrer la révision.",
     "nav.logout": "Déconnexion",
     "nav.signOut": "Se déconnecter",
     "testing.tabs.employees": "Employés",
@@ -362,18 +776,50 @@ export const dictionaries = {
     "testing.tabs.week": "Semaine",
     "testing.tabs.month": "Mois",
     "testing.tabs.forms": "Formulaires",
+    "testing.tabs.gps": "GPS",
+    "testing.tabs.overtime": "Temps supplémentaire",
+    "testing.tabs.holidays": "Jours fériés",
+    "testing.tabs.sites": "Sites",
+    "testing.tabs.storage": "Entrepôts",
+    "testing.tabs.exports": "Exports",
+    "testing.tabs.payroll": "Codes de paie",
+    "holidays.description": "Jours fériés statutaires et de la construction. Le travail à ces dates est signalé dans Semaine et le CSV de paie, et payé au multiplicateur férié des règles de temps supplémentaire. L’année suivante est générée automatiquement chaque décembre.",
+    "holidays.generate": "Générer {year}",
+    "holidays.generated": "{count} jour(s) férié(s) ajouté(s)",
+    "holidays.name": "Nom du jour férié",
+    "holidays.add": "Ajouter",
+    "holidays.delete": "Supprimer le jour férié",
+    "holidays.confirmDelete": "Supprimer le jour férié du {date}?",
+    "holidays.kind.statutory": "Statutaire",
+    "holidays.kind.construction": "Construction",
+    "overtimeRules.description": "Heures régulières avant le temps supplémentaire et journées majorées, par secteur. La paie, l’écran Semaine et la preuve de temps supplémentaire utilisent ces règles. Laissez un seuil vide pour le désactiver.",
+    "overtimeRules.sector.default": "Par défaut (sans secteur)",
+    "overtimeRules.sector.C": "Commercial (ICI)",
+    "overtimeRules.sector.R": "Résidentiel",
+    "overtimeRules.dailyHours": "Heures régulières / jour",
+    "overtimeRules.weeklyHours": "Heures régulières / semaine",
+    "overtimeRules.ot15Hours": "Heures à 1,5x",
+    "overtimeRules.ot15Scope": "Banque à 1,5x",
+    "overtimeRules.scope.day": "Par jour",
+    "overtimeRules.scope.week": "Par semaine",
+    "overtimeRules.saturday_multiplier": "Samedi",
+    "overtimeRules.sunday_multiplier": "Dimanche",
+    "overtimeRules.holiday_multiplier": "Férié",
     "forms.title": "Formulaires de l’entreprise",
     "forms.description": "Sélectionnez un formulaire pour l’ouvrir dans un nouvel onglet.",
     "forms.open": "Ouvrir",
     "employees.level": "Niveau",
     "employees.sector": "Secteur",
     "employees.kmRate": "Taux km",
+    "employees.payrollCode": "No d’employé Desjardins",
+    "employees.payrollCodeTaken": "Un autre employé a déjà ce numéro Desjardins.",
     "employees.storage": "Entreposage",
-    "employees.storageDescription": "Compensation d’entreposage de 50 $",
+    "employees.storageDescription": "Compensation hebdomadaire de l’entrepôt attitré, versée les semaines avec au moins un retour à un entrepôt",
+    "employees.homeShop": "Entrepôt attitré",
     "employees.overtimeEvidence": "Capture d’écran – temps supplémentaire",
-    "employees.overtimeEvidenceDescription": "Exiger la preuve SMS lorsque le total quotidien dépasse 8 h (retour inclus).",
+    "employees.overtimeEvidenceDescription": "Exiger la preuve SMS lorsque la journée comporte du temps supplémentaire selon les règles.",
     "employees.retentionDays": "Conservation (jours)",
-    "employees.includeReturnTime": "Compter le retour à l’entrepôt dans les 8 heures",
+    "employees.includeReturnTime": "Compter le retour à l’entrepôt dans le seuil de temps supplémentaire",
     "testing.tabs.announce": "Annonces",
     "announce.title": "Message du gestionnaire",
     "announce.subject": "Objet",
@@ -407,6 +853,9 @@ export const dictionaries = {
     "nav.toggleTheme": "Changer le thème",
     "nav.toggleThemeTitle": "Basculer clair/sombre",
     "nav.toggleLanguage": "Changer de langue",
+    "pwa.install": "Installer l'application",
+    "pwa.iosHint": "Installer SparkLog : touchez Partager, puis « Sur l'écran d'accueil ».",
+    "pwa.dismiss": "Fermer",
 
     "auth.title": "SparkLog",
     "auth.descLogin": "Connectez-vous à votre compte",
@@ -457,11 +906,14 @@ export const dictionaries = {
     "form.buttons.autofill": "Remplir auto",
     "form.buttons.newJob": "Nouveau job",
     "form.lockedNotice": "Ce job est verrouillé ({status}). Vous pouvez le modifier uniquement quand il est {saved} ou {updated} et déverrouillé.",
+    "form.rejected.title": "Votre gestionnaire demande des corrections à ce job",
+    "form.rejected.by": "{name} · {date}. Corrigez le job, puis soumettez-le de nouveau.",
     "form.toasts.submitted": "Job soumis.",
     "form.toasts.updated": "Job mis à jour.",
     "form.toasts.savedAndSubmitted": "Job enregistré et soumis.",
     "form.toasts.saved": "Job enregistré.",
-    "form.toasts.filledFromImage": "Champs remplis depuis l'image ({source}). Veuillez vérifier avant d'enregistrer.",
+    "form.toasts.filledFromImage": "Champs remplis depuis l'image ({source}, lue comme {template}). Veuillez vérifier avant d'enregistrer.",
+    "form.toasts.savedOffline": "Aucune connexion — job enregistré sur cet appareil. Il sera synchronisé automatiquement au retour du réseau.",
     "form.errors.notSignedIn": "Non connecté.",
     "form.errors.notFound": "Job introuvable.",
     "form.errors.notAuthorized": "Non autorisé.",
@@ -470,6 +922,36 @@ export const dictionaries = {
     "form.errors.duplicateOt": "Un job avec l'OT « {ot} » existe déjà. Veuillez utiliser un autre numéro d'OT.",
     "form.errors.insertNoId": "Insertion réussie mais aucun identifiant retourné.",
     "form.errors.extractFailed": "Échec de l'extraction depuis l'image.",
+    "ocr.lowConfidence": "Lu sur la photo avec {percent} % de confiance. Vérifiez-le.",
+    "ocr.reviewFlagged": "Les champs encadrés étaient difficiles à lire sur la photo. Vérifiez-les avant d’enregistrer.",
+    "ocr.templates.dynamicsBilan": "ordre de travail Dynamics 365",
+    "ocr.templates.clientPortal": "impression du portail client",
+    "ocr.templates.calypso": "fiche Calypso",
+    "ocr.templates.handwritten": "feuille de temps manuscrite",
+    "ocr.review.title": "Vérifier ce qui a été lu",
+    "ocr.review.description": "Lue comme {template} ({source}). Cochez les valeurs à copier dans le formulaire.",
+    "ocr.review.photoAlt": "Photo de l’ordre de travail",
+    "ocr.review.notFound": "introuvable",
+    "ocr.review.confidence": "sûr à {percent} %",
+    "ocr.review.unchanged": "identique au formulaire",
+    "ocr.review.empty": "vide",
+    "ocr.review.rawText": "Afficher tout le texte OCR",
+    "ocr.review.attach": "Joindre cette photo au travail",
+    "ocr.review.attachHint": "Votre gestionnaire la verra avec le travail. Elle est téléversée à l’enregistrement.",
+    "ocr.review.apply": "Appliquer {count} champ(s)",
+    "ocr.photoPending": "La photo de l’ordre de travail sera jointe au prochain enregistrement.",
+    "attachments.add": "Joindre",
+    "attachments.uploading": "Téléversement…",
+    "attachments.kind": "Type de pièce jointe",
+    "attachments.kinds.work_order": "Ordre de travail",
+    "attachments.kinds.signed_sheet": "Feuille signée",
+    "attachments.kinds.receipt": "Reçu",
+    "attachments.kinds.other": "Autre",
+    "attachments.delete": "Retirer la pièce jointe",
+    "attachments.confirmDelete": "Retirer {name} ?",
+    "attachments.locked": "Travail approuvé : les pièces jointes sont verrouillées.",
+    "attachments.errors.tooLarge": "Ce fichier dépasse 10 Mo.",
+    "attachments.errors.failed": "La pièce jointe n’a pas pu être enregistrée.",
     "form.errors.timedOut": "{label} a expiré après {seconds}s. Veuillez réessayer.",
     "form.autofillTip.title": "Comment prendre la capture d'écran",
     "form.autofillTip.step1": "Ouvrez l'ordre de travail dans votre application (ex. Dynamics 365).",
@@ -486,7 +968,7 @@ export const dictionaries = {
     "form.return.savedDescription": "Le travail a été enregistré. Le formulaire est prêt pour un nouveau travail.",
     "form.return.saveError": "Le travail n’a pas pu être enregistré. Vérifiez que les dernières migrations Supabase sont installées, puis réessayez.",
     "form.evidence.title": "Autorisation de temps supplémentaire requise",
-    "form.evidence.description": "Votre total quotidien dépasse 8 heures. Ajoutez la capture d’écran spéciale du SMS autorisant ce temps supplémentaire avant d’enregistrer le travail.",
+    "form.evidence.description": "Vos heures de cette journée comportent du temps supplémentaire. Ajoutez la capture d’écran spéciale du SMS autorisant ce temps supplémentaire avant d’enregistrer le travail.",
     "form.evidence.ocrNotice": "La capture sera conservée de façon sécurisée pendant la période configurée et le texte du SMS sera extrait pour la vérification du gestionnaire.",
     "form.evidence.choose": "Choisir la capture du SMS",
     "form.evidence.processing": "Téléversement et lecture de la capture…",
@@ -495,7 +977,173 @@ export const dictionaries = {
     "form.evidence.requiredApproval": "Le message SMS qui approuve clairement la demande de temps supplémentaire.",
     "form.evidence.requiredDuration": "La réponse de l’employé confirmant la durée du temps supplémentaire (par exemple, 30 min).",
     "form.evidence.requiredCrop": "Un cadrage serré de l’approbation et de la durée, comme le deuxième exemple fourni — pas toute la conversation.",
-    "form.evidence.invalid": "Cette capture ne contient pas clairement une approbation de temps supplémentaire et une durée. Cadrez le message d’approbation et la réponse avec la durée, puis réessayez.",
+    "form.evidence.invalid": "Cette capture ne contient pas clairement une approbation de temps supplémentaire avec une durée ou une heure de fin. Cadrez le message d’approbation et la réponse avec la durée, puis réessayez.",
+    "form.evidence.warningsIntro": "Votre gestionnaire vérifiera cette autorisation :",
+    "route.title": "Tournée",
+    "route.modeSingle": "Job unique",
+    "route.modeRoute": "Tournée de la journée",
+    "route.leaveStorage": "Départ de l’entrepôt",
+    "route.stop": "Arrêt {n}",
+    "route.stopOf": "Arrêt {n}/{count}",
+    "route.addStop": "Ajouter un arrêt",
+    "route.removeStop": "Retirer cet arrêt",
+    "route.kmFromStorage": "KM depuis l’entrepôt",
+    "route.kmFromPrevious": "KM depuis l’arrêt précédent",
+    "route.travel": "Déplacement",
+    "route.onSite": "Sur place",
+    "route.returnNotice": "Le retour à l’entrepôt est demandé une seule fois, depuis le dernier arrêt, à l’enregistrement.",
+    "trip.title": "Enregistreur de trajet GPS",
+    "trip.description": "Facultatif. Touchez « Démarrer le trajet » au départ et « Arrivé » à destination : la distance remplit les km. Gardez SparkLog ouvert pendant le trajet.",
+    "trip.toJob": "Vers le travail",
+    "trip.toStorage": "Retour à l’entrepôt",
+    "trip.fromStorage": "Depuis l’entrepôt",
+    "trip.fromPrevious": "Depuis l’arrêt précédent",
+    "trip.start": "Démarrer le trajet",
+    "trip.restart": "Enregistrer à nouveau",
+    "trip.arrived": "Arrivé",
+    "trip.recording": "Enregistrement… {km} km · {points} points",
+    "trip.recorded": "GPS {km} km",
+    "trip.clear": "Retirer le trajet enregistré",
+    "trip.synthetic": "simulé",
+    "trip.returnPrefilled": "Prérempli à partir du trajet GPS ({km} km).",
+    "trip.errors.unsupported": "Cet appareil ne partage pas sa position.",
+    "trip.errors.denied": "L’accès à la position a été refusé. Autorisez-le dans les réglages du navigateur pour enregistrer un trajet.",
+    "trip.errors.failed": "La position n’a pas pu être lue. Réessayez à l’extérieur.",
+    "trip.errors.tooShort": "Pas assez de positions GPS ont été enregistrées pour ce trajet.",
+    "trip.pill": "GPS",
+    "trip.view": "voir",
+    "trip.mismatch": "km différents",
+    "trip.dialogTitle": "Trajets GPS · OT {ot}",
+    "trip.dialogDescription": "Tracé simplifié enregistré par l’employé, vert au départ et rouge à l’arrivée.",
+    "trip.mapLabel": "Tracé enregistré",
+    "trip.legAller": "Trajet aller",
+    "trip.legRetour": "Trajet retour",
+    "trip.gpsKm": "GPS",
+    "trip.typedKm": "Saisi",
+    "trip.openArrival": "Voir l’arrivée sur OpenStreetMap",
+    "trip.testing.description": "Remplace la position de cet appareil par un trajet simulé le long du parcours ci-dessous, pour tester l’enregistreur sans se déplacer. Connectez-vous comme employé dans ce même navigateur pour l’utiliser.",
+    "trip.testing.toggle": "Utiliser le GPS simulé sur cet appareil",
+    "trip.testing.path": "Parcours",
+    "trip.testing.pathHint": "Une ligne « latitude, longitude » par point, au moins deux. Le trajet roule à 50 km/h, accéléré 12×.",
+    "trip.testing.save": "Enregistrer le parcours",
+    "trip.testing.reset": "Parcours exemple",
+    "trip.testing.enabled": "GPS simulé activé ✓",
+    "trip.testing.disabled": "GPS simulé désactivé",
+    "trip.testing.invalidPath": "Entrez au moins deux lignes « latitude, longitude ».",
+    "sites.site": "Site",
+    "sites.none": "— Aucun site —",
+    "sites.unknown": "Site plus offert",
+    "sites.notSet": "non défini",
+    "sites.distanceHint": "Environ {km} km de l’entrepôt.",
+    "sites.useDistance": "Utiliser",
+    "sites.assignTitle": "Site de l’OT {ot}",
+    "sites.assignDescription": "Relie cet OT à un site client pour les rapports et les exports.",
+    "sites.filters.allClients": "Tous les clients",
+    "sites.filters.allSites": "Tous les sites",
+    "sites.downloadReport": "Télécharger le rapport client / site (CSV)",
+    "sites.description": "Les clients et leurs sites de travail. La distance est un aller depuis l’entrepôt ; le formulaire la suggère comme km quand l’employé choisit le site. Un site utilisé par des travaux peut seulement être désactivé.",
+    "sites.clientName": "Nom du client",
+    "sites.addClient": "Ajouter un client",
+    "sites.deleteClient": "Supprimer le client",
+    "sites.empty": "Aucun client pour l’instant.",
+    "sites.active": "Actif",
+    "sites.name": "Nom du site",
+    "sites.address": "Adresse",
+    "sites.city": "Ville",
+    "sites.postalCode": "Code postal",
+    "sites.distance": "Distance (km)",
+    "sites.newSite": "Nom du nouveau site",
+    "sites.addSite": "Ajouter un site",
+    "sites.deleteSite": "Supprimer le site",
+    "sites.confirmDelete": "Supprimer {name} ?",
+    "sites.errors.inUse": "Encore utilisé par des travaux ou des sites — désactivez-le plutôt.",
+    "sites.errors.duplicateClient": "Un client porte déjà ce nom.",
+    "sites.errors.distance": "La distance doit être un nombre de km positif.",
+    "storage.description": "Les entrepôts où les employés retournent après un travail. La compensation hebdomadaire est versée aux employés admissibles les semaines où ils sont retournés à l’entrepôt au moins une fois.",
+    "storage.name": "Nom de l’entrepôt",
+    "storage.compensation": "Compensation hebdomadaire ($)",
+    "storage.add": "Ajouter un entrepôt",
+    "storage.delete": "Supprimer l’entrepôt",
+    "storage.empty": "Aucun entrepôt pour l’instant.",
+    "storage.errors.inUse": "Des travaux sont retournés à cet entrepôt — désactivez-le plutôt.",
+    "storage.errors.compensation": "La compensation doit être un montant positif.",
+    "storage.returnShop": "Retour à",
+    "storage.noShop": "— Aucun entrepôt —",
+    "storage.home": "attitré",
+    "storage.suggestedTime": "Suggéré : {time} (d’après {count} trajets précédents)",
+    "storage.suggestedKm": "Km suggérés d’après {count} trajets précédents vers cet entrepôt.",
+    "exports.description": "Les destinations où les travaux approuvés sont exportés. Chaque approbation part vers les destinations cochées sur le tableau de bord ; les destinations par défaut sont cochées au départ. Les jetons et clés de signature sont des secrets de la fonction edge — seul leur nom est saisi ici.",
+    "exports.name": "Nom de la destination",
+    "exports.add": "Ajouter une destination",
+    "exports.delete": "Supprimer la destination",
+    "exports.empty": "Aucune destination d’export pour l’instant.",
+    "exports.confirmDelete": "Supprimer {name} ? Ses exports en attente sont abandonnés.",
+    "exports.default": "Par défaut",
+    "exports.defaultHint": "Cochée sur le tableau de bord et utilisée quand une approbation ne nomme aucune destination",
+    "exports.kinds.google_sheets": "Google Sheets",
+    "exports.kinds.webhook": "Webhook signé",
+    "exports.kinds.file_drop": "Dépôt de fichier (CSV)",
+    "exports.kinds.payroll_file": "Fichier de paie",
+    "exports.config.url": "URL",
+    "exports.config.secret_env": "Nom du secret",
+    "exports.config.folder": "Dossier",
+    "exports.placeholder.google_sheets.url": "APPS_SCRIPT_URL si vide",
+    "exports.placeholder.google_sheets.secret_env": "APPS_SCRIPT_TOKEN",
+    "exports.placeholder.webhook.url": "https://…",
+    "exports.placeholder.webhook.secret_env": "EXPORT_WEBHOOK_SECRET",
+    "exports.placeholder.file_drop.folder": "Nom de la destination si vide",
+    "exports.placeholder.payroll_file.folder": "Nom de la destination si vide",
+    "exports.showFiles": "Derniers fichiers",
+    "exports.noFiles": "Aucun fichier pour l’instant.",
+    "payroll.codes.description": "Le code de gain Desjardins de chaque montant du fichier d’importation de paie. Faites-les correspondre à la configuration Desjardins de l’entreprise ; le numéro Desjardins de chaque employé se règle sous Employés.",
+    "payroll.codes.code": "Code",
+    "payroll.codes.invalid": "Un code compte 1 à 6 lettres ou chiffres.",
+    "payroll.earnings.regular": "Heures régulières",
+    "payroll.earnings.ot15": "Temps supplémentaire 1,5x",
+    "payroll.earnings.ot20": "Temps supplémentaire 2x",
+    "payroll.earnings.km": "Remboursement km",
+    "payroll.earnings.storage": "Compensation d’entrepôt",
+    "payroll.desjardins.download": "Fichier Desjardins",
+    "payroll.desjardins.title": "Fichier d’importation de paie de cette semaine, travaux approuvés seulement",
+    "payroll.desjardins.errors.invalid_period": "La période de paie est invalide.",
+    "payroll.desjardins.errors.empty": "Aucune heure ni montant approuvé dans cette période.",
+    "payroll.desjardins.errors.missing_employee_code": "{employee} n’a pas de numéro d’employé Desjardins.",
+    "payroll.desjardins.errors.invalid_employee_code": "{employee} : le numéro Desjardins « {value} » doit compter 1 à 10 lettres ou chiffres.",
+    "payroll.desjardins.errors.duplicate_employee_code": "{employee} et {other} ont le même numéro Desjardins « {value} ».",
+    "payroll.desjardins.errors.missing_earning_code": "Aucun code de gain pour {earning} (Tests → Codes de paie).",
+    "payroll.desjardins.errors.negative": "{employee} : {earning} négatif.",
+    "payroll.desjardins.errors.too_long": "{employee} : {value} ne tient pas dans la colonne {field}.",
+    "payPeriods.title": "Périodes de paie",
+    "payPeriods.subtitle": "Révisez chaque période, fermez-la quand tous les travaux sont soumis et approuvés, puis exportez-la. Une période fermée gèle ses travaux — aucune saisie, modification ni déverrouillage — jusqu’à ce qu’un gestionnaire la rouvre avec une raison.",
+    "payPeriods.frequency": "Fréquence",
+    "payPeriods.frequencies.weekly": "Hebdomadaire",
+    "payPeriods.frequencies.biweekly": "Aux deux semaines",
+    "payPeriods.anchor": "Premier jour d’une période (un lundi)",
+    "payPeriods.saveSettings": "Enregistrer",
+    "payPeriods.settingsHint": "Les changements s’appliquent aux périodes pas encore créées ; les périodes existantes gardent leurs dates.",
+    "payPeriods.settingsSaved": "Paramètres des périodes de paie enregistrés.",
+    "payPeriods.status.open": "Ouverte",
+    "payPeriods.status.review": "En révision",
+    "payPeriods.status.closed": "Fermée",
+    "payPeriods.counts": "{jobs} travaux · {approved} approuvés · {submitted} en attente d’approbation · {drafts} non soumis",
+    "payPeriods.startReview": "Commencer la révision",
+    "payPeriods.backToOpen": "Rouvrir la saisie",
+    "payPeriods.close": "Fermer la période",
+    "payPeriods.closeBlocked": "{count} travail(aux) en attente d’approbation",
+    "payPeriods.closeBlockedDrafts": "{count} travail(aux) pas encore soumis — une période fermée les gèlerait",
+    "payPeriods.confirmClose": "Fermer la période de paie {label} ? Ses travaux ne pourront plus être saisis, modifiés ni déverrouillés, et l’instantané de paie est pris maintenant.",
+    "payPeriods.reopen": "Rouvrir",
+    "payPeriods.reopenDescription": "Pourquoi cette période fermée doit-elle changer ? La raison est conservée avec la période.",
+    "payPeriods.snapshot": "Instantané du {time} : {employees} employés · {regular} réguliers · {overtime} supplémentaires",
+    "payPeriods.reopened": "Rouverte le {time} : {reason}",
+    "payPeriods.errors.failedLoad": "Impossible de charger les périodes de paie.",
+    "payPeriods.errors.anchorMonday": "Le premier jour d’une période doit être un lundi.",
+    "route.returnDescription": "Y a-t-il du temps de déplacement et du kilométrage du dernier arrêt (OT {ot}) jusqu’à l’entrepôt ?",
+    "route.toasts.saved": "Tournée enregistrée.",
+    "route.toasts.submitted": "Tournée soumise.",
+    "route.errors.incomplete": "Entrez l’heure de départ de l’entrepôt et les heures d’arrivée et de fin de chaque arrêt.",
+    "route.errors.order": "Les heures de la tournée doivent se suivre : chaque arrivée après la fin précédente, chaque fin après son arrivée.",
+    "route.errors.removeOffline": "Un arrêt enregistré ne peut être retiré qu’en ligne.",
 
     "history.title": "Historique",
     "history.empty": "Aucun job pour le moment.",
@@ -521,6 +1169,35 @@ export const dictionaries = {
     "history.errors.deleteFailed": "Échec de la suppression.",
     "history.errors.submitFailed": "Échec de la soumission.",
     "history.errors.submitDayFailed": "Échec de la soumission de la journée.",
+    "timeline.title": "Historique des changements",
+    "timeline.empty": "Aucun changement enregistré.",
+    "timeline.reason": "Raison",
+    "timeline.system": "Système",
+    "timeline.unknownActor": "Utilisateur inconnu",
+    "timeline.field.returnTime": "Temps de retour (min)",
+    "timeline.action.created": "Créé",
+    "timeline.action.edited": "Modifié",
+    "timeline.action.submitted": "Soumis",
+    "timeline.action.approved": "Approuvé",
+    "timeline.action.rejected": "Corrections demandées",
+    "timeline.action.unlocked": "Déverrouillé",
+    "timeline.action.status_changed": "Statut changé",
+    "timeline.action.exported": "Exporté",
+    "timeline.action.deleted": "Supprimé",
+    "timeline.errors.failedLoad": "Impossible de charger l’historique.",
+    "reason.label": "Raison",
+    "reason.placeholder": "Expliquez pourquoi (visible dans l’historique du job)",
+
+    "outbox.pending": "En attente de synchro",
+    "outbox.conflict": "Échec de synchro",
+    "outbox.bannerPending": "{count} job(s) enregistré(s) sur cet appareil en attente de synchronisation.",
+    "outbox.bannerConflict": "{count} job(s) n'ont pas pu être synchronisé(s). Vérifiez-les dans l'historique.",
+    "outbox.syncNow": "Synchroniser",
+    "outbox.syncing": "Synchronisation…",
+    "outbox.review": "Vérifier",
+    "outbox.discard": "ABANDONNER",
+    "outbox.confirmDiscard": "Abandonner ce job non synchronisé ? Il n'a jamais atteint le serveur et sera perdu.",
+    "outbox.discarded": "Job non synchronisé abandonné.",
 
     "week.title": "Semaine",
     "week.empty": "Aucune donnée pour le moment.",
@@ -532,6 +1209,15 @@ export const dictionaries = {
     "week.ot15": "1.5x",
     "week.ot20": "2.0x",
     "week.otCountLabel": "OT x",
+    "week.returnTime": "Retour",
+    "week.kmReimbursement": "Remboursement km",
+    "week.storageCompensation": "Entreposage",
+    "week.holiday": "Férié",
+    "week.holidayWork": "Travail en jour férié",
+    "week.pay": "Paie (approuvé)",
+    "week.benefits": "avantages",
+    "week.ratesAsOf": "taux CCQ du {date}",
+    "week.payMissingRates": "Paie indisponible : {count} jour(s) sans taux CCQ (vérifiez le secteur et le niveau dans Employés).",
     "week.errors.failedLoad": "Échec du chargement des données hebdomadaires.",
 
     "manager.title": "Gestion",
@@ -566,6 +1252,22 @@ export const dictionaries = {
     "manager.downloadCsv": "Télécharger CSV",
     "manager.downloadCsvTitle": "Télécharger les jobs approuvés pour cet employé (et la semaine si sélectionnée) en CSV pour la paie",
     "manager.unlock": "Déverrouiller",
+    "manager.export.pending": "Export en attente",
+    "manager.export.exported": "Exporté",
+    "manager.export.failed": "Échec de l’export",
+    "manager.export.void.pending": "Retrait en attente",
+    "manager.export.void.failed": "Échec du retrait",
+    "manager.export.attempts": "Tentative {count}",
+    "manager.export.nextAttempt": "prochain essai {time}",
+    "manager.export.noMoreAttempts": "plus de nouvel essai automatique",
+    "manager.export.retry": "Relancer l’export",
+    "manager.export.reexport": "Réexporter",
+    "manager.export.failedRetrying": "Un export a échoué : {error}. Il sera relancé automatiquement.",
+    "manager.export.targets": "Exporter les approbations vers :",
+    "manager.export.noTargets": "(aucun export)",
+    "manager.requestChanges": "Demander des corrections",
+    "manager.requestChangesDescription": "Le job retourne à l’employé, modifiable, avec votre commentaire. Il est avisé et peut le soumettre de nouveau.",
+    "manager.requestChangesSend": "Renvoyer",
     "manager.savedSection": "Enregistrés",
     "manager.submittedSection": "Soumis",
     "manager.noSaved": "Aucun job enregistré.",
@@ -576,10 +1278,12 @@ export const dictionaries = {
     "manager.confirm.approveWeek": "Approuver TOUS les jobs soumis pour {name} dans {label} ?\n\nNombre : {count}",
     "manager.confirm.selectedPeriod": "la période sélectionnée",
     "manager.toasts.unlocked": "Job déverrouillé. L'employé peut maintenant le modifier.",
-    "manager.toasts.approvedAndExported": "Approuvé et exporté.",
-    "manager.toasts.approvedSkipped": "Approuvé. Export ignoré (déjà exporté).",
-    "manager.toasts.approvedManyExported": "{count} job(s) approuvé(s) et exporté(s).",
-    "manager.toasts.approvedManySkipped": "{count} job(s) approuvé(s). Export ignoré pour {skipped} (déjà exportés).",
+    "manager.toasts.changesRequested": "Job renvoyé à l’employé.",
+    "manager.toasts.approved": "Approuvé. L’export vers la feuille est en file d’attente.",
+    "manager.toasts.approvedNone": "Rien n’a été approuvé : le job n’est plus soumis.",
+    "manager.toasts.approvedMany": "{count} job(s) approuvé(s). L’export vers la feuille est en file d’attente.",
+    "manager.toasts.approvedManySkipped": "{count} job(s) approuvé(s) ; {skipped} n’étaient plus soumis. L’export vers la feuille est en file d’attente.",
+    "manager.toasts.exportQueued": "Export remis en file d’attente.",
     "manager.errors.failedLoad": "Échec du chargement de la gestion.",
     "manager.errors.failedMore": "Échec du chargement supplémentaire.",
     "manager.errors.noSession": "Aucun jeton de session (gestionnaire). Veuillez vous reconnecter.",
@@ -588,12 +1292,14 @@ export const dictionaries = {
     "manager.errors.jobNotFound": "Job introuvable dans la liste.",
     "manager.errors.approveFailed": "Échec de l'approbation.",
     "manager.errors.unlockFailed": "Échec du déverrouillage.",
+    "manager.errors.requestChangesFailed": "Impossible de renvoyer le job.",
     "manager.errors.approveWeekFailed": "Échec de l'approbation de la semaine.",
 
     "status.saved": "enregistré",
     "status.submitted": "soumis",
     "status.approved": "approuvé",
     "status.updated": "mis à jour",
+    "status.rejected": "à corriger",
     "status.new": "nouveau",
 
     "common.totalShort": "Total",
@@ -0,0 +1,53 @@
+// Job audit trail (supabase/migrations/0016_job_events.sql). Events are
+// written by a trigger on jobs; the client only reads them and calls the
+// RPCs that attach a reason.
+import { supabase } from "@/supabaseClient";
+import { withTimeout } from "@/lib/utils";
+
+export async function fetchJobEvents(jobId) {
+  const { data, error } = await withTimeout(
+    supabase
+      .from("job_events")
+      .select("*")
+      .eq("job_id", jobId)
+      .order("created_at", { ascending: true }),
+    12000
+  );
+  if (error) throw error;
+  return data || [];
+}
+
+export async function unlockJob(jobId, reason) {
+  const { error } = await withTimeout(
+    supabase.rpc("unlock_job", { p_job_id: jobId, p_reason: reason }),
+    12000
+  );
+  if (error) throw error;
+}
+
+// Manager "Request changes": status → rejected, comment on the audit trail,
+// notification to the employee (0017_job_rejection.sql).
+export async function rejectJob(jobId, reason) {
+  const { error } = await withTimeout(
+    supabase.rpc("reject_job", { p_job_id: jobId, p_reason: reason }),
+    12000
+  );
+  if (error) throw error;
+}
+
+// Latest "rejected" event of a job: the manager's comment and who sent it.
+export async function fetchLatestRejection(jobId) {
+  const { data, error } = await withTimeout(
+    supabase
+      .from("job_events")
+      .select("reason, actor_name, created_at")
+      .eq("job_id", jobId)
+      .eq("action", "rejected")
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+    12000
+  );
+  if (error) throw error;
+  return data;
+}
@@ -0,0 +1,54 @@
+// Per-user in-app notifications (public.notifications, 0018_notifications.sql):
+// job approved / unlocked / sent back, announcements and reminders.
+import { supabase } from "@/supabaseClient";
+import { withTimeout } from "@/lib/utils";
+
+export async function fetchNotifications(userId, limit = 50) {
+  const { data, error } = await withTimeout(
+    supabase
+      .from("notifications")
+      .select("id, type, job_id, title, body, link, data, created_at, read_at")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(limit),
+    12000
+  );
+  if (error) throw error;
+  return data || [];
+}
+
+// Calls `onInsert(row)` for every notification created for this user.
+// Returns the unsubscribe function.
+export function subscribeNotifications(userId, onInsert) {
+  const channel = supabase
+    .channel(`notifications:${userId}`)
+    .on(
+      "postgres_changes",
+      { event: "INSERT", schema: "public", table: "notifications", filter: `user_id=eq.${userId}` },
+      (payload) => onInsert(payload.new)
+    )
+    .subscribe();
+  return () => { supabase.removeChannel(channel); };
+}
+
+export async function markNotificationsRead(userId, ids) {
+  if (!ids.length) return;
+  const { error } = await supabase
+    .from("notifications")
+    .update({ read_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .in("id", ids)
+    .is("read_at", null);
+  if (error) throw error;
+}
+
+// Opening a job counts as reading the notifications that point at it.
+export async function markJobNotificationsRead(userId, jobId) {
+  const { error } = await supabase
+    .from("notifications")
+    .update({ read_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .eq("job_id", jobId)
+    .is("read_at", null);
+  if (error) throw error;
+}
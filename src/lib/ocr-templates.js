@@ -0,0 +1,248 @@
+// Work-order layouts the photo auto-fill knows how to read.
+//
+// Each template names the anchors that identify its layout (`detect`) and,
+// per form field, the labels the value follows. parseWorkOrder() scores
+// every template against the OCR text, keeps the best one and returns each
+// field with a confidence and the snippet it was read from, so the form can
+// flag the values worth a second look.
+
+// Fields at or under this confidence are highlighted in the form.
+export const LOW_CONFIDENCE = 0.6;
+
+export const OCR_FIELDS = ["job_date", "ot", "depart", "arrivee", "fin", "km_aller"];
+
+const STRICT_TIME = /\b([01]?\d|2[0-3])[:hH]([0-5]\d)\b/;
+// Handwriting: "7h", "7 h 30", "15.45".
+const LOOSE_TIME = /\b([01]?\d|2[0-3])\s?[:hH.]\s?([0-5]\d)?(?![\d.,])/;
+
+const DMY_DATE = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/g;
+const YMD_DATE = /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g;
+
+export const OCR_TEMPLATES = [
+  {
+    // Dynamics 365 work order, "Bilan" tab (the screenshot the form's tip
+    // describes).
+    id: "dynamics_bilan",
+    labelKey: "ocr.templates.dynamicsBilan",
+    detect: [/Heure\s+de\s+d[eé]but/i, /Heure\s+de\s+fin/i, /Distance\s+parcourue/i, /Bilan/i],
+    dateOrder: "dmy",
+    time: STRICT_TIME,
+    fields: {
+      ot: [/OT[\s\-_:]*(\d{4,8})/i],
+      job_date: [/Date\s+(?:de\s+)?(?:d[eé]but|planifi[eé]e)/i],
+      depart: [/Heure\s+de\s+d[eé]but/i],
+      arrivee: [/Heure\s+d['’]?\s*arriv[eé]e/i],
+      fin: [/Heure\s+de\s+fin/i],
+      km_aller: [/Distance\s+parcourue/i],
+    },
+  },
+  {
+    // Client portal printout (English or French export of the client's
+    // work-order portal, ISO dates).
+    id: "client_portal",
+    labelKey: "ocr.templates.clientPortal",
+    detect: [/Work\s*order|Bon\s+de\s+travail/i, /Travel\s+start|D[eé]but\s+du\s+d[eé]placement/i, /On\s*site|Sur\s+place/i, /Completed|Termin[eé]/i, /Mileage|Kilom[eé]trage/i],
+    dateOrder: "ymd",
+    time: STRICT_TIME,
+    fields: {
+      ot: [/(?:Work\s*order|Bon\s+de\s+travail)\s*(?:#|no\.?|n[o°]\s*)?[\s:]*([A-Z]{0,3}-?\d{4,8})/i, /OT[\s\-_:]*(\d{4,8})/i],
+      job_date: [/(?:Scheduled|Service)\s+date|Date\s+(?:pr[eé]vue|du\s+service)/i, /\bDate\b/i],
+      depart: [/Travel\s+start|D[eé]but\s+du\s+d[eé]placement/i],
+      arrivee: [/On\s*site|Arriv(?:al|[eé]e)\s+sur\s+place|Sur\s+place/i],
+      fin: [/Completed|Termin[eé]/i],
+      km_aller: [/Mileage|Kilom[eé]trage/i],
+    },
+  },
+  {
+    // Calypso intervention sheet.
+    id: "calypso",
+    labelKey: "ocr.templates.calypso",
+    detect: [/Calypso/i, /Fiche\s+d['’]?\s*intervention/i, /Heure\s+d[eé]part/i, /Fin\s+(?:des\s+)?travaux/i, /N[o°]\s*(?:de\s+)?bon/i],
+    dateOrder: "dmy",
+    time: STRICT_TIME,
+    fields: {
+      ot: [/N[o°]\s*(?:de\s+)?bon[\s:#]*(\d{4,8})/i, /OT[\s\-_:]*(\d{4,8})/i],
+      job_date: [/Date\s+d['’]?\s*intervention/i, /\bDate\b/i],
+      depart: [/Heure\s+d[eé]part/i],
+      arrivee: [/Heure\s+(?:d['’]?\s*)?arriv[eé]e/i],
+      fin: [/Fin\s+(?:des\s+)?travaux/i],
+      km_aller: [/\bKm\s+(?:aller|parcourus)/i, /\bKm\b/i],
+    },
+  },
+  {
+    // Handwritten timesheet: short labels, loose times, dates without year.
+    // OCR of handwriting is noisy, so every value starts lower.
+    id: "handwritten",
+    labelKey: "ocr.templates.handwritten",
+    detect: [/Feuille\s+de\s+temps|Timesheet/i, /\bParti|\bD[eé]part\b/i, /\bArriv[eé]e?(?!\w)/i, /\bFini\b|\bFin\b/i, /\bKm\b/i],
+    dateOrder: "dmy",
+    time: LOOSE_TIME,
+    reliability: 0.75,
+    fields: {
+      ot: [/(?:OT|#)\s*[:-]?\s*(\d{4,8})/i],
+      job_date: [/\bDate\b/i],
+      depart: [/\bParti|\bD[eé]part\b/i],
+      arrivee: [/\bArriv[eé]e?(?!\w)/i],
+      fin: [/\bFini\b|\bFin\b/i],
+      km_aller: [/\bKm\b/i],
+    },
+  },
+];
+
+export function getOcrTemplate(id) {
+  return OCR_TEMPLATES.find((template) => template.id === id) || null;
+}
+
+// The anchor's line (or the regex hit itself), for showing where a value
+// came from.
+function snippetAt(text, index, length) {
+  const start = text.lastIndexOf("\n", index) + 1;
+  const newline = text.indexOf("\n", index + length);
+  const end = newline === -1 ? text.length : Math.max(newline, index + length);
+  const line = text.slice(start, end).replace(/\s+/g, " ").trim();
+  return line.length > 80 ? `${line.slice(0, 77)}…` : line;
+}
+
+function toIsoDate(match, order, today) {
+  let year;
+  let month;
+  let day;
+  if (order === "ymd") [, year, month, day] = match;
+  else [, day, month, year] = match;
+  year = Number(year);
+  if (year < 100) year += 2000;
+  month = Number(month);
+  day = Number(day);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const iso = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  const date = new Date(`${iso}T00:00:00`);
+  if (Number.isNaN(date.getTime()) || date.getDate() !== day) return null;
+  return Math.abs(date - today) > 366 * 864e5 ? null : iso;
+}
+
+// Handwritten "12/03" without a year: the current year.
+function shortDate(tail, today) {
+  const m = tail.match(/\b(\d{1,2})[/.-](\d{1,2})\b/);
+  return m ? toIsoDate([m[0], m[1], m[2], String(today.getFullYear())], "dmy", today) : null;
+}
+
+function findDates(text, order, today) {
+  const pattern = order === "ymd" ? YMD_DATE : DMY_DATE;
+  return [...text.matchAll(pattern)]
+    .map((m) => ({ value: toIsoDate(m, order, today), index: m.index, length: m[0].length }))
+    .filter((d) => d.value);
+}
+
+function readTime(tail, timeRegex) {
+  const m = tail.match(timeRegex);
+  if (!m) return null;
+  return { value: `${String(m[1]).padStart(2, "0")}:${m[2] || "00"}`, index: m.index };
+}
+
+function readKm(tail) {
+  const m = tail.match(/^[^0-9]*?(\d{1,4}(?:[.,]\d+)?)/) || tail.match(/(\d{1,4}(?:[.,]\d+)?)\s*km\b/i);
+  return m ? Math.round(parseFloat(m[1].replace(",", "."))) : null;
+}
+
+// One field of one template: the first anchor that yields a value wins.
+// Anchored values start at 0.9; values found without their label (the
+// first date on the page) at 0.55.
+function extractField(text, template, field, today) {
+  const anchors = template.fields[field] || [];
+  for (const [rank, anchor] of anchors.entries()) {
+    const m = text.match(anchor);
+    if (!m) continue;
+    const base = rank === 0 ? 0.9 : 0.75;
+    if (field === "ot") {
+      return { value: m[1].replace(/^[A-Z]{0,3}-?/i, ""), confidence: base, snippet: snippetAt(text, m.index, m[0].length) };
+    }
+    const tail = text.slice(m.index + m[0].length, m.index + m[0].length + 200);
+    const snippet = snippetAt(text, m.index, m[0].length);
+    if (field === "job_date") {
+      const [hit] = findDates(tail, template.dateOrder, today);
+      const value = hit?.value || (template.id === "handwritten" ? shortDate(tail, today) : null);
+      if (value) return { value, confidence: hit ? base : base - 0.2, snippet };
+    } else if (field === "km_aller") {
+      const value = readKm(tail);
+      if (value !== null) return { value, confidence: base, snippet };
+    } else {
+      const hit = readTime(tail, template.time);
+      // A time far from its label probably belongs to the next one.
+      if (hit) return { value: hit.value, confidence: hit.index > 60 ? base - 0.25 : base, snippet };
+    }
+  }
+
+  if (field === "job_date") {
+    const dates = findDates(text, template.dateOrder, today);
+    if (dates.length) {
+      const distinct = new Set(dates.map((d) => d.value)).size;
+      return {
+        value: dates[0].value,
+        confidence: distinct > 1 ? 0.45 : 0.55,
+        snippet: snippetAt(text, dates[0].index, dates[0].length),
+      };
+    }
+  }
+  return null;
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+// Cross-field sanity checks lower the confidence of values that do not fit
+// together; the values themselves are kept.
+function applySanityChecks(fields) {
+  const lower = (field, factor) => {
+    if (fields[field]) fields[field].confidence *= factor;
+  };
+  if (fields.depart && fields.arrivee && minutesOf(fields.arrivee.value) < minutesOf(fields.depart.value)) {
+    lower("depart", 0.6);
+    lower("arrivee", 0.6);
+  }
+  if (fields.arrivee && fields.fin && minutesOf(fields.fin.value) === minutesOf(fields.arrivee.value)) {
+    lower("fin", 0.6);
+  }
+  if (fields.km_aller && fields.km_aller.value > 300) lower("km_aller", 0.5);
+}
+
+function detectionScore(text, template) {
+  const hits = template.detect.filter((anchor) => anchor.test(text)).length;
+  return hits / template.detect.length;
+}
+
+// Reads a work order. `templateId` forces a layout; otherwise the template
+// whose anchors match best wins (the first one on a tie or no match).
+// Returns { template, score, fields, values }: `fields` maps each found field
+// to { value, confidence, snippet }, `values` to the bare value.
+export function parseWorkOrder(text, { templateId = null, today = new Date() } = {}) {
+  const source = String(text || "");
+  const ranked = OCR_TEMPLATES
+    .map((template) => ({ template, score: detectionScore(source, template) }))
+    .sort((a, b) => b.score - a.score);
+  const forced = templateId ? ranked.find((r) => r.template.id === templateId) : null;
+  const { template, score } = forced || ranked[0];
+
+  // An unrecognised layout is read with the best guess but trusted less.
+  const reliability = (template.reliability ?? 1) * (score > 0 ? 1 : 0.7);
+  const fields = {};
+  for (const field of OCR_FIELDS) {
+    const hit = extractField(source, template, field, today);
+    if (hit) fields[field] = { ...hit, confidence: hit.confidence * reliability };
+  }
+  applySanityChecks(fields);
+
+  const values = {};
+  for (const [field, hit] of Object.entries(fields)) {
+    hit.confidence = Math.round(Math.max(0, Math.min(1, hit.confidence)) * 100) / 100;
+    values[field] = hit.value;
+  }
+  return { template: template.id, score: Math.round(score * 100) / 100, fields, values };
+}
+
+export function lowConfidenceFields(result) {
+  return Object.entries(result?.fields || {})
+    .filter(([, hit]) => hit.confidence <= LOW_CONFIDENCE)
+    .map(([field]) => field);
+}
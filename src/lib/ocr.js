@@ -0,0 +1,115 @@
+// OCR service shared by the form's photo auto-fill and the overtime SMS
+// evidence check. Providers are tried in order until one returns text:
+//
+//   server     the `ocr` edge function, itself a chain of ocr.space / vision
+//              LLM / mock chosen by its OCR_PROVIDERS secret (keys stay there)
+//   tesseract  in-browser fallback, no key, slow on phones
+//   mock       fixed text, no network (local development)
+//
+// VITE_OCR_PROVIDERS overrides the chain, e.g. "mock" or "tesseract".
+//
+// Every call resolves to the same shape:
+//   { provider, text, confidence, fields, values, template, score }
+// `fields` maps each field to { value, confidence, snippet } as in
+// parseWorkOrder(); `confidence` is the engine's own (0–1) or null.
+import { supabase } from "@/supabaseClient";
+import { withTimeout } from "@/lib/utils";
+import { compressImage } from "@/lib/attachments";
+import { parseWorkOrder } from "@/lib/ocr-templates";
+
+const DEFAULT_CHAIN = ["server", "tesseract"];
+
+// Today as dd/mm/yyyy, so the mock date passes parseWorkOrder's range check.
+function todayDmy() {
+  const d = new Date();
+  return [d.getDate(), d.getMonth() + 1].map((n) => String(n).padStart(2, "0")).concat(d.getFullYear()).join("/");
+}
+
+const MOCK_TEXT = {
+  work_order: [
+    "Bilan",
+    "OT-123456",
+    `Date de début ${todayDmy()}`,
+    "Heure de début 07:00",
+    "Heure d'arrivée 08:15",
+    "Heure de fin 15:30",
+    "Distance parcourue 42,00",
+  ].join("\n"),
+  overtime_sms: "Contremaître: Temps supplémentaire approuvé, 2 h ce soir.",
+};
+
+function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+const PROVIDERS = {
+  async server(file, purpose) {
+    const image = await compressImage(file);
+    const { data, error } = await withTimeout(
+      supabase.functions.invoke("ocr", {
+        body: { image_base64: await blobToBase64(image), mime_type: "image/jpeg", purpose },
+      }),
+      45000
+    );
+    if (error) throw error;
+    if (!data?.ok) throw new Error(data?.error || "OCR failed");
+    return { provider: data.provider, text: data.text || "", confidence: data.confidence ?? null, fields: data.fields || {} };
+  },
+
+  async tesseract(file) {
+    const { default: Tesseract } = await import("tesseract.js");
+    const { data } = await Tesseract.recognize(file, "fra+eng");
+    const confidence = Number.isFinite(data?.confidence) ? Math.round(data.confidence) / 100 : null;
+    return { provider: "tesseract", text: data?.text || "", confidence, fields: {} };
+  },
+
+  async mock(_file, purpose) {
+    return { provider: "mock", text: MOCK_TEXT[purpose], confidence: 1, fields: {} };
+  },
+};
+
+function configuredChain() {
+  const names = String(import.meta.env.VITE_OCR_PROVIDERS || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => PROVIDERS[name]);
+  return names.length ? names : DEFAULT_CHAIN;
+}
+
+// Text parsing wins where it is at least as sure; a provider that read the
+// fields itself (vision LLM) fills the gaps and the shaky ones.
+function mergeFields(parsed, providerFields) {
+  const fields = { ...parsed.fields };
+  for (const [field, hit] of Object.entries(providerFields || {})) {
+    if (!fields[field] || fields[field].confidence < hit.confidence) {
+      fields[field] = { value: hit.value, confidence: hit.confidence, snippet: "" };
+    }
+  }
+  const values = Object.fromEntries(Object.entries(fields).map(([field, hit]) => [field, hit.value]));
+  return { ...parsed, fields, values };
+}
+
+// Reads `file` for `purpose` ("work_order" fills the job form,
+// "overtime_sms" is the overtime authorization screenshot). Throws with the
+// failures of every provider when none produced text.
+export async function recognizeImage(file, { purpose = "work_order", providers = configuredChain() } = {}) {
+  const failures = [];
+  for (const name of providers) {
+    try {
+      const raw = await PROVIDERS[name](file, purpose);
+      if (!raw.text.trim() && !Object.keys(raw.fields).length) throw new Error("no text found");
+      const base = { provider: raw.provider, text: raw.text, confidence: raw.confidence };
+      if (purpose !== "work_order") return { ...base, fields: {}, values: {}, template: null, score: 0 };
+      return { ...base, ...mergeFields(parseWorkOrder(raw.text), raw.fields) };
+    } catch (error) {
+      console.warn(`OCR provider ${name} failed:`, error);
+      failures.push(`${name}: ${error?.message || error}`);
+    }
+  }
+  throw new Error(`OCR failed (${failures.join("; ")})`);
+}
@@ -0,0 +1,285 @@
+// Offline outbox for job entries.
+//
+// When EmployeeForm cannot reach Supabase (no signal on site, request timed
+// out) the job is written to IndexedDB instead of being lost. Each entry is
+// keyed by the job id — generated client-side for new jobs — so replaying it
+// is idempotent: an insert that already landed on a previous attempt simply
+// upserts the same row again.
+//
+// Entry shape:
+//   { id, user_id, op: "insert" | "update", payload, evidence, queued_at,
+//     state: "pending" | "conflict" | "error", error, code }
+//
+// `evidence` (optional) carries the overtime SMS screenshot captured offline:
+//   { id, storage_path, image: Blob, ocr_text, ocr_status, ocr_provider,
+//     ocr_confidence, daily_minutes, overtime_minutes, authorized_*,
+//     authorization_warnings }
+//
+// The service worker (public/sw.js) reads the same database to replay the
+// queue through Background Sync when the app is closed. Keep the database
+// name, version and store names in sync with it.
+import { supabase } from "@/supabaseClient";
+
+const DB_NAME = "sparklog";
+const DB_VERSION = 2;
+const STORE = "outbox";
+// Single row ("current") holding what the service worker needs to call
+// Supabase on the user's behalf: project URL, anon key and access token.
+const SESSION_STORE = "session";
+const SYNC_TAG = "sparklog-outbox";
+
+let dbPromise = null;
+let flushPromise = null;
+const listeners = new Set();
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        db.createObjectStore(STORE, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(SESSION_STORE)) {
+        db.createObjectStore(SESSION_STORE, { keyPath: "id" });
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Let a newer tab or the service worker upgrade the schema.
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+  });
+  return dbPromise;
+}
+
+async function tx(mode, fn, storeName = STORE) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const store = transaction.objectStore(storeName);
+    const req = fn(store);
+    transaction.oncomplete = () => resolve(req?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function emit() {
+  listeners.forEach((fn) => {
+    try { fn(); } catch (e) { console.warn("[outbox] listener failed:", e); }
+  });
+}
+
+export function subscribeOutbox(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export async function listOutbox(userId) {
+  const rows = (await tx("readonly", (store) => store.getAll())) || [];
+  return rows
+    .filter((row) => !userId || row.user_id === userId)
+    .sort((a, b) => (a.queued_at < b.queued_at ? -1 : 1));
+}
+
+export async function getOutboxEntry(id) {
+  if (!id) return null;
+  return (await tx("readonly", (store) => store.get(id))) || null;
+}
+
+export async function removeOutboxEntry(id) {
+  await tx("readwrite", (store) => store.delete(id));
+  emit();
+}
+
+// Queue (or replace) a job write. Re-queuing an entry that started life as an
+// insert keeps it an insert, so editing an unsynced job offline still creates
+// the row on the server.
+export async function enqueueJob({ id, userId, op, payload, evidence = null }) {
+  const existing = await getOutboxEntry(id);
+  const entry = {
+    id,
+    user_id: userId,
+    op: existing?.op === "insert" ? "insert" : op,
+    payload: { ...(existing?.payload || {}), ...payload, id },
+    evidence: evidence || existing?.evidence || null,
+    queued_at: existing?.queued_at || new Date().toISOString(),
+    state: "pending",
+    error: null,
+    code: null,
+  };
+  await tx("readwrite", (store) => store.put(entry));
+  emit();
+  requestBackgroundSync();
+  return entry;
+}
+
+// Asks the service worker to replay the queue once connectivity returns,
+// even if the app has been closed by then. Browsers without Background Sync
+// (Safari, Firefox) fall back to the flush on launch / "online" event.
+export async function requestBackgroundSync() {
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    await registration?.sync?.register(SYNC_TAG);
+  } catch (e) {
+    console.warn("[outbox] background sync unavailable:", e);
+  }
+}
+
+// Mirrors the Supabase session for the service worker, which cannot read
+// localStorage. Only the short-lived access token is stored; the worker
+// never refreshes it, so an expired token just waits for the next launch.
+export async function saveSyncSession(session) {
+  if (!session?.access_token) {
+    await tx("readwrite", (store) => store.delete("current"), SESSION_STORE);
+    return;
+  }
+  await tx("readwrite", (store) => store.put({
+    id: "current",
+    url: import.meta.env.VITE_SUPABASE_URL,
+    anon_key: import.meta.env.VITE_SUPABASE_ANON_KEY,
+    user_id: session.user?.id || null,
+    access_token: session.access_token,
+    expires_at: session.expires_at || null,
+  }), SESSION_STORE);
+}
+
+async function updateEntry(id, patch) {
+  const current = await getOutboxEntry(id);
+  if (!current) return;
+  await tx("readwrite", (store) => store.put({ ...current, ...patch }));
+}
+
+// Puts a failed entry back in the queue, e.g. after a transient server error.
+export async function retryOutboxEntry(id) {
+  await updateEntry(id, { state: "pending", error: null, code: null });
+  emit();
+}
+
+// Network failures (offline, DNS, aborted fetch, our own withTimeout) leave
+// the entry queued; anything else, a bug in the replay included, is recorded
+// on it. Matched on the message: a bare TypeError is not enough to tell.
+export function isNetworkError(error) {
+  if (typeof navigator !== "undefined" && navigator.onLine === false) return true;
+  const msg = String(error?.message || error || "");
+  return /failed to fetch|networkerror|network request failed|load failed|timed out/i.test(msg);
+}
+
+export function isUniqueViolation(error) {
+  return error?.code === "23505" || /duplicate key|unique constraint/i.test(String(error?.message || ""));
+}
+
+async function pushEvidence(entry) {
+  const ev = entry.evidence;
+  const { error: uploadError } = await supabase.storage
+    .from("overtime-evidence")
+    .upload(ev.storage_path, ev.image, { contentType: "image/jpeg", upsert: false });
+  // Employees may only insert into the bucket, so a retry after a partial
+  // flush sees "already exists" — the object is there, carry on.
+  if (uploadError && !/already exists|duplicate/i.test(String(uploadError.message || ""))) throw uploadError;
+}
+
+async function pushEvidenceRows(entry) {
+  const ev = entry.evidence;
+  const { data: profile } = await supabase
+    .from("profiles")
+    .select("evidence_retention_days")
+    .eq("id", entry.user_id)
+    .single();
+  const retentionDays = Math.min(365, Math.max(1, Number(profile?.evidence_retention_days) || 30));
+  const expiresAt = new Date(Date.now() + retentionDays * 86400000).toISOString();
+
+  const { error: evidenceError } = await supabase.from("overtime_evidence").insert({
+    id: ev.id,
+    job_id: entry.id,
+    user_id: entry.user_id,
+    job_date: entry.payload.job_date,
+    storage_path: ev.storage_path,
+    ocr_text: ev.ocr_text || null,
+    ocr_status: ev.ocr_status || "needs_review",
+    ocr_provider: ev.ocr_provider || null,
+    ocr_confidence: ev.ocr_confidence ?? null,
+    authorized_by: ev.authorized_by ?? null,
+    authorized_date: ev.authorized_date ?? null,
+    authorized_minutes: ev.authorized_minutes ?? null,
+    authorized_until: ev.authorized_until ?? null,
+    authorized_ot: ev.authorized_ot ?? null,
+    overtime_minutes: ev.overtime_minutes ?? null,
+    authorization_warnings: ev.authorization_warnings || [],
+    daily_minutes: ev.daily_minutes,
+    expires_at: expiresAt,
+  });
+  // Already inserted by an earlier, partially completed flush.
+  if (evidenceError && !isUniqueViolation(evidenceError)) throw evidenceError;
+  if (evidenceError) return;
+
+  const { error: notificationError } = await supabase.from("manager_notifications").insert({
+    employee_id: entry.user_id,
+    job_id: entry.id,
+    evidence_id: ev.id,
+    daily_minutes: ev.daily_minutes,
+  });
+  if (notificationError) throw notificationError;
+}
+
+async function pushEntry(entry) {
+  if (entry.evidence) await pushEvidence(entry);
+
+  const { id, ...fields } = entry.payload;
+  const { error } = entry.op === "insert"
+    ? await supabase.from("jobs").upsert({ ...fields, id }, { onConflict: "id" })
+    : await supabase.from("jobs").update(fields).eq("id", id);
+  if (error) throw error;
+
+  if (entry.evidence) await pushEvidenceRows(entry);
+}
+
+// Replays every pending entry in queue order. Concurrent callers share the
+// same in-flight run. Returns { synced, conflicts, failed, offline }.
+export function flushOutbox(userId) {
+  if (flushPromise) return flushPromise;
+  flushPromise = (async () => {
+    const result = { synced: 0, conflicts: [], failed: 0, offline: false };
+    try {
+      if (typeof navigator !== "undefined" && navigator.onLine === false) {
+        result.offline = true;
+        return result;
+      }
+      const entries = (await listOutbox(userId)).filter((entry) => entry.state === "pending");
+      for (const entry of entries) {
+        try {
+          await pushEntry(entry);
+          await tx("readwrite", (store) => store.delete(entry.id));
+          result.synced += 1;
+        } catch (error) {
+          if (isNetworkError(error)) {
+            result.offline = true;
+            break;
+          }
+          if (isUniqueViolation(error)) {
+            await updateEntry(entry.id, { state: "conflict", code: "duplicate_ot", error: error.message || null });
+            result.conflicts.push(entry);
+          } else {
+            await updateEntry(entry.id, { state: "error", code: error?.code || null, error: error?.message || String(error) });
+            result.failed += 1;
+          }
+        }
+      }
+      return result;
+    } finally {
+      flushPromise = null;
+      emit();
+    }
+  })();
+  return flushPromise;
+}
@@ -0,0 +1,173 @@
+// Reading of the overtime authorization SMS (the screenshot employees attach
+// when a day goes into overtime). parseOvertimeSms() turns the OCR text into
+// who authorized what, and compareAuthorization() checks it against the day
+// actually worked. The form stores both on overtime_evidence
+// (0028_overtime_sms_authorization.sql); the evidence review queue shows them.
+
+const MONTHS = {
+  janv: 1, jan: 1, janvier: 1, january: 1,
+  fevr: 2, févr: 2, fev: 2, fév: 2, feb: 2, fevrier: 2, février: 2, february: 2,
+  mars: 3, mar: 3, march: 3,
+  avr: 4, apr: 4, avril: 4, april: 4,
+  mai: 5, may: 5,
+  juin: 6, jun: 6, june: 6,
+  juil: 7, jul: 7, juillet: 7, july: 7,
+  aout: 8, août: 8, aug: 8, august: 8,
+  sept: 9, sep: 9, septembre: 9, september: 9,
+  oct: 10, octobre: 10, october: 10,
+  nov: 11, novembre: 11, november: 11,
+  dec: 12, déc: 12, decembre: 12, décembre: 12, december: 12,
+};
+
+const WORD_NUMBERS = { un: 1, une: 1, one: 1, an: 1, deux: 2, two: 2, trois: 3, three: 3, quatre: 4, four: 4, cinq: 5, five: 5 };
+
+// Screenshot chrome that sits where a contact name would.
+const NOT_A_NAME = /^(?:(?:messages?|imessage|sms|texto|aujourd['’]hui|today|hier|yesterday|lun|mar|mer|jeu|ven|sam|dim|mon|tue|wed|thu|fri|sat|sun|details?|détails|info|contact)\b|<|\d)/i;
+const NAME = "([A-ZÀ-Ý][\\p{L}'’-]+(?:\\s+[A-ZÀ-Ý][\\p{L}'’.-]*){0,3})";
+
+const MENTIONS_OVERTIME = /temps\s+suppl[eé]mentaires?|heures?\s+suppl[eé]mentaires?|\bts\b|\bovertime\b|\bo\.?t\.?\b(?!\s*[-#:]?\s*\d)/i;
+const CONFIRMS_APPROVAL = /approuv[eé]e?s?|autoris[eé]e?s?|accord[eé]e?s?|\bok\b|\bc['’]est\s+bon\b|\bapproved\b|\bauthori[sz]ed\b|\bgo\s+ahead\b/i;
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function isoDate(year, month, day) {
+  const date = new Date(year, month - 1, day);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function addDays(iso, days) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const date = new Date(y, m - 1, d + days);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Who sent the authorization: "approuvé par Marc", a "Marc: …" chat line, a
+// "— Marc" signature, a "De : Marc" header, or else the contact name at the
+// top of the screenshot.
+function findAuthorizer(text, lines) {
+  const by = text.match(new RegExp(`(?:approuv[eé]e?|autoris[eé]e?|accord[eé]e?|approved|authori[sz]ed)\\s+(?:par|by)\\s+${NAME}`, "u"));
+  if (by) return by[1].trim();
+
+  for (const line of lines) {
+    const from = line.match(new RegExp(`^(?:de|from|exp[eé]diteur)\\s*:\\s*${NAME}`, "iu"));
+    if (from) return from[1].trim();
+  }
+  for (const line of lines) {
+    const chat = line.match(new RegExp(`^${NAME}\\s*:\\s*\\S`, "u"));
+    if (chat && (MENTIONS_OVERTIME.test(line) || CONFIRMS_APPROVAL.test(line))) return chat[1].trim();
+  }
+  for (const line of lines) {
+    const signature = line.match(new RegExp(`(?:^|\\s)[-–—]\\s*${NAME}\\s*$`, "u"));
+    if (signature) return signature[1].trim();
+  }
+
+  const header = lines.find((line) => line.length >= 2);
+  if (header && header.length <= 40 && !NOT_A_NAME.test(header) && new RegExp(`^${NAME}$`, "u").test(header)) return header;
+  return null;
+}
+
+// "12/03/2025", "2025-03-12", "12 mars", "March 12"; "aujourd'hui", "ce
+// soir", "demain" are read against `referenceDate` (the job date).
+function findDate(text, referenceDate) {
+  const year = Number(String(referenceDate || "").slice(0, 4)) || new Date().getFullYear();
+
+  const ymd = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (ymd) return isoDate(Number(ymd[1]), Number(ymd[2]), Number(ymd[3]));
+
+  // "1.5" is a duration, so dotted dates need their year.
+  const dmy = text.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/) || text.match(/\b(\d{1,2})\.(\d{1,2})\.(\d{2,4})\b/);
+  if (dmy) {
+    const y = dmy[3] ? (dmy[3].length === 2 ? 2000 + Number(dmy[3]) : Number(dmy[3])) : year;
+    const iso = isoDate(y, Number(dmy[2]), Number(dmy[1]));
+    if (iso) return iso;
+  }
+
+  const lower = text.toLocaleLowerCase("fr-CA");
+  for (const m of lower.matchAll(/\b(\d{1,2})(?:er)?\s+([a-zéû]{3,9})\.?/g)) {
+    if (MONTHS[m[2]]) return isoDate(year, MONTHS[m[2]], Number(m[1]));
+  }
+  for (const m of lower.matchAll(/\b([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b/g)) {
+    if (MONTHS[m[1]]) return isoDate(year, MONTHS[m[1]], Number(m[2]));
+  }
+
+  if (!referenceDate) return null;
+  if (/\b(?:aujourd['’]hui|ce\s+soir|ce\s+matin|cet\s+apr[eè]s-midi|today|tonight)\b/.test(lower)) return referenceDate;
+  if (/\b(?:demain|tomorrow)\b/.test(lower)) return addDays(referenceDate, 1);
+  return null;
+}
+
+// Approved length: "2 h", "1h30", "1,5 heure", "90 min", "deux heures".
+// Clock times ("jusqu'à 19h", "à 17h30") are not durations.
+function findDuration(lower) {
+  const pattern = /\b(\d+(?:[.,]\d+)?|un|une|deux|trois|quatre|cinq|one|an|two|three|four|five)\s*(h(?:eures?|ours?|rs?)?|min(?:utes?|s)?)(?:\s*(\d{1,2})(?!\d))?(?![\p{L}])/gu;
+  for (const m of lower.matchAll(pattern)) {
+    const before = lower.slice(Math.max(0, m.index - 12), m.index);
+    if (/(?:jusqu['’]?\s*[aà]|\b[aà]|\bvers|\buntil|\btill|\bat|\bby)\s*$/.test(before)) continue;
+    const amount = WORD_NUMBERS[m[1]] ?? parseFloat(m[1].replace(",", "."));
+    if (!Number.isFinite(amount)) continue;
+    const minutes = m[2].startsWith("h") ? amount * 60 + Number(m[3] || 0) : amount;
+    if (minutes > 0 && minutes <= 16 * 60) return Math.round(minutes);
+  }
+  return null;
+}
+
+// "jusqu'à 19h", "until 7:30 pm" → "19:00" / "19:30".
+function findUntil(lower) {
+  const m = lower.match(/(?:jusqu['’]?\s*[aà]|until|till)\s*(\d{1,2})\s*(?:[h:]\s*(\d{2})?)?\s*(pm|am)?/);
+  if (!m) return null;
+  let hour = Number(m[1]);
+  if (m[3] === "pm" && hour < 12) hour += 12;
+  if (hour > 23) return null;
+  return `${pad(hour)}:${m[2] || "00"}`;
+}
+
+function findOt(text) {
+  const m = text.match(/\bOT[\s\-_:#]*(\d{4,8})\b/i) || text.match(/\bbon(?:\s+de\s+travail)?\s*(?:#|n[o°]\.?)?\s*(\d{4,8})\b/i);
+  return m ? m[1] : null;
+}
+
+// { authorizer, date, durationMinutes, until, ot, mentionsOvertime,
+//   confirmsApproval, valid }. `valid` is the minimum the form accepts: an
+// overtime mention, approval wording and either a duration or an end time.
+export function parseOvertimeSms(text, { referenceDate = null } = {}) {
+  const source = String(text || "");
+  const lines = source.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  const lower = source.toLocaleLowerCase("fr-CA");
+  const mentionsOvertime = MENTIONS_OVERTIME.test(source);
+  const confirmsApproval = CONFIRMS_APPROVAL.test(source);
+  const durationMinutes = findDuration(lower);
+  const until = findUntil(lower);
+  return {
+    authorizer: findAuthorizer(source, lines),
+    date: findDate(source, referenceDate),
+    durationMinutes,
+    until,
+    ot: findOt(source),
+    mentionsOvertime,
+    confirmsApproval,
+    valid: mentionsOvertime && confirmsApproval && (durationMinutes !== null || until !== null),
+  };
+}
+
+// Differences between the authorization and the day worked, as warning
+// codes (i18n "evidence.warnings.<code>"):
+//   exceeds_authorized  more overtime worked than the approved duration
+//   after_until         the day ended after the approved end time
+//   date_mismatch       the SMS names another day than the job's
+//   ot_mismatch         the SMS names another OT than the job's
+//   no_authorizer       nobody identifiable approved it
+export function compareAuthorization(parsed, { jobDate = null, ot = null, overtimeMinutes = null, endTime = null } = {}) {
+  const warnings = [];
+  if (!parsed) return warnings;
+  if (parsed.durationMinutes !== null && overtimeMinutes !== null && overtimeMinutes > parsed.durationMinutes) {
+    warnings.push("exceeds_authorized");
+  }
+  if (parsed.until && endTime && String(endTime).slice(0, 5) > parsed.until) warnings.push("after_until");
+  if (parsed.date && jobDate && parsed.date !== jobDate) warnings.push("date_mismatch");
+  if (parsed.ot && ot && String(ot).replace(/\D/g, "") !== parsed.ot) warnings.push("ot_mismatch");
+  if (!parsed.authorizer) warnings.push("no_authorizer");
+  return warnings;
+}
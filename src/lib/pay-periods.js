@@ -0,0 +1,60 @@
+// Pay periods (supabase/migrations/0033_pay_periods.sql): weekly or biweekly
+// stretches that go open → review → closed. A closed period freezes its jobs
+// in the database and keeps the payroll snapshot its exports read from.
+import { supabase } from "@/supabaseClient";
+import { withTimeout } from "@/lib/utils";
+
+export const PAY_PERIOD_FREQUENCIES = ["weekly", "biweekly"];
+
+export async function fetchPayPeriodSettings() {
+  const { data, error } = await withTimeout(
+    supabase.from("pay_period_settings").select("frequency, anchor_date").maybeSingle(),
+    12000
+  );
+  if (error) throw error;
+  return data;
+}
+
+// `anchorDate` must be a Monday; it only shapes periods not created yet.
+export async function savePayPeriodSettings({ frequency, anchorDate, userId = null }) {
+  const { error } = await withTimeout(
+    supabase
+      .from("pay_period_settings")
+      .update({ frequency, anchor_date: anchorDate, updated_at: new Date().toISOString(), updated_by: userId })
+      .eq("id", true),
+    12000
+  );
+  if (error) throw error;
+}
+
+// The current period and the ones before it, newest first, with job counts
+// (job_count, approved_count, submitted_count, draft_count).
+export async function fetchPayPeriods(count = 8) {
+  const { data, error } = await withTimeout(
+    supabase.rpc("list_pay_periods", { p_count: count }),
+    12000
+  );
+  if (error) throw error;
+  return data || [];
+}
+
+// Reopening a closed period needs `reason`.
+export async function setPayPeriodStatus(periodId, status, reason = null) {
+  const { data, error } = await withTimeout(
+    supabase.rpc("set_pay_period_status", { p_period_id: periodId, p_status: status, p_reason: reason }),
+    30000
+  );
+  if (error) throw error;
+  return data;
+}
+
+export function payPeriodBadgeVariant(status) {
+  switch (status) {
+    case "review":
+      return "warning";
+    case "closed":
+      return "success";
+    default:
+      return "outline";
+  }
+}
@@ -0,0 +1,115 @@
+// Client side of the payroll engine (supabase/migrations/0012_payroll_engine.sql
+// onward, overtime rules in 0014_overtime_rules.sql, and the `payroll` edge
+// function). Screens and exports read computed rows from here; nothing in the
+// frontend re-derives hours, overtime or km.
+import { supabase } from "@/supabaseClient";
+import { withTimeout } from "@/lib/utils";
+
+// Weekly rows for one employee (or everyone the caller can see when userId is
+// omitted). `statuses: null` includes every status — used by the Week screen
+// so employees see drafts too; exports stick to approved jobs.
+export async function fetchPayrollWeeks({ userId = null, from = null, to = null, statuses = ["approved"] } = {}) {
+  const { data, error } = await withTimeout(
+    supabase.rpc("payroll_weekly", { p_from: from, p_to: to, p_user_id: userId, p_statuses: statuses }),
+    12000
+  );
+  if (error) throw error;
+  return data || [];
+}
+
+export async function fetchPayrollDays({ userId = null, from = null, to = null, statuses = ["approved"] } = {}) {
+  const { data, error } = await withTimeout(
+    supabase.rpc("payroll_daily", { p_from: from, p_to: to, p_user_id: userId, p_statuses: statuses }),
+    12000
+  );
+  if (error) throw error;
+  return data || [];
+}
+
+// CCQ pricing per employee-week (regular / 1.5x / 2x / benefits at the rate in
+// effect on each job date). Rates are manager-only, so employees get nulls.
+export async function fetchPayrollWeekPay({ userId = null, from = null, to = null, statuses = ["approved"] } = {}) {
+  const { data, error } = await withTimeout(
+    supabase.rpc("payroll_weekly_pay", { p_from: from, p_to: to, p_user_id: userId, p_statuses: statuses }),
+    12000
+  );
+  if (error) throw error;
+  return data || [];
+}
+
+function saveFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// Downloads the detailed payroll CSV built by the edge function: one row per
+// approved job plus a weekly totals row per employee-week. A client or site
+// narrows it to that client's jobs, without the weekly totals. Desjardins
+// imports its own layout instead (downloadDesjardinsFile). `periodId`
+// replaces from / to with a pay period, read from its snapshot once closed.
+export async function downloadPayrollCsv({ employeeId = null, clientId = null, siteId = null, from = null, to = null, periodId = null, filename }) {
+  const { data, error } = await withTimeout(
+    supabase.functions.invoke("payroll", {
+      body: { employee_id: employeeId, client_id: clientId, site_id: siteId, from, to, period_id: periodId, format: "csv" },
+    }),
+    30000
+  );
+  if (error) throw error;
+  saveFile(data, filename, "text/csv;charset=utf-8");
+}
+
+// Earnings of the Desjardins import file, in file order
+// (supabase/functions/payroll/desjardins.ts).
+export const EARNINGS = ["regular", "ot15", "ot20", "km", "storage"];
+
+// payroll_earning_codes (0032_payroll_earning_codes.sql) as earning → code.
+export async function fetchEarningCodes() {
+  const { data, error } = await withTimeout(
+    supabase.from("payroll_earning_codes").select("earning, code"),
+    12000
+  );
+  if (error) throw error;
+  return Object.fromEntries((data || []).map((row) => [row.earning, row.code]));
+}
+
+// Builds the Desjardins import file for from / to or a pay period (approved
+// jobs only) and downloads it once it validates. Resolves to the validation
+// errors, [] when the file was downloaded.
+export async function downloadDesjardinsFile({ employeeId = null, from = null, to = null, periodId = null }) {
+  const { data, error } = await withTimeout(
+    supabase.functions.invoke("payroll", {
+      body: { employee_id: employeeId, from, to, period_id: periodId, format: "desjardins" },
+    }),
+    30000
+  );
+  if (error) throw error;
+  if (data?.ok !== true) {
+    if (Array.isArray(data?.errors)) return data.errors;
+    throw new Error(data?.error || "Payroll file failed");
+  }
+  saveFile(data.content, data.filename, "text/plain;charset=utf-8");
+  return [];
+}
+
+// One line per validation error of downloadDesjardinsFile, translated.
+export function describeDesjardinsErrors(errors, t) {
+  return errors.map((e) => t(`payroll.desjardins.errors.${e.code}`, {
+    employee: e.employee,
+    other: e.other,
+    earning: e.earning ? t(`payroll.earnings.${e.earning}`) : "",
+    field: e.field,
+    value: e.value,
+  })).join(" · ");
+}
+
+export function formatMinutesHM(minutes) {
+  const total = Math.max(0, Math.round(Number(minutes) || 0));
+  return `${Math.floor(total / 60)}h${String(total % 60).padStart(2, "0")}`;
+}
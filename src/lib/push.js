@@ -0,0 +1,84 @@
+// Web Push subscriptions for this device (0019_web_push.sql). The service
+// worker shows the pushes; the `send_push` edge function sends them.
+import { supabase } from "@/supabaseClient";
+import { withTimeout } from "@/lib/utils";
+
+const VAPID_PUBLIC_KEY = import.meta.env.VITE_VAPID_PUBLIC_KEY || "";
+
+// Push needs the production service worker (see registerServiceWorker) and
+// a VAPID key baked into the build.
+export function isPushSupported() {
+  return (
+    "serviceWorker" in navigator &&
+    "PushManager" in window &&
+    "Notification" in window &&
+    import.meta.env.PROD &&
+    Boolean(VAPID_PUBLIC_KEY)
+  );
+}
+
+function urlBase64ToUint8Array(value) {
+  const base64 = (value + "=".repeat((4 - (value.length % 4)) % 4)).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+async function registration() {
+  const reg = await navigator.serviceWorker.getRegistration();
+  if (!reg) throw new Error("Service worker not registered");
+  return reg;
+}
+
+export async function getPushSubscription() {
+  if (!isPushSupported()) return null;
+  const reg = await navigator.serviceWorker.getRegistration();
+  return reg ? reg.pushManager.getSubscription() : null;
+}
+
+// Asks for permission, subscribes the browser and stores the endpoint for
+// the signed-in user. `language` picks the language pushes are written in.
+export async function subscribePush(language) {
+  const permission = await Notification.requestPermission();
+  if (permission !== "granted") throw new Error("Notification permission denied");
+
+  const reg = await registration();
+  const subscription =
+    (await reg.pushManager.getSubscription()) ||
+    (await reg.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY),
+    }));
+  const { endpoint, keys } = subscription.toJSON();
+  const { error } = await withTimeout(
+    supabase.rpc("register_push_subscription", {
+      p_endpoint: endpoint,
+      p_p256dh: keys.p256dh,
+      p_auth: keys.auth,
+      p_user_agent: navigator.userAgent,
+      p_language: language,
+    }),
+    12000
+  );
+  if (error) throw error;
+  return subscription;
+}
+
+export async function unsubscribePush() {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+  const { error } = await withTimeout(
+    supabase.from("push_subscriptions").delete().eq("endpoint", subscription.endpoint),
+    12000
+  );
+  if (error) throw error;
+  await subscription.unsubscribe();
+}
+
+export async function sendTestPush() {
+  const { data, error } = await withTimeout(
+    supabase.functions.invoke("send_push", { body: { test: true } }),
+    30000
+  );
+  if (error) throw error;
+  if (!data?.ok) throw new Error(data?.error || "Send failed");
+  return data;
+}
@@ -0,0 +1,101 @@
+// Progressive Web App wiring: service worker registration, the deferred
+// install prompt and the bridge that lets the worker's Background Sync hand
+// the outbox replay to an open tab.
+import { supabase } from "@/supabaseClient";
+import { flushOutbox, requestBackgroundSync, saveSyncSession } from "@/lib/outbox";
+
+const INSTALL_DISMISSED_KEY = "pwa_install_dismissed";
+
+let deferredPrompt = null;
+let installed = false;
+const listeners = new Set();
+
+function emit() {
+  listeners.forEach((fn) => fn());
+}
+
+export function subscribeInstall(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export function isStandalone() {
+  return window.matchMedia?.("(display-mode: standalone)").matches || window.navigator.standalone === true;
+}
+
+// iOS never fires `beforeinstallprompt`; Safari users add the app from the
+// share sheet, so we show them instructions instead of a button.
+export function isIosSafari() {
+  const ua = window.navigator.userAgent || "";
+  return /iphone|ipad|ipod/i.test(ua) && !/crios|fxios|edgios/i.test(ua);
+}
+
+export function getInstallState() {
+  return {
+    canPrompt: Boolean(deferredPrompt),
+    installed: installed || isStandalone(),
+    dismissed: localStorage.getItem(INSTALL_DISMISSED_KEY) === "1",
+  };
+}
+
+export async function promptInstall() {
+  if (!deferredPrompt) return false;
+  const promptEvent = deferredPrompt;
+  deferredPrompt = null;
+  promptEvent.prompt();
+  const { outcome } = await promptEvent.userChoice;
+  emit();
+  return outcome === "accepted";
+}
+
+export function dismissInstall() {
+  localStorage.setItem(INSTALL_DISMISSED_KEY, "1");
+  emit();
+}
+
+// The worker posts { type: "outbox:flush" } with a MessagePort when a sync
+// fires while a tab is open: the page has a live, auto-refreshed session, so
+// it does the replay and reports back whether it is still offline.
+async function handleWorkerMessage(event) {
+  if (event.data?.type !== "outbox:flush") return;
+  const port = event.ports?.[0];
+  try {
+    const { data } = await supabase.auth.getSession();
+    const userId = data?.session?.user?.id;
+    const result = userId ? await flushOutbox(userId) : { offline: false };
+    port?.postMessage({ ok: true, offline: Boolean(result.offline) });
+  } catch (e) {
+    port?.postMessage({ ok: false, error: e?.message || String(e) });
+  }
+}
+
+export function registerServiceWorker() {
+  window.addEventListener("beforeinstallprompt", (event) => {
+    event.preventDefault();
+    deferredPrompt = event;
+    emit();
+  });
+  window.addEventListener("appinstalled", () => {
+    installed = true;
+    deferredPrompt = null;
+    emit();
+  });
+
+  // The worker caches the built app shell; in dev it would serve stale
+  // modules over Vite's HMR, so only register it in production builds.
+  if (!("serviceWorker" in navigator) || !import.meta.env.PROD) return;
+
+  supabase.auth.getSession().then(({ data }) => saveSyncSession(data?.session)).catch(() => {});
+  supabase.auth.onAuthStateChange((_event, session) => {
+    saveSyncSession(session).catch((e) => console.warn("[pwa] session mirror failed:", e));
+  });
+
+  navigator.serviceWorker.addEventListener("message", handleWorkerMessage);
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .then(() => requestBackgroundSync())
+      .catch((e) => console.warn("[pwa] service worker registration failed:", e));
+  });
+}
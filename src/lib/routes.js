@@ -0,0 +1,79 @@
+// Multi-stop day routes (supabase/migrations/0020_day_routes.sql): storage →
+// OT A → OT B → … → storage, saved as one job per stop sharing a route_id.
+// Each stop's travel leg runs from the previous place (the storage shop,
+// then the previous stop's end) to its arrival; only the last stop carries
+// the return to storage.
+import { supabase } from "@/supabaseClient";
+import { siteDistanceKm } from "@/lib/sites";
+import { withTimeout } from "@/lib/utils";
+
+// `persisted`: the job exists on the server; `queued`: it has an outbox entry.
+export function newRouteStop(fields = {}) {
+  return { id: crypto.randomUUID(), ot: "", arrivee: "", fin: "", km_aller: "", km_aller_track: null, site_id: "", persisted: false, queued: false, ...fields };
+}
+
+// Stops with `id` picked as the site of stop `index`. The first stop's empty
+// km takes the site's distance (the registry only knows distances from the
+// storage shop); a typed or recorded value is left alone.
+export function pickRouteStopSite(stops, index, id, site) {
+  const km = index === 0 ? siteDistanceKm(site) : null;
+  return stops.map((stop, i) => {
+    if (i !== index) return stop;
+    const fillKm = km !== null && !stop.km_aller_track && !(Number(stop.km_aller) > 0);
+    return { ...stop, site_id: id, ...(fillKm ? { km_aller: String(km) } : {}) };
+  });
+}
+
+// Adds each stop's `depart`: the storage departure for the first stop, the
+// previous stop's end after that.
+export function chainRouteStops(storageDepart, stops) {
+  return stops.map((stop, index) => ({
+    ...stop,
+    depart: index === 0 ? storageDepart : stops[index - 1].fin,
+  }));
+}
+
+function minutesOfDay(time) {
+  if (!time) return null;
+  const [h, m] = String(time).split(":").map(Number);
+  return Number.isFinite(h) && Number.isFinite(m) ? h * 60 + m : null;
+}
+
+// i18n key of the first problem with the route's times, or null. A route
+// stays within one day: every time must follow the previous one.
+export function validateRoute(storageDepart, stops) {
+  if (!stops.length || !storageDepart || stops.some((stop) => !stop.arrivee || !stop.fin)) {
+    return "route.errors.incomplete";
+  }
+  let previous = minutesOfDay(storageDepart);
+  for (const stop of stops) {
+    const arrival = minutesOfDay(stop.arrivee);
+    const end = minutesOfDay(stop.fin);
+    if (arrival < previous || end < arrival) return "route.errors.order";
+    previous = end;
+  }
+  return null;
+}
+
+// Travel and on-site minutes of every stop (null while a time is missing or
+// out of order), for the form's per-stop summary.
+export function routeLegMinutes(storageDepart, stops) {
+  return chainRouteStops(storageDepart, stops).map((stop) => {
+    const depart = minutesOfDay(stop.depart);
+    const arrival = minutesOfDay(stop.arrivee);
+    const end = minutesOfDay(stop.fin);
+    return {
+      travel: depart !== null && arrival !== null && arrival >= depart ? arrival - depart : null,
+      onSite: arrival !== null && end !== null && end >= arrival ? end - arrival : null,
+    };
+  });
+}
+
+export async function fetchRouteJobs(routeId) {
+  const { data, error } = await withTimeout(
+    supabase.from("jobs").select("*").eq("route_id", routeId).order("route_seq", { ascending: true }),
+    12000
+  );
+  if (error) throw error;
+  return data || [];
+}
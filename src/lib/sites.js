@@ -0,0 +1,80 @@
+// Clients and job sites (supabase/migrations/0022_clients_sites.sql). A job
+// points at its site through jobs.site_id; the site's distance from the
+// storage shop is what the form suggests as km.
+import { supabase } from "@/supabaseClient";
+import { withTimeout } from "@/lib/utils";
+
+// Last registry seen online, so the picker still works without signal.
+const SITES_CACHE_KEY = "sites_cache";
+
+export async function fetchClients() {
+  const { data, error } = await withTimeout(
+    supabase.from("clients").select("*").order("name", { ascending: true }),
+    12000
+  );
+  if (error) throw error;
+  return data || [];
+}
+
+// Sites with their client's name; inactive sites (or sites of an inactive
+// client) only when asked, since the picker should not offer them.
+export async function fetchSites({ includeInactive = false } = {}) {
+  let q = supabase
+    .from("sites")
+    .select("*, client:clients(id, name, active)")
+    .order("name", { ascending: true });
+  if (!includeInactive) q = q.eq("active", true);
+  const { data, error } = await withTimeout(q, 12000);
+  if (error) throw error;
+  return includeInactive ? data || [] : (data || []).filter((site) => site.client?.active !== false);
+}
+
+export async function fetchSitesCached() {
+  try {
+    const sites = await fetchSites();
+    localStorage.setItem(SITES_CACHE_KEY, JSON.stringify(sites));
+    return sites;
+  } catch (e) {
+    try {
+      const cached = JSON.parse(localStorage.getItem(SITES_CACHE_KEY) || "null");
+      if (Array.isArray(cached)) return cached;
+    } catch {
+      // Unreadable cache: surface the fetch error instead.
+    }
+    throw e;
+  }
+}
+
+// Site last used for this OT (0035_ot_sites.sql), or null when the OT is
+// new. Callers fill an empty picker with it.
+export async function fetchSiteIdForOt(ot) {
+  const key = String(ot || "").trim();
+  if (!key) return null;
+  const { data, error } = await withTimeout(
+    supabase.from("ot_sites").select("site_id").eq("ot", key).maybeSingle(),
+    8000
+  );
+  if (error) throw error;
+  return data?.site_id ?? null;
+}
+
+// Sites grouped under their client, clients and sites sorted by name.
+export function groupSitesByClient(sites) {
+  const groups = new Map();
+  sites.forEach((site) => {
+    const key = site.client_id;
+    if (!groups.has(key)) groups.set(key, { client: site.client || { id: key, name: "—" }, sites: [] });
+    groups.get(key).sites.push(site);
+  });
+  return [...groups.values()].sort((a, b) => a.client.name.localeCompare(b.client.name));
+}
+
+export function siteLabel(site) {
+  if (!site) return "";
+  return site.client?.name ? `${site.client.name} — ${site.name}` : site.name;
+}
+
+export function siteDistanceKm(site) {
+  const km = Number(site?.distance_km);
+  return site?.distance_km != null && Number.isFinite(km) ? km : null;
+}
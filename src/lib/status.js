@@ -1,5 +1,5 @@
 // Status badge mapping: saved=blue (default/primary), submitted=green (success),
-// approved=neutral/black, updated=amber (warning).
+// approved=neutral/black, updated=amber (warning), rejected=red (destructive).
 export function statusBadgeVariant(status) {
   switch (status) {
     case "saved":
@@ -10,7 +10,15 @@ export function statusBadgeVariant(status) {
       return "neutral";
     case "updated":
       return "warning";
+    case "rejected":
+      return "destructive";
     default:
       return "secondary";
   }
 }
+
+// Statuses the employee can still edit, delete and submit. "rejected" is a
+// job a manager sent back with a comment (Request changes).
+export function isEditableStatus(status) {
+  return status === "saved" || status === "updated" || status === "rejected";
+}
@@ -0,0 +1,30 @@
+// Storage shops (supabase/migrations/0023_storage_locations.sql): the home
+// shop on each profile, the shop a return leg ends at, and the return
+// defaults learned from earlier trips.
+import { supabase } from "@/supabaseClient";
+import { withTimeout } from "@/lib/utils";
+
+export async function fetchStorageLocations({ includeInactive = false } = {}) {
+  let q = supabase.from("storage_locations").select("*").order("name", { ascending: true });
+  if (!includeInactive) q = q.eq("active", true);
+  const { data, error } = await withTimeout(q, 12000);
+  if (error) throw error;
+  return data || [];
+}
+
+// { km, return_minutes, sample_size } for a return from `siteId` to
+// `storageLocationId`; nulls when nothing is known.
+export async function fetchReturnDefaults(siteId, storageLocationId) {
+  if (!siteId || !storageLocationId) return { km: null, return_minutes: null, sample_size: 0 };
+  const { data, error } = await withTimeout(
+    supabase.rpc("return_trip_defaults", { p_site_id: siteId, p_storage_location_id: storageLocationId }),
+    8000
+  );
+  if (error) throw error;
+  const row = Array.isArray(data) ? data[0] : data;
+  return {
+    km: row?.km == null ? null : Number(row.km),
+    return_minutes: row?.return_minutes ?? null,
+    sample_size: row?.sample_size ?? 0,
+  };
+}
@@ -0,0 +1,310 @@
+// GPS trip recorder (supabase/migrations/0021_trip_tracks.sql): a
+// breadcrumb trail logged between "Start trip" and "Arrived", turned into a
+// distance that pre-fills the km fields and a simplified polyline stored on
+// the job as `km_aller_track` / `km_retour_track`.
+
+// Fixes worse than this are dropped; phones report ~5–20 m outdoors.
+const MAX_ACCURACY_M = 75;
+// Smaller moves are GPS jitter while standing still.
+const MIN_STEP_M = 8;
+// Faster jumps between two fixes are glitches, not driving.
+const MAX_SPEED_KMH = 200;
+const SIMPLIFY_TOLERANCE_M = 15;
+// Stays under the jobs_trip_tracks_check size cap.
+const MAX_POLYLINE_CHARS = 15000;
+
+const SYNTHETIC_FEED_KEY = "sparklog_synthetic_gps";
+
+// Storage shop in Laval → a job in Montréal-Nord, ~12 km by road. Used by
+// the synthetic feed when no custom path is set.
+export const SAMPLE_TRIP_PATH = [
+  [45.5697, -73.7241], [45.5668, -73.7153], [45.5631, -73.7049], [45.5602, -73.6962],
+  [45.5573, -73.6869], [45.5559, -73.6771], [45.5534, -73.6676], [45.5512, -73.6588],
+  [45.5489, -73.6497], [45.5468, -73.6412], [45.5449, -73.6318], [45.5457, -73.6229],
+  [45.5488, -73.6152], [45.5519, -73.6081], [45.5546, -73.6013], [45.5571, -73.5952],
+  [45.5598, -73.5894], [45.5621, -73.5839],
+];
+
+function toRadians(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+// Haversine distance between two { lat, lng } points.
+export function distanceMeters(a, b) {
+  const R = 6371000;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+export function trackDistanceKm(points) {
+  let meters = 0;
+  for (let i = 1; i < points.length; i += 1) meters += distanceMeters(points[i - 1], points[i]);
+  return meters / 1000;
+}
+
+// Whether a new fix extends the trail: accurate enough, far enough from the
+// last kept point to be real movement, and not an impossible jump.
+export function acceptPosition(points, point) {
+  if (!Number.isFinite(point.lat) || !Number.isFinite(point.lng)) return false;
+  if (point.accuracy != null && point.accuracy > MAX_ACCURACY_M) return false;
+  const last = points[points.length - 1];
+  if (!last) return true;
+  const meters = distanceMeters(last, point);
+  if (meters < MIN_STEP_M) return false;
+  const hours = (point.t - last.t) / 3600000;
+  return !(hours > 0 && meters / 1000 / hours > MAX_SPEED_KMH);
+}
+
+// Distance of p from segment a–b, on a local flat projection (fine at
+// trip scale).
+function segmentDistanceMeters(p, a, b) {
+  const kx = 111320 * Math.cos(toRadians(a.lat));
+  const ky = 110540;
+  const bx = (b.lng - a.lng) * kx;
+  const by = (b.lat - a.lat) * ky;
+  const px = (p.lng - a.lng) * kx;
+  const py = (p.lat - a.lat) * ky;
+  const len2 = bx * bx + by * by;
+  const u = len2 === 0 ? 0 : Math.max(0, Math.min(1, (px * bx + py * by) / len2));
+  return Math.hypot(px - u * bx, py - u * by);
+}
+
+// Douglas–Peucker: keeps the points that move the line by more than
+// `toleranceMeters`. Iterative so long trips cannot overflow the stack.
+export function simplifyTrack(points, toleranceMeters = SIMPLIFY_TOLERANCE_M) {
+  if (points.length <= 2) return points.slice();
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i += 1) {
+      const d = segmentDistanceMeters(points[i], points[first], points[last]);
+      if (d > maxDistance) {
+        maxDistance = d;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDistance > toleranceMeters) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+// Google encoded polyline format (precision 5), readable by most map tools.
+export function encodePolyline(points) {
+  let lastLat = 0;
+  let lastLng = 0;
+  let out = "";
+  const encode = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = "";
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return chunk + String.fromCharCode(v + 63);
+  };
+  for (const point of points) {
+    const lat = Math.round(point.lat * 1e5);
+    const lng = Math.round(point.lng * 1e5);
+    out += encode(lat - lastLat) + encode(lng - lastLng);
+    lastLat = lat;
+    lastLng = lng;
+  }
+  return out;
+}
+
+export function decodePolyline(value) {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+  const decode = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = value.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < value.length);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+  while (index < (value || "").length) {
+    lat += decode();
+    lng += decode();
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+  return points;
+}
+
+// The object stored in km_aller_track / km_retour_track. The distance is
+// measured on the full trail; only the drawing is simplified, more coarsely
+// for very long trips.
+export function summarizeTrip(points, { startedAt, endedAt, synthetic = false }) {
+  let tolerance = SIMPLIFY_TOLERANCE_M;
+  let polyline = encodePolyline(simplifyTrack(points, tolerance));
+  while (polyline.length > MAX_POLYLINE_CHARS) {
+    tolerance *= 2;
+    polyline = encodePolyline(simplifyTrack(points, tolerance));
+  }
+  return {
+    polyline,
+    distance_km: Math.round(trackDistanceKm(points) * 10) / 10,
+    point_count: points.length,
+    started_at: startedAt,
+    ended_at: endedAt,
+    source: synthetic ? "synthetic" : "gps",
+  };
+}
+
+// Typed km that stray from the recorded trip by more than 2 km and 15 %.
+export function tripKmMismatch(km, track) {
+  if (!track || !Number.isFinite(Number(track.distance_km))) return false;
+  const diff = Math.abs((Number(km) || 0) - Number(track.distance_km));
+  return diff > 2 && diff > Number(track.distance_km) * 0.15;
+}
+
+// ── Position feeds ───────────────────────────────────────────────────────────
+
+// Stand-in for navigator.geolocation that drives along `path` ([lat, lng]
+// pairs). `timeScale` compresses time so a 12 km trip takes about a minute;
+// timestamps are scaled too so the speed filter sees a realistic drive.
+export function createSyntheticGeolocation(path = SAMPLE_TRIP_PATH, { speedKmh = 50, timeScale = 12, intervalMs = 1000, accuracy = 8, noiseMeters = 3 } = {}) {
+  const watches = new Map();
+  let nextId = 1;
+  const stepMeters = (speedKmh * 1000 * (intervalMs / 3600000)) * timeScale;
+
+  function positionAt(meters) {
+    let remaining = meters;
+    for (let i = 1; i < path.length; i += 1) {
+      const a = { lat: path[i - 1][0], lng: path[i - 1][1] };
+      const b = { lat: path[i][0], lng: path[i][1] };
+      const leg = distanceMeters(a, b);
+      if (remaining <= leg) {
+        const f = leg === 0 ? 0 : remaining / leg;
+        return { lat: a.lat + (b.lat - a.lat) * f, lng: a.lng + (b.lng - a.lng) * f };
+      }
+      remaining -= leg;
+    }
+    const [lat, lng] = path[path.length - 1];
+    return { lat, lng };
+  }
+
+  return {
+    synthetic: true,
+    watchPosition(success) {
+      const id = nextId++;
+      const startedAt = Date.now();
+      let travelled = 0;
+      const emit = () => {
+        const { lat, lng } = positionAt(travelled);
+        const jitter = () => ((Math.random() - 0.5) * 2 * noiseMeters) / 111000;
+        success({
+          coords: { latitude: lat + jitter(), longitude: lng + jitter(), accuracy },
+          timestamp: startedAt + (Date.now() - startedAt) * timeScale,
+        });
+        travelled += stepMeters;
+      };
+      emit();
+      watches.set(id, setInterval(emit, intervalMs));
+      return id;
+    },
+    clearWatch(id) {
+      clearInterval(watches.get(id));
+      watches.delete(id);
+    },
+  };
+}
+
+// Device switch for the synthetic feed (Testing → GPS). The stored value is
+// "1" for the sample path or a JSON array of [lat, lng] pairs.
+export function getSyntheticFeedSetting() {
+  try {
+    return localStorage.getItem(SYNTHETIC_FEED_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function setSyntheticFeedSetting(value) {
+  if (value) localStorage.setItem(SYNTHETIC_FEED_KEY, value);
+  else localStorage.removeItem(SYNTHETIC_FEED_KEY);
+}
+
+export function parseTripPath(text) {
+  const path = String(text || "")
+    .split(/\n+/)
+    .map((line) => line.split(/[,;\s]+/).filter(Boolean).map(Number))
+    .filter((pair) => pair.length === 2 && pair.every(Number.isFinite));
+  return path.length >= 2 ? path : null;
+}
+
+// The synthetic feed when switched on for this device (or the dev build's
+// VITE_SYNTHETIC_GPS), the browser's geolocation otherwise, null if neither.
+export function getPositionSource() {
+  const setting = getSyntheticFeedSetting() || (import.meta.env.VITE_SYNTHETIC_GPS ? "1" : null);
+  if (setting) {
+    let path = SAMPLE_TRIP_PATH;
+    if (setting !== "1") {
+      try {
+        const parsed = JSON.parse(setting);
+        if (Array.isArray(parsed) && parsed.length >= 2) path = parsed;
+      } catch {
+        // Unreadable custom path: fall back to the sample.
+      }
+    }
+    return createSyntheticGeolocation(path);
+  }
+  return typeof navigator !== "undefined" && navigator.geolocation ? navigator.geolocation : null;
+}
+
+// ── Recorder ─────────────────────────────────────────────────────────────────
+
+// Watches `source` until stop() (returns the trip, or null with fewer than
+// two usable fixes) or cancel(). `onError` only receives fatal errors; a
+// slow fix (TIMEOUT) just keeps waiting.
+export function startTripRecorder({ source, onUpdate, onError }) {
+  const points = [];
+  const startedAt = new Date().toISOString();
+  let watchId = null;
+
+  watchId = source.watchPosition(
+    (position) => {
+      const point = {
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        t: position.timestamp || Date.now(),
+      };
+      if (!acceptPosition(points, point)) return;
+      points.push(point);
+      onUpdate?.({ pointCount: points.length, distanceKm: trackDistanceKm(points) });
+    },
+    (error) => {
+      if (error?.code === 3) return;
+      source.clearWatch(watchId);
+      onError?.(error);
+    },
+    { enableHighAccuracy: true, maximumAge: 0, timeout: 30000 }
+  );
+
+  return {
+    stop() {
+      source.clearWatch(watchId);
+      if (points.length < 2) return null;
+      return summarizeTrip(points, { startedAt, endedAt: new Date().toISOString(), synthetic: Boolean(source.synthetic) });
+    },
+    cancel() {
+      source.clearWatch(watchId);
+    },
+  };
+}
@@ -0,0 +1,21 @@
+import { useEffect, useState } from "react";
+import { dismissInstall, getInstallState, isIosSafari, promptInstall, subscribeInstall } from "@/lib/pwa";
+
+// Install affordance for AppShell. `canInstall` is true when the browser
+// handed us a deferred prompt; `showIosHint` when the user must add the app
+// from Safari's share sheet themselves.
+export function useInstallPrompt() {
+  const [state, setState] = useState(getInstallState);
+
+  useEffect(() => subscribeInstall(() => setState(getInstallState())), []);
+
+  const canInstall = state.canPrompt && !state.installed;
+  const showIosHint = !state.installed && !state.dismissed && isIosSafari();
+
+  return {
+    canInstall,
+    showIosHint,
+    install: promptInstall,
+    dismiss: dismissInstall,
+  };
+}
@@ -0,0 +1,55 @@
+import { useCallback, useEffect, useState } from "react";
+import { useAuth } from "@/contexts/AuthContext";
+import { flushOutbox, listOutbox, subscribeOutbox } from "@/lib/outbox";
+
+// Live view of the signed-in user's offline outbox. Flushes automatically on
+// mount and whenever the browser reports the connection is back.
+export function useOutbox() {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const [entries, setEntries] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [lastResult, setLastResult] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!userId) { setEntries([]); return; }
+    try {
+      setEntries(await listOutbox(userId));
+    } catch (e) {
+      console.warn("[outbox] read failed:", e);
+    }
+  }, [userId]);
+
+  const sync = useCallback(async () => {
+    if (!userId) return null;
+    setSyncing(true);
+    try {
+      const result = await flushOutbox(userId);
+      setLastResult(result);
+      return result;
+    } catch (e) {
+      console.warn("[outbox] sync failed:", e);
+      return null;
+    } finally {
+      setSyncing(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    refresh();
+    const unsubscribe = subscribeOutbox(refresh);
+    return unsubscribe;
+  }, [refresh]);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    sync();
+    window.addEventListener("online", sync);
+    return () => window.removeEventListener("online", sync);
+  }, [userId, sync]);
+
+  const pending = entries.filter((entry) => entry.state === "pending");
+  const conflicts = entries.filter((entry) => entry.state !== "pending");
+
+  return { entries, pending, conflicts, syncing, lastResult, sync, refresh };
+}
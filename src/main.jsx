@@ -5,6 +5,9 @@ import "./index.css";
 import { AuthProvider } from "./contexts/AuthContext.jsx";
 import { ThemeProvider } from "./components/theme-provider.jsx";
 import { LanguageProvider } from "./components/language-provider.jsx";
+import { registerServiceWorker } from "./lib/pwa.js";
+
+registerServiceWorker();
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
@@ -11,8 +11,24 @@ import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Badge } from "@/components/ui/badge";
-import { statusBadgeVariant } from "@/lib/status";
+import { Select } from "@/components/ui/select";
+import { isEditableStatus, statusBadgeVariant } from "@/lib/status";
 import { useT } from "@/lib/use-t";
+import { enqueueJob, getOutboxEntry, isNetworkError, listOutbox, removeOutboxEntry } from "@/lib/outbox";
+import { fetchLatestRejection } from "@/lib/job-events";
+import { markJobNotificationsRead } from "@/lib/notifications";
+import { chainRouteStops, fetchRouteJobs, newRouteStop, pickRouteStopSite, validateRoute } from "@/lib/routes";
+import DayRouteStops from "@/components/DayRouteStops";
+import TripRecorder from "@/components/TripRecorder";
+import SiteSelect from "@/components/SiteSelect";
+import { fetchSiteIdForOt, fetchSitesCached, siteDistanceKm } from "@/lib/sites";
+import { fetchReturnDefaults, fetchStorageLocations } from "@/lib/storage-locations";
+import { LOW_CONFIDENCE, getOcrTemplate } from "@/lib/ocr-templates";
+import { recognizeImage } from "@/lib/ocr";
+import { compareAuthorization, parseOvertimeSms } from "@/lib/overtime-sms";
+import { compressImage, fetchAttachments, uploadAttachment } from "@/lib/attachments";
+import OcrReviewDialog from "@/components/OcrReviewDialog";
+import JobAttachments from "@/components/JobAttachments";
 import {
   Dialog,
   DialogContent,
@@ -23,41 +39,6 @@ import {
 
 dayjs.locale("en");
 
-function parseExtractedText(text) {
-  const out = {};
-
-  const ot = text.match(/OT[\s\-_:]*(\d{4,8})/i);
-  if (ot) out.ot = ot[1];
-
-  const dates = [...text.matchAll(/(\d{2})\/(\d{2})\/(\d{4})/g)];
-  if (dates.length) {
-    const [, dd, mm, yyyy] = dates[0];
-    out.job_date = `${yyyy}-${mm}-${dd}`;
-  }
-
-  const labelTime = (labelRegex) => {
-    const m = text.match(labelRegex);
-    if (!m) return null;
-    const tail = text.slice(m.index, m.index + 200);
-    const t = tail.match(/\b([01]?\d|2[0-3])[:hH]([0-5]\d)\b/);
-    return t ? `${String(t[1]).padStart(2, "0")}:${t[2]}` : null;
-  };
-
-  const depart = labelTime(/Heure\s+de\s+d[eé]but/i);
-  if (depart) out.depart = depart;
-
-  const fin = labelTime(/Heure\s+de\s+fin/i);
-  if (fin) out.fin = fin;
-
-  const arrivee = labelTime(/Heure\s+d['’]?\s*arriv[eé]e/i);
-  if (arrivee) out.arrivee = arrivee;
-
-  const km = text.match(/Distance\s+parcourue[^0-9]*?(\d+(?:[.,]\d+)?)/i);
-  if (km) out.km_aller = Math.round(parseFloat(km[1].replace(",", ".")));
-
-  return out;
-}
-
 function fmtTimeHHmm(t) {
   if (!t) return "";
   return String(t).slice(0, 5);
@@ -84,10 +65,6 @@ function normalizeNumber(value) {
   return Number.isFinite(n) ? n : null;
 }
 
-function isEditableStatus(s) {
-  return s === "saved" || s === "updated";
-}
-
 const RETURN_TIME_OPTIONS = Array.from({ length: 16 }, (_, index) => (index + 1) * 15);
 
 function formatReturnMinutes(minutes) {
@@ -98,12 +75,36 @@ function formatReturnMinutes(minutes) {
   return `${hours} h ${remainder}`;
 }
 
-function validateOvertimeSmsText(text) {
-  const normalized = String(text || "").toLocaleLowerCase("fr-CA");
-  const mentionsOvertime = /temps\s+suppl[eé]mentaire|\bts\b/.test(normalized);
-  const confirmsApproval = /approuv[eé]e?|autoris[eé]e?|accord[eé]e?/.test(normalized);
-  const includesDuration = /\b\d+(?:[.,]\d+)?\s*(?:h(?:eure)?s?|min(?:ute)?s?)\b/.test(normalized);
-  return mentionsOvertime && confirmsApproval && includesDuration;
+// Sums worked minutes (plus return time when it counts toward overtime) for a
+// list of jobs on the same day.
+function dailyWorkedMinutes(jobs, jobDate, includeReturnTime) {
+  return jobs.reduce((total, job) => {
+    const start = makeDayjsFromJob(jobDate, job.depart);
+    const end = makeDayjsFromJob(jobDate, job.fin);
+    return total + Math.round((hoursBetween(start, end) || 0) * 60) + (includeReturnTime ? (Number(job.return_time_minutes) || 0) : 0);
+  }, 0);
+}
+
+// Last profile overtime settings seen online, for the offline evidence check.
+const OVERTIME_SETTINGS_KEY = "overtime_settings";
+
+function readCachedOvertimeSettings(userId) {
+  try {
+    return JSON.parse(localStorage.getItem(`${OVERTIME_SETTINGS_KEY}:${userId}`) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+// Overtime minutes for a day under the cached rule set. Offline we only know
+// this device's jobs, so the weekly threshold is left to the server.
+function cachedOvertimeMinutes(settings, jobDate, dailyMinutes) {
+  const weekday = dayjs(jobDate).day();
+  const multiplier = weekday === 6 ? settings.saturday_multiplier : weekday === 0 ? settings.sunday_multiplier : 1;
+  if (Number(multiplier) > 1) return dailyMinutes;
+  const threshold = settings.daily_regular_minutes === undefined ? 480 : settings.daily_regular_minutes;
+  if (threshold === null) return 0;
+  return Math.max(dailyMinutes - Number(threshold), 0);
 }
 
 function withTimeout(promise, ms, label) {
@@ -145,12 +146,42 @@ export default function EmployeeForm() {
   const [arrivee, setArrivee] = useState("");
   const [fin, setFin] = useState("");
   const [km_aller, setKmAller] = useState("");
+  // GPS tracks of the outbound leg and of the return to storage (trip.js).
+  const [allerTrack, setAllerTrack] = useState(null);
+  const [retourTrack, setRetourTrack] = useState(null);
+  // Site the OT was done at (0022_clients_sites.sql) and the registry to
+  // pick it from.
+  const [siteId, setSiteId] = useState("");
+  const [sites, setSites] = useState([]);
+  // Storage shops (0023_storage_locations.sql): the employee's home shop,
+  // the shop this job's return leg ends at, and the return suggestion.
+  const [storageLocations, setStorageLocations] = useState([]);
+  const [homeShopId, setHomeShopId] = useState("");
+  const [returnShopId, setReturnShopId] = useState("");
+  const [returnDefaults, setReturnDefaults] = useState(null);
+
+  // Day route mode: `depart` is when the employee left the storage shop and
+  // every stop is saved as its own job (see lib/routes.js).
+  const [routeMode, setRouteMode] = useState(false);
+  const [routeId, setRouteId] = useState(null);
+  const [routeStops, setRouteStops] = useState([]);
+  // Stops removed from a loaded route; the persisted ones are deleted on save.
+  const [removedStops, setRemovedStops] = useState([]);
 
   // dirty = the form has unsaved changes. Reset on load/save, set on edit.
   const [dirty, setDirty] = useState(false);
 
   const [locked, setLocked] = useState(false);
   const [extracting, setExtracting] = useState(false);
+  // Auto-filled fields the OCR parser was unsure of, highlighted until the
+  // employee edits them: { field: confidence }.
+  const [ocrFlags, setOcrFlags] = useState({});
+  // Auto-fill waiting for the employee's review (OcrReviewDialog).
+  const [ocrReview, setOcrReview] = useState(null);
+  // Work-order photo kept from the review, attached after the next online
+  // save, and the job's attachments (0025_job_attachments.sql).
+  const [pendingPhoto, setPendingPhoto] = useState(null);
+  const [attachments, setAttachments] = useState([]);
   const imageInputRef = useRef(null);
   const overtimeInputRef = useRef(null);
   const [showAutofillTip, setShowAutofillTip] = useState(false);
@@ -163,14 +194,23 @@ export default function EmployeeForm() {
   const [returnSaveError, setReturnSaveError] = useState("");
   const [returnCheckBusy, setReturnCheckBusy] = useState(false);
   const [overtimeDailyMinutes, setOvertimeDailyMinutes] = useState(0);
+  const [overtimeMinutes, setOvertimeMinutes] = useState(0);
+  // Gaps between the SMS authorization and the day, shown once it is saved.
+  const [evidenceWarnings, setEvidenceWarnings] = useState([]);
   const [hasOvertimeEvidence, setHasOvertimeEvidence] = useState(false);
   const [pendingSaveMode, setPendingSaveMode] = useState("draft");
+  // Outbox entry when the job being edited has not reached the server yet.
+  const [queuedEntry, setQueuedEntry] = useState(null);
 
   const [status, setStatus] = useState("");
+  // Manager comment when the job was sent back (status "rejected").
+  const [rejection, setRejection] = useState(null);
   const statusLabel = editId ? (status || "saved") : "new";
 
   const departDj = useMemo(() => makeDayjsFromJob(job_date, depart), [job_date, depart]);
-  const finDj = useMemo(() => makeDayjsFromJob(job_date, fin), [job_date, fin]);
+  // A route runs from the storage departure to the end of its last stop.
+  const endTime = routeMode ? routeStops[routeStops.length - 1]?.fin : fin;
+  const finDj = useMemo(() => makeDayjsFromJob(job_date, endTime), [job_date, endTime]);
   const hoursDecimal = useMemo(() => hoursBetween(departDj, finDj) || 0, [departDj, finDj]);
   const hoursLabel = useMemo(
     () => toHHmmLabelFromFormatHours(formatHours(hoursDecimal)),
@@ -185,8 +225,15 @@ export default function EmployeeForm() {
     setLoadingEdit(true);
 
     try {
-      const { data, error } = await supabase.from("jobs").select("*").eq("id", editId).single();
-      if (error) throw error;
+      // A job saved offline only exists in the outbox until it syncs.
+      const queued = await getOutboxEntry(editId).catch(() => null);
+      setQueuedEntry(queued);
+      let data = queued?.payload || null;
+      if (!data) {
+        const { data: row, error } = await supabase.from("jobs").select("*").eq("id", editId).single();
+        if (error) throw error;
+        data = row;
+      }
       if (!data) throw new Error(t("form.errors.notFound"));
       if (data.user_id !== user.id) throw new Error(t("form.errors.notAuthorized"));
 
@@ -195,15 +242,58 @@ export default function EmployeeForm() {
       setDepart(fmtTimeHHmm(data.depart) || "");
       setArrivee(fmtTimeHHmm(data.arrivee) || "");
       setFin(fmtTimeHHmm(data.fin) || "");
+      setSiteId(data.site_id || "");
+      setReturnShopId(data.storage_location_id || "");
+      loadAttachments(data.id);
       setHasOvertimeEvidence(Boolean(data.overtime_evidence_captured));
+      setRemovedStops([]);
+
+      // A stop of a day route opens the whole route.
+      let routeLocked = false;
+      if (data.route_id) {
+        const stops = await loadRouteStops(data.route_id);
+        setRouteMode(true);
+        setRouteId(data.route_id);
+        setDepart(fmtTimeHHmm(stops[0]?.depart) || "");
+        setRouteStops(stops.map((stop) => newRouteStop({
+          id: stop.id,
+          ot: stop.ot || "",
+          arrivee: fmtTimeHHmm(stop.arrivee) || "",
+          fin: fmtTimeHHmm(stop.fin) || "",
+          km_aller: stop.km_aller === null || stop.km_aller === undefined ? "" : String(stop.km_aller),
+          km_aller_track: stop.km_aller_track || null,
+          site_id: stop.site_id || "",
+          status: stop.status,
+          persisted: stop.persisted,
+          queued: stop.queued,
+        })));
+        setHasOvertimeEvidence(stops.some((stop) => stop.overtime_evidence_captured));
+        setRetourTrack(stops[stops.length - 1]?.km_retour_track || null);
+        setReturnShopId(stops[stops.length - 1]?.storage_location_id || "");
+        routeLocked = stops.some((stop) => !stop.queued && (stop.locked || !isEditableStatus((stop.status || "saved").trim())));
+      } else {
+        setRouteMode(false);
+        setRouteId(null);
+        setRouteStops([]);
+        setRetourTrack(data.km_retour_track || null);
+      }
 
       const aller = data.km_aller ?? "";
       setKmAller(aller === null || aller === undefined ? "" : String(aller));
+      setAllerTrack(data.km_aller_track || null);
 
       const s = (data.status || "saved").trim();
       setStatus(s);
+      setRejection(null);
+      if (!queued) markJobNotificationsRead(user.id, editId).catch(() => {});
+      if (s === "rejected" && !queued) {
+        fetchLatestRejection(editId).then(setRejection).catch(() => {});
+      }
 
-      const shouldLock = Boolean(data.locked) || !isEditableStatus(s);
+      // A queued job the server rejected (e.g. duplicate OT) must stay
+      // editable so the employee can fix it, even if it was submitted.
+      const needsFix = Boolean(queued) && queued.state !== "pending";
+      const shouldLock = (Boolean(data.locked) || !isEditableStatus(s) || routeLocked) && !needsFix;
       setLocked(shouldLock);
       setDirty(false);
     } catch (e) {
@@ -213,53 +303,216 @@ export default function EmployeeForm() {
     }
   }
 
+  // Server rows of the route overlaid with anything still in the outbox. A
+  // route created offline is entirely in the outbox and needs no fetch.
+  async function loadRouteStops(id) {
+    const queued = (await listOutbox(user.id).catch(() => []))
+      .filter((entry) => entry.payload?.route_id === id);
+    const createdOffline = queued.length > 0 && queued.every((entry) => entry.op === "insert");
+    const rows = createdOffline && !navigator.onLine ? [] : await fetchRouteJobs(id);
+    const byId = new Map(rows.map((row) => [row.id, { ...row, persisted: true, queued: false }]));
+    queued.forEach((entry) => {
+      const current = byId.get(entry.id);
+      byId.set(entry.id, { ...current, ...entry.payload, persisted: Boolean(current) || entry.op === "update", queued: true });
+    });
+    return [...byId.values()].sort((a, b) => a.route_seq - b.route_seq);
+  }
+
+  // "New job" — reset form to empty defaults so previous job's data doesn't
+  // bleed into the next entry.
+  function resetForm() {
+    setJobDate(dayjs().format("YYYY-MM-DD"));
+    setOt("");
+    setDepart("");
+    setArrivee("");
+    setFin("");
+    setKmAller("");
+    setAllerTrack(null);
+    setRetourTrack(null);
+    setSiteId("");
+    setReturnShopId("");
+    setOcrFlags({});
+    setPendingPhoto(null);
+    setAttachments([]);
+    setStatus("");
+    setLocked(false);
+    setErr("");
+    setInfo("");
+    setDirty(false);
+    setHasOvertimeEvidence(false);
+    setQueuedEntry(null);
+    setRouteMode(false);
+    setRouteId(null);
+    setRouteStops([]);
+    setRemovedStops([]);
+  }
+
+  useEffect(() => {
+    if (!user?.id) return;
+    fetchSitesCached().then(setSites).catch(() => setSites([]));
+    fetchStorageLocations().then(setStorageLocations).catch(() => setStorageLocations([]));
+    supabase.from("profiles").select("storage_location_id").eq("id", user.id).single()
+      .then(({ data }) => setHomeShopId(data?.storage_location_id || ""));
+  }, [user?.id]);
+
   useEffect(() => {
     if (editId) {
       loadEdit();
     } else {
-      // "New job" — reset form to empty defaults so previous job's data
-      // doesn't bleed into the next entry.
-      setJobDate(dayjs().format("YYYY-MM-DD"));
-      setOt("");
-      setDepart("");
-      setArrivee("");
-      setFin("");
-      setKmAller("");
-      setStatus("");
-      setLocked(false);
-      setErr("");
-      setInfo("");
-      setDirty(false);
-      setHasOvertimeEvidence(false);
+      resetForm();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [editId, user?.id]);
 
-  async function saveDraft() {
-    setPendingSaveMode("draft");
+  function switchToRoute() {
+    setRouteStops([newRouteStop({ ot, arrivee, fin, km_aller, km_aller_track: allerTrack, site_id: siteId })]);
+    setRouteMode(true);
+    setRouteId(null);
+    setRemovedStops([]);
+    setErr("");
+  }
+
+  function switchToSingle() {
+    const first = routeStops[0];
+    if (first) {
+      setOt(first.ot);
+      setArrivee(first.arrivee);
+      setFin(first.fin);
+      setKmAller(first.km_aller);
+      setAllerTrack(first.km_aller_track || null);
+      setSiteId(first.site_id || "");
+    }
+    setRouteMode(false);
+    setRouteStops([]);
+    setErr("");
+  }
+
+  function removeStop(index) {
+    const stop = routeStops[index];
+    if (stop.persisted || stop.queued) setRemovedStops((current) => [...current, stop]);
+    setRouteStops((current) => current.filter((_, i) => i !== index));
+    setDirty(true);
+  }
+
+  // Runs before the return dialog, so a route with missing or out-of-order
+  // times is caught before anything is asked.
+  function routeIsValid() {
+    if (!routeMode) return true;
+    const problem = validateRoute(depart, routeStops);
+    if (problem) setErr(t(problem));
+    return !problem;
+  }
+
+  const lastSiteId = routeMode ? routeStops[routeStops.length - 1]?.site_id : siteId;
+
+  // Return km shown in the dialog: the GPS return trip when one was
+  // recorded, else earlier returns from the same site to the same shop,
+  // else the site's registered distance.
+  function suggestedReturnKm(defaults = returnDefaults) {
+    if (retourTrack) return String(retourTrack.distance_km);
+    const km = defaults?.km ?? siteDistanceKm(sites.find((site) => site.id === lastSiteId));
+    return km === null || km === undefined ? "" : String(km);
+  }
+
+  // Loaded while the employee answers the first question; offline there is
+  // simply no suggestion beyond the site distance.
+  function loadReturnDefaults(shopId, { refreshKm = false } = {}) {
+    setReturnDefaults(null);
+    fetchReturnDefaults(lastSiteId, shopId)
+      .then((defaults) => {
+        setReturnDefaults(defaults);
+        if (refreshKm) setReturnKm(suggestedReturnKm(defaults));
+      })
+      .catch(() => {});
+  }
+
+  function openReturnDialog(mode) {
+    const shopId = returnShopId || homeShopId || "";
+    setPendingSaveMode(mode);
     setReturnMinutes(null);
     setReturnKm("");
+    setReturnShopId(shopId);
+    loadReturnDefaults(shopId);
     setReturnStep("ask");
   }
 
+  // Picking a site fills an empty km with its distance from the storage
+  // shop; a typed or recorded value is left alone.
+  function pickSite(id, site) {
+    setSiteId(id);
+    const km = siteDistanceKm(site);
+    if (km !== null && !allerTrack && (normalizeNumber(km_aller) ?? 0) === 0) setKmAller(String(km));
+    setDirty(true);
+  }
+
+  // A known OT fills an empty site picker (0035_ot_sites.sql). Offline or
+  // for a new OT there is simply no suggestion.
+  function suggestSiteForOt(value, apply) {
+    fetchSiteIdForOt(value)
+      .then((id) => {
+        const site = sites.find((s) => s.id === id);
+        if (site) apply(id, site);
+      })
+      .catch(() => {});
+  }
+
+  function suggestStopSite(stop) {
+    if (stop.site_id) return;
+    suggestSiteForOt(stop.ot, (id, site) => {
+      setRouteStops((current) => {
+        const index = current.findIndex((s) => s.id === stop.id);
+        return index < 0 || current[index].site_id ? current : pickRouteStopSite(current, index, id, site);
+      });
+      setDirty(true);
+    });
+  }
+
+  async function saveDraft() {
+    if (!routeIsValid()) return;
+    openReturnDialog("draft");
+  }
+
   async function submitJob() {
-    setPendingSaveMode("submit");
-    setReturnMinutes(null);
-    setReturnKm("");
-    setReturnStep("ask");
+    if (!routeIsValid()) return;
+    openReturnDialog("submit");
+  }
+
+  // Writes the job to the offline outbox. The id is kept so the row created
+  // on sync is the same one the employee may already be editing.
+  async function queueJob(payload, id, evidence) {
+    await enqueueJob({
+      id,
+      userId: user.id,
+      op: editId && !queuedEntry ? "update" : "insert",
+      payload,
+      evidence,
+    });
+    setQueuedEntry(await getOutboxEntry(id));
+    setInfo(t("form.toasts.savedOffline"));
+    setStatus(payload.status);
+    setLocked(payload.locked);
+    setDirty(false);
+    return { id, queued: true };
   }
 
-  async function saveJob(mode, returnValues = null, forcedId = null, captureEvidence = false) {
+  // Returns { id, queued } on success, false on failure. `evidence` is the
+  // overtime screenshot to queue alongside the job if the save ends up in
+  // the outbox; `forceQueue` skips the network attempt entirely.
+  async function saveJob(mode, returnValues = null, forcedId = null, captureEvidence = false, evidence = null, forceQueue = false) {
     if (!user?.id) {
       setErr(t("form.errors.notSignedIn"));
       return;
     }
     if (saving) return;
+    if (routeMode) return saveRoute(mode, returnValues, captureEvidence, evidence, forceQueue);
 
     setErr("");
     setInfo("");
     setSaving(true);
 
+    const jobId = editId || forcedId || crypto.randomUUID();
+    let payload = null;
+
     try {
       const kmAllerNum = normalizeNumber(km_aller) ?? 0;
 
@@ -278,7 +531,7 @@ export default function EmployeeForm() {
 
       const nextLocked = nextStatus === "submitted";
 
-      const payload = {
+      payload = {
         user_id: user.id,
         job_date,
         ot,
@@ -286,15 +539,25 @@ export default function EmployeeForm() {
         arrivee,
         fin,
         km_aller: kmAllerNum,
+        km_aller_track: allerTrack,
+        site_id: siteId || null,
         status: nextStatus,
         locked: nextLocked,
         ...(returnValues ? {
           return_time_minutes: returnValues.minutes,
           km_retour: returnValues.km,
+          km_retour_track: returnValues.track,
+          storage_location_id: returnValues.storageLocationId,
         } : {}),
         ...(captureEvidence ? { overtime_evidence_captured: true } : {}),
       };
 
+      if (forceQueue || queuedEntry || !navigator.onLine) {
+        const queued = await queueJob(payload, jobId, evidence);
+        if (!editId && !returnValues) navigate(`/form?edit=${jobId}`, { replace: true });
+        return queued;
+      }
+
       if (editId) {
         const { error } = await withTimeout(
           supabase.from("jobs").update(payload).eq("id", editId),
@@ -309,7 +572,7 @@ export default function EmployeeForm() {
         setDirty(false);
       } else {
         const { data, error } = await withTimeout(
-          supabase.from("jobs").insert(forcedId ? { ...payload, id: forcedId } : payload).select("id").single(),
+          supabase.from("jobs").insert({ ...payload, id: jobId }).select("id").single(),
           15000,
           "Save"
         );
@@ -323,8 +586,21 @@ export default function EmployeeForm() {
 
         if (!returnValues) navigate(`/form?edit=${data.id}`, { replace: true });
       }
-      return editId || forcedId || true;
+      if (pendingPhoto) attachPendingPhoto(jobId);
+      return { id: jobId, queued: false };
     } catch (e) {
+      // No signal or the request hung: keep the job on the device instead of
+      // losing it. The client-side id makes the later replay idempotent.
+      if (payload && isNetworkError(e)) {
+        try {
+          const queued = await queueJob(payload, jobId, evidence);
+          if (!editId && !returnValues) navigate(`/form?edit=${jobId}`, { replace: true });
+          return queued;
+        } catch (queueError) {
+          console.warn("Offline outbox unavailable:", queueError);
+        }
+      }
+
       // Postgres unique_violation = "23505". Map it to a friendly message
       // since the raw "duplicate key value violates unique constraint…" is
       // useless to an employee.
@@ -341,10 +617,126 @@ export default function EmployeeForm() {
     }
   }
 
+  // Saves every stop of the day route as its own job: travel legs chained
+  // from the storage departure, the return leg on the last stop only. Same
+  // result shape and offline fallback as saveJob.
+  async function saveRoute(mode, returnValues, captureEvidence, evidence, forceQueue) {
+    setErr("");
+    setInfo("");
+    setSaving(true);
+
+    const id = routeId || crypto.randomUUID();
+    const stops = chainRouteStops(depart, routeStops);
+    const lastIndex = stops.length - 1;
+    const nextLocked = mode === "submit";
+    const payloads = stops.map((stop, index) => ({
+      id: stop.id,
+      user_id: user.id,
+      job_date,
+      ot: stop.ot,
+      depart: stop.depart,
+      arrivee: stop.arrivee,
+      fin: stop.fin,
+      km_aller: normalizeNumber(stop.km_aller) ?? 0,
+      km_aller_track: stop.km_aller_track || null,
+      site_id: stop.site_id || null,
+      status: mode === "submit" ? "submitted" : stop.persisted ? "updated" : "saved",
+      locked: nextLocked,
+      route_id: id,
+      route_seq: index + 1,
+      return_time_minutes: index === lastIndex ? returnValues?.minutes ?? 0 : 0,
+      km_retour: index === lastIndex ? returnValues?.km ?? 0 : 0,
+      km_retour_track: index === lastIndex ? returnValues?.track ?? null : null,
+      storage_location_id: index === lastIndex ? returnValues?.storageLocationId ?? null : null,
+      ...(captureEvidence && index === lastIndex ? { overtime_evidence_captured: true } : {}),
+    }));
+    const lastId = payloads[lastIndex].id;
+
+    // The outbox replays inserts and updates only, so stops already on the
+    // server can only be removed online.
+    async function queueRoute() {
+      if (removedStops.some((stop) => stop.persisted)) throw new Error(t("route.errors.removeOffline"));
+      await Promise.all(removedStops.map((stop) => removeOutboxEntry(stop.id)));
+      for (const [index, payload] of payloads.entries()) {
+        await enqueueJob({
+          id: payload.id,
+          userId: user.id,
+          op: stops[index].persisted ? "update" : "insert",
+          payload,
+          evidence: index === lastIndex ? evidence : null,
+        });
+      }
+      setInfo(t("form.toasts.savedOffline"));
+      return { id: lastId, queued: true };
+    }
+
+    function finish() {
+      setRouteId(id);
+      setStatus(mode === "submit" ? "submitted" : editId ? "updated" : "saved");
+      setLocked(nextLocked);
+      setDirty(false);
+    }
+
+    try {
+      if (forceQueue || routeStops.some((stop) => stop.queued) || !navigator.onLine) {
+        const queued = await queueRoute();
+        finish();
+        return queued;
+      }
+
+      const { error } = await withTimeout(
+        supabase.from("jobs").upsert(payloads, { onConflict: "id" }),
+        15000,
+        "Save"
+      );
+      if (error) throw error;
+      // Removed stops go only once the others are saved: a failed upsert
+      // must not leave the route short of its stops (and its return leg on
+      // the wrong one). A failed delete is retried by the next save.
+      const removedIds = removedStops.filter((stop) => stop.persisted).map((stop) => stop.id);
+      if (removedIds.length) {
+        const { error: deleteError } = await withTimeout(supabase.from("jobs").delete().in("id", removedIds), 15000, "Save");
+        if (deleteError) throw deleteError;
+      }
+      await Promise.all(removedStops.filter((stop) => stop.queued).map((stop) => removeOutboxEntry(stop.id)));
+
+      setInfo(mode === "submit" ? t("route.toasts.submitted") : t("route.toasts.saved"));
+      finish();
+      return { id: lastId, queued: false };
+    } catch (e) {
+      if (isNetworkError(e)) {
+        try {
+          const queued = await queueRoute();
+          finish();
+          return queued;
+        } catch (queueError) {
+          console.warn("Offline outbox unavailable:", queueError);
+        }
+      }
+      const code = e?.code || e?.cause?.code;
+      const msg = String(e?.message || "");
+      if (code === "23505" || /duplicate key|unique constraint/i.test(msg)) {
+        const duplicate = String(e?.details || "").match(/\(ot\)=\(([^)]*)\)/)?.[1];
+        setErr(t("form.errors.duplicateOt", { ot: duplicate || routeStops.map((stop) => stop.ot).join(", ") }));
+      } else {
+        setErr(e?.message || t("form.errors.saveFailed"));
+      }
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }
+
   async function saveWithReturn(minutes, km) {
     setReturnSaveError("");
     setReturnCheckBusy(true);
-    const returnValues = { minutes, km };
+    // "No return" drops a recorded return trip and the shop along with the km.
+    const returnValues = {
+      minutes,
+      km,
+      track: km > 0 ? retourTrack : null,
+      storageLocationId: minutes > 0 || km > 0 ? returnShopId || null : null,
+    };
     const needsEvidence = await requiresOvertimeEvidence(minutes);
     setReturnCheckBusy(false);
     if (needsEvidence) {
@@ -362,44 +754,68 @@ export default function EmployeeForm() {
     if (editId) {
       navigate("/form", { replace: true });
     } else {
-      setJobDate(dayjs().format("YYYY-MM-DD"));
-      setOt("");
-      setDepart("");
-      setArrivee("");
-      setFin("");
-      setKmAller("");
-      setStatus("");
-      setLocked(false);
-      setDirty(false);
-      setInfo("");
+      resetForm();
     }
   }
 
+  // Offline fallback: the last known profile settings and overtime rule, and
+  // the jobs queued on this device for the same day. Jobs already on the
+  // server are not visible here, so the manager still sees the real daily
+  // total on sync.
+  async function requiresOvertimeEvidenceOffline(candidateReturnMinutes) {
+    const settings = readCachedOvertimeSettings(user.id);
+    if (settings.overtime_evidence_required === false) return false;
+    if (editId && hasOvertimeEvidence) return false;
+    const includeReturnTime = settings.include_return_time_in_overtime !== false;
+    const queuedJobs = (await listOutbox(user.id).catch(() => []))
+      .filter((entry) => entry.id !== editId && entry.payload?.job_date === job_date)
+      .filter((entry) => !routeId || entry.payload?.route_id !== routeId)
+      .map((entry) => entry.payload);
+    const dailyMinutes = dailyWorkedMinutes(queuedJobs, job_date, includeReturnTime)
+      + Math.round(hoursDecimal * 60) + (includeReturnTime ? candidateReturnMinutes : 0);
+    setOvertimeDailyMinutes(dailyMinutes);
+    setOvertimeMinutes(cachedOvertimeMinutes(settings, job_date, dailyMinutes));
+    return cachedOvertimeMinutes(settings, job_date, dailyMinutes) > 0;
+  }
+
+  // The daily and weekly thresholds and weekend multipliers come from the
+  // employee's overtime rule set (overtime_check in 0014_overtime_rules.sql).
   async function requiresOvertimeEvidence(candidateReturnMinutes) {
+    if (!navigator.onLine) return requiresOvertimeEvidenceOffline(candidateReturnMinutes);
     try {
-      const [{ data: profile }, { data: dayJobs, error: jobsError }] = await withTimeout(
-        Promise.all([
-          supabase.from("profiles").select("overtime_evidence_required, include_return_time_in_overtime").eq("id", user.id).single(),
-          supabase.from("jobs").select("id, depart, fin, return_time_minutes").eq("user_id", user.id).eq("job_date", job_date),
-        ]),
+      const { data: profile } = await withTimeout(
+        supabase.from("profiles").select("overtime_evidence_required, include_return_time_in_overtime").eq("id", user.id).single(),
         12000,
         "Overtime check"
       );
-      if (jobsError) throw jobsError;
+      const includeReturnTime = profile?.include_return_time_in_overtime !== false;
+      const { data: checks, error: checkError } = await withTimeout(
+        supabase.rpc("overtime_check", {
+          p_job_date: job_date,
+          p_candidate_minutes: Math.round(hoursDecimal * 60) + (includeReturnTime ? candidateReturnMinutes : 0),
+          p_exclude_job_id: routeMode ? null : editId || null,
+          p_exclude_route_id: routeMode ? routeId : null,
+        }),
+        12000,
+        "Overtime check"
+      );
+      if (checkError) throw checkError;
+      const check = checks?.[0] || null;
+      if (profile) {
+        localStorage.setItem(`${OVERTIME_SETTINGS_KEY}:${user.id}`, JSON.stringify({
+          ...profile,
+          daily_regular_minutes: check ? check.daily_regular_minutes : 480,
+          saturday_multiplier: Number(check?.saturday_multiplier ?? 1),
+          sunday_multiplier: Number(check?.sunday_multiplier ?? 1),
+        }));
+      }
       if (profile?.overtime_evidence_required === false) return false;
       if (editId && hasOvertimeEvidence) return false;
-      const includeReturnTime = profile?.include_return_time_in_overtime !== false;
-      const existingMinutes = (dayJobs || [])
-        .filter((job) => job.id !== editId)
-        .reduce((total, job) => {
-          const start = makeDayjsFromJob(job_date, job.depart);
-          const end = makeDayjsFromJob(job_date, job.fin);
-          return total + Math.round((hoursBetween(start, end) || 0) * 60) + (includeReturnTime ? (Number(job.return_time_minutes) || 0) : 0);
-        }, 0);
-      const dailyMinutes = existingMinutes + Math.round(hoursDecimal * 60) + (includeReturnTime ? candidateReturnMinutes : 0);
-      setOvertimeDailyMinutes(dailyMinutes);
-      return dailyMinutes > 480;
+      setOvertimeDailyMinutes(Number(check?.daily_minutes) || 0);
+      setOvertimeMinutes(Number(check?.overtime_minutes) || 0);
+      return Number(check?.overtime_minutes) > 0;
     } catch (error) {
+      if (isNetworkError(error)) return requiresOvertimeEvidenceOffline(candidateReturnMinutes);
       setErr(error?.message || t("form.errors.failedLoad"));
       return true;
     }
@@ -412,33 +828,88 @@ export default function EmployeeForm() {
     setEvidenceBusy(true);
     setErr("");
     setEvidenceValidationError("");
+    setEvidenceWarnings([]);
 
-    const jobId = editId || crypto.randomUUID();
+    // On a route the evidence belongs to the last stop, whose return leg
+    // closes the day.
+    const jobId = routeMode ? routeStops[routeStops.length - 1].id : editId || crypto.randomUUID();
     const evidenceId = crypto.randomUUID();
     const storagePath = `${user.id}/${job_date}/${evidenceId}.jpg`;
     let ocrText = "";
     let ocrStatus = "processed";
+    let ocrProvider = null;
+    let ocrConfidence = null;
+    // What the SMS authorizes and how the day compares (0028).
+    let authorization = { overtime_minutes: overtimeMinutes };
 
     try {
-      try {
-        ocrText = await ocrSpaceExtract(file);
-        if (!validateOvertimeSmsText(ocrText)) {
-          setEvidenceValidationError(t("form.evidence.invalid"));
-          return;
-        }
-      } catch (ocrError) {
-        console.warn("Overtime evidence OCR needs review:", ocrError);
+      let offline = !navigator.onLine;
+      if (offline) {
+        // OCR needs the network; the manager reviews the screenshot instead.
         ocrStatus = "needs_review";
+      } else {
+        try {
+          const ocr = await recognizeImage(file, { purpose: "overtime_sms" });
+          ocrText = ocr.text;
+          ocrProvider = ocr.provider;
+          ocrConfidence = ocr.confidence;
+          const sms = parseOvertimeSms(ocrText, { referenceDate: job_date });
+          if (!sms.valid) {
+            setEvidenceValidationError(t("form.evidence.invalid"));
+            return;
+          }
+          authorization = {
+            ...authorization,
+            authorized_by: sms.authorizer,
+            authorized_date: sms.date,
+            authorized_minutes: sms.durationMinutes,
+            authorized_until: sms.until,
+            authorized_ot: sms.ot,
+            authorization_warnings: compareAuthorization(sms, {
+              jobDate: job_date,
+              ot: routeMode ? routeStops[routeStops.length - 1].ot : ot,
+              overtimeMinutes,
+              endTime,
+            }),
+          };
+        } catch (ocrError) {
+          console.warn("Overtime evidence OCR needs review:", ocrError);
+          ocrStatus = "needs_review";
+        }
       }
 
       const image = await compressImage(file);
-      const { error: uploadError } = await supabase.storage
-        .from("overtime-evidence")
-        .upload(storagePath, image, { contentType: "image/jpeg", upsert: false });
-      if (uploadError) throw uploadError;
+      if (!offline) {
+        const { error: uploadError } = await supabase.storage
+          .from("overtime-evidence")
+          .upload(storagePath, image, { contentType: "image/jpeg", upsert: false });
+        if (uploadError && !isNetworkError(uploadError)) throw uploadError;
+        offline = Boolean(uploadError);
+      }
 
-      const savedJobId = await saveJob(pendingSaveMode, pendingReturn, jobId, true);
-      if (!savedJobId) throw new Error(t("form.errors.saveFailed"));
+      const evidence = {
+        id: evidenceId,
+        storage_path: storagePath,
+        image,
+        ocr_text: ocrText || null,
+        ocr_status: ocrStatus,
+        ocr_provider: ocrProvider,
+        ocr_confidence: ocrConfidence,
+        daily_minutes: overtimeDailyMinutes,
+        ...authorization,
+      };
+      const saved = await saveJob(pendingSaveMode, pendingReturn, jobId, true, evidence, offline);
+      if (!saved) throw new Error(t("form.errors.saveFailed"));
+      if (saved.queued) {
+        // The outbox uploads the screenshot and notifies managers on sync.
+        setPendingReturn(null);
+        setHasOvertimeEvidence(false);
+        setEvidenceWarnings(authorization.authorization_warnings || []);
+        setReturnStep("success");
+        if (editId) navigate("/form", { replace: true });
+        else resetForm();
+        return;
+      }
 
       const { data: profile } = await supabase
         .from("profiles")
@@ -450,7 +921,7 @@ export default function EmployeeForm() {
       const expiresAt = dayjs().add(retentionDays, "day").toISOString();
       const { error: evidenceError } = await supabase
         .from("overtime_evidence")
-        .insert({ id: evidenceId, job_id: jobId, user_id: user.id, job_date, storage_path: storagePath, ocr_text: ocrText || null, ocr_status: ocrStatus, daily_minutes: dailyMinutes, expires_at: expiresAt });
+        .insert({ id: evidenceId, job_id: jobId, user_id: user.id, job_date, storage_path: storagePath, ocr_text: ocrText || null, ocr_status: ocrStatus, ocr_provider: ocrProvider, ocr_confidence: ocrConfidence, daily_minutes: dailyMinutes, expires_at: expiresAt, ...authorization });
       if (evidenceError) throw evidenceError;
 
       const { error: notificationError } = await supabase.from("manager_notifications").insert({
@@ -462,8 +933,10 @@ export default function EmployeeForm() {
       if (notificationError) throw notificationError;
       setPendingReturn(null);
       setHasOvertimeEvidence(false);
+      setEvidenceWarnings(authorization.authorization_warnings || []);
       setReturnStep("success");
-      navigate("/form", { replace: true });
+      if (editId) navigate("/form", { replace: true });
+      else resetForm();
     } catch (error) {
       setErr(error?.message || t("form.evidence.failed"));
       setReturnStep("evidence");
@@ -472,57 +945,6 @@ export default function EmployeeForm() {
     }
   }
 
-  async function compressImage(file, maxEdge = 1600, quality = 0.7) {
-    const url = URL.createObjectURL(file);
-    try {
-      const img = await new Promise((resolve, reject) => {
-        const i = new Image();
-        i.onload = () => resolve(i);
-        i.onerror = reject;
-        i.src = url;
-      });
-      const scale = Math.min(1, maxEdge / Math.max(img.width, img.height));
-      const w = Math.round(img.width * scale);
-      const h = Math.round(img.height * scale);
-      const canvas = document.createElement("canvas");
-      canvas.width = w;
-      canvas.height = h;
-      canvas.getContext("2d").drawImage(img, 0, 0, w, h);
-      return await new Promise((resolve) =>
-        canvas.toBlob((b) => resolve(b), "image/jpeg", quality)
-      );
-    } finally {
-      URL.revokeObjectURL(url);
-    }
-  }
-
-  async function ocrSpaceExtract(file) {
-    const apiKey = import.meta.env.VITE_OCR_SPACE_API_KEY || "helloworld";
-    const blob = await compressImage(file);
-    const fd = new FormData();
-    fd.append("file", blob, "job.jpg");
-    fd.append("language", "fre");
-    fd.append("OCREngine", "2");
-    fd.append("scale", "true");
-    fd.append("isTable", "true");
-
-    const res = await fetch("https://api.ocr.space/parse/image", {
-      method: "POST",
-      headers: { apikey: apiKey },
-      body: fd,
-    });
-    if (!res.ok) throw new Error(`ocr.space HTTP ${res.status}`);
-    const json = await res.json();
-    if (json?.IsErroredOnProcessing) {
-      throw new Error(
-        Array.isArray(json.ErrorMessage) ? json.ErrorMessage.join("; ") : String(json.ErrorMessage || "ocr.space error")
-      );
-    }
-    const text = (json?.ParsedResults || []).map((r) => r?.ParsedText || "").join("\n");
-    if (!text.trim()) throw new Error("ocr.space returned no text");
-    return text;
-  }
-
   async function handleExtractFromImage(e) {
     const file = e.target.files?.[0];
     e.target.value = "";
@@ -533,32 +955,8 @@ export default function EmployeeForm() {
     setExtracting(true);
 
     try {
-      let text = "";
-      let source = "ocr.space";
-      try {
-        text = await ocrSpaceExtract(file);
-      } catch (apiErr) {
-        console.warn("ocr.space failed, falling back to Tesseract:", apiErr);
-        const { default: Tesseract } = await import("tesseract.js");
-        const { data: ocr } = await Tesseract.recognize(file, "fra+eng");
-        text = ocr?.text || "";
-        source = "tesseract";
-      }
-
-      const d = parseExtractedText(text);
-
-      if (d.job_date) setJobDate(String(d.job_date));
-      if (d.ot) setOt(String(d.ot));
-      if (d.depart) setDepart(String(d.depart));
-      if (d.arrivee) setArrivee(String(d.arrivee));
-      if (d.fin) setFin(String(d.fin));
-      if (d.km_aller !== null && d.km_aller !== undefined) {
-        setKmAller(String(d.km_aller));
-      }
-      // Auto-fill populated the form — mark dirty so Save appears
-      setDirty(true);
-
-      setInfo(t("form.toasts.filledFromImage", { source }));
+      const result = await recognizeImage(file, { purpose: "work_order" });
+      setOcrReview({ result, source: result.provider, text: result.text, file, imageUrl: URL.createObjectURL(file) });
     } catch (e) {
       setErr(e?.message || t("form.errors.extractFailed"));
     } finally {
@@ -566,7 +964,67 @@ export default function EmployeeForm() {
     }
   }
 
+  function loadAttachments(jobId) {
+    fetchAttachments([jobId])
+      .then((byJob) => setAttachments(byJob.get(jobId) || []))
+      .catch(() => setAttachments([]));
+  }
+
+  // After the job row exists. A failed upload keeps the photo pending for
+  // the next save.
+  async function attachPendingPhoto(jobId) {
+    const file = pendingPhoto;
+    try {
+      await uploadAttachment({ job: { id: jobId, user_id: user.id }, file, kind: "work_order" });
+      setPendingPhoto((current) => (current === file ? null : current));
+      loadAttachments(jobId);
+    } catch (uploadError) {
+      console.warn("Work-order photo upload failed:", uploadError);
+    }
+  }
+
+  function closeOcrReview() {
+    if (ocrReview?.imageUrl) URL.revokeObjectURL(ocrReview.imageUrl);
+    setOcrReview(null);
+  }
+
+  // Applies the fields kept in the review; the unsure ones stay outlined.
+  async function applyOcrReview(values, attachPhoto) {
+    const { result, source, file } = ocrReview;
+    closeOcrReview();
+    const setters = { job_date: setJobDate, ot: setOt, depart: setDepart, arrivee: setArrivee, fin: setFin, km_aller: setKmAller };
+    for (const [field, value] of Object.entries(values)) setters[field](String(value));
+    setOcrFlags(Object.fromEntries(
+      Object.keys(values)
+        .filter((field) => result.fields[field].confidence <= LOW_CONFIDENCE)
+        .map((field) => [field, result.fields[field].confidence])
+    ));
+    if (attachPhoto) setPendingPhoto(file);
+    if (values.ot && !routeMode && !siteId) suggestSiteForOt(values.ot, pickSite);
+    // Auto-fill populated the form — mark dirty so Save appears
+    setDirty(true);
+    setInfo(t("form.toasts.filledFromImage", { source, template: t(getOcrTemplate(result.template).labelKey) }));
+  }
+
+  function clearOcrFlag(field) {
+    setOcrFlags((prev) => {
+      if (!(field in prev)) return prev;
+      const { [field]: _removed, ...rest } = prev;
+      return rest;
+    });
+  }
+
+  // Amber outline on an auto-filled value the parser was unsure of.
+  function ocrFlagProps(field) {
+    if (!(field in ocrFlags)) return {};
+    return {
+      className: "border-amber-500 ring-1 ring-amber-500 focus-visible:ring-amber-500",
+      title: t("ocr.lowConfidence", { percent: Math.round(ocrFlags[field] * 100) }),
+    };
+  }
+
   const disableInputs = locked || loadingEdit || saving;
+  const selectedSiteKm = siteDistanceKm(sites.find((site) => site.id === siteId));
   const badgeVariant = statusBadgeVariant(editId ? (status || "saved") : "new");
 
   return (
@@ -587,11 +1045,55 @@ export default function EmployeeForm() {
           <CardContent className="p-6 space-y-4">
             <div className="flex items-center justify-between">
               <div className="text-sm font-semibold text-muted-foreground">{t("form.status")}</div>
-              <Badge variant={badgeVariant} className="uppercase tracking-wide">
-                {t(`status.${statusLabel}`)}
-              </Badge>
+              <div className="flex items-center gap-1.5">
+                {queuedEntry && (
+                  <Badge variant={queuedEntry.state === "pending" ? "warning" : "destructive"} className="uppercase tracking-wide">
+                    {queuedEntry.state === "pending" ? t("outbox.pending") : t("outbox.conflict")}
+                  </Badge>
+                )}
+                <Badge variant={badgeVariant} className="uppercase tracking-wide">
+                  {t(`status.${statusLabel}`)}
+                </Badge>
+              </div>
             </div>
 
+            {status === "rejected" && (
+              <div className="rounded-md border border-destructive/30 bg-destructive/10 px-3 py-2 text-sm text-destructive dark:text-red-400">
+                <div className="font-semibold">{t("form.rejected.title")}</div>
+                {rejection?.reason && <div className="mt-1 whitespace-pre-wrap">{rejection.reason}</div>}
+                {rejection && (
+                  <div className="mt-1 text-xs opacity-80">
+                    {t("form.rejected.by", { name: rejection.actor_name || "—", date: dayjs(rejection.created_at).format("DD MMM HH:mm") })}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {queuedEntry && queuedEntry.state !== "pending" && (
+              <div className="rounded-md border border-destructive/30 bg-destructive/10 px-3 py-2 text-xs text-destructive dark:text-red-400">
+                {queuedEntry.code === "duplicate_ot"
+                  ? t("form.errors.duplicateOt", { ot: queuedEntry.payload?.ot || "" })
+                  : queuedEntry.error || t("form.errors.saveFailed")}
+              </div>
+            )}
+
+            {!editId && !locked && (
+              <div className="flex gap-1.5">
+                <Button type="button" size="sm" variant={routeMode ? "outline" : "default"} className="text-xs" disabled={disableInputs} onClick={() => { if (routeMode) switchToSingle(); }}>
+                  {t("route.modeSingle")}
+                </Button>
+                <Button type="button" size="sm" variant={routeMode ? "default" : "outline"} className="text-xs" disabled={disableInputs} onClick={() => { if (!routeMode) switchToRoute(); }}>
+                  {t("route.modeRoute")}
+                </Button>
+              </div>
+            )}
+
+            {Object.keys(ocrFlags).length > 0 && (
+              <div className="rounded-md border border-amber-500/40 bg-amber-500/10 px-3 py-2 text-xs text-amber-800 dark:text-amber-300">
+                {t("ocr.reviewFlagged")}
+              </div>
+            )}
+
             <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
               <div className="grid gap-1.5">
                 <Label htmlFor="date">{t("form.date")}</Label>
@@ -599,66 +1101,99 @@ export default function EmployeeForm() {
                   id="date"
                   type="date"
                   value={job_date}
-                  onChange={(e) => { setJobDate(e.target.value); setDirty(true); }}
+                  onChange={(e) => { setJobDate(e.target.value); clearOcrFlag("job_date"); setDirty(true); }}
+                  {...ocrFlagProps("job_date")}
                   disabled={disableInputs}
                 />
               </div>
 
-              <div className="grid gap-1.5">
-                <Label htmlFor="ot">{t("form.ot")}</Label>
-                <Input
-                  id="ot"
-                  value={ot}
-                  onChange={(e) => { setOt(e.target.value); setDirty(true); }}
-                  placeholder={t("form.otPlaceholder")}
-                  disabled={disableInputs}
-                />
-              </div>
+              {!routeMode && (
+                <div className="grid gap-1.5">
+                  <Label htmlFor="ot">{t("form.ot")}</Label>
+                  <Input
+                    id="ot"
+                    value={ot}
+                    onChange={(e) => { setOt(e.target.value); clearOcrFlag("ot"); setDirty(true); }}
+                    onBlur={() => { if (!siteId) suggestSiteForOt(ot, pickSite); }}
+                    {...ocrFlagProps("ot")}
+                    placeholder={t("form.otPlaceholder")}
+                    disabled={disableInputs}
+                  />
+                </div>
+              )}
+
+              {!routeMode && (
+                <div className="grid gap-1.5">
+                  <Label htmlFor="site">{t("sites.site")}</Label>
+                  <SiteSelect id="site" sites={sites} value={siteId} onChange={pickSite} disabled={disableInputs} />
+                  {selectedSiteKm !== null && (
+                    <p className="text-xs text-muted-foreground">
+                      {t("sites.distanceHint", { km: selectedSiteKm })}
+                      {String(selectedSiteKm) !== String(km_aller) && !disableInputs && (
+                        <>
+                          {" "}
+                          <button type="button" className="text-primary hover:underline" onClick={() => { setKmAller(String(selectedSiteKm)); setDirty(true); }}>
+                            {t("sites.useDistance")}
+                          </button>
+                        </>
+                      )}
+                    </p>
+                  )}
+                </div>
+              )}
 
               <div className="grid gap-1.5">
-                <Label htmlFor="depart">{t("form.depart")}</Label>
+                <Label htmlFor="depart">{routeMode ? t("route.leaveStorage") : t("form.depart")}</Label>
                 <Input
                   id="depart"
                   type="time"
                   value={depart}
-                  onChange={(e) => { setDepart(e.target.value); setDirty(true); }}
-                  disabled={disableInputs}
-                />
-              </div>
-
-              <div className="grid gap-1.5">
-                <Label htmlFor="arrivee">{t("form.arrival")}</Label>
-                <Input
-                  id="arrivee"
-                  type="time"
-                  value={arrivee}
-                  onChange={(e) => { setArrivee(e.target.value); setDirty(true); }}
+                  onChange={(e) => { setDepart(e.target.value); clearOcrFlag("depart"); setDirty(true); }}
+                  {...ocrFlagProps("depart")}
                   disabled={disableInputs}
                 />
               </div>
 
-              <div className="grid gap-1.5">
-                <Label htmlFor="fin">{t("form.end")}</Label>
-                <Input
-                  id="fin"
-                  type="time"
-                  value={fin}
-                  onChange={(e) => { setFin(e.target.value); setDirty(true); }}
-                  disabled={disableInputs}
-                />
-              </div>
-
-              <div className="grid gap-1.5">
-                <Label htmlFor="km">{t("form.kmAller")}</Label>
-                <Input
-                  id="km"
-                  type="number"
-                  value={km_aller}
-                  onChange={(e) => { setKmAller(e.target.value); setDirty(true); }}
-                  disabled={disableInputs}
-                  placeholder="0"
-                />
-              </div>
+              {!routeMode && (
+                <>
+                  <div className="grid gap-1.5">
+                    <Label htmlFor="arrivee">{t("form.arrival")}</Label>
+                    <Input
+                      id="arrivee"
+                      type="time"
+                      value={arrivee}
+                      onChange={(e) => { setArrivee(e.target.value); clearOcrFlag("arrivee"); setDirty(true); }}
+                      {...ocrFlagProps("arrivee")}
+                      disabled={disableInputs}
+                    />
+                  </div>
+
+                  <div className="grid gap-1.5">
+                    <Label htmlFor="fin">{t("form.end")}</Label>
+                    <Input
+                      id="fin"
+                      type="time"
+                      value={fin}
+                      onChange={(e) => { setFin(e.target.value); clearOcrFlag("fin"); setDirty(true); }}
+                      {...ocrFlagProps("fin")}
+                      disabled={disableInputs}
+                    />
+                  </div>
+
+                  <div className="grid gap-1.5">
+                    <Label htmlFor="km">{t("form.kmAller")}</Label>
+                    <Input
+                      id="km"
+                      type="number"
+                      value={km_aller}
+                      onChange={(e) => { setKmAller(e.target.value); clearOcrFlag("km_aller"); setDirty(true); }}
+                      {...ocrFlagProps("km_aller")}
+                      disabled={disableInputs}
+                      placeholder="0"
+                    />
+                  </div>
+                </>
+              )}
 
               <div className="grid gap-1.5">
                 <Label>{t("form.totalHours")}</Label>
@@ -668,6 +1203,41 @@ export default function EmployeeForm() {
               </div>
             </div>
 
+            {routeMode && (
+              <DayRouteStops
+                storageDepart={depart}
+                stops={routeStops}
+                sites={sites}
+                onChange={(stops) => { setRouteStops(stops); setDirty(true); }}
+                onOtBlur={suggestStopSite}
+                onRemove={removeStop}
+                disabled={disableInputs}
+              />
+            )}
+
+            <div className="space-y-2 rounded-lg border bg-muted/20 p-3">
+              <div className="text-sm font-semibold">{t("trip.title")}</div>
+              <p className="text-xs text-muted-foreground">{t("trip.description")}</p>
+              {!routeMode && (
+                <TripRecorder
+                  label={t("trip.toJob")}
+                  track={allerTrack}
+                  onTrack={(trip) => {
+                    setAllerTrack(trip);
+                    if (trip) setKmAller(String(trip.distance_km));
+                    setDirty(true);
+                  }}
+                  disabled={disableInputs}
+                />
+              )}
+              <TripRecorder
+                label={t("trip.toStorage")}
+                track={retourTrack}
+                onTrack={(trip) => { setRetourTrack(trip); setDirty(true); }}
+                disabled={disableInputs}
+              />
+            </div>
+
             <div className="flex flex-nowrap items-center gap-1.5 pt-2">
               {dirty && (
                 <Button type="button" size="sm" className="text-xs" disabled={disableInputs} onClick={saveDraft}>
@@ -692,7 +1262,7 @@ export default function EmployeeForm() {
                 </Button>
               )}
 
-              {!locked && !editId && (
+              {!locked && !editId && !routeMode && (
                 <>
                   <Button
                     type="button"
@@ -721,6 +1291,17 @@ export default function EmployeeForm() {
               )}
             </div>
 
+            {editId && !queuedEntry && (
+              <JobAttachments
+                job={{ id: editId, user_id: user.id, status }}
+                attachments={attachments}
+                editable
+                onChange={setAttachments}
+                onAdded={() => loadAttachments(editId)}
+              />
+            )}
+            {pendingPhoto && <p className="text-xs text-muted-foreground">{t("ocr.photoPending")}</p>}
+
             {locked && (
               <div className="text-xs text-muted-foreground">
                 {t("form.lockedNotice", {
@@ -782,7 +1363,11 @@ export default function EmployeeForm() {
               <DialogHeader>
                 <DialogTitle>{t("form.return.askTitle")}</DialogTitle>
               </DialogHeader>
-              <p className="text-sm text-muted-foreground">{t("form.return.askDescription")}</p>
+              <p className="text-sm text-muted-foreground">
+                {routeMode
+                  ? t("route.returnDescription", { ot: routeStops[routeStops.length - 1]?.ot || "—" })
+                  : t("form.return.askDescription")}
+              </p>
               <DialogFooter className="gap-2 sm:gap-0">
                 <Button type="button" variant="outline" disabled={saving || returnCheckBusy} onClick={() => saveWithReturn(0, 0)}>
                   {returnCheckBusy ? t("common.pleaseWait") : t("common.no")}
@@ -797,10 +1382,16 @@ export default function EmployeeForm() {
           {returnStep === "time" && (
             <>
               <DialogHeader><DialogTitle>{t("form.return.timeTitle")}</DialogTitle></DialogHeader>
+              {returnDefaults?.return_minutes && (
+                <p className="text-xs text-muted-foreground">
+                  {t("storage.suggestedTime", { time: formatReturnMinutes(returnDefaults.return_minutes), count: returnDefaults.sample_size })}
+                </p>
+              )}
               <div className="grid max-h-[55vh] grid-cols-4 gap-2 overflow-y-auto pr-1">
                 {RETURN_TIME_OPTIONS.map((minutes) => (
-                  <Button key={minutes} type="button" variant={returnMinutes === minutes ? "default" : "outline"} className="px-2" onClick={() => {
+                  <Button key={minutes} type="button" variant={returnMinutes === minutes ? "default" : "outline"} className={`px-2 ${returnDefaults?.return_minutes === minutes && returnMinutes !== minutes ? "ring-2 ring-primary" : ""}`} onClick={() => {
                     setReturnMinutes(minutes);
+                    setReturnKm((current) => current || suggestedReturnKm());
                     setReturnStep("km");
                   }}>
                     {formatReturnMinutes(minutes)}
@@ -816,6 +1407,26 @@ export default function EmployeeForm() {
                 <DialogTitle>{t("form.return.kmTitle")}</DialogTitle>
               </DialogHeader>
               <div className="space-y-2">
+                {storageLocations.length > 0 && (
+                  <>
+                    <Label htmlFor="return-shop">{t("storage.returnShop")}</Label>
+                    <Select
+                      id="return-shop"
+                      value={returnShopId}
+                      onChange={(e) => {
+                        setReturnShopId(e.target.value);
+                        loadReturnDefaults(e.target.value, { refreshKm: true });
+                      }}
+                    >
+                      <option value="">{t("storage.noShop")}</option>
+                      {storageLocations.map((shop) => (
+                        <option key={shop.id} value={shop.id}>
+                          {shop.name}{shop.id === homeShopId ? ` · ${t("storage.home")}` : ""}
+                        </option>
+                      ))}
+                    </Select>
+                  </>
+                )}
                 <Label htmlFor="return-km">{t("form.return.kmLabel")}</Label>
                 <Input
                   id="return-km"
@@ -827,6 +1438,11 @@ export default function EmployeeForm() {
                   placeholder="0"
                 />
                 <p className="text-xs text-muted-foreground">{t("form.return.selectedTime", { time: formatReturnMinutes(returnMinutes || 0) })}</p>
+                {retourTrack ? (
+                  <p className="text-xs text-muted-foreground">{t("trip.returnPrefilled", { km: retourTrack.distance_km })}</p>
+                ) : returnDefaults?.sample_size > 0 && (
+                  <p className="text-xs text-muted-foreground">{t("storage.suggestedKm", { count: returnDefaults.sample_size })}</p>
+                )}
               </div>
               <DialogFooter>
                 <Button type="button" disabled={saving || returnCheckBusy || normalizeNumber(returnKm) === null || normalizeNumber(returnKm) < 0} onClick={() => saveWithReturn(returnMinutes, normalizeNumber(returnKm))}>
@@ -876,6 +1492,14 @@ export default function EmployeeForm() {
             <>
               <DialogHeader><DialogTitle>{t("form.return.savedTitle")}</DialogTitle></DialogHeader>
               <p className="text-sm text-muted-foreground">{t("form.return.savedDescription")}</p>
+              {evidenceWarnings.length > 0 && (
+                <div className="rounded-md border border-amber-500/40 bg-amber-500/10 px-3 py-2 text-sm text-amber-800 dark:text-amber-300">
+                  <p>{t("form.evidence.warningsIntro")}</p>
+                  <ul className="mt-1 list-disc pl-5">
+                    {evidenceWarnings.map((code) => <li key={code}>{t(`evidence.warnings.${code}`)}</li>)}
+                  </ul>
+                </div>
+              )}
               <DialogFooter>
                 <Button type="button" onClick={() => setReturnStep("closed")}>{t("common.ok")}</Button>
               </DialogFooter>
@@ -883,6 +1507,14 @@ export default function EmployeeForm() {
           )}
         </DialogContent>
       </Dialog>
+
+      <OcrReviewDialog
+        review={ocrReview}
+        current={{ job_date, ot, depart, arrivee, fin, km_aller }}
+        canAttach={!routeMode}
+        onApply={applyOcrReview}
+        onCancel={closeOcrReview}
+      />
     </AppShell>
   );
 }
@@ -0,0 +1,244 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import dayjs from "dayjs";
+import { Check, X } from "lucide-react";
+import AppShell from "@/components/AppShell";
+import ReasonDialog from "@/components/ReasonDialog";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Select } from "@/components/ui/select";
+import { REVIEW_STATUSES, fetchEvidenceQueue, reviewEvidence } from "@/lib/evidence";
+import { compareAuthorization, parseOvertimeSms } from "@/lib/overtime-sms";
+import { formatMinutesHM } from "@/lib/payroll";
+import { statusBadgeVariant } from "@/lib/status";
+import { useT } from "@/lib/use-t";
+
+function CheckLine({ ok, children }) {
+  return (
+    <li className={`flex items-center gap-1.5 ${ok ? "" : "text-destructive"}`}>
+      {ok ? <Check className="h-3.5 w-3.5 text-emerald-600" /> : <X className="h-3.5 w-3.5" />}
+      {children}
+    </li>
+  );
+}
+
+// The stored authorization (0028), or the OCR text parsed now for evidence
+// taken before it was stored.
+function authorizationOf(row) {
+  const parsed = parseOvertimeSms(row.ocr_text, { referenceDate: row.job_date });
+  return {
+    ...parsed,
+    authorizer: row.authorized_by ?? parsed.authorizer,
+    date: row.authorized_date ?? parsed.date,
+    durationMinutes: row.authorized_minutes ?? parsed.durationMinutes,
+    until: row.authorized_until ? row.authorized_until.slice(0, 5) : parsed.until,
+    ot: row.authorized_ot ?? parsed.ot,
+  };
+}
+
+// Overtime SMS screenshots OCR could not vouch for (0027_evidence_review.sql)
+// or whose authorization does not cover the day (0028). Managers accept them
+// or send the job back with a comment.
+export default function EvidenceReview() {
+  const t = useT();
+  const [reviewStatus, setReviewStatus] = useState("pending");
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState("");
+  const [busyId, setBusyId] = useState(null);
+  // Evidence waiting for a rejection comment (ReasonDialog open while set).
+  const [rejecting, setRejecting] = useState(null);
+
+  async function load() {
+    setErr("");
+    setLoading(true);
+    try {
+      setRows(await fetchEvidenceQueue({ reviewStatus }));
+    } catch (e) {
+      setErr(e?.message || t("evidence.errors.failedLoad"));
+      setRows([]);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [reviewStatus]);
+
+  async function accept(row) {
+    setBusyId(row.id);
+    setErr("");
+    try {
+      await reviewEvidence(row.id, "accepted");
+      setRows((prev) => prev.filter((r) => r.id !== row.id));
+    } catch (e) {
+      setErr(e?.message || t("evidence.errors.failedReview"));
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function reject(row, note) {
+    setBusyId(row.id);
+    setErr("");
+    try {
+      await reviewEvidence(row.id, "rejected", note);
+      setRows((prev) => prev.filter((r) => r.id !== row.id));
+    } catch (e) {
+      setErr(e?.message || t("evidence.errors.failedReview"));
+      throw e;
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  return (
+    <AppShell>
+      <div className="space-y-3">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div>
+            <h1 className="text-xl font-extrabold">{t("evidence.title")}</h1>
+            <p className="text-sm text-muted-foreground">{t("evidence.subtitle")}</p>
+          </div>
+          <Select value={reviewStatus} onChange={(e) => setReviewStatus(e.target.value)} className="w-auto" aria-label={t("evidence.filter")}>
+            {REVIEW_STATUSES.map((status) => <option key={status} value={status}>{t(`evidence.status.${status}`)}</option>)}
+          </Select>
+        </div>
+
+        {err && (
+          <div className="rounded-md border border-destructive/30 bg-destructive/10 px-3 py-2 text-sm text-destructive flex items-center justify-between gap-3">
+            <span>{err}</span>
+            <Button size="sm" variant="outline" className="shrink-0 text-xs" onClick={load}>
+              {t("common.retry")}
+            </Button>
+          </div>
+        )}
+        {loading && <Card><CardContent className="p-4 text-sm">{t("common.loading")}</CardContent></Card>}
+        {!loading && rows.length === 0 && (
+          <Card><CardContent className="p-4 text-sm text-muted-foreground">{t(`evidence.empty.${reviewStatus}`)}</CardContent></Card>
+        )}
+
+        {!loading && rows.map((row) => {
+          const job = row.job;
+          const sms = authorizationOf(row);
+          // Against the day as it stands now, not as it was when the
+          // screenshot was taken.
+          const warnings = compareAuthorization(sms, {
+            jobDate: row.job_date,
+            ot: job?.ot,
+            overtimeMinutes: row.currentOvertimeMinutes,
+            endTime: job?.fin,
+          });
+          return (
+            <Card key={row.id}>
+              <CardContent className="grid gap-4 p-4 md:grid-cols-[minmax(0,1fr)_minmax(0,1.4fr)]">
+                <div>
+                  {row.imageUrl ? (
+                    <a href={row.imageUrl} target="_blank" rel="noreferrer" className="block">
+                      <img src={row.imageUrl} alt={t("notifications.evidenceAlt")} className="max-h-96 w-full rounded-md border object-contain" />
+                    </a>
+                  ) : (
+                    <div className="rounded-md border border-dashed p-6 text-center text-xs text-muted-foreground">{t("evidence.imageUnavailable")}</div>
+                  )}
+                </div>
+
+                <div className="space-y-3 text-sm">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="font-semibold">{row.employeeName}</span>
+                    {job && (
+                      <Link to={`/manager?job=${job.id}`} className="text-primary underline-offset-2 hover:underline">
+                        {job.ot || "—"} · {dayjs(job.job_date).format("DD MMM YYYY")}
+                      </Link>
+                    )}
+                    {job && <Badge variant={statusBadgeVariant(job.status)}>{t(`status.${job.status}`)}</Badge>}
+                  </div>
+
+                  <div className="text-muted-foreground">
+                    {t("evidence.dailyTotal")}: <b className="text-foreground">{formatMinutesHM(row.daily_minutes)}</b>
+                    <span className="mx-2">•</span>
+                    {t("evidence.received", { date: dayjs(row.created_at).format("DD MMM HH:mm") })}
+                  </div>
+
+                  <div className="rounded-md border p-3">
+                    <div className="mb-1 flex flex-wrap items-center gap-2 text-xs font-semibold uppercase tracking-wide text-muted-foreground">
+                      {t("evidence.smsParse")}
+                      <Badge variant={row.ocr_status === "processed" ? "success" : "warning"}>{row.ocr_status}</Badge>
+                      {row.ocr_provider && (
+                        <span className="font-normal normal-case">
+                          {row.ocr_provider}
+                          {row.ocr_confidence != null && ` · ${Math.round(row.ocr_confidence * 100)}%`}
+                        </span>
+                      )}
+                    </div>
+                    <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-0.5 text-xs">
+                      <dt className="text-muted-foreground">{t("evidence.sms.authorizer")}</dt>
+                      <dd>{sms.authorizer || "—"}</dd>
+                      <dt className="text-muted-foreground">{t("evidence.sms.date")}</dt>
+                      <dd>{sms.date ? dayjs(sms.date).format("DD MMM YYYY") : "—"}</dd>
+                      <dt className="text-muted-foreground">{t("evidence.sms.approved")}</dt>
+                      <dd>
+                        {[
+                          sms.durationMinutes !== null && formatMinutesHM(sms.durationMinutes),
+                          sms.until && t("evidence.sms.until", { time: sms.until }),
+                        ].filter(Boolean).join(" · ") || "—"}
+                      </dd>
+                      <dt className="text-muted-foreground">{t("evidence.sms.ot")}</dt>
+                      <dd>{sms.ot || "—"}</dd>
+                      <dt className="text-muted-foreground">{t("evidence.sms.worked")}</dt>
+                      <dd>{row.currentOvertimeMinutes != null ? formatMinutesHM(row.currentOvertimeMinutes) : "—"}</dd>
+                    </dl>
+                    <ul className="mt-2 space-y-0.5 text-xs">
+                      <CheckLine ok={sms.mentionsOvertime}>{t("evidence.check.overtime")}</CheckLine>
+                      <CheckLine ok={sms.confirmsApproval}>{t("evidence.check.approval")}</CheckLine>
+                      {warnings.map((code) => (
+                        <CheckLine key={code} ok={false}>{t(`evidence.warnings.${code}`)}</CheckLine>
+                      ))}
+                    </ul>
+                    <pre className="mt-2 max-h-48 overflow-auto whitespace-pre-wrap rounded bg-muted p-2 text-xs">{row.ocr_text || t("notifications.ocrUnavailable")}</pre>
+                  </div>
+
+                  {row.review_status === "pending" ? (
+                    <div className="flex flex-wrap gap-2">
+                      <Button variant="success" disabled={busyId === row.id} onClick={() => accept(row)}>
+                        {t("evidence.accept")}
+                      </Button>
+                      <Button
+                        variant="destructive"
+                        disabled={busyId === row.id || job?.status === "approved"}
+                        title={job?.status === "approved" ? t("evidence.rejectApprovedHint") : undefined}
+                        onClick={() => setRejecting(row)}
+                      >
+                        {t("evidence.reject")}
+                      </Button>
+                    </div>
+                  ) : (
+                    <div className="text-xs text-muted-foreground">
+                      {t(`evidence.reviewedBy.${row.review_status}`, {
+                        name: row.reviewerName || "—",
+                        date: row.reviewed_at ? dayjs(row.reviewed_at).format("DD MMM YYYY HH:mm") : "—",
+                      })}
+                      {row.review_note && <div className="mt-1 whitespace-pre-wrap text-foreground">“{row.review_note}”</div>}
+                    </div>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          );
+        })}
+      </div>
+
+      <ReasonDialog
+        open={Boolean(rejecting)}
+        onOpenChange={(open) => { if (!open) setRejecting(null); }}
+        title={t("evidence.reject")}
+        description={t("evidence.rejectDescription")}
+        confirmLabel={t("evidence.rejectSend")}
+        confirmVariant="destructive"
+        onConfirm={(note) => reject(rejecting, note)}
+      />
+    </AppShell>
+  );
+}
@@ -1,5 +1,5 @@
 import React, { useEffect, useMemo, useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import dayjs from "dayjs";
 import "dayjs/locale/en";
 import { supabase } from "../supabaseClient";
@@ -9,9 +9,14 @@ import AppShell from "@/components/AppShell";
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
-import { statusBadgeVariant } from "@/lib/status";
+import { isEditableStatus, statusBadgeVariant } from "@/lib/status";
 import { useT } from "@/lib/use-t";
 import { withTimeout } from "@/lib/utils";
+import { useOutbox } from "@/lib/use-outbox";
+import { removeOutboxEntry } from "@/lib/outbox";
+import JobTimeline from "@/components/JobTimeline";
+import JobAttachments from "@/components/JobAttachments";
+import { fetchAttachments, listAttachmentFiles, removeAttachmentFiles } from "@/lib/attachments";
 
 dayjs.locale("en");
 
@@ -44,6 +49,9 @@ function kmTotal(job) {
 export default function History() {
   const { user } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  // Job to highlight when opened from a notification (?job=<id>).
+  const focusedJobId = searchParams.get("job");
   const t = useT();
 
   const [jobs, setJobs] = useState([]);
@@ -51,6 +59,9 @@ export default function History() {
   const [err, setErr] = useState("");
   const [info, setInfo] = useState("");
   const [actionLoadingKey, setActionLoadingKey] = useState(null);
+  // Attachment thumbnails by job id (0025_job_attachments.sql).
+  const [attachments, setAttachments] = useState(new Map());
+  const outbox = useOutbox();
 
   async function load() {
     setErr("");
@@ -68,6 +79,7 @@ export default function History() {
       );
       if (error) throw error;
       setJobs(data || []);
+      loadAttachments((data || []).map((job) => job.id));
     } catch (e) {
       setErr(e?.message || t("history.errors.failedLoad"));
     } finally {
@@ -81,6 +93,36 @@ export default function History() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [user?.id]);
 
+  // Reload once queued jobs have reached the server so they show up as
+  // regular rows instead of disappearing between the two lists.
+  useEffect(() => {
+    if (!user?.id || !outbox.lastResult?.synced) return;
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [outbox.lastResult]);
+
+  useEffect(() => {
+    if (!focusedJobId || !jobs.some((job) => job.id === focusedJobId)) return;
+    requestAnimationFrame(() => document.getElementById(`job-${focusedJobId}`)?.scrollIntoView({ behavior: "smooth", block: "center" }));
+  }, [focusedJobId, jobs]);
+
+  // Jobs saved offline, shaped like server rows. A queued edit of an existing
+  // job replaces the server copy until it syncs.
+  const allJobs = useMemo(() => {
+    const queued = outbox.entries.map((entry) => ({
+      ...entry.payload,
+      id: entry.id,
+      user_id: entry.user_id,
+      updated_at: entry.queued_at,
+      outbox: entry,
+    }));
+    const queuedIds = new Set(queued.map((j) => j.id));
+    return [...queued, ...jobs.filter((j) => !queuedIds.has(j.id))].sort((a, b) => {
+      if (a.job_date !== b.job_date) return a.job_date < b.job_date ? 1 : -1;
+      return String(a.updated_at || "") < String(b.updated_at || "") ? 1 : -1;
+    });
+  }, [jobs, outbox.entries]);
+
   function sumHoursForJobs(list) {
     let total = 0;
     for (const j of list) {
@@ -100,7 +142,7 @@ export default function History() {
   const grouped = useMemo(() => {
     const map = new Map();
 
-    for (const j of jobs) {
+    for (const j of allJobs) {
       const key = dayjs(j.job_date).format("YYYY-MM-DD");
       if (!map.has(key)) map.set(key, []);
       map.get(key).push(j);
@@ -112,12 +154,12 @@ export default function History() {
       const totalKm = sumKmForJobs(list);
 
       const submittableIds = list
-        .filter((x) => (x.status === "saved" || x.status === "updated") && x.locked === false)
+        .filter((x) => !x.outbox && isEditableStatus(x.status) && x.locked === false)
         .map((x) => x.id);
 
       return { date, list, totalHHmm, totalKm, submittableIds };
     });
-  }, [jobs]);
+  }, [allJobs]);
 
   function openJob(job) {
     navigate(`/form?edit=${job.id}`);
@@ -127,13 +169,31 @@ export default function History() {
     return Boolean(user?.id) && job.user_id === user.id;
   }
   function canOpen(job) {
-    return isOwner(job) && (job.status === "saved" || job.status === "updated") && job.locked === false;
+    if (job.outbox?.state && job.outbox.state !== "pending") return isOwner(job);
+    return isOwner(job) && isEditableStatus(job.status) && job.locked === false;
   }
   function canDelete(job) {
-    return isOwner(job) && (job.status === "saved" || job.status === "updated") && job.locked === false;
+    return isOwner(job) && isEditableStatus(job.status) && job.locked === false;
   }
   function canSubmit(job) {
-    return isOwner(job) && (job.status === "saved" || job.status === "updated") && job.locked === false;
+    return !job.outbox && isOwner(job) && isEditableStatus(job.status) && job.locked === false;
+  }
+
+  async function discardQueued(jobId) {
+    const ok = window.confirm(t("outbox.confirmDiscard"));
+    if (!ok) return;
+    await removeOutboxEntry(jobId);
+    setInfo(t("outbox.discarded"));
+  }
+
+  function loadAttachments(jobIds) {
+    fetchAttachments(jobIds)
+      .then((byJob) => setAttachments((prev) => {
+        const next = new Map(prev);
+        for (const id of jobIds) next.set(id, byJob.get(id) || []);
+        return next;
+      }))
+      .catch((e) => console.warn("Attachments unavailable:", e));
   }
 
   async function deleteJob(jobId) {
@@ -142,12 +202,16 @@ export default function History() {
     setActionLoadingKey(jobId);
     setErr(""); setInfo("");
     try {
+      const files = await listAttachmentFiles(jobId);
       const { error } = await supabase.from("jobs").delete().eq("id", jobId);
       if (error) throw error;
+      removeAttachmentFiles(files);
       setInfo(t("history.toasts.deleted"));
       await load();
     } catch (e) {
-      setErr(e?.message || t("history.errors.deleteFailed"));
+      // Guard triggers (pending export void, closed pay period) say what to
+      // do in the hint.
+      setErr([e?.message, e?.hint].filter(Boolean).join(" ") || t("history.errors.deleteFailed"));
     } finally {
       setActionLoadingKey(null);
     }
@@ -254,21 +318,42 @@ export default function History() {
                   const updatedLabel = j.updated_at ? dayjs(j.updated_at).format("DD MMM HH:mm") : "—";
 
                   const showOpen = canOpen(j);
-                  const showDelete = canDelete(j);
+                  const showDelete = !j.outbox && canDelete(j);
+                  const showDiscard = Boolean(j.outbox) && isOwner(j);
                   const showSubmit = canSubmit(j);
                   const busy = actionLoadingKey === j.id;
 
                   return (
-                    <Card key={j.id}>
+                    <Card key={j.id} id={`job-${j.id}`} className={focusedJobId === j.id ? "ring-2 ring-primary" : ""}>
                       <CardContent className="space-y-3 p-4">
                         {/* Header row: OT + status */}
                         <div className="flex items-center justify-between gap-2">
                           <div className="text-sm font-bold">{t("common.otLabel")}: {j.ot}</div>
-                          <Badge variant={statusBadgeVariant(j.status)} className="uppercase tracking-wide">
-                            {t(`status.${j.status}`)}
-                          </Badge>
+                          <div className="flex items-center gap-1.5">
+                            {j.route_id && (
+                              <Badge variant="outline" className="tracking-wide">
+                                {t("route.stopOf", { n: j.route_seq, count: g.list.filter((x) => x.route_id === j.route_id).length })}
+                              </Badge>
+                            )}
+                            {j.outbox && (
+                              <Badge variant={j.outbox.state === "pending" ? "warning" : "destructive"} className="uppercase tracking-wide">
+                                {j.outbox.state === "pending" ? t("outbox.pending") : t("outbox.conflict")}
+                              </Badge>
+                            )}
+                            <Badge variant={statusBadgeVariant(j.status)} className="uppercase tracking-wide">
+                              {t(`status.${j.status}`)}
+                            </Badge>
+                          </div>
                         </div>
 
+                        {j.outbox && j.outbox.state !== "pending" && (
+                          <div className="rounded-md border border-destructive/30 bg-destructive/10 px-3 py-2 text-xs text-destructive dark:text-red-400">
+                            {j.outbox.code === "duplicate_ot"
+                              ? t("form.errors.duplicateOt", { ot: j.ot || "" })
+                              : j.outbox.error || t("form.errors.saveFailed")}
+                          </div>
+                        )}
+
                         {/* Metric pills + updated time on the same row */}
                         <div className="flex flex-wrap items-center gap-1.5">
                           <span className="inline-block rounded-full border bg-muted px-2 py-0.5 text-xs">
@@ -288,8 +373,20 @@ export default function History() {
                           {t("history.depart")}: {fmtTimeHHmm(j.depart)} • {t("history.arrival")}: {fmtTimeHHmm(j.arrivee)} • {t("history.end")}: {fmtTimeHHmm(j.fin)}
                         </div>
 
+                        {!j.outbox && (
+                          <JobAttachments
+                            job={j}
+                            attachments={attachments.get(j.id) || []}
+                            editable={isOwner(j)}
+                            onChange={(list) => setAttachments((prev) => new Map(prev).set(j.id, list))}
+                            onAdded={() => loadAttachments([j.id])}
+                          />
+                        )}
+
+                        {!j.outbox && <JobTimeline jobId={j.id} />}
+
                         {/* Action buttons */}
-                        {(showOpen || showDelete || showSubmit) && (
+                        {(showOpen || showDelete || showDiscard || showSubmit) && (
                           <div className="flex flex-wrap gap-1.5">
                             {showOpen && (
                               <Button size="sm" variant="secondary" disabled={busy} onClick={() => openJob(j)}>
@@ -306,6 +403,11 @@ export default function History() {
                                 {busy ? "…" : t("history.delete")}
                               </Button>
                             )}
+                            {showDiscard && (
+                              <Button size="sm" variant="destructive" disabled={busy} onClick={() => discardQueued(j.id)}>
+                                {t("outbox.discard")}
+                              </Button>
+                            )}
                           </div>
                         )}
                       </CardContent>
@@ -16,6 +16,18 @@ import { statusBadgeVariant } from "@/lib/status";
 import { useT } from "@/lib/use-t";
 import { withTimeout } from "@/lib/utils";
 import FormsManager from "@/components/FormsManager";
+import { describeDesjardinsErrors, downloadDesjardinsFile, downloadPayrollCsv as downloadPayrollCsvFile } from "@/lib/payroll";
+import { fetchHolidays } from "@/lib/holidays";
+import { rejectJob, unlockJob } from "@/lib/job-events";
+import JobTimeline from "@/components/JobTimeline";
+import ReasonDialog from "@/components/ReasonDialog";
+import TripTrackDialog from "@/components/TripTrackDialog";
+import JobAttachments from "@/components/JobAttachments";
+import { tripKmMismatch } from "@/lib/trip";
+import SiteAssignDialog from "@/components/SiteAssignDialog";
+import { fetchClients, fetchSites, siteLabel } from "@/lib/sites";
+import { fetchAttachments } from "@/lib/attachments";
+import { approveJobs, fetchExportDestinations, fetchExportStates, processExports, retryExport } from "@/lib/exports";
 
 dayjs.extend(isoWeek);
 
@@ -52,6 +64,8 @@ export default function ManagerDashboard() {
 
   const [jobs, setJobs] = useState([]);
   const [profiles, setProfiles] = useState(new Map());
+  // holiday_date → name, to flag jobs worked on a férié.
+  const [holidays, setHolidays] = useState(new Map());
   const [loading, setLoading] = useState(true);
   const [loadingMore, setLoadingMore] = useState(false);
   const datePickerRef = useRef(null);
@@ -61,10 +75,31 @@ export default function ManagerDashboard() {
   const [info, setInfo] = useState("");
 
   const [actionLoadingId, setActionLoadingId] = useState(null);
+  // Job waiting for an unlock reason (ReasonDialog open while set).
+  const [unlockingJobId, setUnlockingJobId] = useState(null);
+  // Submitted job being sent back with a comment (Request changes).
+  const [rejectingJobId, setRejectingJobId] = useState(null);
+  // Job whose recorded GPS trips are shown (TripTrackDialog).
+  const [tripJob, setTripJob] = useState(null);
+  // Attachment thumbnails of the listed jobs, by job id.
+  const [attachments, setAttachments] = useState(new Map());
+  // export_outbox rows of the listed jobs, by job id (one per destination).
+  const [exportStates, setExportStates] = useState(new Map());
+  // Export destinations, and the ones approvals from this screen go to
+  // (the defaults until the manager changes them; null also means the
+  // defaults, while the destinations are not loaded).
+  const [destinations, setDestinations] = useState([]);
+  const [exportTargets, setExportTargets] = useState(null);
+  // Job whose site is being set (SiteAssignDialog).
+  const [siteJob, setSiteJob] = useState(null);
+  const [clients, setClients] = useState([]);
+  const [sites, setSites] = useState([]);
 
   const [employeeId, setEmployeeId] = useState("all");
   const [statusFilter, setStatusFilter] = useState("all");
   const [weekFilter, setWeekFilter] = useState("");
+  const [clientFilter, setClientFilter] = useState("all");
+  const [siteFilter, setSiteFilter] = useState("all");
   const [searchLive, setSearchLive] = useState("");
   const [search, setSearch] = useState("");
 
@@ -90,6 +125,16 @@ export default function ManagerDashboard() {
     setSearchDebounced(searchLive);
   }, [searchLive, setSearchDebounced]);
 
+  // Client / site filter. A client matches through its sites, including
+  // inactive ones so older jobs stay reachable.
+  function applySiteFilter(q) {
+    if (siteFilter !== "all") return q.eq("site_id", siteFilter);
+    if (clientFilter !== "all") {
+      return q.in("site_id", sites.filter((site) => site.client_id === clientFilter).map((site) => site.id));
+    }
+    return q;
+  }
+
   function buildJobsQuery() {
     let q = supabase
       .from("jobs")
@@ -103,14 +148,14 @@ export default function ManagerDashboard() {
     if (employeeId === "all" && statusFilter !== "all") q = q.eq("status", statusFilter);
     const range = weekFilterRange(weekFilter);
     if (range) q = q.gte("job_date", range.start).lte("job_date", range.end);
-    return q;
+    return applySiteFilter(q);
   }
 
   async function loadCounts() {
     const range = weekFilterRange(weekFilter);
     const applyDateScope = (q) => {
-      if (range) return q.gte("job_date", range.start).lte("job_date", range.end);
-      return q;
+      if (range) return applySiteFilter(q.gte("job_date", range.start).lte("job_date", range.end));
+      return applySiteFilter(q);
     };
     const base = applyDateScope(
       supabase.from("jobs").select("id", { head: true, count: "exact" })
@@ -118,13 +163,15 @@ export default function ManagerDashboard() {
     const scoped = (status) => {
       let q = supabase.from("jobs").select("id", { head: true, count: "exact" });
       if (employeeId !== "all") q = q.eq("user_id", employeeId);
-      if (status) q = q.eq("status", status);
+      if (Array.isArray(status)) q = q.in("status", status);
+      else if (status) q = q.eq("status", status);
       return applyDateScope(q);
     };
     const [all, saved, submitted, approved] = await withTimeout(
       Promise.all([
         employeeId === "all" ? base : scoped(null),
-        scoped("saved"),
+        // Same split as the list below: rejected jobs sit with the saved ones.
+        scoped(["saved", "rejected"]),
         scoped("submitted"),
         scoped("approved"),
       ]),
@@ -188,25 +235,70 @@ export default function ManagerDashboard() {
   useEffect(() => {
     load();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [employeeId, statusFilter, weekFilter]);
+  }, [employeeId, statusFilter, weekFilter, clientFilter, siteFilter]);
+
+  useEffect(() => {
+    Promise.all([fetchClients(), fetchSites({ includeInactive: true })])
+      .then(([clientRows, siteRows]) => {
+        setClients(clientRows);
+        setSites(siteRows);
+      })
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    fetchExportDestinations({ includeInactive: true })
+      .then((rows) => {
+        setDestinations(rows);
+        setExportTargets(rows.filter((d) => d.active && d.is_default).map((d) => d.id));
+      })
+      .catch((e) => console.warn("Export destinations unavailable:", e));
+  }, []);
+
+  useEffect(() => {
+    fetchHolidays()
+      .then((rows) => setHolidays(new Map(rows.map((h) => [h.holiday_date, h.name]))))
+      .catch(() => setHolidays(new Map()));
+  }, []);
 
   useEffect(() => {
     if (!focusedJobId) return;
     supabase.from("jobs").select("user_id").eq("id", focusedJobId).single().then(({ data }) => {
       if (data?.user_id) setEmployeeId(data.user_id);
     });
-    supabase.from("overtime_evidence").select("ocr_text, ocr_status, storage_path, daily_minutes, created_at").eq("job_id", focusedJobId).maybeSingle().then(async ({ data }) => {
+    supabase.from("overtime_evidence").select("ocr_text, ocr_status, ocr_provider, ocr_confidence, review_status, storage_path, daily_minutes, created_at").eq("job_id", focusedJobId).order("created_at", { ascending: false }).limit(1).maybeSingle().then(async ({ data }) => {
       if (!data) return;
       const { data: signed } = await supabase.storage.from("overtime-evidence").createSignedUrl(data.storage_path, 600);
       setFocusedEvidence({ ...data, imageUrl: signed?.signedUrl || "" });
     });
   }, [focusedJobId]);
 
+  useEffect(() => {
+    if (!jobs.length) return;
+    fetchAttachments(jobs.map((job) => job.id))
+      .then(setAttachments)
+      .catch((e) => console.warn("Attachments unavailable:", e));
+  }, [jobs]);
+
+  useEffect(() => {
+    if (!jobs.length) return;
+    fetchExportStates(jobs.map((job) => job.id))
+      .then(setExportStates)
+      .catch((e) => console.warn("Export states unavailable:", e));
+  }, [jobs]);
+
   useEffect(() => {
     if (!focusedJobId || !jobs.some((job) => job.id === focusedJobId)) return;
     requestAnimationFrame(() => document.getElementById(`job-${focusedJobId}`)?.scrollIntoView({ behavior: "smooth", block: "center" }));
   }, [focusedJobId, jobs]);
 
+  const destinationsById = useMemo(() => new Map(destinations.map((d) => [d.id, d])), [destinations]);
+  const sitesById = useMemo(() => new Map(sites.map((site) => [site.id, site])), [sites]);
+  const siteOptions = useMemo(
+    () => (clientFilter === "all" ? sites : sites.filter((site) => site.client_id === clientFilter)),
+    [sites, clientFilter]
+  );
+
   const employeeOptions = useMemo(() => {
     const arr = [];
     profiles.forEach((p, id) => {
@@ -225,10 +317,11 @@ export default function ManagerDashboard() {
       const haystack = [
         j.ot || "", j.job_date || "", j.status || "",
         employee?.full_name || "", employee?.phone || "", employee?.email || "",
+        siteLabel(sitesById.get(j.site_id)),
       ].join(" ").toLowerCase();
       return haystack.includes(q);
     });
-  }, [jobs, profiles, search]);
+  }, [jobs, profiles, search, sitesById]);
 
   const split = useMemo(() => {
     if (employeeId === "all") return null;
@@ -236,7 +329,7 @@ export default function ManagerDashboard() {
     const submitted = [];
     const approved = [];
     for (const j of filtered) {
-      if (j.status === "saved") saved.push(j);
+      if (j.status === "saved" || j.status === "rejected") saved.push(j);
       else if (j.status === "submitted") submitted.push(j);
       else if (j.status === "approved") approved.push(j);
     }
@@ -286,42 +379,26 @@ export default function ManagerDashboard() {
     return split.submitted.filter((j) => weekKeyFromDate(j.job_date) === selectedWeekKey);
   }, [split, selectedEmployee, selectedWeekKey, weekOptions.length]);
 
-  function getEmployeeIdentity(userId) {
-    const p = profiles.get(userId);
-    return {
-      employee_full_name: p?.full_name || "",
-      employee_email: p?.email || "",
-      employee_phone: p?.phone || "",
-    };
+  // Runs the export queue right away; whatever fails stays queued and the
+  // cron retries it, so only the error is reported here.
+  async function runExports() {
+    try {
+      const result = await processExports();
+      if (result.failed > 0) setErr(t("manager.export.failedRetrying", { error: result.error }));
+    } catch (e) {
+      console.warn("Export queue not reached:", e);
+    }
   }
 
+  // Approval commits in the database first (approve_jobs queues the export
+  // in the same transaction); the sheet export follows.
   async function approve(jobId) {
     setActionLoadingId(jobId);
     setErr(""); setInfo("");
     try {
-      const job = jobs.find((x) => x.id === jobId);
-      if (!job) throw new Error(t("manager.errors.jobNotFound"));
-
-      const { data: sessionData, error: sessErr } = await supabase.auth.getSession();
-      if (sessErr) throw sessErr;
-      const accessToken = sessionData?.session?.access_token;
-      if (!accessToken) throw new Error(t("manager.errors.noSession"));
-
-      const identity = getEmployeeIdentity(job.user_id);
-
-      const { data, error: fnErr } = await invokeWithTimeout("push_approved_to_sheet", {
-        body: { job_id: jobId, ...identity },
-        headers: { Authorization: `Bearer ${accessToken}` },
-      });
-      if (fnErr) throw fnErr;
-      if (data?.ok !== true && !data?.skipped) {
-        throw new Error(data?.error || t("manager.errors.exportFailed"));
-      }
-
-      const { error } = await supabase.from("jobs").update({ status: "approved", locked: true }).eq("id", jobId);
-      if (error) throw error;
-
-      setInfo(data?.skipped ? t("manager.toasts.approvedSkipped") : t("manager.toasts.approvedAndExported"));
+      const approved = await approveJobs([jobId], exportTargets);
+      setInfo(approved.length ? t("manager.toasts.approved") : t("manager.toasts.approvedNone"));
+      if (approved.length) await runExports();
       await load();
     } catch (e) {
       setErr(e?.message || t("manager.errors.approveFailed"));
@@ -330,136 +407,104 @@ export default function ManagerDashboard() {
     }
   }
 
-  async function unlock(jobId) {
-    const ok = window.confirm(t("manager.confirm.unlock"));
-    if (!ok) return;
+  async function retryJobExport(jobId) {
     setActionLoadingId(jobId);
     setErr(""); setInfo("");
     try {
-      const { error } = await supabase
-        .from("jobs")
-        .update({ status: "updated", locked: false })
-        .eq("id", jobId);
-      if (error) throw error;
-      setInfo(t("manager.toasts.unlocked"));
+      await retryExport(jobId);
+      setInfo(t("manager.toasts.exportQueued"));
+      await runExports();
       await load();
     } catch (e) {
-      setErr(e?.message || t("manager.errors.unlockFailed"));
+      setErr(e?.message || t("manager.errors.exportFailed"));
     } finally {
       setActionLoadingId(null);
     }
   }
 
-  // Payroll CSV: one row per approved job for the selected employee, scoped
-  // to the picked week if any. Hours in decimal so the payroll software can
-  // sum directly. Detailed format — easy to re-pivot or trim columns later
-  // once we know the exact Desjardins import template.
-  function downloadPayrollCsv(employeeIdArg) {
-    const targetId = employeeIdArg || selectedEmployee?.id;
-    if (!targetId) return;
-    const range = weekFilterRange(weekFilter);
-    const rows = jobs.filter((j) => {
-      if (j.user_id !== targetId) return false;
-      if (j.status !== "approved") return false;
-      if (range && (j.job_date < range.start || j.job_date > range.end)) return false;
-      return true;
-    });
-
-    const employee = profiles.get(targetId);
-    const header = [
-      "employee_name",
-      "employee_email",
-      "employee_phone",
-      "ccq_number",
-      "week_iso",
-      "job_date",
-      "weekday",
-      "ot",
-      "depart",
-      "arrivee",
-      "fin",
-      "hours_decimal",
-      "hours_hhmm",
-      "km",
-      "return_time_minutes",
-      "return_km",
-    ];
-
-    function decimalHours(depart, fin) {
-      if (!depart || !fin) return 0;
-      const [dh, dm] = String(depart).slice(0, 5).split(":").map(Number);
-      const [fh, fm] = String(fin).slice(0, 5).split(":").map(Number);
-      if ([dh, dm, fh, fm].some((n) => Number.isNaN(n))) return 0;
-      let mins = fh * 60 + fm - (dh * 60 + dm);
-      if (mins < 0) mins += 24 * 60;
-      return Math.round((mins / 60) * 100) / 100;
+  // The reason is stored on the job's audit trail (job_events).
+  async function unlock(jobId, reason) {
+    setActionLoadingId(jobId);
+    setErr(""); setInfo("");
+    try {
+      await unlockJob(jobId, reason);
+      setInfo(t("manager.toasts.unlocked"));
+      await load();
+    } catch (e) {
+      setErr(e?.message || t("manager.errors.unlockFailed"));
+      throw e;
+    } finally {
+      setActionLoadingId(null);
     }
+  }
 
-    function fmtHHmm(decimal) {
-      if (!Number.isFinite(decimal) || decimal <= 0) return "0h00";
-      const total = Math.round(decimal * 60);
-      const h = Math.floor(total / 60);
-      const m = total % 60;
-      return `${h}h${String(m).padStart(2, "0")}`;
+  // Sends a submitted job back to the employee as "rejected"; the comment is
+  // shown on their form and in the job's timeline.
+  async function requestChanges(jobId, reason) {
+    setActionLoadingId(jobId);
+    setErr(""); setInfo("");
+    try {
+      await rejectJob(jobId, reason);
+      setInfo(t("manager.toasts.changesRequested"));
+      await load();
+    } catch (e) {
+      setErr(e?.message || t("manager.errors.requestChangesFailed"));
+      throw e;
+    } finally {
+      setActionLoadingId(null);
     }
+  }
 
-    const csvRows = rows
-      .slice()
-      .sort((a, b) => (a.job_date < b.job_date ? -1 : a.job_date > b.job_date ? 1 : 0))
-      .map((j) => {
-        const dec = decimalHours(j.depart, j.fin);
-        const km = (Number(j.km_aller ?? 0) || 0) + (Number(j.km_retour ?? 0) || 0);
-        return [
-          employee?.full_name || "",
-          employee?.email || "",
-          employee?.phone || "",
-          employee?.ccq_number || "",
-          dayjs(j.job_date).format("YYYY-[W]WW"),
-          j.job_date,
-          dayjs(j.job_date).format("dddd"),
-          j.ot || "",
-          j.depart ? String(j.depart).slice(0, 5) : "",
-          j.arrivee ? String(j.arrivee).slice(0, 5) : "",
-          j.fin ? String(j.fin).slice(0, 5) : "",
-          dec.toFixed(2),
-          fmtHHmm(dec),
-          km,
-          Number(j.return_time_minutes ?? 0) || 0,
-          Number(j.km_retour ?? 0) || 0,
-        ];
+  // Payroll CSV for the selected employee, scoped to the picked week if any.
+  // Built server-side by the payroll engine so it matches the Week screen:
+  // one row per approved job plus a weekly totals row (regular / OT / km).
+  // With a client or site filter it becomes a job report for that client or
+  // site (no weekly totals), for one employee or everyone.
+  async function downloadPayrollCsv(employeeIdArg) {
+    const targetId = typeof employeeIdArg === "string" ? employeeIdArg : selectedEmployee?.id;
+    const siteScoped = clientFilter !== "all" || siteFilter !== "all";
+    if (!targetId && !siteScoped) return;
+    const range = weekFilterRange(weekFilter);
+    const employee = targetId ? profiles.get(targetId) : null;
+    const weekTag = range ? weekFilter : "all";
+    const scopeName = siteFilter !== "all"
+      ? sitesById.get(siteFilter)?.name
+      : clients.find((client) => client.id === clientFilter)?.name;
+    const safeName = [employee ? employee.full_name || "employee" : "all", siteScoped ? scopeName || "site" : null]
+      .filter(Boolean)
+      .join("_")
+      .replace(/[^\w-]+/g, "_");
+    setErr("");
+    try {
+      await downloadPayrollCsvFile({
+        employeeId: targetId || null,
+        clientId: siteFilter === "all" && clientFilter !== "all" ? clientFilter : null,
+        siteId: siteFilter !== "all" ? siteFilter : null,
+        from: range?.start ?? null,
+        to: range?.end ?? null,
+        filename: `sparklog_payroll_${safeName}_${weekTag}.csv`,
       });
-
-    function esc(v) {
-      const s = String(v ?? "");
-      return /[",\n;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    } catch (e) {
+      setErr(e?.message || String(e));
     }
-
-    // BOM so Excel / Desjardins opens UTF-8 with accents correctly; ;-separated
-    // because that's what fr-CA spreadsheets default to.
-    const csv =
-      "﻿" +
-      [header.join(";"), ...csvRows.map((r) => r.map(esc).join(";"))].join("\r\n");
-
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    const weekTag = range ? weekFilter : "all";
-    const safeName = (employee?.full_name || "employee").replace(/[^\w-]+/g, "_");
-    a.href = url;
-    a.download = `sparklog_payroll_${safeName}_${weekTag}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
   }
 
-  async function invokeWithTimeout(name, options, ms = 30000) {
-    return await Promise.race([
-      supabase.functions.invoke(name, options),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error(`${name} timed out after ${ms / 1000}s`)), ms)
-      ),
-    ]);
+  // Desjardins import file of the filtered week (the selected employee, or
+  // everyone); validation errors are listed instead of downloading.
+  async function downloadDesjardins() {
+    const range = weekFilterRange(weekFilter);
+    if (!range) return;
+    setErr(""); setInfo("");
+    try {
+      const errors = await downloadDesjardinsFile({
+        employeeId: employeeId === "all" ? null : employeeId,
+        from: range.start,
+        to: range.end,
+      });
+      if (errors.length) setErr(describeDesjardinsErrors(errors, t));
+    } catch (e) {
+      setErr(e?.message || String(e));
+    }
   }
 
   async function approveWeekAll() {
@@ -480,34 +525,15 @@ export default function ManagerDashboard() {
     setErr(""); setInfo("");
 
     try {
-      const { data: sessionData, error: sessErr } = await supabase.auth.getSession();
-      if (sessErr) throw sessErr;
-      const accessToken = sessionData?.session?.access_token;
-      if (!accessToken) throw new Error(t("manager.errors.noSession"));
-
-      // One invoke for the whole batch — the Edge Function fans out to
-      // Apps Script in a single POST and updates all DB rows at once.
-      const { data, error: fnErr } = await invokeWithTimeout(
-        "push_approved_batch",
-        {
-          body: { job_ids: list.map((j) => j.id) },
-          headers: { Authorization: `Bearer ${accessToken}` },
-        },
-        60000
-      );
-      if (fnErr) throw fnErr;
-      if (data?.ok !== true) {
-        throw new Error(data?.error || t("manager.errors.approveWeekFailed"));
-      }
-
-      const approvedCount = Number(data?.exported || 0);
-      const skippedCount = Number(data?.skipped || 0);
-
+      const requested = list.map((j) => j.id);
+      const approved = await approveJobs(requested, exportTargets);
+      const skippedCount = requested.length - approved.length;
       setInfo(
         skippedCount > 0
-          ? t("manager.toasts.approvedManySkipped", { count: approvedCount, skipped: skippedCount })
-          : t("manager.toasts.approvedManyExported", { count: approvedCount })
+          ? t("manager.toasts.approvedManySkipped", { count: approved.length, skipped: skippedCount })
+          : t("manager.toasts.approvedMany", { count: approved.length })
       );
+      if (approved.length) await runExports();
       await load();
     } catch (e) {
       setErr(e?.message || t("manager.errors.approveWeekFailed"));
@@ -528,9 +554,17 @@ export default function ManagerDashboard() {
     const kmA = Number(j.km_aller ?? 0) || 0;
     const kmR = Number(j.km_retour ?? 0) || 0;
     const kmLabel = kmA + kmR;
+    const hasTrip = Boolean(j.km_aller_track || j.km_retour_track);
+    const tripMismatch = tripKmMismatch(kmA, j.km_aller_track) || tripKmMismatch(kmR, j.km_retour_track);
 
     const updatedLabel = j.updated_at ? dayjs(j.updated_at).format("DD MMM HH:mm") : "—";
+    const holidayName = holidays.get(j.job_date);
     const canApprove = j.status === "submitted";
+    // Approved jobs show their exports; unlocked ones the lines still to void.
+    const exportRows = (exportStates.get(j.id) || []).filter((row) =>
+      j.status === "approved" || (row.action === "void" && row.status !== "voided")
+    );
+    const destinationName = (row) => destinationsById.get(row.destination_id)?.name || "?";
 
     return (
       <Card key={j.id} id={`job-${j.id}`} className={focusedJobId === j.id ? "ring-2 ring-red-500" : ""}>
@@ -583,12 +617,55 @@ export default function ManagerDashboard() {
               <span className="rounded-full border bg-muted px-2 py-0.5 text-xs">
                 {t("history.km")}: <b>{kmLabel}</b>
               </span>
+              {hasTrip && (
+                <button
+                  type="button"
+                  onClick={() => setTripJob(j)}
+                  className={
+                    tripMismatch
+                      ? "rounded-full border border-amber-300 bg-amber-50 px-2 py-0.5 text-xs text-amber-800 hover:bg-amber-100 dark:border-amber-700 dark:bg-amber-950 dark:text-amber-300"
+                      : "rounded-full border bg-muted px-2 py-0.5 text-xs hover:bg-accent"
+                  }
+                >
+                  {t("trip.pill")}: <b>{tripMismatch ? t("trip.mismatch") : t("trip.view")}</b>
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => setSiteJob(j)}
+                className={
+                  j.site_id
+                    ? "rounded-full border bg-muted px-2 py-0.5 text-xs hover:bg-accent"
+                    : "rounded-full border border-dashed px-2 py-0.5 text-xs text-muted-foreground hover:bg-accent"
+                }
+              >
+                {t("sites.site")}: <b>{j.site_id ? siteLabel(sitesById.get(j.site_id)) || "…" : t("sites.notSet")}</b>
+              </button>
+              {j.route_id && (
+                <span className="rounded-full border bg-muted px-2 py-0.5 text-xs">
+                  {t("route.title")}: <b>{t("route.stop", { n: j.route_seq })}</b>
+                </span>
+              )}
+              {holidayName && (
+                <span className="rounded-full border border-amber-300 bg-amber-50 px-2 py-0.5 text-xs text-amber-800 dark:border-amber-700 dark:bg-amber-950 dark:text-amber-300" title={holidayName}>
+                  {t("week.holiday")}: <b>{holidayName}</b>
+                </span>
+              )}
             </div>
 
             {/* Status badge */}
             <Badge variant={statusBadgeVariant(j.status)} className="uppercase tracking-wide">
               {t(`status.${j.status}`)}
             </Badge>
+            {exportRows.map((row) => (
+              <Badge
+                key={row.destination_id}
+                variant={row.status === "exported" ? "success" : row.status === "failed" ? "destructive" : "warning"}
+                title={row.last_error || undefined}
+              >
+                {destinationName(row)}: {t(row.action === "void" ? `manager.export.void.${row.status}` : `manager.export.${row.status}`)}
+              </Badge>
+            ))}
 
             {/* Action buttons */}
             <div className="flex flex-wrap gap-1.5">
@@ -597,11 +674,23 @@ export default function ManagerDashboard() {
                   {actionLoadingId === j.id ? t("common.working") : t("manager.approve")}
                 </Button>
               )}
+              {canApprove && (
+                <Button size="sm" variant="outline" disabled={actionLoadingId === j.id} onClick={() => setRejectingJobId(j.id)}>
+                  {t("manager.requestChanges")}
+                </Button>
+              )}
               {j.locked === true && j.status !== "approved" && (
-                <Button size="sm" variant="secondary" disabled={actionLoadingId === j.id} onClick={() => unlock(j.id)}>
+                <Button size="sm" variant="secondary" disabled={actionLoadingId === j.id} onClick={() => setUnlockingJobId(j.id)}>
                   {actionLoadingId === j.id ? t("common.working") : t("manager.unlock")}
                 </Button>
               )}
+              {exportRows.length > 0 && (
+                <Button size="sm" variant="outline" disabled={actionLoadingId === j.id} onClick={() => retryJobExport(j.id)}>
+                  {actionLoadingId === j.id
+                    ? t("common.working")
+                    : exportRows.every((row) => row.status === "exported") ? t("manager.export.reexport") : t("manager.export.retry")}
+                </Button>
+              )}
             </div>
 
             {/* Updated — pushed to the right on desktop */}
@@ -614,6 +703,26 @@ export default function ManagerDashboard() {
           <div className="mt-1.5 text-xs text-muted-foreground">
             {t("history.depart")}: {fmtTimeHHmm(j.depart)} • {t("history.arrival")}: {fmtTimeHHmm(j.arrivee)} • {t("history.end")}: {fmtTimeHHmm(j.fin)}
           </div>
+          {exportRows.filter((row) => row.status !== "exported" && row.attempts > 0).map((row) => (
+            <div key={row.destination_id} className={`mt-1 text-xs ${row.status === "failed" ? "text-destructive" : "text-muted-foreground"}`}>
+              {[
+                destinationName(row),
+                t("manager.export.attempts", { count: row.attempts }),
+                row.last_error,
+                row.next_attempt_at
+                  ? t("manager.export.nextAttempt", { time: dayjs(row.next_attempt_at).format("DD MMM HH:mm") })
+                  : t("manager.export.noMoreAttempts"),
+              ].filter(Boolean).join(" · ")}
+            </div>
+          ))}
+          {attachments.get(j.id)?.length > 0 && (
+            <div className="mt-2">
+              <JobAttachments job={j} attachments={attachments.get(j.id)} />
+            </div>
+          )}
+          <div className="mt-1">
+            <JobTimeline jobId={j.id} />
+          </div>
           {focusedJobId === j.id && focusedEvidence && (
             <div className="mt-3 grid gap-3 rounded-lg border border-red-500/30 bg-red-500/5 p-3 md:grid-cols-2">
               <div>
@@ -621,8 +730,21 @@ export default function ManagerDashboard() {
                 {focusedEvidence.imageUrl && <img src={focusedEvidence.imageUrl} alt={t("notifications.evidenceAlt")} className="max-h-80 w-full rounded-md border object-contain" />}
               </div>
               <div>
-                <div className="mb-2 text-sm font-semibold">OCR · {focusedEvidence.ocr_status}</div>
+                <div className="mb-2 text-sm font-semibold">
+                  OCR · {focusedEvidence.ocr_status}
+                  {focusedEvidence.ocr_provider && (
+                    <span className="ml-2 text-xs font-normal text-muted-foreground">
+                      {focusedEvidence.ocr_provider}
+                      {focusedEvidence.ocr_confidence != null && ` · ${Math.round(focusedEvidence.ocr_confidence * 100)}%`}
+                    </span>
+                  )}
+                </div>
                 <pre className="max-h-80 overflow-auto whitespace-pre-wrap rounded-md bg-muted p-3 text-xs">{focusedEvidence.ocr_text || t("notifications.ocrUnavailable")}</pre>
+                {focusedEvidence.review_status === "pending" && (
+                  <Link to="/evidence" className="mt-2 inline-block text-xs text-primary underline-offset-2 hover:underline">
+                    {t("evidence.openQueue")}
+                  </Link>
+                )}
               </div>
             </div>
           )}
@@ -667,6 +789,21 @@ export default function ManagerDashboard() {
                 <option value="saved">{t("status.saved")}</option>
                 <option value="submitted">{t("status.submitted")}</option>
                 <option value="approved">{t("status.approved")}</option>
+                <option value="rejected">{t("status.rejected")}</option>
+              </Select>
+
+              <Select value={clientFilter} onChange={(e) => { setClientFilter(e.target.value); setSiteFilter("all"); }}>
+                <option value="all">{t("sites.filters.allClients")}</option>
+                {clients.map((client) => (
+                  <option key={client.id} value={client.id}>{client.name}</option>
+                ))}
+              </Select>
+
+              <Select value={siteFilter} onChange={(e) => setSiteFilter(e.target.value)}>
+                <option value="all">{t("sites.filters.allSites")}</option>
+                {siteOptions.map((site) => (
+                  <option key={site.id} value={site.id}>{clientFilter === "all" ? siteLabel(site) : site.name}</option>
+                ))}
               </Select>
 
               <div className="flex items-center gap-1">
@@ -718,9 +855,41 @@ export default function ManagerDashboard() {
                     <Button type="button" size="sm" variant="ghost" className="h-6 px-2 text-xs" onClick={() => setWeekFilter("")}>
                       {t("manager.filters.clearWeek")}
                     </Button>
+                    <Button type="button" size="sm" variant="outline" className="h-6 px-2 text-xs" onClick={downloadDesjardins} title={t("payroll.desjardins.title")}>
+                      {t("payroll.desjardins.download")}
+                    </Button>
                   </div>
                 );
               })()}
+
+              {destinations.some((d) => d.active) && (
+                <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-sm sm:col-span-2 lg:col-span-3">
+                  <span className="text-muted-foreground">{t("manager.export.targets")}</span>
+                  {destinations.filter((d) => d.active).map((d) => (
+                    <label key={d.id} className="flex items-center gap-1.5">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(exportTargets?.includes(d.id))}
+                        onChange={(e) =>
+                          setExportTargets((ids) => (e.target.checked ? [...(ids || []), d.id] : (ids || []).filter((id) => id !== d.id)))
+                        }
+                      />
+                      {d.name}
+                    </label>
+                  ))}
+                  {exportTargets?.length === 0 && (
+                    <span className="text-xs text-muted-foreground">{t("manager.export.noTargets")}</span>
+                  )}
+                </div>
+              )}
+
+              {employeeId === "all" && (clientFilter !== "all" || siteFilter !== "all") && (
+                <div className="flex items-center gap-2 sm:col-span-2 lg:col-span-3">
+                  <Button type="button" size="sm" variant="outline" onClick={() => downloadPayrollCsv(null)}>
+                    {t("sites.downloadReport")}
+                  </Button>
+                </div>
+              )}
             </div>
 
             {selectedEmployee && (
@@ -842,6 +1011,33 @@ export default function ManagerDashboard() {
           </div>
         )}
       </div>
+
+      <ReasonDialog
+        open={Boolean(unlockingJobId)}
+        onOpenChange={(open) => { if (!open) setUnlockingJobId(null); }}
+        title={t("manager.unlock")}
+        description={t("manager.confirm.unlock")}
+        confirmLabel={t("manager.unlock")}
+        onConfirm={(reason) => unlock(unlockingJobId, reason)}
+      />
+      <ReasonDialog
+        open={Boolean(rejectingJobId)}
+        onOpenChange={(open) => { if (!open) setRejectingJobId(null); }}
+        title={t("manager.requestChanges")}
+        description={t("manager.requestChangesDescription")}
+        confirmLabel={t("manager.requestChangesSend")}
+        confirmVariant="destructive"
+        onConfirm={(reason) => requestChanges(rejectingJobId, reason)}
+      />
+      <TripTrackDialog job={tripJob} onOpenChange={(open) => { if (!open) setTripJob(null); }} />
+      <SiteAssignDialog
+        job={siteJob}
+        sites={sites}
+        onOpenChange={(open) => { if (!open) setSiteJob(null); }}
+        onSaved={(siteId) => {
+          setJobs((prev) => prev.map((job) => (job.id === siteJob.id ? { ...job, site_id: siteId } : job)));
+        }}
+      />
     </AppShell>
   );
 }
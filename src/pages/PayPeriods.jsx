@@ -0,0 +1,262 @@
+import React, { useEffect, useState } from "react";
+import dayjs from "dayjs";
+import AppShell from "@/components/AppShell";
+import ReasonDialog from "@/components/ReasonDialog";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Select } from "@/components/ui/select";
+import { useAuth } from "@/contexts/AuthContext";
+import {
+  PAY_PERIOD_FREQUENCIES,
+  fetchPayPeriodSettings,
+  fetchPayPeriods,
+  payPeriodBadgeVariant,
+  savePayPeriodSettings,
+  setPayPeriodStatus,
+} from "@/lib/pay-periods";
+import { describeDesjardinsErrors, downloadDesjardinsFile, downloadPayrollCsv, formatMinutesHM } from "@/lib/payroll";
+import { useT } from "@/lib/use-t";
+
+// Totals of a closed period's frozen snapshot.
+function snapshotTotals(snapshot) {
+  const weeks = snapshot?.weeks || [];
+  return {
+    employees: new Set(weeks.map((w) => w.user_id)).size,
+    regular: weeks.reduce((sum, w) => sum + (Number(w.regular_minutes) || 0), 0),
+    overtime: weeks.reduce((sum, w) => sum + (Number(w.ot15_minutes) || 0) + (Number(w.ot20_minutes) || 0), 0),
+  };
+}
+
+// Pay periods (0033_pay_periods.sql): review each period, close it once every
+// job is approved, and export its frozen snapshot. Closed periods refuse any
+// change to their jobs until reopened with a reason.
+export default function PayPeriods() {
+  const t = useT();
+  const { user } = useAuth();
+  const [periods, setPeriods] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState("");
+  const [info, setInfo] = useState("");
+  const [busyId, setBusyId] = useState(null);
+  // Closed period waiting for a reopen reason (ReasonDialog open while set).
+  const [reopening, setReopening] = useState(null);
+
+  async function load() {
+    setErr("");
+    setLoading(true);
+    try {
+      const [settingsRow, periodRows] = await Promise.all([fetchPayPeriodSettings(), fetchPayPeriods()]);
+      setSettings(settingsRow);
+      setPeriods(periodRows);
+    } catch (e) {
+      setErr(e?.message || t("payPeriods.errors.failedLoad"));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  async function saveSettings(e) {
+    e.preventDefault();
+    if (dayjs(settings.anchor_date).day() !== 1) {
+      setErr(t("payPeriods.errors.anchorMonday"));
+      return;
+    }
+    setErr(""); setInfo("");
+    try {
+      await savePayPeriodSettings({ frequency: settings.frequency, anchorDate: settings.anchor_date, userId: user?.id ?? null });
+      setInfo(t("payPeriods.settingsSaved"));
+    } catch (e) {
+      setErr(e?.message || String(e));
+    }
+  }
+
+  async function move(period, status, reason = null) {
+    setBusyId(period.id);
+    setErr(""); setInfo("");
+    try {
+      await setPayPeriodStatus(period.id, status, reason);
+      await load();
+    } catch (e) {
+      setErr(e?.message || String(e));
+      throw e;
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  function close(period) {
+    if (!window.confirm(t("payPeriods.confirmClose", { label: periodLabel(period) }))) return;
+    move(period, "closed").catch(() => {});
+  }
+
+  async function downloadDesjardins(period) {
+    setErr(""); setInfo("");
+    try {
+      const errors = await downloadDesjardinsFile({ periodId: period.id });
+      if (errors.length) setErr(describeDesjardinsErrors(errors, t));
+    } catch (e) {
+      setErr(e?.message || String(e));
+    }
+  }
+
+  async function downloadCsv(period) {
+    setErr(""); setInfo("");
+    try {
+      await downloadPayrollCsv({ periodId: period.id, filename: `sparklog_payroll_${period.start_date}_${period.end_date}.csv` });
+    } catch (e) {
+      setErr(e?.message || String(e));
+    }
+  }
+
+  function periodLabel(period) {
+    return `${dayjs(period.start_date).format("DD MMM")} → ${dayjs(period.end_date).format("DD MMM YYYY")}`;
+  }
+
+  return (
+    <AppShell>
+      <div className="space-y-3">
+        <div>
+          <h1 className="text-xl font-extrabold">{t("payPeriods.title")}</h1>
+          <p className="text-sm text-muted-foreground">{t("payPeriods.subtitle")}</p>
+        </div>
+
+        {err && (
+          <div className="rounded-md border border-destructive/30 bg-destructive/10 px-3 py-2 text-sm text-destructive flex items-center justify-between gap-3">
+            <span>{err}</span>
+            <Button size="sm" variant="outline" className="shrink-0 text-xs" onClick={load}>
+              {t("common.retry")}
+            </Button>
+          </div>
+        )}
+        {info && (
+          <div className="rounded-md border border-primary/30 bg-primary/10 px-3 py-1.5 text-xs text-primary">{info}</div>
+        )}
+
+        {settings && (
+          <Card>
+            <CardContent className="p-4">
+              <form onSubmit={saveSettings} className="flex flex-wrap items-end gap-2">
+                <label className="space-y-1 text-xs">
+                  <span className="text-muted-foreground">{t("payPeriods.frequency")}</span>
+                  <Select value={settings.frequency} onChange={(e) => setSettings((s) => ({ ...s, frequency: e.target.value }))} className="h-9">
+                    {PAY_PERIOD_FREQUENCIES.map((frequency) => (
+                      <option key={frequency} value={frequency}>{t(`payPeriods.frequencies.${frequency}`)}</option>
+                    ))}
+                  </Select>
+                </label>
+                <label className="space-y-1 text-xs">
+                  <span className="text-muted-foreground">{t("payPeriods.anchor")}</span>
+                  <Input type="date" value={settings.anchor_date} onChange={(e) => setSettings((s) => ({ ...s, anchor_date: e.target.value }))} className="h-9" required />
+                </label>
+                <Button type="submit" size="sm" className="h-9">{t("payPeriods.saveSettings")}</Button>
+                <p className="w-full text-xs text-muted-foreground">{t("payPeriods.settingsHint")}</p>
+              </form>
+            </CardContent>
+          </Card>
+        )}
+
+        {loading && <Card><CardContent className="p-4 text-sm">{t("common.loading")}</CardContent></Card>}
+
+        {!loading && periods.map((period) => {
+          const busy = busyId === period.id;
+          const totals = period.status === "closed" ? snapshotTotals(period.snapshot) : null;
+          // Same rule as set_pay_period_status (0040): every job approved.
+          const closeBlocked = period.submitted_count > 0
+            ? t("payPeriods.closeBlocked", { count: period.submitted_count })
+            : period.draft_count > 0 ? t("payPeriods.closeBlockedDrafts", { count: period.draft_count }) : null;
+          return (
+            <Card key={period.id}>
+              <CardContent className="space-y-2 p-3">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-sm font-bold">{periodLabel(period)}</span>
+                  <Badge variant={payPeriodBadgeVariant(period.status)} className="uppercase tracking-wide">
+                    {t(`payPeriods.status.${period.status}`)}
+                  </Badge>
+                  <span className="text-xs text-muted-foreground">
+                    {t("payPeriods.counts", {
+                      jobs: period.job_count,
+                      approved: period.approved_count,
+                      submitted: period.submitted_count,
+                      drafts: period.draft_count,
+                    })}
+                  </span>
+
+                  <div className="flex flex-wrap gap-1.5 md:ml-auto">
+                    {period.status === "open" && (
+                      <Button size="sm" variant="outline" disabled={busy} onClick={() => move(period, "review").catch(() => {})}>
+                        {busy ? t("common.working") : t("payPeriods.startReview")}
+                      </Button>
+                    )}
+                    {period.status === "review" && (
+                      <>
+                        <Button size="sm" variant="ghost" disabled={busy} onClick={() => move(period, "open").catch(() => {})}>
+                          {t("payPeriods.backToOpen")}
+                        </Button>
+                        <Button
+                          size="sm"
+                          disabled={busy || Boolean(closeBlocked)}
+                          title={closeBlocked || undefined}
+                          onClick={() => close(period)}
+                        >
+                          {busy ? t("common.working") : t("payPeriods.close")}
+                        </Button>
+                      </>
+                    )}
+                    {period.status === "closed" && (
+                      <Button size="sm" variant="secondary" disabled={busy} onClick={() => setReopening(period)}>
+                        {t("payPeriods.reopen")}
+                      </Button>
+                    )}
+                    {period.status !== "open" && (
+                      <>
+                        <Button size="sm" variant="outline" onClick={() => downloadDesjardins(period)}>
+                          {t("payroll.desjardins.download")}
+                        </Button>
+                        <Button size="sm" variant="outline" onClick={() => downloadCsv(period)}>
+                          {t("manager.downloadCsv")}
+                        </Button>
+                      </>
+                    )}
+                  </div>
+                </div>
+
+                {totals && (
+                  <div className="text-xs text-muted-foreground">
+                    {t("payPeriods.snapshot", {
+                      time: dayjs(period.closed_at).format("DD MMM HH:mm"),
+                      employees: totals.employees,
+                      regular: formatMinutesHM(totals.regular),
+                      overtime: formatMinutesHM(totals.overtime),
+                    })}
+                  </div>
+                )}
+                {period.reopen_reason && (
+                  <div className="text-xs text-muted-foreground">
+                    {t("payPeriods.reopened", { time: dayjs(period.reopened_at).format("DD MMM HH:mm"), reason: period.reopen_reason })}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          );
+        })}
+      </div>
+
+      <ReasonDialog
+        open={Boolean(reopening)}
+        onOpenChange={(open) => { if (!open) setReopening(null); }}
+        title={t("payPeriods.reopen")}
+        description={t("payPeriods.reopenDescription")}
+        confirmLabel={t("payPeriods.reopen")}
+        onConfirm={(reason) => move(reopening, "review", reason)}
+      />
+    </AppShell>
+  );
+}
@@ -3,6 +3,7 @@ import { BookOpen, ExternalLink, Mail, Phone, UserRound } from "lucide-react";
 import { supabase } from "@/supabaseClient";
 import { useAuth } from "@/contexts/AuthContext";
 import AppShell from "@/components/AppShell";
+import PushSettingsCard from "@/components/PushSettingsCard";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
 import { COMPANY_FORMS } from "@/lib/forms";
@@ -19,7 +20,7 @@ export default function Profile() {
   useEffect(() => {
     if (!user?.id) return;
     Promise.all([
-      supabase.from("profiles").select("full_name, phone, email").eq("id", user.id).single(),
+      supabase.from("profiles").select("full_name, phone, email, push_overtime_evidence, push_job_updates").eq("id", user.id).single(),
       supabase.from("employee_forms").select("form_id").eq("enabled", true),
     ]).then(([profileResult, formsResult]) => {
       const loadError = profileResult.error || formsResult.error;
@@ -53,6 +54,8 @@ export default function Profile() {
               </CardContent>
             </Card>
 
+            <PushSettingsCard profile={profile} onProfileChange={setProfile} />
+
             <Card>
               <CardHeader><CardTitle>{t("profile.forms")}</CardTitle><CardDescription>{t("profile.formsDescription")}</CardDescription></CardHeader>
               <CardContent className="grid gap-3 sm:grid-cols-2">
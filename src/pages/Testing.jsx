@@ -4,6 +4,13 @@ import { supabase } from "../supabaseClient";
 import AppShell from "@/components/AppShell";
 import EmployeesPanel from "@/components/EmployeesPanel";
 import ManagerAnnouncePanel from "@/components/ManagerAnnouncePanel";
+import OvertimeRulesPanel from "@/components/OvertimeRulesPanel";
+import HolidaysPanel from "@/components/HolidaysPanel";
+import SyntheticGpsPanel from "@/components/SyntheticGpsPanel";
+import SitesPanel from "@/components/SitesPanel";
+import StorageLocationsPanel from "@/components/StorageLocationsPanel";
+import ExportDestinationsPanel from "@/components/ExportDestinationsPanel";
+import PayrollCodesPanel from "@/components/PayrollCodesPanel";
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Tabs, TabsList, TabsTrigger, TabsContent } from "@/components/ui/tabs";
@@ -415,17 +422,31 @@ export default function Testing() {
           <TabsTrigger value="employees">{t("testing.tabs.employees")}</TabsTrigger>
           <TabsTrigger value="announce">{t("testing.tabs.announce")}</TabsTrigger>
           <TabsTrigger value="ccq">{t("testing.tabs.ccq")}</TabsTrigger>
+          <TabsTrigger value="overtime">{t("testing.tabs.overtime")}</TabsTrigger>
+          <TabsTrigger value="holidays">{t("testing.tabs.holidays")}</TabsTrigger>
+          <TabsTrigger value="sites">{t("testing.tabs.sites")}</TabsTrigger>
+          <TabsTrigger value="storage">{t("testing.tabs.storage")}</TabsTrigger>
+          <TabsTrigger value="exports">{t("testing.tabs.exports")}</TabsTrigger>
+          <TabsTrigger value="payroll">{t("testing.tabs.payroll")}</TabsTrigger>
           <TabsTrigger value="week">{t("testing.tabs.week")}</TabsTrigger>
           <TabsTrigger value="month">{t("testing.tabs.month")}</TabsTrigger>
           <TabsTrigger value="forms">{t("testing.tabs.forms")}</TabsTrigger>
+          <TabsTrigger value="gps">{t("testing.tabs.gps")}</TabsTrigger>
         </TabsList>
 
         <TabsContent value="employees"><EmployeesPanel /></TabsContent>
         <TabsContent value="announce"><ManagerAnnouncePanel /></TabsContent>
         <TabsContent value="ccq"><CcqRatesPanel /></TabsContent>
+        <TabsContent value="overtime"><OvertimeRulesPanel /></TabsContent>
+        <TabsContent value="holidays"><HolidaysPanel /></TabsContent>
+        <TabsContent value="sites"><SitesPanel /></TabsContent>
+        <TabsContent value="storage"><StorageLocationsPanel /></TabsContent>
+        <TabsContent value="exports"><ExportDestinationsPanel /></TabsContent>
+        <TabsContent value="payroll"><PayrollCodesPanel /></TabsContent>
         <TabsContent value="week"><ComingSoon label={t("testing.tabs.week")} /></TabsContent>
         <TabsContent value="month"><ComingSoon label={t("testing.tabs.month")} /></TabsContent>
         <TabsContent value="forms"><FormsPanel /></TabsContent>
+        <TabsContent value="gps"><SyntheticGpsPanel /></TabsContent>
       </Tabs>
     </AppShell>
   );
@@ -2,54 +2,21 @@ import React, { useEffect, useMemo, useState } from "react";
 import { useSearchParams } from "react-router-dom";
 import dayjs from "dayjs";
 import isoWeek from "dayjs/plugin/isoWeek";
-import customParseFormat from "dayjs/plugin/customParseFormat";
 import "dayjs/locale/en";
 import { ChevronDown, ChevronRight } from "lucide-react";
-import { supabase } from "../supabaseClient";
 import { useAuth } from "../contexts/AuthContext";
-import { hoursBetween } from "../lib/time";
 import AppShell from "@/components/AppShell";
 import { Card, CardContent } from "@/components/ui/card";
-import { cn, withTimeout } from "@/lib/utils";
+import { cn } from "@/lib/utils";
 import { useT } from "@/lib/use-t";
 import { Button } from "@/components/ui/button";
+import { fetchPayrollDays, fetchPayrollWeekPay, fetchPayrollWeeks, formatMinutesHM } from "@/lib/payroll";
 
 dayjs.extend(isoWeek);
-dayjs.extend(customParseFormat);
 dayjs.locale("en");
 
-function parseJobDate(job_date) {
-  if (!job_date) return null;
-  const formats = ["YYYY-MM-DD", "YYYY-MM-DDTHH:mm:ssZ", "YYYY-MM-DDTHH:mm:ss.SSSZ", "DD MMM YYYY"];
-  for (const f of formats) {
-    const d = dayjs(job_date, f, true);
-    if (d.isValid()) return d;
-  }
-  const d = dayjs(job_date);
-  return d.isValid() ? d : null;
-}
-
-function makeDayTime(job_date, timeStr) {
-  const d = parseJobDate(job_date);
-  if (!d || !timeStr) return null;
-  const t = String(timeStr).slice(0, 5);
-  const dt = dayjs(`${d.format("YYYY-MM-DD")}T${t}`);
-  return dt.isValid() ? dt : null;
-}
-
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
-}
-
-function formatHoursHM(hoursFloat) {
-  const totalMinutes = Math.round((hoursFloat || 0) * 60);
-  const h = Math.floor(totalMinutes / 60);
-  const m = totalMinutes % 60;
-  return `${h}h${String(m).padStart(2, "0")}`;
-}
-
-function isNonEmptyOT(ot) {
-  return String(ot || "").trim().length > 0;
+function formatMoney(value) {
+  return `${(Number(value) || 0).toFixed(2)} $`;
 }
 
 export default function Week() {
@@ -61,35 +28,43 @@ export default function Week() {
   const isManagerViewingEmployee = role === "manager" && Boolean(employeeIdParam);
   const effectiveUserId = isManagerViewingEmployee ? employeeIdParam : user?.id;
 
-  const [jobs, setJobs] = useState([]);
+  const [weeks, setWeeks] = useState([]);
+  const [days, setDays] = useState([]);
+  // CCQ pay per week_start, managers only (rates are manager-readable).
+  const [payByWeek, setPayByWeek] = useState(new Map());
   const [loading, setLoading] = useState(true);
   const [err, setErr] = useState("");
 
   const [openWeekKey, setOpenWeekKey] = useState(null);
 
+  // Totals come from the payroll engine (payroll_weekly / payroll_daily) so
+  // this screen always matches the payroll exports. Every status is
+  // included: employees want to see drafts and pending jobs here too.
   async function load() {
     setErr("");
     setLoading(true);
     try {
       if (!effectiveUserId) {
-        setJobs([]);
+        setWeeks([]);
+        setDays([]);
+        setPayByWeek(new Map());
         setLoading(false);
         return;
       }
-      const { data, error } = await withTimeout(
-        supabase
-          .from("jobs")
-          .select("*")
-          .eq("user_id", effectiveUserId)
-          .order("job_date", { ascending: false })
-          .order("updated_at", { ascending: false }),
-        12000
-      );
-      if (error) throw error;
-      setJobs(data || []);
+      const scope = { userId: effectiveUserId, statuses: null };
+      const [weekRows, dayRows, payRows] = await Promise.all([
+        fetchPayrollWeeks(scope),
+        fetchPayrollDays(scope),
+        role === "manager" ? fetchPayrollWeekPay({ userId: effectiveUserId }) : [],
+      ]);
+      setWeeks(weekRows);
+      setDays(dayRows);
+      setPayByWeek(new Map(payRows.map((row) => [row.week_start, row])));
     } catch (e) {
       setErr(e?.message || t("week.errors.failedLoad"));
-      setJobs([]);
+      setWeeks([]);
+      setDays([]);
+      setPayByWeek(new Map());
     } finally {
       setLoading(false);
     }
@@ -98,73 +73,33 @@ export default function Week() {
   useEffect(() => {
     load();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [effectiveUserId]);
+  }, [effectiveUserId, role]);
 
   const { weekly, dailyByKey } = useMemo(() => {
     const dailyMap = new Map();
-
-    for (const j of jobs) {
-      const d = parseJobDate(j.job_date);
-      if (!d) continue;
-
-      const dayKey = d.format("YYYY-MM-DD");
-      if (!dailyMap.has(dayKey)) {
-        dailyMap.set(dayKey, { date: d, hours: 0, km: 0, otCount: 0, jobCount: 0 });
-      }
-      const day = dailyMap.get(dayKey);
-      day.jobCount += 1;
-
-      const d1 = makeDayTime(j.job_date, j.depart);
-      const d2 = makeDayTime(j.job_date, j.fin);
-      if (d1 && d2) day.hours += hoursBetween(d1, d2) || 0;
-
-      const kmAller = Number(j.km_aller ?? 0) || 0;
-      day.km += kmAller;
-      if (isNonEmptyOT(j.ot)) day.otCount += 1;
+    for (const d of days) {
+      dailyMap.set(d.job_date, {
+        date: dayjs(d.job_date),
+        minutes: (d.regular_minutes || 0) + (d.overtime_minutes || 0),
+        returnMinutes: d.return_minutes || 0,
+        km: Number(d.km_total) || 0,
+        otCount: d.ot_count || 0,
+        holiday: d.holiday_name || null,
+        weekStart: d.week_start,
+      });
     }
 
-    const weeklyMap = new Map();
-    for (const day of dailyMap.values()) {
-      const weekStart = day.date.startOf("isoWeek");
-      const weekKey = weekStart.format("YYYY-MM-DD");
-      const regular = clamp(day.hours, 0, 8);
-      const overtime = Math.max(day.hours - 8, 0);
-
-      if (!weeklyMap.has(weekKey)) {
-        weeklyMap.set(weekKey, {
-          start: weekStart,
-          end: weekStart.endOf("isoWeek"),
-          regularHours: 0,
-          overtimeHours: 0,
-          totalKm: 0,
-          dayKeys: [],
-        });
-      }
-      const w = weeklyMap.get(weekKey);
-      w.regularHours += regular;
-      w.overtimeHours += overtime;
-      w.totalKm += day.km;
-      w.dayKeys.push(day.date.format("YYYY-MM-DD"));
-    }
-
-    const weeklyArr = Array.from(weeklyMap.values()).map((w) => {
-      const ot15 = Math.min(w.overtimeHours, 1);
-      const ot20 = Math.max(w.overtimeHours - 1, 0);
-      const uniqueDayKeys = Array.from(new Set(w.dayKeys)).sort((a, b) =>
-        dayjs(a).isAfter(dayjs(b)) ? -1 : 1
-      );
-      return {
-        ...w,
-        ot15,
-        ot20,
-        totalHours: w.regularHours + w.overtimeHours,
-        dayKeys: uniqueDayKeys,
-      };
-    });
-
+    const weeklyArr = weeks.map((w) => ({
+      ...w,
+      start: dayjs(w.week_start),
+      end: dayjs(w.week_end),
+      dayKeys: Array.from(dailyMap.keys())
+        .filter((key) => dailyMap.get(key).weekStart === w.week_start)
+        .sort((a, b) => (a < b ? 1 : -1)),
+    }));
     weeklyArr.sort((a, b) => (a.start.isAfter(b.start) ? -1 : 1));
     return { weekly: weeklyArr, dailyByKey: dailyMap };
-  }, [jobs]);
+  }, [weeks, days]);
 
   function toggleWeek(weekKey) {
     setOpenWeekKey((prev) => (prev === weekKey ? null : weekKey));
@@ -189,6 +124,7 @@ export default function Week() {
         {!loading && !err && weekly.map((w) => {
           const weekKey = w.start.format("YYYY-MM-DD");
           const isOpen = openWeekKey === weekKey;
+          const pay = payByWeek.get(w.week_start);
 
           return (
             <div key={weekKey} className="space-y-2">
@@ -216,24 +152,61 @@ export default function Week() {
                         {w.start.format("DD MMM")} → {w.end.format("DD MMM YYYY")}
                       </div>
                       <div className="text-sm">
-                        {t("week.total")}: <b>{formatHoursHM(w.totalHours)}</b>
+                        {t("week.total")}: <b>{formatMinutesHM(w.paid_minutes)}</b>
                         <span className="mx-2 text-muted-foreground">•</span>
-                        <b>{Math.round(w.totalKm)}</b> km
+                        <b>{Math.round(Number(w.km_total) || 0)}</b> km
+                        {w.return_minutes > 0 && (
+                          <>
+                            <span className="mx-2 text-muted-foreground">•</span>
+                            {t("week.returnTime")}: <b>{formatMinutesHM(w.return_minutes)}</b>
+                          </>
+                        )}
                       </div>
+                      {w.holiday_minutes > 0 && (
+                        <div className="text-xs text-amber-700 dark:text-amber-400">
+                          {t("week.holidayWork")}: <b>{formatMinutesHM(w.holiday_minutes)}</b>
+                        </div>
+                      )}
+                      {(Number(w.km_reimbursement) > 0 || Number(w.storage_compensation) > 0) && (
+                        <div className="text-xs text-muted-foreground">
+                          {t("week.kmReimbursement")}: <b className="text-foreground">{formatMoney(w.km_reimbursement)}</b>
+                          {Number(w.storage_compensation) > 0 && (
+                            <>
+                              <span className="mx-2">•</span>
+                              {t("week.storageCompensation")}: <b className="text-foreground">{formatMoney(w.storage_compensation)}</b>
+                            </>
+                          )}
+                        </div>
+                      )}
+                      {pay && (
+                        <div className="text-xs text-muted-foreground">
+                          {pay.gross_pay != null ? (
+                            <>
+                              {t("week.pay")}: <b className="text-foreground">{formatMoney(pay.gross_pay)}</b>
+                              <span className="ml-1">
+                                ({t("week.regular")} {formatMoney(pay.regular_pay)} · {t("week.ot15")} {formatMoney(pay.ot15_pay)} · {t("week.ot20")} {formatMoney(pay.ot20_pay)} · {t("week.benefits")} {formatMoney(pay.benefits_pay)})
+                              </span>
+                              {pay.rates_to && <span className="ml-1">· {t("week.ratesAsOf", { date: pay.rates_to })}</span>}
+                            </>
+                          ) : (
+                            <span className="text-amber-700 dark:text-amber-400">{t("week.payMissingRates", { count: pay.missing_rate_days })}</span>
+                          )}
+                        </div>
+                      )}
                     </div>
 
                     <div className="grid gap-1.5 min-w-[140px]">
                       <div className="flex items-baseline justify-between gap-3">
                         <span className="font-bold text-muted-foreground">{t("week.regular")}:</span>
-                        <span className="font-bold text-lg">{formatHoursHM(w.regularHours)}</span>
+                        <span className="font-bold text-lg">{formatMinutesHM(w.regular_minutes)}</span>
                       </div>
                       <div className="flex items-baseline justify-between gap-3">
                         <span className="font-bold text-muted-foreground">{t("week.ot15")}:</span>
-                        <span className="font-bold text-lg">{formatHoursHM(w.ot15)}</span>
+                        <span className="font-bold text-lg">{formatMinutesHM(w.ot15_minutes)}</span>
                       </div>
                       <div className="flex items-baseline justify-between gap-3">
                         <span className="font-bold text-muted-foreground">{t("week.ot20")}:</span>
-                        <span className="font-bold text-lg">{formatHoursHM(w.ot20)}</span>
+                        <span className="font-bold text-lg">{formatMinutesHM(w.ot20_minutes)}</span>
                       </div>
                     </div>
                   </div>
@@ -256,12 +229,22 @@ export default function Week() {
                         >
                           <div className="text-sm font-bold">{day.date.format("DD MMM YYYY")}</div>
                           <div className="flex flex-wrap items-center justify-end gap-1.5">
+                            {day.holiday && (
+                              <span className="rounded-full border border-amber-300 bg-amber-50 px-2.5 py-0.5 text-xs text-amber-800 dark:border-amber-700 dark:bg-amber-950 dark:text-amber-300" title={day.holiday}>
+                                {t("week.holiday")}: <b>{day.holiday}</b>
+                              </span>
+                            )}
                             <span className="rounded-full border bg-muted px-2.5 py-0.5 text-xs">
-                              <b>{formatHoursHM(day.hours)}</b>
+                              <b>{formatMinutesHM(day.minutes)}</b>
                             </span>
                             <span className="rounded-full border bg-muted px-2.5 py-0.5 text-xs">
                               <b>{Math.round(day.km)}</b> km
                             </span>
+                            {day.returnMinutes > 0 && (
+                              <span className="rounded-full border bg-muted px-2.5 py-0.5 text-xs">
+                                {t("common.returnShort")} <b>{formatMinutesHM(day.returnMinutes)}</b>
+                              </span>
+                            )}
                             <span className="rounded-full border bg-muted px-2.5 py-0.5 text-xs">
                               {t("week.otCountLabel")}<b>{day.otCount}</b>
                             </span>
@@ -0,0 +1,308 @@
+// supabase/functions/ocr/index.ts
+//
+// Server side of the OCR service (src/lib/ocr.js). The provider keys live
+// here, never in the browser bundle.
+//
+//   OcrProvider          backend interface (read one image)
+//   OcrSpaceProvider     ocr.space engine 2        (OCR_SPACE_API_KEY)
+//   VisionLlmProvider    vision model via OpenRouter (OPENROUTER_API_KEY,
+//                        OCR_VISION_MODEL) — returns fields as well as text
+//   MockOcrProvider      fixed text, no network (OCR_MOCK_TEXT to override)
+//
+// OCR_PROVIDERS lists the chain in order, e.g. "ocr_space,vision"; each one
+// is tried until one returns text. Unset, every configured provider is used
+// (ocr.space first). The mock only runs when OCR_PROVIDERS names it: with no
+// provider configured the function answers 503 and the client falls back to
+// Tesseract (a mock read must never pass for real overtime evidence).
+//
+// Request (POST, bearer token):
+//   { image_base64: string, mime_type?: string,
+//     purpose?: "work_order" | "overtime_sms" }
+// Response:
+//   { ok: true, provider, text, confidence: number | null,
+//     fields: { [field]: { value, confidence } }, attempts: [{ provider, error }] }
+
+import { serve } from "https://deno.land/std@0.224.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+function json(data: unknown, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+const VALID_MIME = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+// The client sends a downscaled JPEG; anything far bigger is not a photo.
+const MAX_IMAGE_BASE64 = 8 * 1024 * 1024;
+// Fields a vision model reads are trusted like a clean template match,
+// not more: the employee still reviews them.
+const VISION_FIELD_CONFIDENCE = 0.8;
+
+type Purpose = "work_order" | "overtime_sms";
+
+type OcrField = { value: string | number; confidence: number };
+
+interface OcrResult {
+  text: string;
+  confidence: number | null;
+  fields: Record<string, OcrField>;
+}
+
+interface OcrImage {
+  base64: string;
+  mimeType: string;
+}
+
+// ── Provider abstraction ─────────────────────────────────────────────────────
+interface OcrProvider {
+  readonly name: string;
+  recognize(image: OcrImage, purpose: Purpose): Promise<OcrResult>;
+}
+
+class OcrSpaceProvider implements OcrProvider {
+  readonly name = "ocr_space";
+  constructor(private apiKey: string) {}
+
+  async recognize(image: OcrImage): Promise<OcrResult> {
+    const fd = new FormData();
+    fd.append("base64Image", `data:${image.mimeType};base64,${image.base64}`);
+    fd.append("language", "fre");
+    fd.append("OCREngine", "2");
+    fd.append("scale", "true");
+    fd.append("isTable", "true");
+
+    const res = await fetch("https://api.ocr.space/parse/image", {
+      method: "POST",
+      headers: { apikey: this.apiKey },
+      body: fd,
+    });
+    if (!res.ok) throw new Error(`ocr.space HTTP ${res.status}`);
+    const data = await res.json();
+    if (data?.IsErroredOnProcessing) {
+      throw new Error(
+        Array.isArray(data.ErrorMessage) ? data.ErrorMessage.join("; ") : String(data.ErrorMessage || "ocr.space error"),
+      );
+    }
+    const text = (data?.ParsedResults || []).map((r: { ParsedText?: string }) => r?.ParsedText || "").join("\n");
+    // ocr.space reports no confidence for engine 2.
+    return { text, confidence: null, fields: {} };
+  }
+}
+
+const WORK_ORDER_PROMPT = `You are reading a photo of a work order sheet, timesheet or similar document.
+
+Return ONLY a JSON object, no explanation, no markdown:
+{"text": "<every line of text in the image, in reading order>",
+ "fields": {"job_date": "YYYY-MM-DD", "ot": "<work order number with its prefix, e.g. OT-169954>",
+            "depart": "HH:mm", "arrivee": "HH:mm", "fin": "HH:mm", "km_aller": <number>}}
+
+depart is the start time ("Heure de début"), arrivee the arrival time ("Heure d'arrivée"), fin the end time ("Heure de fin"),
+km_aller the one-way distance ("Distance parcourue", "29,00" → 29). Use null for any field you cannot find.`;
+
+const SMS_PROMPT = `You are reading a screenshot of a text message conversation.
+
+Return ONLY a JSON object, no explanation, no markdown:
+{"text": "<every message in the screenshot, one per line, in order, with sender names and timestamps as shown>"}`;
+
+const FIELD_FORMATS: Record<string, RegExp> = {
+  job_date: /^\d{4}-\d{2}-\d{2}$/,
+  ot: /^[A-Z]{0,3}-?\d{4,8}$/i,
+  depart: /^([01]\d|2[0-3]):[0-5]\d$/,
+  arrivee: /^([01]\d|2[0-3]):[0-5]\d$/,
+  fin: /^([01]\d|2[0-3]):[0-5]\d$/,
+};
+
+// Keeps the fields the model returned in the form's own formats.
+function visionFields(raw: unknown): Record<string, OcrField> {
+  const fields: Record<string, OcrField> = {};
+  if (!raw || typeof raw !== "object") return fields;
+  for (const [field, value] of Object.entries(raw as Record<string, unknown>)) {
+    if (value === null || value === undefined || value === "") continue;
+    if (field === "km_aller") {
+      const km = Number(String(value).replace(",", "."));
+      if (Number.isFinite(km) && km >= 0) fields.km_aller = { value: km, confidence: VISION_FIELD_CONFIDENCE };
+    } else if (FIELD_FORMATS[field]?.test(String(value).trim())) {
+      fields[field] = { value: String(value).trim(), confidence: VISION_FIELD_CONFIDENCE };
+    }
+  }
+  return fields;
+}
+
+class VisionLlmProvider implements OcrProvider {
+  readonly name = "vision";
+  constructor(private apiKey: string, private model: string) {}
+
+  async recognize(image: OcrImage, purpose: Purpose): Promise<OcrResult> {
+    const res = await fetch("https://openrouter.ai/api/v1/chat/completions", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Authorization": `Bearer ${this.apiKey}`,
+        "HTTP-Referer": "https://sparklog.onrender.com",
+        "X-Title": "SparkLog OCR",
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: 1024,
+        messages: [
+          {
+            role: "user",
+            content: [
+              { type: "text", text: purpose === "overtime_sms" ? SMS_PROMPT : WORK_ORDER_PROMPT },
+              { type: "image_url", image_url: { url: `data:${image.mimeType};base64,${image.base64}` } },
+            ],
+          },
+        ],
+      }),
+    });
+    if (!res.ok) throw new Error(`OpenRouter HTTP ${res.status}: ${(await res.text()).slice(0, 200)}`);
+
+    const data = await res.json();
+    const content: string = data?.choices?.[0]?.message?.content ?? "";
+    let parsed: { text?: unknown; fields?: unknown } = {};
+    try {
+      parsed = JSON.parse(content);
+    } catch {
+      const match = content.match(/\{[\s\S]*\}/);
+      if (!match) throw new Error("Vision model returned no JSON");
+      parsed = JSON.parse(match[0]);
+    }
+    return {
+      text: typeof parsed.text === "string" ? parsed.text : "",
+      confidence: null,
+      fields: purpose === "work_order" ? visionFields(parsed.fields) : {},
+    };
+  }
+}
+
+// Today as dd/mm/yyyy, so the mock date passes the client's range check.
+function todayDmy(): string {
+  const d = new Date();
+  return [d.getDate(), d.getMonth() + 1].map((n) => String(n).padStart(2, "0")).concat(String(d.getFullYear())).join("/");
+}
+
+const MOCK_TEXT: Record<Purpose, string> = {
+  work_order: [
+    "Bilan",
+    "OT-123456",
+    `Date de début ${todayDmy()}`,
+    "Heure de début 07:00",
+    "Heure d'arrivée 08:15",
+    "Heure de fin 15:30",
+    "Distance parcourue 42,00",
+  ].join("\n"),
+  overtime_sms: "Contremaître: Temps supplémentaire approuvé, 2 h ce soir.",
+};
+
+// Development only (OCR_PROVIDERS=mock): no network, always the same text.
+class MockOcrProvider implements OcrProvider {
+  readonly name = "mock";
+  constructor(private text: string) {}
+
+  // deno-lint-ignore require-await
+  async recognize(_image: OcrImage, purpose: Purpose): Promise<OcrResult> {
+    return { text: this.text || MOCK_TEXT[purpose], confidence: 1, fields: {} };
+  }
+}
+
+function makeProvider(name: string): OcrProvider | null {
+  switch (name) {
+    case "ocr_space": {
+      const key = Deno.env.get("OCR_SPACE_API_KEY") ?? "";
+      return key ? new OcrSpaceProvider(key) : null;
+    }
+    case "vision": {
+      const key = Deno.env.get("OPENROUTER_API_KEY") ?? "";
+      const model = Deno.env.get("OCR_VISION_MODEL") || "meta-llama/llama-3.2-11b-vision-instruct:free";
+      return key ? new VisionLlmProvider(key, model) : null;
+    }
+    case "mock":
+      return new MockOcrProvider(Deno.env.get("OCR_MOCK_TEXT") ?? "");
+    default:
+      return null;
+  }
+}
+
+function pickProviders(): OcrProvider[] {
+  const configured = (Deno.env.get("OCR_PROVIDERS") ?? "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  const names = configured.length ? configured : ["ocr_space", "vision"];
+  return names.map((name) => {
+    const provider = makeProvider(name);
+    if (!provider) console.log(`[ocr] provider "${name}" unknown or not configured, skipped`);
+    return provider;
+  }).filter((p): p is OcrProvider => p !== null);
+}
+
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { status: 200, headers: corsHeaders });
+  }
+
+  try {
+    if (req.method !== "POST") {
+      return json({ ok: false, error: "Method not allowed" }, 405);
+    }
+
+    const supabaseUrl = Deno.env.get("SUPABASE_URL") ?? "";
+    const anonKey = Deno.env.get("SUPABASE_ANON_KEY") ?? "";
+
+    // Signed-in users only: the providers are paid per call.
+    const authHeader = req.headers.get("authorization") || "";
+    const token = authHeader.toLowerCase().startsWith("bearer ")
+      ? authHeader.slice(7).trim()
+      : "";
+    if (!token) {
+      return json({ ok: false, error: "Missing Authorization bearer token" }, 401);
+    }
+
+    const caller = createClient(supabaseUrl, anonKey, {
+      global: { headers: { Authorization: `Bearer ${token}` } },
+    });
+    const { data: callerUserRes, error: callerUserErr } = await caller.auth.getUser();
+    if (callerUserErr || !callerUserRes?.user) {
+      return json({ ok: false, error: "Invalid session token" }, 401);
+    }
+
+    const body = await req.json().catch(() => ({}));
+    const { image_base64, mime_type } = body;
+    if (!image_base64 || typeof image_base64 !== "string") {
+      return json({ ok: false, error: "Missing image_base64" }, 400);
+    }
+    if (image_base64.length > MAX_IMAGE_BASE64) {
+      return json({ ok: false, error: "Image too large" }, 413);
+    }
+    const purpose: Purpose = body.purpose === "overtime_sms" ? "overtime_sms" : "work_order";
+    const image = { base64: image_base64, mimeType: VALID_MIME.includes(mime_type) ? mime_type : "image/jpeg" };
+
+    const providers = pickProviders();
+    if (!providers.length) {
+      return json({ ok: false, error: "No OCR provider configured" }, 503);
+    }
+    const attempts: { provider: string; error: string }[] = [];
+    for (const provider of providers) {
+      try {
+        const result = await provider.recognize(image, purpose);
+        if (!result.text.trim() && !Object.keys(result.fields).length) throw new Error("No text found");
+        return json({ ok: true, provider: provider.name, ...result, attempts });
+      } catch (e) {
+        const error = e instanceof Error ? e.message : String(e);
+        console.log(`[ocr] ${provider.name} failed:`, error);
+        attempts.push({ provider: provider.name, error });
+      }
+    }
+    return json({ ok: false, error: "Every OCR provider failed", attempts }, 502);
+  } catch (e) {
+    return json({ ok: false, error: String(e) }, 500);
+  }
+});
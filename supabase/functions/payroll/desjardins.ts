@@ -0,0 +1,165 @@
+// supabase/functions/payroll/desjardins.ts
+//
+// Desjardins payroll import file (0032_payroll_earning_codes.sql). Fixed
+// layout, one line per employee and earning over the pay period, columns in
+// COLUMNS order, ';'-separated, no header:
+//   employee_code;earning_code;period_start;period_end;quantity;amount
+// Dates are YYYYMMDD, numbers have two decimals and a point. Hours only
+// fill the quantity (Desjardins applies the employee's rate); km carries
+// the distance and its reimbursement, storage only the amount.
+//
+// The file is validated as it is built; any error means no file. Two
+// employees sharing a number is an error, never one merged line.
+
+export const EARNINGS = ["regular", "ot15", "ot20", "km", "storage"] as const;
+export type Earning = typeof EARNINGS[number];
+
+// Column → maximum length in the import layout.
+const COLUMNS: [string, number][] = [
+  ["employee_code", 10],
+  ["earning_code", 6],
+  ["period_start", 8],
+  ["period_end", 8],
+  ["quantity", 9],
+  ["amount", 10],
+];
+
+const EMPLOYEE_CODE_RE = /^[A-Za-z0-9]{1,10}$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// payroll_weekly rows; only the columns the file uses.
+export type WeekTotals = {
+  user_id: string;
+  regular_minutes: number;
+  ot15_minutes: number;
+  ot20_minutes: number;
+  km_total: number;
+  km_reimbursement: number;
+  storage_compensation: number;
+};
+
+export type Employee = { name: string; code: string | null };
+
+// `code` is the key of payroll.desjardins.errors.* in the app's i18n.
+export type FileError = {
+  code:
+    | "invalid_period" | "empty" | "missing_employee_code" | "invalid_employee_code" | "duplicate_employee_code"
+    | "missing_earning_code" | "negative" | "too_long";
+  employee?: string;
+  other?: string;
+  earning?: string;
+  field?: string;
+  value?: string;
+};
+
+function num(value: number) {
+  return (Math.round((Number(value) || 0) * 100) / 100).toFixed(2);
+}
+
+function compactDate(date: string) {
+  return date.replace(/-/g, "");
+}
+
+// Earning → [quantity, amount] of one employee's period totals.
+function earningValues(t: WeekTotals): Record<Earning, [number | null, number | null]> {
+  return {
+    regular: [t.regular_minutes / 60, null],
+    ot15: [t.ot15_minutes / 60, null],
+    ot20: [t.ot20_minutes / 60, null],
+    km: [t.km_total, t.km_reimbursement],
+    storage: [null, t.storage_compensation],
+  };
+}
+
+// Sums the weeks of each employee over the period.
+function periodTotals(weeks: WeekTotals[]) {
+  const byUser = new Map<string, WeekTotals>();
+  for (const w of weeks) {
+    const t = byUser.get(w.user_id) ?? {
+      user_id: w.user_id, regular_minutes: 0, ot15_minutes: 0, ot20_minutes: 0,
+      km_total: 0, km_reimbursement: 0, storage_compensation: 0,
+    };
+    t.regular_minutes += Number(w.regular_minutes) || 0;
+    t.ot15_minutes += Number(w.ot15_minutes) || 0;
+    t.ot20_minutes += Number(w.ot20_minutes) || 0;
+    t.km_total += Number(w.km_total) || 0;
+    t.km_reimbursement += Number(w.km_reimbursement) || 0;
+    t.storage_compensation += Number(w.storage_compensation) || 0;
+    byUser.set(w.user_id, t);
+  }
+  return [...byUser.values()];
+}
+
+export function buildDesjardinsFile(
+  weeks: WeekTotals[],
+  employees: Map<string, Employee>,
+  earningCodes: Map<string, string>,
+  from: string | null,
+  to: string | null,
+): { errors: FileError[]; content: string; lines: number } {
+  const errors: FileError[] = [];
+  if (!from || !to || !DATE_RE.test(from) || !DATE_RE.test(to) || from > to) {
+    return { errors: [{ code: "invalid_period" }], content: "", lines: 0 };
+  }
+
+  const missingCodes = new Set<Earning>();
+  // Employee number (case aside) → name of the first employee filed under it.
+  const codeOwners = new Map<string, string>();
+  const rows: { earning: Earning; cells: string[] }[] = [];
+
+  for (const t of periodTotals(weeks)) {
+    const employee = employees.get(t.user_id);
+    const name = employee?.name || t.user_id;
+    const values = earningValues(t);
+    const used = EARNINGS.filter((e) => values[e].some((v) => v != null && Math.abs(v) >= 0.005));
+    if (used.length === 0) continue;
+
+    const employeeCode = (employee?.code || "").trim();
+    if (!employeeCode) {
+      errors.push({ code: "missing_employee_code", employee: name });
+    } else if (!EMPLOYEE_CODE_RE.test(employeeCode)) {
+      errors.push({ code: "invalid_employee_code", employee: name, value: employeeCode });
+    } else if (codeOwners.has(employeeCode.toUpperCase())) {
+      errors.push({ code: "duplicate_employee_code", employee: name, other: codeOwners.get(employeeCode.toUpperCase()), value: employeeCode });
+    } else {
+      codeOwners.set(employeeCode.toUpperCase(), name);
+    }
+
+    for (const earning of used) {
+      const [quantity, amount] = values[earning];
+      if ((quantity ?? 0) < 0 || (amount ?? 0) < 0) {
+        errors.push({ code: "negative", employee: name, earning });
+        continue;
+      }
+      const earningCode = earningCodes.get(earning);
+      if (!earningCode) {
+        missingCodes.add(earning);
+        continue;
+      }
+      const cells = [
+        employeeCode,
+        earningCode,
+        compactDate(from),
+        compactDate(to),
+        quantity == null ? "" : num(quantity),
+        amount == null ? "" : num(amount),
+      ];
+      cells.forEach((cell, i) => {
+        const [field, width] = COLUMNS[i];
+        if (cell.length > width) errors.push({ code: "too_long", employee: name, field, value: cell });
+      });
+      rows.push({ earning, cells });
+    }
+  }
+
+  for (const earning of missingCodes) errors.push({ code: "missing_earning_code", earning });
+  if (errors.length === 0 && rows.length === 0) errors.push({ code: "empty" });
+  if (errors.length > 0) return { errors, content: "", lines: 0 };
+
+  rows.sort((a, b) => a.cells[0].localeCompare(b.cells[0]) || EARNINGS.indexOf(a.earning) - EARNINGS.indexOf(b.earning));
+  return {
+    errors,
+    content: rows.map((r) => r.cells.join(";")).join("\r\n") + "\r\n",
+    lines: rows.length,
+  };
+}
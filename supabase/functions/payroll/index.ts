@@ -0,0 +1,389 @@
+// supabase/functions/payroll/index.ts
+//
+// Payroll engine endpoint. The math lives in Postgres (migrations
+// 0012_payroll_engine.sql onward: payroll_job_lines, payroll_weekly,
+// payroll_weekly_pay); this function only fetches those rows with the
+// caller's token — so RLS decides what they can see — and shapes
+// them as JSON, as the detailed payroll CSV used by every export button, or
+// as the Desjardins import file (desjardins.ts).
+//
+// Request (POST, bearer token):
+//   { employee_id?: string, from?: "YYYY-MM-DD", to?: "YYYY-MM-DD",
+//     client_id?: string, site_id?: string, period_id?: string,
+//     statuses?: string[] | null, format?: "json" | "csv" | "desjardins" }
+//
+// Employees may only ask for themselves; managers for anyone (or everyone
+// when employee_id is omitted). `statuses` defaults to ["approved"].
+// client_id / site_id (0022_clients_sites.sql) keep only the jobs of that
+// client or site; weekly totals cover every job of the week, so the CSV
+// then lists job rows only.
+//
+// period_id (0033_pay_periods.sql) takes the pay period's dates instead of
+// from / to. Once the period is closed, the weekly totals and pay of
+// approved jobs come from its frozen snapshot rather than the live engine.
+//
+// format "desjardins" is for managers, needs from and to (the pay period)
+// and always reads approved jobs. It answers JSON:
+//   { ok: true, filename, content, lines } or { ok: false, errors: [...] }
+// where errors are the validation failures of buildDesjardinsFile().
+
+import { serve } from "https://deno.land/std@0.224.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { buildDesjardinsFile } from "./desjardins.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+function json(data: unknown, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+type JobLine = {
+  job_id: string;
+  user_id: string;
+  job_date: string;
+  week_start: string;
+  status: string;
+  ot: string | null;
+  depart: string | null;
+  arrivee: string | null;
+  fin: string | null;
+  work_minutes: number;
+  return_minutes: number;
+  km_aller: number;
+  km_retour: number;
+  km_total: number;
+  holiday_name: string | null;
+  site_name: string | null;
+  site_address: string | null;
+  client_name: string | null;
+  attachment_count: number;
+};
+
+type WeekRow = {
+  user_id: string;
+  week_start: string;
+  week_end: string;
+  days_worked: number;
+  job_count: number;
+  work_minutes: number;
+  return_minutes: number;
+  regular_minutes: number;
+  ot15_minutes: number;
+  ot20_minutes: number;
+  paid_minutes: number;
+  holiday_minutes: number;
+  km_total: number;
+  km_rate: number | null;
+  km_reimbursement: number;
+  storage_compensation: number;
+};
+
+// CCQ pricing from payroll_weekly_pay (0013_ccq_pay.sql). Null amounts when
+// the caller may not read rates or a day could not be priced.
+type WeekPay = {
+  user_id: string;
+  week_start: string;
+  rates_from: string | null;
+  rates_to: string | null;
+  regular_pay: number | null;
+  ot15_pay: number | null;
+  ot20_pay: number | null;
+  benefits_pay: number | null;
+  gross_pay: number | null;
+  missing_rate_days: number;
+};
+
+type Profile = {
+  id: string;
+  full_name: string | null;
+  email: string | null;
+  phone: string | null;
+  ccq_number: string | null;
+  apprentice_level: string | null;
+  sector: string | null;
+  km_rate: number | null;
+  payroll_employee_code: string | null;
+};
+
+function hours(minutes: number) {
+  return (Math.round(((Number(minutes) || 0) / 60) * 100) / 100).toFixed(2);
+}
+
+function hhmm(minutes: number) {
+  const total = Math.max(0, Math.round(Number(minutes) || 0));
+  return `${Math.floor(total / 60)}h${String(total % 60).padStart(2, "0")}`;
+}
+
+function hm(value: string | null) {
+  return value ? String(value).slice(0, 5) : "";
+}
+
+// ISO week label, e.g. 2025-W07. week_start is always the Monday.
+function isoWeekLabel(weekStart: string) {
+  const monday = new Date(`${weekStart}T00:00:00Z`);
+  const thursday = new Date(monday);
+  thursday.setUTCDate(monday.getUTCDate() + 3);
+  const year = thursday.getUTCFullYear();
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  const week = 1 + Math.round(((thursday.getTime() - jan4.getTime()) / 86400000 - 3 + ((jan4.getUTCDay() + 6) % 7)) / 7);
+  return `${year}-W${String(week).padStart(2, "0")}`;
+}
+
+function weekday(date: string) {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString("en-US", { weekday: "long", timeZone: "UTC" });
+}
+
+const CSV_HEADER = [
+  "employee_name", "employee_email", "employee_phone", "ccq_number",
+  "apprentice_level", "sector", "km_rate",
+  "week_iso", "job_date", "weekday", "ot", "depart", "arrivee", "fin",
+  "hours_decimal", "hours_hhmm", "km", "return_time_minutes", "return_km",
+  "row_type", "regular_hours", "ot15_hours", "ot20_hours",
+  "km_reimbursement", "storage_compensation",
+  "ccq_rates_date", "regular_pay", "ot15_pay", "ot20_pay", "benefits_pay", "gross_pay",
+  "holiday", "holiday_hours",
+  "client", "site", "site_address",
+  "attachments",
+];
+
+function esc(v: unknown) {
+  const s = String(v ?? "");
+  return /[",\n;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function money(value: number | null | undefined) {
+  return value == null ? "" : Number(value).toFixed(2);
+}
+
+// One "job" row per approved job, followed by a "week" row carrying the
+// employee's weekly totals and CCQ pay. Same columns throughout so a
+// spreadsheet filter on row_type gives either view.
+function buildCsv(lines: JobLine[], weeks: WeekRow[], pay: WeekPay[], profiles: Map<string, Profile>, includeWeekRows = true) {
+  const payByWeek = new Map(pay.map((p) => [`${p.user_id}:${p.week_start}`, p]));
+  const out: unknown[][] = [];
+  const sortedWeeks = weeks.slice().sort((a, b) => {
+    const an = profiles.get(a.user_id)?.full_name || "";
+    const bn = profiles.get(b.user_id)?.full_name || "";
+    return an.localeCompare(bn) || a.week_start.localeCompare(b.week_start);
+  });
+
+  for (const w of sortedWeeks) {
+    const p = profiles.get(w.user_id);
+    const identity = [
+      p?.full_name || "", p?.email || "", p?.phone || "", p?.ccq_number || "",
+      p?.apprentice_level || "", p?.sector || "", p?.km_rate ?? "",
+    ];
+    const weekLabel = isoWeekLabel(w.week_start);
+    const weekLines = lines
+      .filter((l) => l.user_id === w.user_id && l.week_start === w.week_start)
+      .sort((a, b) => a.job_date.localeCompare(b.job_date) || hm(a.depart).localeCompare(hm(b.depart)));
+
+    for (const l of weekLines) {
+      out.push([
+        ...identity,
+        weekLabel, l.job_date, weekday(l.job_date), l.ot || "",
+        hm(l.depart), hm(l.arrivee), hm(l.fin),
+        hours(l.work_minutes), hhmm(l.work_minutes), Number(l.km_total) || 0,
+        Number(l.return_minutes) || 0, Number(l.km_retour) || 0,
+        "job", "", "", "", "", "",
+        "", "", "", "", "", "",
+        l.holiday_name || "", l.holiday_name ? hours(l.work_minutes) : "",
+        l.client_name || "", l.site_name || "", l.site_address || "",
+        Number(l.attachment_count) || 0,
+      ]);
+    }
+    if (!includeWeekRows) continue;
+    const wp = payByWeek.get(`${w.user_id}:${w.week_start}`);
+    out.push([
+      ...identity,
+      weekLabel, w.week_start, "", "", "", "", "",
+      hours(w.paid_minutes), hhmm(w.paid_minutes), Number(w.km_total) || 0,
+      Number(w.return_minutes) || 0, "",
+      "week", hours(w.regular_minutes), hours(w.ot15_minutes), hours(w.ot20_minutes),
+      Number(w.km_reimbursement || 0).toFixed(2), Number(w.storage_compensation || 0).toFixed(2),
+      wp?.rates_to || "", money(wp?.regular_pay), money(wp?.ot15_pay), money(wp?.ot20_pay),
+      money(wp?.benefits_pay), money(wp?.gross_pay),
+      "", hours(w.holiday_minutes),
+      "", "", "",
+      "",
+    ]);
+  }
+
+  // BOM so Excel / Desjardins opens UTF-8 with accents correctly; ;-separated
+  // because that's what fr-CA spreadsheets default to.
+  return "﻿" + [CSV_HEADER.join(";"), ...out.map((r) => r.map(esc).join(";"))].join("\r\n");
+}
+
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { status: 200, headers: corsHeaders });
+  }
+
+  try {
+    if (req.method !== "POST") {
+      return json({ ok: false, error: "Method not allowed" }, 405);
+    }
+
+    const body = await req.json().catch(() => ({}));
+    const employeeId: string | null = typeof body?.employee_id === "string" ? body.employee_id : null;
+    let from: string | null = DATE_RE.test(body?.from ?? "") ? body.from : null;
+    let to: string | null = DATE_RE.test(body?.to ?? "") ? body.to : null;
+    const periodId: string | null = typeof body?.period_id === "string" ? body.period_id : null;
+    const format = body?.format === "csv" || body?.format === "desjardins" ? body.format : "json";
+    const statuses: string[] | null = format === "desjardins"
+      ? ["approved"]
+      : body?.statuses === null
+        ? null
+        : Array.isArray(body?.statuses) ? body.statuses.map(String) : ["approved"];
+    const clientId: string | null = typeof body?.client_id === "string" ? body.client_id : null;
+    const siteId: string | null = typeof body?.site_id === "string" ? body.site_id : null;
+
+    const supabaseUrl = Deno.env.get("SUPABASE_URL") ?? "";
+    const anonKey = Deno.env.get("SUPABASE_ANON_KEY") ?? "";
+    if (!supabaseUrl || !anonKey) {
+      return json({ ok: false, error: "Server env not configured" }, 500);
+    }
+
+    const authHeader = req.headers.get("authorization") || "";
+    const token = authHeader.toLowerCase().startsWith("bearer ")
+      ? authHeader.slice(7).trim()
+      : "";
+    if (!token) return json({ ok: false, error: "Missing bearer token" }, 401);
+
+    // Caller-scoped client: RLS on jobs/profiles applies to every read below.
+    const caller = createClient(supabaseUrl, anonKey, {
+      global: { headers: { Authorization: `Bearer ${token}` } },
+    });
+    const { data: callerUser, error: callerErr } = await caller.auth.getUser();
+    if (callerErr || !callerUser?.user) {
+      return json({ ok: false, error: "Invalid session token" }, 401);
+    }
+    const callerId = callerUser.user.id;
+
+    const { data: callerProfile } = await caller
+      .from("profiles")
+      .select("role")
+      .eq("id", callerId)
+      .maybeSingle();
+    const isManager = callerProfile?.role === "manager";
+    if (!isManager && ((employeeId && employeeId !== callerId) || format === "desjardins")) {
+      return json({ ok: false, error: "Forbidden" }, 403);
+    }
+    const targetId = isManager ? employeeId : callerId;
+
+    let snapshot: { weeks: WeekRow[]; pay: WeekPay[] } | null = null;
+    if (periodId) {
+      // pay_period_snapshot (0039) already leaves out other employees' rows
+      // unless the caller is a manager.
+      const { data: period, error: periodErr } = await caller.rpc("pay_period_snapshot", { p_period_id: periodId });
+      if (periodErr) return json({ ok: false, error: periodErr.message }, 500);
+      if (!period) return json({ ok: false, error: "Pay period not found" }, 404);
+      from = period.start_date;
+      to = period.end_date;
+      if (period.status === "closed" && period.weeks && statuses?.length === 1 && statuses[0] === "approved") {
+        const mine = (row: { user_id: string }) => !targetId || row.user_id === targetId;
+        snapshot = {
+          weeks: (period.weeks || []).filter(mine),
+          pay: (period.pay || []).filter(mine),
+        };
+      }
+    }
+
+    const { data: weeks, error: weeksErr } = snapshot
+      ? { data: snapshot.weeks, error: null }
+      : await caller.rpc("payroll_weekly", {
+        p_from: from,
+        p_to: to,
+        p_user_id: targetId,
+        p_statuses: statuses,
+      });
+    if (weeksErr) return json({ ok: false, error: weeksErr.message }, 500);
+
+    if (format === "desjardins") {
+      const userIds = [...new Set((weeks || []).map((w: WeekRow) => w.user_id))];
+      const [{ data: profileRows, error: profilesErr }, { data: codeRows, error: codesErr }] = await Promise.all([
+        userIds.length
+          ? caller.from("profiles").select("id, full_name, email, payroll_employee_code").in("id", userIds)
+          : Promise.resolve({ data: [], error: null }),
+        caller.from("payroll_earning_codes").select("earning, code"),
+      ]);
+      if (profilesErr) return json({ ok: false, error: profilesErr.message }, 500);
+      if (codesErr) return json({ ok: false, error: codesErr.message }, 500);
+
+      const employees = new Map(
+        (profileRows || []).map((p: Profile) => [p.id, { name: p.full_name || p.email || p.id, code: p.payroll_employee_code }]),
+      );
+      const earningCodes = new Map<string, string>(
+        (codeRows || []).map((c: { earning: string; code: string }) => [c.earning, c.code]),
+      );
+      const file = buildDesjardinsFile(weeks || [], employees, earningCodes, from, to);
+      if (file.errors.length > 0) return json({ ok: false, errors: file.errors });
+      return json({
+        ok: true,
+        filename: `desjardins_${from}_${to}.txt`,
+        content: file.content,
+        lines: file.lines,
+      });
+    }
+
+    const { data: pay, error: payErr } = snapshot
+      ? { data: snapshot.pay, error: null }
+      : await caller.rpc("payroll_weekly_pay", {
+        p_from: from,
+        p_to: to,
+        p_user_id: targetId,
+        p_statuses: statuses,
+      });
+    if (payErr) return json({ ok: false, error: payErr.message }, 500);
+
+    let linesQuery = caller
+      .from("payroll_job_lines")
+      .select("*")
+      .order("job_date", { ascending: true });
+    if (targetId) linesQuery = linesQuery.eq("user_id", targetId);
+    if (from) linesQuery = linesQuery.gte("job_date", from);
+    if (to) linesQuery = linesQuery.lte("job_date", to);
+    if (statuses) linesQuery = linesQuery.in("status", statuses);
+    if (siteId) linesQuery = linesQuery.eq("site_id", siteId);
+    if (clientId) linesQuery = linesQuery.eq("client_id", clientId);
+    const { data: lines, error: linesErr } = await linesQuery;
+    if (linesErr) return json({ ok: false, error: linesErr.message }, 500);
+
+    const userIds = [...new Set((weeks || []).map((w: WeekRow) => w.user_id))];
+    const { data: profileRows, error: profilesErr } = userIds.length
+      ? await caller
+        .from("profiles")
+        .select("id, full_name, email, phone, ccq_number, apprentice_level, sector, km_rate")
+        .in("id", userIds)
+      : { data: [], error: null };
+    if (profilesErr) return json({ ok: false, error: profilesErr.message }, 500);
+    const profiles = new Map<string, Profile>((profileRows || []).map((p: Profile) => [p.id, p]));
+
+    if (format === "csv") {
+      return new Response(buildCsv(lines || [], weeks || [], pay || [], profiles, !siteId && !clientId), {
+        status: 200,
+        headers: { ...corsHeaders, "Content-Type": "text/csv; charset=utf-8" },
+      });
+    }
+
+    return json({
+      ok: true,
+      weeks: weeks || [],
+      pay: pay || [],
+      lines: lines || [],
+      employees: [...profiles.values()],
+    });
+  } catch (e) {
+    return json({ ok: false, error: String(e) }, 500);
+  }
+});
@@ -0,0 +1,156 @@
+// Paste this into your Google Apps Script project, overwriting your current
+// doPost(). It accepts BOTH shapes:
+//
+//   - Single row (legacy, from the former push_approved_to_sheet):
+//       { token, job_date, employee_name, ..., approved_at, approved_by }
+//
+//   - Batch (from process_export_outbox):
+//       { token, rows: [ { action, job_id, job_date, employee_name, ... }, ... ] }
+//
+// Rows are keyed by job_id (column P), so sending a job again never adds a
+// second line:
+//   action "upsert" (default)  overwrite the job's line, or append it
+//   action "void"              the job was unlocked after export: mark its
+//                              line VOID, or delete it when the script
+//                              property VOID_MODE is "delete"
+//
+// The answer lists one result per row, which the edge function uses to mark
+// each job exported or failed:
+//   { success: true, results: [ { job_id, ok, outcome, error? }, ... ] }
+//   outcome: "appended" | "updated" | "voided" | "deleted" | "not_found"
+//
+// After saving, do Deploy -> Manage deployments -> Edit -> New version ->
+// Deploy. Otherwise the web app keeps serving the old code.
+
+const SHEET_NAME = "Feuille 1";
+const JOB_ID_COLUMN = 16; // P
+const STATUS_COLUMN = 17; // Q
+
+function reply(body) {
+  return ContentService
+    .createTextOutput(JSON.stringify(body))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+// Column order the sheet expects:
+// A=Date, B=Employee, C=Email, D=Phone, E=OT, F=Depart, G=Arrival,
+// H=End, I=Heures, J=KM aller, K=Temps retour (min), L=KM retour,
+// M=Approved by, N=Approved at, O=Attachments, P=Job ID, Q=Status
+function rowFrom(d) {
+  return [
+    d.job_date,
+    d.employee_name,
+    d.employee_email,
+    d.employee_phone,
+    d.ot,
+    d.depart,
+    d.arrivee,
+    d.fin,
+    d.heures,
+    d.km_aller,
+    d.return_time_minutes,
+    d.km_retour,
+    d.approved_by,
+    d.approved_at,
+    d.attachments || "",
+    d.job_id || "",
+    "APPROVED",
+  ];
+}
+
+// job_id → sheet row number, for the lines written so far.
+function indexRows(sheet) {
+  const index = {};
+  const last = sheet.getLastRow();
+  if (last < 1) return index;
+  const ids = sheet.getRange(1, JOB_ID_COLUMN, last, 1).getValues();
+  ids.forEach(function (cell, i) {
+    if (cell[0]) index[String(cell[0])] = i + 1;
+  });
+  return index;
+}
+
+function doPost(e) {
+  // One writer at a time, so two exports of the same job cannot both append.
+  const lock = LockService.getScriptLock();
+  try {
+    const data = JSON.parse(e.postData.contents);
+
+    const expected = PropertiesService.getScriptProperties().getProperty("TOKEN");
+    if (!expected || data.token !== expected) {
+      return reply({ success: false, error: "Unauthorized" });
+    }
+
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAME);
+    if (!sheet) {
+      return reply({ success: false, error: "Sheet not found" });
+    }
+
+    lock.waitLock(20000);
+    const deleteOnVoid = PropertiesService.getScriptProperties().getProperty("VOID_MODE") === "delete";
+    const inputRows = Array.isArray(data.rows) ? data.rows : [data];
+    const results = [];
+
+    // Appends are collected and written in one call; everything else touches
+    // the job's own line.
+    const appends = [];
+    const appendIds = [];
+    const appendAt = {}; // job_id → position in appends
+    const toDelete = [];
+    const index = indexRows(sheet);
+
+    inputRows.forEach(function (d) {
+      const jobId = d.job_id ? String(d.job_id) : "";
+      try {
+        const existing = jobId ? index[jobId] : undefined;
+        if (d.action === "void") {
+          if (!existing) {
+            results.push({ job_id: jobId, ok: true, outcome: "not_found" });
+          } else if (deleteOnVoid) {
+            toDelete.push(existing);
+            results.push({ job_id: jobId, ok: true, outcome: "deleted" });
+          } else {
+            sheet.getRange(existing, STATUS_COLUMN).setValue("VOID");
+            results.push({ job_id: jobId, ok: true, outcome: "voided" });
+          }
+          return;
+        }
+
+        const values = rowFrom(d);
+        if (existing) {
+          sheet.getRange(existing, 1, 1, values.length).setValues([values]);
+          results.push({ job_id: jobId, ok: true, outcome: "updated" });
+        } else if (jobId && appendAt[jobId] !== undefined) {
+          // Same job twice in one batch: the later row wins.
+          appends[appendAt[jobId]] = values;
+        } else {
+          if (jobId) appendAt[jobId] = appends.length;
+          appends.push(values);
+          appendIds.push(jobId);
+        }
+      } catch (err) {
+        results.push({ job_id: jobId, ok: false, error: err.message });
+      }
+    });
+
+    if (appends.length > 0) {
+      sheet
+        .getRange(sheet.getLastRow() + 1, 1, appends.length, appends[0].length)
+        .setValues(appends);
+      appendIds.forEach(function (jobId) {
+        results.push({ job_id: jobId, ok: true, outcome: "appended" });
+      });
+    }
+
+    // Bottom-up so the row numbers stay valid.
+    toDelete.sort(function (a, b) { return b - a; }).forEach(function (row) {
+      sheet.deleteRow(row);
+    });
+
+    return reply({ success: true, written: appends.length, results: results });
+  } catch (err) {
+    return reply({ success: false, error: err.message });
+  } finally {
+    lock.releaseLock();
+  }
+}
@@ -0,0 +1,598 @@
+// supabase/functions/process_export_outbox/index.ts
+//
+// Drains the export outbox (0029_export_outbox.sql). Approval only changes
+// the database and queues the job for each chosen destination
+// (0031_export_destinations.sql); this function claims the due rows, hands
+// each destination its batch and records every job's outcome with
+// complete_job_exports(): exported (or voided), or failed and retried after
+// a backoff.
+//
+// Same swappable shape as the email providers in send_announcement:
+//   ExportConnector        transport interface (deliver one batch)
+//   GoogleSheetsConnector  Apps Script sink, upserts by job_id and answers
+//                          per row (apps-script-doPost.js, 0030_export_void)
+//   WebhookConnector       signed JSON POST to any URL
+//   FileDropConnector      CSV file in the 'export-files' bucket (stand-in
+//                          for an SFTP drop folder)
+//   PayrollFileConnector   weekly payroll totals of the batch's employees,
+//                          dropped in the same bucket
+// Adding a destination kind = one new `implements ExportConnector` class and
+// its case in pickConnector().
+//
+// Secrets stay in function secrets: a destination's config names the one it
+// uses (`secret_env`), limited to APPS_SCRIPT_TOKEN and EXPORT_* names.
+//
+// Requests (POST, body ignored):
+//   - pg_cron, bearer SUPABASE_SERVICE_ROLE_KEY (every 2 minutes while work
+//     is due)
+//   - a signed-in manager, right after approving or from Retry export, so
+//     the dashboard does not wait for the next cron tick
+import { serve } from "https://deno.land/std@0.224.0/http/server.ts";
+import { createClient, SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+const BATCH_SIZE = 200;
+const EXPORT_BUCKET = "export-files";
+const SECRET_ENV_RE = /^(APPS_SCRIPT_TOKEN|EXPORT_[A-Z0-9_]+)$/;
+
+function json(data: unknown, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+function esc(v: unknown) {
+  const s = String(v ?? "");
+  return /[",\n;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// BOM + ';' like the payroll CSV, so fr-CA spreadsheets open it as is.
+function toCsv(header: string[], rows: unknown[][]) {
+  return "﻿" + [header.join(";"), ...rows.map((r) => r.map(esc).join(";"))].join("\r\n");
+}
+
+function hours(minutes: number) {
+  return (Math.round(((Number(minutes) || 0) / 60) * 100) / 100).toFixed(2);
+}
+
+function slug(value: string) {
+  return value.normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/[^\w-]+/g, "_").replace(/^_+|_+$/g, "") || "export";
+}
+
+// "2025-03-14T18-05-09Z": sortable and safe in a file name.
+function fileStamp(d: Date) {
+  return d.toISOString().replace(/\.\d{3}Z$/, "Z").replace(/:/g, "-");
+}
+
+// Worked minutes come from the payroll engine (payroll_job_lines) so the
+// sheet shows the same hours as the Week screen and the payroll CSV.
+function formatHeures(minutes?: number | null) {
+  if (minutes == null) return "";
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return `${h}h${String(m).padStart(2, "0")}`;
+}
+
+// "20 Dec 14:09" en heure Montréal
+function formatMontrealShort(d: Date) {
+  const parts = new Intl.DateTimeFormat("en", {
+    timeZone: "America/Toronto",
+    day: "2-digit",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  }).formatToParts(d);
+  const get = (t: string) => parts.find((p) => p.type === t)?.value ?? "";
+  return `${get("day")} ${get("month")} ${get("hour")}:${get("minute")}`;
+}
+
+// Signed links to the job attachments (0025_job_attachments.sql), one per
+// line per job, valid 30 days so the sheet stays usable through payroll.
+async function attachmentLinks(admin: SupabaseClient, jobIds: string[]) {
+  const links = new Map<string, string>();
+  if (!jobIds.length) return links;
+  const { data: rows } = await admin
+    .from("job_attachments")
+    .select("job_id, bucket, storage_path")
+    .in("job_id", jobIds)
+    .order("created_at", { ascending: true });
+  for (const bucket of new Set((rows || []).map((r: { bucket: string }) => r.bucket))) {
+    const bucketRows = (rows || []).filter((r: { bucket: string }) => r.bucket === bucket);
+    const { data: signed } = await admin.storage
+      .from(bucket)
+      .createSignedUrls(bucketRows.map((r: { storage_path: string }) => r.storage_path), 60 * 60 * 24 * 30);
+    (signed || []).forEach((item: { signedUrl: string | null }, i: number) => {
+      if (!item.signedUrl) return;
+      const jobId = bucketRows[i].job_id;
+      links.set(jobId, [links.get(jobId), item.signedUrl].filter(Boolean).join("\n"));
+    });
+  }
+  return links;
+}
+
+type OutboxRow = {
+  job_id: string;
+  destination_id: string;
+  action: "upsert" | "void";
+  attempts: number;
+  queued_by: string | null;
+  queued_at: string;
+};
+
+type Destination = {
+  id: string;
+  name: string;
+  kind: "google_sheets" | "webhook" | "file_drop" | "payroll_file";
+  config: Record<string, string | undefined>;
+};
+
+// One approved job as every destination receives it.
+type ExportRow = {
+  action: "upsert";
+  job_id: string;
+  user_id: string;
+  job_date: string;
+  ot: string | null;
+  depart: string;
+  arrivee: string;
+  fin: string;
+  heures: string;
+  km_aller: number | string;
+  return_time_minutes: number;
+  km_retour: number;
+  employee_name: string;
+  employee_email: string;
+  employee_phone: string;
+  approved_at: string;
+  approved_by: string;
+  attachments: string;
+};
+
+type RowResult = { ok: boolean; outcome?: string; error?: string };
+
+interface ExportBatch {
+  destination: Destination;
+  upserts: ExportRow[];
+  voids: string[]; // job ids
+}
+
+// ── Connector abstraction ────────────────────────────────────────────────────
+interface ExportConnector {
+  readonly kind: string;
+  // One result per job of the batch; a throw fails the whole batch.
+  deliver(batch: ExportBatch): Promise<Map<string, RowResult>>;
+}
+
+function allOk(batch: ExportBatch, outcome: string, voidOutcome = outcome) {
+  const results = new Map<string, RowResult>();
+  batch.upserts.forEach((r) => results.set(r.job_id, { ok: true, outcome }));
+  batch.voids.forEach((id) => results.set(id, { ok: true, outcome: voidOutcome }));
+  return results;
+}
+
+// Reads { results: [{ job_id, ok, outcome?, error? }] } when the receiver
+// answers per row; null otherwise.
+function parseResults(text: string): Map<string, RowResult> | null {
+  try {
+    const body = JSON.parse(text);
+    if (body?.success === false) throw new Error(`Receiver error: ${body.error || "unknown"}`);
+    if (!Array.isArray(body?.results)) return null;
+    return new Map(body.results.map((r: RowResult & { job_id: string }) => [r.job_id, r]));
+  } catch (e) {
+    if (e instanceof SyntaxError) return null; // plain-text answer
+    throw e;
+  }
+}
+
+async function postJson(url: string, body: string, headers: Record<string, string> = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 30000);
+  try {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body,
+      signal: controller.signal,
+    });
+    const text = await resp.text();
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${text.slice(0, 300)}`);
+    return text;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Apps Script answers 200 even when doPost fails, so its body is checked.
+class GoogleSheetsConnector implements ExportConnector {
+  readonly kind = "google_sheets";
+  constructor(private url: string, private token: string) {}
+
+  async deliver(batch: ExportBatch) {
+    const rows = [...batch.voids.map((job_id) => ({ action: "void", job_id })), ...batch.upserts];
+    const results = parseResults(await postJson(this.url, JSON.stringify({ token: this.token, rows })));
+    if (results) return results;
+    // A script without per-row results cannot void; it would append.
+    const legacy = allOk(batch, "sent");
+    batch.voids.forEach((id) => legacy.set(id, { ok: false, error: "Update apps-script-doPost.js: this sheet script cannot void rows" }));
+    return legacy;
+  }
+}
+
+// POST { event, destination, sent_at, rows } signed with HMAC-SHA256 over
+// "<timestamp>.<body>": X-SparkLog-Timestamp, X-SparkLog-Signature:
+// sha256=<hex>. Receivers dedupe on job_id and may answer per row like the
+// sheet; any 2xx otherwise accepts the whole batch.
+class WebhookConnector implements ExportConnector {
+  readonly kind = "webhook";
+  constructor(private url: string, private secret: string) {}
+
+  private async sign(payload: string) {
+    const key = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(this.secret),
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign"],
+    );
+    const mac = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(payload));
+    return Array.from(new Uint8Array(mac)).map((b) => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  async deliver(batch: ExportBatch) {
+    const body = JSON.stringify({
+      event: "jobs.export",
+      destination: batch.destination.name,
+      sent_at: new Date().toISOString(),
+      rows: [...batch.voids.map((job_id) => ({ action: "void", job_id })), ...batch.upserts],
+    });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const text = await postJson(this.url, body, {
+      "X-SparkLog-Timestamp": timestamp,
+      "X-SparkLog-Signature": `sha256=${await this.sign(`${timestamp}.${body}`)}`,
+      "X-SparkLog-Delivery": crypto.randomUUID(),
+    });
+    return parseResults(text) ?? allOk(batch, "sent");
+  }
+}
+
+const DROP_HEADER = [
+  "action", "job_id", "job_date", "ot", "depart", "arrivee", "fin", "heures",
+  "km_aller", "return_time_minutes", "km_retour",
+  "employee_name", "employee_email", "employee_phone",
+  "approved_at", "approved_by", "attachments",
+];
+
+async function dropFile(admin: SupabaseClient, destination: Destination, label: string, csv: string) {
+  const folder = slug(destination.config.folder || destination.name);
+  const path = `${folder}/${fileStamp(new Date())}_${label}.csv`;
+  const { error } = await admin.storage
+    .from(EXPORT_BUCKET)
+    .upload(path, new Blob([csv], { type: "text/csv" }), { contentType: "text/csv; charset=utf-8", upsert: false });
+  if (error) throw new Error(`File drop failed: ${error.message}`);
+  return path;
+}
+
+// One CSV per batch: a 'void' line per job unlocked since, then a line per
+// approved job, the order the sheet and webhook get; the reader applies them
+// in file order by job_id.
+class FileDropConnector implements ExportConnector {
+  readonly kind = "file_drop";
+  constructor(private admin: SupabaseClient) {}
+
+  async deliver(batch: ExportBatch) {
+    const lines = [
+      ...batch.voids.map((id) => ["void", id]),
+      ...batch.upserts.map((r) => DROP_HEADER.map((k) => r[k as keyof ExportRow])),
+    ];
+    await dropFile(this.admin, batch.destination, "jobs", toCsv(DROP_HEADER, lines));
+    return allOk(batch, "dropped");
+  }
+}
+
+const PAYROLL_HEADER = [
+  "employee_name", "employee_email", "ccq_number", "week_start", "week_end",
+  "regular_hours", "ot15_hours", "ot20_hours", "holiday_hours",
+  "km_total", "km_reimbursement", "storage_compensation", "job_count",
+];
+
+type WeekTotals = {
+  user_id: string;
+  week_start: string;
+  week_end: string;
+  job_count: number;
+  regular_minutes: number;
+  ot15_minutes: number;
+  ot20_minutes: number;
+  holiday_minutes: number;
+  km_total: number;
+  km_reimbursement: number;
+  storage_compensation: number;
+};
+
+// Weekly totals (payroll_weekly, approved jobs) of every employee-week the
+// batch touches, so a re-sent week replaces the earlier figures. A payroll
+// file cannot be taken back: voids are acknowledged and the next file for
+// that week carries the corrected totals.
+class PayrollFileConnector implements ExportConnector {
+  readonly kind = "payroll_file";
+  constructor(private admin: SupabaseClient) {}
+
+  async deliver(batch: ExportBatch) {
+    if (!batch.upserts.length) return allOk(batch, "sent", "not_applicable");
+    // Monday of the date's week, plus `days`.
+    const weekOf = (date: string, days = 0) => {
+      const d = new Date(`${date}T12:00:00Z`);
+      d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7) + days);
+      return d.toISOString().slice(0, 10);
+    };
+    const touched = new Set(batch.upserts.map((r) => `${r.user_id}:${weekOf(r.job_date)}`));
+    const dates = batch.upserts.map((r) => r.job_date).sort();
+    // Whole weeks: cutting the last one at its latest touched day would drop
+    // the approved days after it from the totals and the overtime.
+    const { data: weeks, error } = await this.admin.rpc("payroll_weekly", {
+      p_from: weekOf(dates[0]),
+      p_to: weekOf(dates[dates.length - 1], 6),
+      p_user_id: null,
+      p_statuses: ["approved"],
+    });
+    if (error) throw new Error(error.message);
+    const rows = ((weeks || []) as WeekTotals[]).filter((w) => touched.has(`${w.user_id}:${w.week_start}`));
+
+    const userIds = [...new Set(rows.map((w) => w.user_id))];
+    const { data: profiles, error: profilesError } = await this.admin
+      .from("profiles")
+      .select("id, full_name, email, ccq_number")
+      .in("id", userIds);
+    if (profilesError) throw new Error(profilesError.message);
+    const byId = new Map((profiles || []).map((p) => [p.id, p]));
+
+    const lines = rows
+      .map((w) => {
+        const p = byId.get(w.user_id);
+        return [
+          p?.full_name || "", p?.email || "", p?.ccq_number || "", w.week_start, w.week_end,
+          hours(w.regular_minutes), hours(w.ot15_minutes), hours(w.ot20_minutes), hours(w.holiday_minutes),
+          Number(w.km_total) || 0, Number(w.km_reimbursement || 0).toFixed(2),
+          Number(w.storage_compensation || 0).toFixed(2), w.job_count,
+        ];
+      })
+      .sort((a, b) => String(a[0]).localeCompare(String(b[0])) || String(a[3]).localeCompare(String(b[3])));
+    await dropFile(this.admin, batch.destination, "payroll", toCsv(PAYROLL_HEADER, lines));
+    return allOk(batch, "sent", "not_applicable");
+  }
+}
+
+function secretFor(destination: Destination, fallback: string) {
+  const name = destination.config.secret_env || fallback;
+  if (!SECRET_ENV_RE.test(name)) throw new Error(`Secret ${name} is not allowed (use APPS_SCRIPT_TOKEN or EXPORT_*)`);
+  const value = Deno.env.get(name) ?? "";
+  if (!value) throw new Error(`Function secret ${name} is not set`);
+  return value;
+}
+
+// Throws when the destination is not usable; its rows then fail with that
+// message and are retried like any other failure.
+function pickConnector(destination: Destination, admin: SupabaseClient): ExportConnector {
+  switch (destination.kind) {
+    case "google_sheets": {
+      const url = destination.config.url || Deno.env.get("APPS_SCRIPT_URL") || "";
+      if (!url) throw new Error("Apps Script URL not set (destination url or APPS_SCRIPT_URL)");
+      return new GoogleSheetsConnector(url, secretFor(destination, "APPS_SCRIPT_TOKEN"));
+    }
+    case "webhook": {
+      if (!destination.config.url) throw new Error("Webhook URL not set");
+      return new WebhookConnector(destination.config.url, secretFor(destination, "EXPORT_WEBHOOK_SECRET"));
+    }
+    case "file_drop":
+      return new FileDropConnector(admin);
+    case "payroll_file":
+      return new PayrollFileConnector(admin);
+    default:
+      throw new Error(`Unknown destination kind: ${destination.kind}`);
+  }
+}
+
+// The rows of the claimed approved jobs, built once for every destination.
+async function buildRows(admin: SupabaseClient, claimed: OutboxRow[]) {
+  const rows = new Map<string, ExportRow>();
+  const upserts = claimed.filter((c) => c.action === "upsert");
+  const jobIds = [...new Set(upserts.map((c) => c.job_id))];
+  if (!jobIds.length) return rows;
+
+  const { data: jobs, error: jobsErr } = await admin
+    .from("jobs")
+    .select("id,user_id,job_date,ot,depart,arrivee,fin,km_aller,return_time_minutes,km_retour")
+    .in("id", jobIds);
+  if (jobsErr) throw new Error(jobsErr.message);
+
+  const userIds = [...new Set([
+    ...(jobs || []).map((j) => j.user_id),
+    ...upserts.map((c) => c.queued_by).filter(Boolean),
+  ])] as string[];
+  const { data: profiles } = await admin
+    .from("profiles")
+    .select("id, full_name, phone")
+    .in("id", userIds);
+  const profileMap = new Map((profiles || []).map((p) => [p.id, p]));
+
+  // Auth emails, one call per unique user (employees and approvers).
+  const emails = new Map<string, string>();
+  await Promise.all(
+    userIds.map(async (uid) => {
+      const res = await admin.auth.admin.getUserById(uid);
+      emails.set(uid, res?.data?.user?.email || "");
+    })
+  );
+
+  const { data: lines, error: linesErr } = await admin
+    .from("payroll_job_lines")
+    .select("job_id, work_minutes, return_minutes, km_retour")
+    .in("job_id", jobIds);
+  if (linesErr) throw new Error(linesErr.message);
+  const lineMap = new Map((lines || []).map((l) => [l.job_id, l]));
+
+  const links = await attachmentLinks(admin, jobIds);
+  const queued = new Map(upserts.map((c) => [c.job_id, c]));
+
+  for (const j of jobs || []) {
+    const c = queued.get(j.id)!;
+    const prof = profileMap.get(j.user_id);
+    const approver = c.queued_by ? profileMap.get(c.queued_by) : null;
+    rows.set(j.id, {
+      action: "upsert",
+      job_id: j.id,
+      user_id: j.user_id,
+      job_date: j.job_date,
+      ot: j.ot,
+      depart: j.depart ? String(j.depart).slice(0, 5) : "",
+      arrivee: j.arrivee ? String(j.arrivee).slice(0, 5) : "",
+      fin: j.fin ? String(j.fin).slice(0, 5) : "",
+      heures: formatHeures(lineMap.get(j.id)?.work_minutes),
+      km_aller: j.km_aller ?? "",
+      // Only the last stop of a day route carries the return leg.
+      return_time_minutes: lineMap.get(j.id)?.return_minutes ?? j.return_time_minutes ?? 0,
+      km_retour: lineMap.get(j.id)?.km_retour ?? j.km_retour ?? 0,
+      employee_name: (prof?.full_name || "").trim(),
+      employee_email: emails.get(j.user_id) || "",
+      employee_phone: (prof?.phone || "").trim(),
+      approved_at: formatMontrealShort(new Date(c.queued_at)),
+      approved_by: (approver?.full_name || "").trim() || (c.queued_by && emails.get(c.queued_by)) || c.queued_by || "",
+      attachments: links.get(j.id) || "",
+    });
+  }
+  return rows;
+}
+
+// job_id → error message for one destination's batch; absent means done.
+async function deliverBatch(admin: SupabaseClient, destination: Destination, claimed: OutboxRow[], rows: Map<string, ExportRow>) {
+  const failures = new Map<string, string>();
+  const batch: ExportBatch = {
+    destination,
+    upserts: claimed.filter((c) => c.action === "upsert" && rows.has(c.job_id)).map((c) => rows.get(c.job_id)!),
+    voids: claimed.filter((c) => c.action === "void").map((c) => c.job_id),
+  };
+  try {
+    const results = await pickConnector(destination, admin).deliver(batch);
+    for (const c of claimed) {
+      const result = results.get(c.job_id);
+      if (!result) failures.set(c.job_id, "No result from the destination for this job");
+      else if (!result.ok) failures.set(c.job_id, result.error || "Rejected by the destination");
+    }
+  } catch (e) {
+    const message = e instanceof Error ? e.message : String(e);
+    claimed.forEach((c) => failures.set(c.job_id, message));
+  }
+  return failures;
+}
+
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { status: 200, headers: corsHeaders });
+  }
+
+  try {
+    if (req.method !== "POST") {
+      return json({ ok: false, error: "Method not allowed" }, 405);
+    }
+
+    const supabaseUrl = Deno.env.get("SUPABASE_URL") ?? "";
+    const anonKey = Deno.env.get("SUPABASE_ANON_KEY") ?? "";
+    const serviceRole = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+
+    if (!supabaseUrl || !serviceRole || !anonKey) {
+      return json({ ok: false, error: "Server env not configured" }, 500);
+    }
+
+    const authHeader = req.headers.get("authorization") || "";
+    const token = authHeader.toLowerCase().startsWith("bearer ")
+      ? authHeader.slice(7).trim()
+      : "";
+    if (!token) return json({ ok: false, error: "Missing bearer token" }, 401);
+
+    const admin = createClient(supabaseUrl, serviceRole);
+
+    // pg_cron calls with the service role key; anyone else must be a manager.
+    if (token !== serviceRole) {
+      const caller = createClient(supabaseUrl, anonKey, {
+        global: { headers: { Authorization: `Bearer ${token}` } },
+      });
+      const { data: callerUser, error: callerErr } = await caller.auth.getUser();
+      if (callerErr || !callerUser?.user) {
+        return json({ ok: false, error: "Invalid session token" }, 401);
+      }
+      const { data: profile } = await admin
+        .from("profiles")
+        .select("role")
+        .eq("id", callerUser.user.id)
+        .maybeSingle();
+      if (!profile || profile.role !== "manager") {
+        return json({ ok: false, error: "Forbidden: manager role required" }, 403);
+      }
+    }
+
+    const { data: claimed, error: claimErr } = await admin.rpc("claim_job_exports", { p_limit: BATCH_SIZE });
+    if (claimErr) return json({ ok: false, error: claimErr.message }, 500);
+    const batch = (claimed || []) as OutboxRow[];
+    if (batch.length === 0) return json({ ok: true, claimed: 0, exported: 0, failed: 0 });
+
+    const destinationIds = [...new Set(batch.map((c) => c.destination_id))];
+    const { data: destinations, error: destErr } = await admin
+      .from("export_destinations")
+      .select("id, name, kind, config")
+      .in("id", destinationIds);
+    if (destErr) return json({ ok: false, error: destErr.message }, 500);
+
+    let rows = new Map<string, ExportRow>();
+    let rowsError: string | null = null;
+    try {
+      rows = await buildRows(admin, batch);
+    } catch (e) {
+      rowsError = e instanceof Error ? e.message : String(e);
+    }
+
+    let done = 0;
+    const errors: string[] = [];
+    for (const destination of (destinations || []) as Destination[]) {
+      const claimedHere = batch.filter((c) => c.destination_id === destination.id);
+      const failures = rowsError
+        ? new Map(claimedHere.map((c) => [c.job_id, rowsError as string]))
+        : await deliverBatch(admin, destination, claimedHere, rows);
+
+      // One call for the successes, one per distinct error.
+      const ok = claimedHere.filter((c) => !failures.has(c.job_id)).map((c) => c.job_id);
+      const byError = new Map<string, string[]>();
+      failures.forEach((error, jobId) => byError.set(error, [...(byError.get(error) || []), jobId]));
+      const calls = [
+        ...(ok.length ? [{ p_job_ids: ok, p_error: null }] : []),
+        ...[...byError].map(([error, ids]) => ({ p_job_ids: ids, p_error: error })),
+      ];
+      for (const args of calls) {
+        const { error: doneErr } = await admin.rpc("complete_job_exports", { p_destination_id: destination.id, ...args });
+        if (doneErr) return json({ ok: false, error: doneErr.message }, 500);
+      }
+
+      done += ok.length;
+      byError.forEach((_, error) => errors.push(`${destination.name}: ${error}`));
+      console.log(`[export] ${destination.name}: ${ok.length} done, ${failures.size} failed`);
+    }
+
+    return json({
+      ok: true,
+      claimed: batch.length,
+      exported: done,
+      failed: batch.length - done,
+      error: errors[0] ?? null,
+    });
+  } catch (e) {
+    console.log("[export] unexpected error:", String(e));
+    return json({ ok: false, error: String(e) }, 500);
+  }
+});
@@ -1,6 +1,7 @@
 // supabase/functions/send_announcement/index.ts
 //
-// Manager → employee announcements, delivered by email.
+// Manager → employee announcements, delivered by email and to the in-app
+// notification center (public.notifications, 0018_notifications.sql).
 //
 // Same swappable-notification-service shape as before, now email:
 //   EmailProvider        transport interface (send one email)
@@ -188,6 +189,20 @@ class NotificationService {
       .select("id, email, delivery_status");
     if (recErr) throw new Error(recErr.message);
 
+    // 2b. In-app copy for every recipient, email or not. Best effort: the
+    // email send still goes ahead if this fails.
+    const { error: notifErr } = await this.admin
+      .from("notifications")
+      .insert(recipients.map((r) => ({
+        user_id:    r.id,
+        type:       "announcement",
+        title:      subject,
+        body,
+        created_by: senderId,
+        data:       { message_id: messageId, sender_name: senderName },
+      })));
+    if (notifErr) console.error("[send_announcement] in-app notifications failed:", notifErr.message);
+
     // 3. Fan out through the provider, updating each recipient's delivery state.
     let delivered = 0;
     let failed = 0;
@@ -0,0 +1,396 @@
+// supabase/functions/send_push/index.ts
+//
+// Web Push delivery for the two notification bells (0019_web_push.sql).
+//
+//   PushProvider      transport interface (deliver one payload to one device)
+//   MockPushProvider  default — logs, never hits the network (dev/testing)
+//   WebPushProvider   real send: VAPID (RFC 8292) + aes128gcm (RFC 8291),
+//                     implemented on WebCrypto and fetch so it also works
+//                     against the plain-HTTP local stub (scripts/push-stub.mjs)
+//   PushService       resolves recipients/preferences, fans out, prunes
+//
+// Requests (POST):
+//   - Database webhook, header `x-push-secret: <PUSH_WEBHOOK_SECRET>`:
+//       { source: "manager_notifications" | "notifications", id: uuid }
+//   - Signed-in user, bearer token:
+//       { test: true }  → a test push to the caller's own devices
+//
+// Secrets: VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY (base64url, P-256),
+// VAPID_SUBJECT (mailto: or https: contact), PUSH_WEBHOOK_SECRET.
+// Without the VAPID pair the function runs in mock mode.
+
+import { serve } from "https://deno.land/std@0.224.0/http/server.ts";
+import { createClient, SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type, x-push-secret",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+// A device that keeps failing (without the service saying it is gone) is
+// dropped after this many consecutive errors.
+const MAX_FAILURES = 5;
+const TTL_SECONDS = 24 * 60 * 60;
+
+function json(data: unknown, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+// ── Push payload text ────────────────────────────────────────────────────────
+type Language = "en" | "fr";
+
+interface PushMessage {
+  title: string;
+  body: string;
+  url: string;
+  tag: string;
+}
+
+const TEXT: Record<Language, Record<string, string>> = {
+  en: {
+    overtimeTitle: "Overtime proof received",
+    overtimeBody: "{name} · OT {ot} · {hours} h on {date}",
+    jobApproved: "Job OT {ot} ({date}) approved",
+    jobUnlocked: "Job OT {ot} ({date}) unlocked — you can edit it",
+    jobRejected: "Changes requested on job OT {ot} ({date})",
+    testTitle: "SparkLog notifications are on",
+    testBody: "This device will receive your notifications.",
+  },
+  fr: {
+    overtimeTitle: "Preuve de temps supplémentaire reçue",
+    overtimeBody: "{name} · OT {ot} · {hours} h le {date}",
+    jobApproved: "Job OT {ot} ({date}) approuvé",
+    jobUnlocked: "Job OT {ot} ({date}) déverrouillé — vous pouvez le modifier",
+    jobRejected: "Corrections demandées pour le job OT {ot} ({date})",
+    testTitle: "Les notifications SparkLog sont activées",
+    testBody: "Cet appareil recevra vos notifications.",
+  },
+};
+
+function text(lang: Language, key: string, params: Record<string, unknown> = {}): string {
+  return TEXT[lang][key].replace(/\{(\w+)\}/g, (_, k) => String(params[k] ?? "—"));
+}
+
+type MessageBuilder = (lang: Language) => PushMessage;
+
+// ── Provider abstraction ─────────────────────────────────────────────────────
+interface Subscription {
+  id: string;
+  user_id: string;
+  endpoint: string;
+  p256dh: string;
+  auth: string;
+  language: Language;
+}
+
+interface PushResult {
+  status: "sent" | "gone" | "failed";
+  error?: string;
+}
+
+interface PushProvider {
+  readonly name: string;
+  send(subscription: Subscription, message: PushMessage): Promise<PushResult>;
+}
+
+class MockPushProvider implements PushProvider {
+  readonly name = "mock";
+  // deno-lint-ignore require-await
+  async send(subscription: Subscription, message: PushMessage): Promise<PushResult> {
+    console.log(`[mock-push] → ${subscription.endpoint}: ${message.title}`);
+    return { status: "sent" };
+  }
+}
+
+function b64urlDecode(value: string): Uint8Array {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(value.length / 4) * 4, "=");
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+function b64urlEncode(bytes: Uint8Array): string {
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function concat(...parts: Uint8Array[]): Uint8Array {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) { out.set(p, offset); offset += p.length; }
+  return out;
+}
+
+const encoder = new TextEncoder();
+
+async function hkdf(salt: Uint8Array, ikm: Uint8Array, info: Uint8Array, length: number): Promise<Uint8Array> {
+  const key = await crypto.subtle.importKey("raw", ikm, "HKDF", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "HKDF", hash: "SHA-256", salt, info }, key, length * 8);
+  return new Uint8Array(bits);
+}
+
+class WebPushProvider implements PushProvider {
+  readonly name = "webpush";
+  private signingKey: Promise<CryptoKey>;
+
+  constructor(private publicKey: string, privateKey: string, private subject: string) {
+    const raw = b64urlDecode(publicKey);
+    this.signingKey = crypto.subtle.importKey(
+      "jwk",
+      {
+        kty: "EC",
+        crv: "P-256",
+        x: b64urlEncode(raw.slice(1, 33)),
+        y: b64urlEncode(raw.slice(33, 65)),
+        d: privateKey,
+      },
+      { name: "ECDSA", namedCurve: "P-256" },
+      false,
+      ["sign"],
+    );
+  }
+
+  // RFC 8292: ES256 JWT scoped to the push service origin.
+  private async vapidHeader(endpoint: string): Promise<string> {
+    const header = b64urlEncode(encoder.encode(JSON.stringify({ typ: "JWT", alg: "ES256" })));
+    const claims = b64urlEncode(encoder.encode(JSON.stringify({
+      aud: new URL(endpoint).origin,
+      exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+      sub: this.subject,
+    })));
+    const unsigned = `${header}.${claims}`;
+    const signature = await crypto.subtle.sign(
+      { name: "ECDSA", hash: "SHA-256" },
+      await this.signingKey,
+      encoder.encode(unsigned),
+    );
+    return `vapid t=${unsigned}.${b64urlEncode(new Uint8Array(signature))}, k=${this.publicKey}`;
+  }
+
+  // RFC 8291: one aes128gcm record encrypted for the browser's key pair.
+  private async encrypt(subscription: Subscription, plaintext: Uint8Array): Promise<Uint8Array> {
+    const uaPublic = b64urlDecode(subscription.p256dh);
+    const authSecret = b64urlDecode(subscription.auth);
+
+    const local = await crypto.subtle.generateKey({ name: "ECDH", namedCurve: "P-256" }, true, ["deriveBits"]);
+    const asPublic = new Uint8Array(await crypto.subtle.exportKey("raw", local.publicKey));
+    const uaKey = await crypto.subtle.importKey("raw", uaPublic, { name: "ECDH", namedCurve: "P-256" }, false, []);
+    const ecdhSecret = new Uint8Array(
+      await crypto.subtle.deriveBits({ name: "ECDH", public: uaKey }, local.privateKey, 256),
+    );
+
+    const ikm = await hkdf(authSecret, ecdhSecret, concat(encoder.encode("WebPush: info\0"), uaPublic, asPublic), 32);
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const cek = await hkdf(salt, ikm, encoder.encode("Content-Encoding: aes128gcm\0"), 16);
+    const nonce = await hkdf(salt, ikm, encoder.encode("Content-Encoding: nonce\0"), 12);
+
+    const aesKey = await crypto.subtle.importKey("raw", cek, "AES-GCM", false, ["encrypt"]);
+    const record = concat(plaintext, new Uint8Array([2]));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv: nonce }, aesKey, record));
+
+    const recordSize = new Uint8Array(4);
+    new DataView(recordSize.buffer).setUint32(0, 4096);
+    return concat(salt, recordSize, new Uint8Array([asPublic.length]), asPublic, ciphertext);
+  }
+
+  async send(subscription: Subscription, message: PushMessage): Promise<PushResult> {
+    try {
+      const body = await this.encrypt(subscription, encoder.encode(JSON.stringify(message)));
+      const res = await fetch(subscription.endpoint, {
+        method: "POST",
+        headers: {
+          Authorization: await this.vapidHeader(subscription.endpoint),
+          "Content-Encoding": "aes128gcm",
+          "Content-Type": "application/octet-stream",
+          TTL: String(TTL_SECONDS),
+          Urgency: "normal",
+        },
+        body,
+      });
+      if (res.ok) return { status: "sent" };
+      const detail = await res.text().catch(() => "");
+      if (res.status === 404 || res.status === 410) return { status: "gone", error: `HTTP ${res.status}` };
+      return { status: "failed", error: `HTTP ${res.status}${detail ? `: ${detail.slice(0, 200)}` : ""}` };
+    } catch (e) {
+      return { status: "failed", error: e instanceof Error ? e.message : String(e) };
+    }
+  }
+}
+
+function pickProvider(): PushProvider {
+  const publicKey = Deno.env.get("VAPID_PUBLIC_KEY") ?? "";
+  const privateKey = Deno.env.get("VAPID_PRIVATE_KEY") ?? "";
+  const subject = Deno.env.get("VAPID_SUBJECT") ?? "mailto:admin@example.com";
+  if (publicKey && privateKey) return new WebPushProvider(publicKey, privateKey, subject);
+  return new MockPushProvider();
+}
+
+// ── Push service ─────────────────────────────────────────────────────────────
+class PushService {
+  constructor(private admin: SupabaseClient, private provider: PushProvider) {}
+
+  async sendToUsers(userIds: string[], build: MessageBuilder) {
+    if (userIds.length === 0) return { provider: this.provider.name, sent: 0, failed: 0, removed: 0 };
+    const { data, error } = await this.admin
+      .from("push_subscriptions")
+      .select("id, user_id, endpoint, p256dh, auth, language")
+      .in("user_id", userIds);
+    if (error) throw new Error(error.message);
+
+    let sent = 0;
+    let failed = 0;
+    let removed = 0;
+    await Promise.all(
+      ((data ?? []) as Subscription[]).map(async (sub) => {
+        const result = await this.provider.send(sub, build(sub.language === "en" ? "en" : "fr"));
+        if (result.status === "sent") {
+          sent++;
+          await this.admin
+            .from("push_subscriptions")
+            .update({ last_success_at: new Date().toISOString(), failure_count: 0 })
+            .eq("id", sub.id);
+          return;
+        }
+        failed++;
+        console.error(`[send_push] ${sub.endpoint}: ${result.error ?? result.status}`);
+        if (result.status === "gone") {
+          removed++;
+          await this.admin.from("push_subscriptions").delete().eq("id", sub.id);
+          return;
+        }
+        const { data: row } = await this.admin
+          .from("push_subscriptions").select("failure_count").eq("id", sub.id).maybeSingle();
+        const failures = (row?.failure_count ?? 0) + 1;
+        if (failures >= MAX_FAILURES) {
+          removed++;
+          await this.admin.from("push_subscriptions").delete().eq("id", sub.id);
+        } else {
+          await this.admin.from("push_subscriptions").update({ failure_count: failures }).eq("id", sub.id);
+        }
+      }),
+    );
+    return { provider: this.provider.name, sent, failed, removed };
+  }
+
+  // New overtime proof → every manager who kept the switch on.
+  async managerNotification(id: string) {
+    const { data: row, error } = await this.admin
+      .from("manager_notifications")
+      .select("id, employee_id, job_id, daily_minutes")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!row) return { skipped: "notification not found" };
+
+    const [{ data: employee }, { data: job }, { data: managers }] = await Promise.all([
+      this.admin.from("profiles").select("full_name, email").eq("id", row.employee_id).maybeSingle(),
+      this.admin.from("jobs").select("ot, job_date").eq("id", row.job_id).maybeSingle(),
+      this.admin.from("profiles").select("id").eq("role", "manager").eq("push_overtime_evidence", true),
+    ]);
+    const params = {
+      name: employee?.full_name || employee?.email || "—",
+      ot: job?.ot,
+      date: job?.job_date,
+      hours: (row.daily_minutes / 60).toFixed(2),
+    };
+    return this.sendToUsers((managers ?? []).map((m) => m.id), (lang) => ({
+      title: text(lang, "overtimeTitle"),
+      body: text(lang, "overtimeBody", params),
+      url: `/manager?job=${row.job_id}`,
+      tag: `overtime:${row.id}`,
+    }));
+  }
+
+  // Job approved / unlocked / sent back → the employee, if opted in.
+  async userNotification(id: string) {
+    const { data: row, error } = await this.admin
+      .from("notifications")
+      .select("id, user_id, type, job_id, body, link, data")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!row) return { skipped: "notification not found" };
+
+    const key = { job_approved: "jobApproved", job_unlocked: "jobUnlocked", job_rejected: "jobRejected" }[row.type as string];
+    if (!key) return { skipped: `type ${row.type} is not pushed` };
+
+    const { data: profile } = await this.admin
+      .from("profiles").select("push_job_updates").eq("id", row.user_id).maybeSingle();
+    if (!profile?.push_job_updates) return { skipped: "opted out" };
+
+    const params = { ot: row.data?.ot, date: row.data?.job_date };
+    return this.sendToUsers([row.user_id], (lang) => ({
+      title: text(lang, key, params),
+      body: row.body ?? "",
+      url: row.link ?? "/history",
+      tag: `job:${row.job_id}`,
+    }));
+  }
+
+  test(userId: string) {
+    return this.sendToUsers([userId], (lang) => ({
+      title: text(lang, "testTitle"),
+      body: text(lang, "testBody"),
+      url: "/profile",
+      tag: "test",
+    }));
+  }
+}
+
+// ── HTTP handler ─────────────────────────────────────────────────────────────
+serve(async (req) => {
+  if (req.method === "OPTIONS") return new Response("ok", { status: 200, headers: corsHeaders });
+
+  try {
+    if (req.method !== "POST") return json({ ok: false, error: "Method not allowed" }, 405);
+
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")              ?? "";
+    const anonKey     = Deno.env.get("SUPABASE_ANON_KEY")         ?? "";
+    const serviceRole = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+    if (!supabaseUrl || !anonKey || !serviceRole) {
+      return json({ ok: false, error: "Server env not configured" }, 500);
+    }
+
+    const admin = createClient(supabaseUrl, serviceRole);
+    const service = new PushService(admin, pickProvider());
+    const payload = await req.json().catch(() => ({}));
+
+    // Database webhook from the 0019 triggers.
+    const webhookSecret = Deno.env.get("PUSH_WEBHOOK_SECRET") ?? "";
+    const givenSecret = req.headers.get("x-push-secret") ?? "";
+    if (givenSecret) {
+      if (!webhookSecret || givenSecret !== webhookSecret) {
+        return json({ ok: false, error: "Invalid webhook secret" }, 401);
+      }
+      const id = typeof payload?.id === "string" ? payload.id : "";
+      if (!id) return json({ ok: false, error: "Missing id" }, 400);
+      if (payload?.source === "manager_notifications") {
+        return json({ ok: true, ...(await service.managerNotification(id)) });
+      }
+      if (payload?.source === "notifications") {
+        return json({ ok: true, ...(await service.userNotification(id)) });
+      }
+      return json({ ok: false, error: "Unknown source" }, 400);
+    }
+
+    // Signed-in user: test push to their own devices.
+    const authHeader = req.headers.get("authorization") || "";
+    const token = authHeader.toLowerCase().startsWith("bearer ") ? authHeader.slice(7).trim() : "";
+    if (!token) return json({ ok: false, error: "Missing bearer token" }, 401);
+
+    const caller = createClient(supabaseUrl, anonKey, {
+      global: { headers: { Authorization: `Bearer ${token}` } },
+    });
+    const { data: callerUser, error: callerErr } = await caller.auth.getUser();
+    if (callerErr || !callerUser?.user) return json({ ok: false, error: "Invalid session token" }, 401);
+    if (payload?.test !== true) return json({ ok: false, error: "Only test pushes can be requested" }, 400);
+
+    return json({ ok: true, ...(await service.test(callerUser.user.id)) });
+  } catch (e) {
+    console.error("[send_push] unexpected:", e);
+    return json({ ok: false, error: e instanceof Error ? e.message : String(e) }, 500);
+  }
+});
@@ -0,0 +1,165 @@
+-- Payroll engine.
+--
+-- Single source of truth for hours, overtime, km and compensation. Every
+-- screen and export reads from here instead of re-deriving the numbers:
+--   payroll_job_lines       view, one row per job (worked minutes, km, return)
+--   payroll_daily(...)      per employee per day, daily overtime threshold
+--   payroll_weekly(...)     per employee per ISO week, OT split, km and
+--                           storage compensation
+--   payroll_approved_weeks  view over payroll_weekly() for approved jobs
+--   the `payroll` edge function serves the same rows as JSON / CSV
+--
+-- Rules:
+--   * worked minutes = fin - depart (a shift past midnight wraps around)
+--   * return time counts toward the 8 h daily threshold when the employee's
+--     include_return_time_in_overtime is on; otherwise it is paid as regular
+--   * weekly overtime: first hour at 1.5x, the rest at 2x
+--   * km = km_aller + km_retour, reimbursed at profiles.km_rate
+--   * storage compensation: fixed $50 per week worked when enabled
+--
+-- Everything is security invoker, so jobs/profiles RLS applies: employees
+-- only ever see their own rows, managers see everyone.
+
+create or replace view public.payroll_job_lines
+with (security_invoker = true) as
+select
+  j.id                                          as job_id,
+  j.user_id,
+  j.job_date,
+  date_trunc('week', j.job_date)::date          as week_start,
+  j.status,
+  j.ot,
+  j.depart,
+  j.arrivee,
+  j.fin,
+  case
+    when j.depart is null or j.fin is null then 0
+    else ((extract(epoch from (j.fin - j.depart))::integer / 60) + 1440) % 1440
+  end                                           as work_minutes,
+  coalesce(j.return_time_minutes, 0)            as return_minutes,
+  coalesce(j.km_aller, 0)                       as km_aller,
+  coalesce(j.km_retour, 0)                      as km_retour,
+  coalesce(j.km_aller, 0) + coalesce(j.km_retour, 0) as km_total
+from public.jobs j;
+
+-- p_statuses = null means every status (the employee's own Week screen);
+-- exports pass {approved}.
+create or replace function public.payroll_daily(
+  p_from     date   default null,
+  p_to       date   default null,
+  p_user_id  uuid   default null,
+  p_statuses text[] default array['approved']
+)
+returns table (
+  user_id          uuid,
+  job_date         date,
+  week_start       date,
+  job_count        integer,
+  ot_count         integer,
+  work_minutes     integer,
+  return_minutes   integer,
+  counted_minutes  integer,
+  regular_minutes  integer,
+  overtime_minutes integer,
+  km_total         numeric
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with days as (
+    select
+      l.user_id,
+      l.job_date,
+      l.week_start,
+      count(*)::integer                                            as job_count,
+      count(*) filter (where coalesce(trim(l.ot), '') <> '')::integer as ot_count,
+      sum(l.work_minutes)::integer                                 as work_minutes,
+      sum(l.return_minutes)::integer                               as return_minutes,
+      sum(l.km_total)                                              as km_total
+    from public.payroll_job_lines l
+    where (p_from is null or l.job_date >= p_from)
+      and (p_to is null or l.job_date <= p_to)
+      and (p_user_id is null or l.user_id = p_user_id)
+      and (p_statuses is null or l.status = any (p_statuses))
+    group by l.user_id, l.job_date, l.week_start
+  )
+  select
+    d.user_id,
+    d.job_date,
+    d.week_start,
+    d.job_count,
+    d.ot_count,
+    d.work_minutes,
+    d.return_minutes,
+    c.counted_minutes,
+    least(c.counted_minutes, 480) + (d.work_minutes + d.return_minutes - c.counted_minutes) as regular_minutes,
+    greatest(c.counted_minutes - 480, 0)                                                 as overtime_minutes,
+    d.km_total
+  from days d
+  left join public.profiles p on p.id = d.user_id
+  cross join lateral (
+    select d.work_minutes
+      + case when coalesce(p.include_return_time_in_overtime, true) then d.return_minutes else 0 end
+      as counted_minutes
+  ) c;
+$$;
+
+create or replace function public.payroll_weekly(
+  p_from     date   default null,
+  p_to       date   default null,
+  p_user_id  uuid   default null,
+  p_statuses text[] default array['approved']
+)
+returns table (
+  user_id               uuid,
+  week_start            date,
+  week_end              date,
+  days_worked           integer,
+  job_count             integer,
+  work_minutes          integer,
+  return_minutes        integer,
+  regular_minutes       integer,
+  ot15_minutes          integer,
+  ot20_minutes          integer,
+  paid_minutes          integer,
+  km_total              numeric,
+  km_rate               numeric,
+  km_reimbursement      numeric,
+  storage_compensation  numeric
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select
+    d.user_id,
+    d.week_start,
+    d.week_start + 6                                        as week_end,
+    count(*)::integer                                       as days_worked,
+    sum(d.job_count)::integer                               as job_count,
+    sum(d.work_minutes)::integer                            as work_minutes,
+    sum(d.return_minutes)::integer                          as return_minutes,
+    sum(d.regular_minutes)::integer                         as regular_minutes,
+    least(sum(d.overtime_minutes), 60)::integer             as ot15_minutes,
+    greatest(sum(d.overtime_minutes) - 60, 0)::integer      as ot20_minutes,
+    sum(d.regular_minutes + d.overtime_minutes)::integer    as paid_minutes,
+    sum(d.km_total)                                         as km_total,
+    p.km_rate,
+    round(sum(d.km_total) * coalesce(p.km_rate, 0), 2)      as km_reimbursement,
+    case when coalesce(p.storage_compensation, false) then 50.00 else 0 end as storage_compensation
+  from public.payroll_daily(p_from, p_to, p_user_id, p_statuses) d
+  left join public.profiles p on p.id = d.user_id
+  group by d.user_id, d.week_start, p.km_rate, p.storage_compensation
+  order by d.week_start desc, d.user_id;
+$$;
+
+create or replace view public.payroll_approved_weeks
+with (security_invoker = true) as
+select * from public.payroll_weekly();
+
+grant select on public.payroll_job_lines, public.payroll_approved_weeks to authenticated;
+grant execute on function public.payroll_daily(date, date, uuid, text[]) to authenticated;
+grant execute on function public.payroll_weekly(date, date, uuid, text[]) to authenticated;
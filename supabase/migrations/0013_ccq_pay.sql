@@ -0,0 +1,224 @@
+-- CCQ-aware pay on top of the payroll engine (0012_payroll_engine.sql).
+--
+-- Prices every payroll day with the CCQ rates in effect on that job date:
+--   regular minutes  × Régulier
+--   1.5x minutes     × Demi
+--   2x minutes       × Double
+--   paid minutes     × Avantages sociaux (employer + employee share)
+--
+-- Rates come from ccq_rate_snapshots (the daily sync stores one snapshot per
+-- sector / skill / rates_to_date). For a job date we take the snapshot with
+-- the latest rates_to_date on or before it, newest fetch first, so a rate
+-- published retroactively for an earlier date reprices those days on the
+-- next run. Jobs older than the first snapshot use the earliest one.
+--
+-- ccq_rate_snapshots is manager-only under RLS and every function here is
+-- security invoker, so employees get null pay — only hours.
+
+-- profiles.apprentice_level → CCQ skillId (same table as SKILLS in Testing.jsx).
+create or replace function public.ccq_skill_for_level(p_level text)
+returns text
+language sql
+immutable
+as $$
+  select case p_level
+    when 'compagnon'  then '6'
+    when 'apprenti_4' then '4'
+    when 'apprenti_3' then '3'
+    when 'apprenti_2' then '2'
+    when 'apprenti_1' then '1'
+  end;
+$$;
+
+-- One rate out of the raw CCQ payload, e.g. ('Taux horaire', 'Régulier').
+-- CCQ uses a French decimal comma: "50,79" → 50.79.
+create or replace function public.ccq_rate_value(p_raw jsonb, p_group text, p_name text, p_annex text)
+returns numeric
+language sql
+immutable
+as $$
+  select nullif(regexp_replace(replace(r->'Rates'->>p_annex, ',', '.'), '[^0-9.]', '', 'g'), '')::numeric
+  from jsonb_array_elements(
+    case when jsonb_typeof(p_raw->'AnnexesRates'->p_group) = 'array'
+      then p_raw->'AnnexesRates'->p_group
+      else '[]'::jsonb
+    end
+  ) r
+  where r->>'Name' = p_name
+  limit 1;
+$$;
+
+-- SQL twin of parseRates() in Testing.jsx: prefer annex C3, else the first
+-- annex listed.
+create or replace function public.ccq_parse_rates(p_raw jsonb)
+returns table (
+  annex_code  text,
+  regular     numeric,
+  half_time   numeric,
+  double_time numeric,
+  benefits    numeric
+)
+language sql
+immutable
+as $$
+  with annexes as (
+    select case when jsonb_typeof(p_raw->'Annexes') = 'array' then p_raw->'Annexes' else '[]'::jsonb end as list
+  ),
+  annex as (
+    select coalesce(
+      (select a->>'cd_annexe' from annexes, jsonb_array_elements(annexes.list) a where a->>'cd_annexe' = 'C3' limit 1),
+      (select annexes.list->0->>'cd_annexe' from annexes),
+      'C3'
+    ) as code
+  )
+  select
+    annex.code,
+    public.ccq_rate_value(p_raw, 'Taux horaire', 'Régulier', annex.code),
+    public.ccq_rate_value(p_raw, 'Taux horaire', 'Demi', annex.code),
+    public.ccq_rate_value(p_raw, 'Taux horaire', 'Double', annex.code),
+    public.ccq_rate_value(p_raw, 'Avantages sociaux', 'Total part du sal. et de l''empl.', annex.code)
+  from annex;
+$$;
+
+create or replace function public.ccq_rates_on(p_sector text, p_skill text, p_date date)
+returns table (
+  rates_to_date date,
+  regular       numeric,
+  half_time     numeric,
+  double_time   numeric,
+  benefits      numeric
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select s.rates_to_date, r.regular, r.half_time, r.double_time, r.benefits
+  from public.ccq_rate_snapshots s
+  cross join lateral public.ccq_parse_rates(s.raw_json) r
+  where s.occupation_id = '220'
+    and s.sector_id = p_sector
+    and s.skill_id = p_skill
+    and s.annex_id = 'ALL'
+  order by (s.rates_to_date > p_date), abs(s.rates_to_date - p_date), s.fetched_at desc
+  limit 1;
+$$;
+
+-- Per employee per day. The weekly 1.5x hour (see payroll_weekly) is given to
+-- the week's first overtime minutes in date order, so each overtime minute is
+-- priced at the rate of the day it was worked.
+create or replace function public.payroll_pay_daily(
+  p_from     date   default null,
+  p_to       date   default null,
+  p_user_id  uuid   default null,
+  p_statuses text[] default array['approved']
+)
+returns table (
+  user_id         uuid,
+  job_date        date,
+  week_start      date,
+  regular_minutes integer,
+  ot15_minutes    integer,
+  ot20_minutes    integer,
+  rates_to_date   date,
+  regular_rate    numeric,
+  half_time_rate  numeric,
+  double_rate     numeric,
+  benefits_rate   numeric,
+  regular_pay     numeric,
+  ot15_pay        numeric,
+  ot20_pay        numeric,
+  benefits_pay    numeric,
+  gross_pay       numeric
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with days as (
+    select
+      d.*,
+      sum(d.overtime_minutes) over (partition by d.user_id, d.week_start order by d.job_date) as cum_ot
+    from public.payroll_daily(p_from, p_to, p_user_id, p_statuses) d
+  ),
+  split as (
+    select
+      days.user_id,
+      days.job_date,
+      days.week_start,
+      days.regular_minutes,
+      (least(days.cum_ot, 60) - least(days.cum_ot - days.overtime_minutes, 60))::integer as ot15_minutes,
+      days.overtime_minutes
+        - (least(days.cum_ot, 60) - least(days.cum_ot - days.overtime_minutes, 60))::integer as ot20_minutes
+    from days
+  )
+  select
+    s.user_id,
+    s.job_date,
+    s.week_start,
+    s.regular_minutes,
+    s.ot15_minutes,
+    s.ot20_minutes,
+    r.rates_to_date,
+    r.regular,
+    r.half_time,
+    r.double_time,
+    r.benefits,
+    round(s.regular_minutes / 60.0 * r.regular, 2),
+    round(s.ot15_minutes / 60.0 * r.half_time, 2),
+    round(s.ot20_minutes / 60.0 * r.double_time, 2),
+    round((s.regular_minutes + s.ot15_minutes + s.ot20_minutes) / 60.0 * r.benefits, 2),
+    round(s.regular_minutes / 60.0 * r.regular, 2)
+      + round(s.ot15_minutes / 60.0 * r.half_time, 2)
+      + round(s.ot20_minutes / 60.0 * r.double_time, 2)
+      + round((s.regular_minutes + s.ot15_minutes + s.ot20_minutes) / 60.0 * r.benefits, 2)
+  from split s
+  left join public.profiles p on p.id = s.user_id
+  left join lateral public.ccq_rates_on(p.sector, public.ccq_skill_for_level(p.apprentice_level), s.job_date) r on true;
+$$;
+
+-- Weekly totals of payroll_pay_daily. missing_rate_days counts days that
+-- could not be priced (no sector / level on the profile, no snapshot, or
+-- caller not allowed to read rates); gross_pay is null if any day is missing.
+create or replace function public.payroll_weekly_pay(
+  p_from     date   default null,
+  p_to       date   default null,
+  p_user_id  uuid   default null,
+  p_statuses text[] default array['approved']
+)
+returns table (
+  user_id           uuid,
+  week_start        date,
+  rates_from        date,
+  rates_to          date,
+  regular_pay       numeric,
+  ot15_pay          numeric,
+  ot20_pay          numeric,
+  benefits_pay      numeric,
+  gross_pay         numeric,
+  missing_rate_days integer
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select
+    d.user_id,
+    d.week_start,
+    min(d.rates_to_date),
+    max(d.rates_to_date),
+    sum(d.regular_pay),
+    sum(d.ot15_pay),
+    sum(d.ot20_pay),
+    sum(d.benefits_pay),
+    case when count(*) filter (where d.gross_pay is null) = 0 then sum(d.gross_pay) end,
+    (count(*) filter (where d.gross_pay is null))::integer
+  from public.payroll_pay_daily(p_from, p_to, p_user_id, p_statuses) d
+  group by d.user_id, d.week_start
+  order by d.week_start desc, d.user_id;
+$$;
+
+grant execute on function public.payroll_pay_daily(date, date, uuid, text[]) to authenticated;
+grant execute on function public.payroll_weekly_pay(date, date, uuid, text[]) to authenticated;
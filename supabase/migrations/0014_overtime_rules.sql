@@ -0,0 +1,425 @@
+-- Configurable overtime rule sets.
+--
+-- Replaces the hard-coded 8 h/day, first hour at 1.5x, rest at 2x. One row per
+-- sector convention ('C' commercial / ICI, 'R' residential) plus a 'default'
+-- row used for employees without a sector. Managers edit them from the
+-- Testing → Overtime rules tab.
+--
+--   daily_regular_minutes   regular time per day before overtime (null = none)
+--   weekly_regular_minutes  regular time per ISO week before overtime (null = none)
+--   ot15_minutes            overtime paid at 1.5x before switching to 2x
+--                           (null = all overtime at 1.5x)
+--   ot15_scope              whether that 1.5x allowance resets every 'day' or
+--                           every 'week'
+--   saturday/sunday/holiday_multiplier
+--                           1 = normal day; 1.5 or 2 = every minute worked that
+--                           day is paid at that rate and does not count toward
+--                           the regular thresholds
+--
+-- payroll_daily (0012) is rebuilt on top of these rules, so Week, the payroll
+-- CSV, CCQ pricing and the overtime evidence check all evaluate the same rows.
+
+create table if not exists public.overtime_rules (
+  sector                 text primary key check (sector in ('default', 'C', 'R')),
+  daily_regular_minutes  integer check (daily_regular_minutes between 0 and 1440),
+  weekly_regular_minutes integer check (weekly_regular_minutes between 0 and 10080),
+  ot15_minutes           integer check (ot15_minutes between 0 and 10080),
+  ot15_scope             text not null default 'week' check (ot15_scope in ('day', 'week')),
+  saturday_multiplier    numeric(3,2) not null default 1 check (saturday_multiplier in (1, 1.5, 2)),
+  sunday_multiplier      numeric(3,2) not null default 1 check (sunday_multiplier in (1, 1.5, 2)),
+  holiday_multiplier     numeric(3,2) not null default 2 check (holiday_multiplier in (1, 1.5, 2)),
+  updated_at             timestamptz not null default now(),
+  updated_by             uuid references auth.users (id) on delete set null
+);
+
+-- Seed with the rules the app used so far, so numbers do not move until a
+-- manager changes them.
+insert into public.overtime_rules (sector, daily_regular_minutes, weekly_regular_minutes, ot15_minutes, ot15_scope)
+values
+  ('default', 480, null, 60, 'week'),
+  ('C',       480, null, 60, 'week'),
+  ('R',       480, null, 60, 'week')
+on conflict (sector) do nothing;
+
+-- Every signed-in user reads the rules (the payroll functions run with the
+-- caller's rights); only managers change them.
+alter table public.overtime_rules enable row level security;
+
+drop policy if exists "overtime_rules: authenticated read" on public.overtime_rules;
+create policy "overtime_rules: authenticated read"
+  on public.overtime_rules for select to authenticated
+  using (true);
+
+drop policy if exists "overtime_rules: manager write" on public.overtime_rules;
+create policy "overtime_rules: manager write"
+  on public.overtime_rules for all to authenticated
+  using (public.get_my_role() = 'manager')
+  with check (public.get_my_role() = 'manager');
+
+-- Rule set for a sector, falling back to 'default'.
+create or replace function public.overtime_rule_for_sector(p_sector text)
+returns setof public.overtime_rules
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select *
+  from public.overtime_rules
+  where sector = coalesce(p_sector, 'default') or sector = 'default'
+  order by (sector = 'default')
+  limit 1;
+$$;
+
+-- ── Payroll engine on top of the rules ──────────────────────────────────────
+-- payroll_daily gains the 1.5x / 2x split and the day multiplier, so its
+-- return type changes: drop and recreate it together with its dependents.
+drop view if exists public.payroll_approved_weeks;
+drop function if exists public.payroll_weekly(date, date, uuid, text[]);
+drop function if exists public.payroll_daily(date, date, uuid, text[]);
+
+create function public.payroll_daily(
+  p_from     date   default null,
+  p_to       date   default null,
+  p_user_id  uuid   default null,
+  p_statuses text[] default array['approved']
+)
+returns table (
+  user_id          uuid,
+  job_date         date,
+  week_start       date,
+  job_count        integer,
+  ot_count         integer,
+  work_minutes     integer,
+  return_minutes   integer,
+  counted_minutes  integer,
+  day_multiplier   numeric,
+  regular_minutes  integer,
+  overtime_minutes integer,
+  ot15_minutes     integer,
+  ot20_minutes     integer,
+  km_total         numeric
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with days as (
+    select
+      l.user_id,
+      l.job_date,
+      l.week_start,
+      count(*)::integer                                               as job_count,
+      count(*) filter (where coalesce(trim(l.ot), '') <> '')::integer as ot_count,
+      sum(l.work_minutes)::integer                                    as work_minutes,
+      sum(l.return_minutes)::integer                                  as return_minutes,
+      sum(l.km_total)                                                 as km_total
+    from public.payroll_job_lines l
+    where (p_from is null or l.job_date >= p_from)
+      and (p_to is null or l.job_date <= p_to)
+      and (p_user_id is null or l.user_id = p_user_id)
+      and (p_statuses is null or l.status = any (p_statuses))
+    group by l.user_id, l.job_date, l.week_start
+  ),
+  -- counted: minutes that count toward thresholds; extra: return time paid
+  -- as regular when the employee's return time does not count.
+  ruled as (
+    select
+      d.*,
+      case when coalesce(p.include_return_time_in_overtime, true)
+        then d.work_minutes + d.return_minutes else d.work_minutes end as counted,
+      case when coalesce(p.include_return_time_in_overtime, true)
+        then 0 else d.return_minutes end                              as extra,
+      r.daily_regular_minutes,
+      r.weekly_regular_minutes,
+      r.ot15_minutes                                                  as ot15_limit,
+      r.ot15_scope,
+      case extract(isodow from d.job_date)
+        when 6 then r.saturday_multiplier
+        when 7 then r.sunday_multiplier
+        else 1
+      end                                                             as multiplier
+    from days d
+    left join public.profiles p on p.id = d.user_id
+    left join lateral public.overtime_rule_for_sector(p.sector) r on true
+  ),
+  daily as (
+    select
+      ruled.*,
+      case when ruled.multiplier > 1 then 0
+        else least(ruled.counted, coalesce(ruled.daily_regular_minutes, ruled.counted))
+      end as daily_regular
+    from ruled
+  ),
+  -- Weekly threshold: regular minutes past weekly_regular_minutes, in date
+  -- order, become overtime on the day they are worked.
+  weekly as (
+    select
+      daily.*,
+      sum(daily.daily_regular) over w as cum_regular
+    from daily
+    window w as (partition by daily.user_id, daily.week_start order by daily.job_date)
+  ),
+  split as (
+    select
+      weekly.*,
+      case when weekly.weekly_regular_minutes is null then 0
+        else greatest(weekly.cum_regular - weekly.weekly_regular_minutes, 0)
+           - greatest(weekly.cum_regular - weekly.daily_regular - weekly.weekly_regular_minutes, 0)
+      end as weekly_excess
+    from weekly
+  ),
+  overtime as (
+    select
+      split.*,
+      split.daily_regular - split.weekly_excess as reg,
+      case when split.multiplier > 1 then 0
+        else split.counted - split.daily_regular + split.weekly_excess
+      end as ot,
+      case when split.multiplier > 1 then split.counted + split.extra else 0 end as premium
+    from split
+  ),
+  cumulative as (
+    select
+      overtime.*,
+      sum(overtime.ot) over w as cum_ot
+    from overtime
+    window w as (partition by overtime.user_id, overtime.week_start order by overtime.job_date)
+  ),
+  buckets as (
+    select
+      c.*,
+      case
+        when c.ot15_limit is null then c.ot
+        when c.ot15_scope = 'day' then least(c.ot, c.ot15_limit)
+        else least(c.cum_ot, c.ot15_limit) - least(c.cum_ot - c.ot, c.ot15_limit)
+      end
+      + case when c.multiplier > 1 and c.multiplier < 2 then c.premium else 0 end as ot15,
+      case when c.multiplier >= 2 then c.premium else 0 end                         as premium20
+    from cumulative c
+  )
+  select
+    b.user_id,
+    b.job_date,
+    b.week_start,
+    b.job_count,
+    b.ot_count,
+    b.work_minutes,
+    b.return_minutes,
+    b.counted,
+    b.multiplier,
+    (case when b.multiplier > 1 then 0 else b.reg + b.extra end)::integer,
+    (b.ot + b.premium)::integer,
+    b.ot15::integer,
+    (b.ot + b.premium - b.ot15)::integer,
+    b.km_total
+  from buckets b;
+$$;
+
+create function public.payroll_weekly(
+  p_from     date   default null,
+  p_to       date   default null,
+  p_user_id  uuid   default null,
+  p_statuses text[] default array['approved']
+)
+returns table (
+  user_id               uuid,
+  week_start            date,
+  week_end              date,
+  days_worked           integer,
+  job_count             integer,
+  work_minutes          integer,
+  return_minutes        integer,
+  regular_minutes       integer,
+  ot15_minutes          integer,
+  ot20_minutes          integer,
+  paid_minutes          integer,
+  km_total              numeric,
+  km_rate               numeric,
+  km_reimbursement      numeric,
+  storage_compensation  numeric
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select
+    d.user_id,
+    d.week_start,
+    d.week_start + 6                                        as week_end,
+    count(*)::integer                                       as days_worked,
+    sum(d.job_count)::integer                               as job_count,
+    sum(d.work_minutes)::integer                            as work_minutes,
+    sum(d.return_minutes)::integer                          as return_minutes,
+    sum(d.regular_minutes)::integer                         as regular_minutes,
+    sum(d.ot15_minutes)::integer                            as ot15_minutes,
+    sum(d.ot20_minutes)::integer                            as ot20_minutes,
+    sum(d.regular_minutes + d.overtime_minutes)::integer    as paid_minutes,
+    sum(d.km_total)                                         as km_total,
+    p.km_rate,
+    round(sum(d.km_total) * coalesce(p.km_rate, 0), 2)      as km_reimbursement,
+    case when coalesce(p.storage_compensation, false) then 50.00 else 0 end as storage_compensation
+  from public.payroll_daily(p_from, p_to, p_user_id, p_statuses) d
+  left join public.profiles p on p.id = d.user_id
+  group by d.user_id, d.week_start, p.km_rate, p.storage_compensation
+  order by d.week_start desc, d.user_id;
+$$;
+
+create or replace view public.payroll_approved_weeks
+with (security_invoker = true) as
+select * from public.payroll_weekly();
+
+-- CCQ pricing now reads the split straight from payroll_daily.
+create or replace function public.payroll_pay_daily(
+  p_from     date   default null,
+  p_to       date   default null,
+  p_user_id  uuid   default null,
+  p_statuses text[] default array['approved']
+)
+returns table (
+  user_id         uuid,
+  job_date        date,
+  week_start      date,
+  regular_minutes integer,
+  ot15_minutes    integer,
+  ot20_minutes    integer,
+  rates_to_date   date,
+  regular_rate    numeric,
+  half_time_rate  numeric,
+  double_rate     numeric,
+  benefits_rate   numeric,
+  regular_pay     numeric,
+  ot15_pay        numeric,
+  ot20_pay        numeric,
+  benefits_pay    numeric,
+  gross_pay       numeric
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select
+    d.user_id,
+    d.job_date,
+    d.week_start,
+    d.regular_minutes,
+    d.ot15_minutes,
+    d.ot20_minutes,
+    r.rates_to_date,
+    r.regular,
+    r.half_time,
+    r.double_time,
+    r.benefits,
+    round(d.regular_minutes / 60.0 * r.regular, 2),
+    round(d.ot15_minutes / 60.0 * r.half_time, 2),
+    round(d.ot20_minutes / 60.0 * r.double_time, 2),
+    round((d.regular_minutes + d.overtime_minutes) / 60.0 * r.benefits, 2),
+    round(d.regular_minutes / 60.0 * r.regular, 2)
+      + round(d.ot15_minutes / 60.0 * r.half_time, 2)
+      + round(d.ot20_minutes / 60.0 * r.double_time, 2)
+      + round((d.regular_minutes + d.overtime_minutes) / 60.0 * r.benefits, 2)
+  from public.payroll_daily(p_from, p_to, p_user_id, p_statuses) d
+  left join public.profiles p on p.id = d.user_id
+  left join lateral public.ccq_rates_on(p.sector, public.ccq_skill_for_level(p.apprentice_level), d.job_date) r on true;
+$$;
+
+-- Overtime evidence check for a job being saved: the day's counted minutes
+-- (the caller's other jobs that day + the candidate job) and how many of them
+-- are overtime under their rule set, weekly threshold included. The candidate
+-- minutes already include return time when it counts toward overtime.
+create or replace function public.overtime_check(
+  p_job_date          date,
+  p_candidate_minutes integer,
+  p_exclude_job_id    uuid default null
+)
+returns table (
+  daily_minutes         integer,
+  overtime_minutes      integer,
+  daily_regular_minutes integer,
+  saturday_multiplier   numeric,
+  sunday_multiplier     numeric
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with me as (
+    select p.id, coalesce(p.include_return_time_in_overtime, true) as include_return, p.sector
+    from public.profiles p
+    where p.id = auth.uid()
+  ),
+  rule as (
+    select r.* from me cross join lateral public.overtime_rule_for_sector(me.sector) r
+  ),
+  week_days as (
+    select
+      x.job_date,
+      sum(x.counted)::integer as counted
+    from (
+      select
+        l.job_date,
+        l.work_minutes + case when me.include_return then l.return_minutes else 0 end as counted
+      from public.payroll_job_lines l, me
+      where l.user_id = me.id
+        and l.week_start = date_trunc('week', p_job_date)::date
+        and l.job_date <= p_job_date
+        and (p_exclude_job_id is null or l.job_id <> p_exclude_job_id)
+      union all
+      select p_job_date, p_candidate_minutes
+    ) x
+    group by x.job_date
+  ),
+  ruled as (
+    select
+      w.job_date,
+      w.counted,
+      case extract(isodow from w.job_date)
+        when 6 then rule.saturday_multiplier
+        when 7 then rule.sunday_multiplier
+        else 1
+      end > 1 as premium,
+      rule.daily_regular_minutes,
+      rule.weekly_regular_minutes
+    from week_days w
+    left join rule on true
+  ),
+  daily as (
+    select
+      ruled.*,
+      case when ruled.premium then 0
+        else least(ruled.counted, coalesce(ruled.daily_regular_minutes, ruled.counted))
+      end as daily_regular
+    from ruled
+  ),
+  week_regular as (
+    select coalesce(sum(daily_regular), 0) as before_day
+    from daily
+    where job_date < p_job_date
+  )
+  select
+    d.counted,
+    case when d.premium then d.counted
+      else d.counted - d.daily_regular
+        + case when d.weekly_regular_minutes is null then 0
+            else greatest(wr.before_day + d.daily_regular - d.weekly_regular_minutes, 0)
+               - greatest(wr.before_day - d.weekly_regular_minutes, 0)
+          end
+    end::integer,
+    d.daily_regular_minutes,
+    rule.saturday_multiplier,
+    rule.sunday_multiplier
+  from daily d
+  cross join week_regular wr
+  left join rule on true
+  where d.job_date = p_job_date;
+$$;
+
+grant execute on function public.overtime_rule_for_sector(text) to authenticated;
+grant execute on function public.payroll_daily(date, date, uuid, text[]) to authenticated;
+grant execute on function public.payroll_weekly(date, date, uuid, text[]) to authenticated;
+grant execute on function public.overtime_check(date, integer, uuid) to authenticated;
+grant select on public.payroll_approved_weeks to authenticated;
@@ -0,0 +1,469 @@
+-- Quebec statutory and construction-industry holidays (jours fériés).
+--
+-- One row per holiday date, editable by managers from Testing → Holidays.
+-- The payroll engine flags work on those dates and pays it at the holiday
+-- multiplier of the employee's overtime rule set (0014_overtime_rules.sql);
+-- Week shows the flag and the payroll CSV gets holiday columns.
+--
+-- generate_holidays(year) fills a year with the default calendar, but only
+-- when that year has no rows yet, so manager edits and deletions stick. The
+-- current and next year are generated here; a yearly pg_cron job generates
+-- the following year every December.
+
+create table if not exists public.holidays (
+  holiday_date date primary key,
+  name         text not null,
+  kind         text not null default 'statutory' check (kind in ('statutory', 'construction')),
+  generated    boolean not null default false,
+  updated_at   timestamptz not null default now(),
+  updated_by   uuid references auth.users (id) on delete set null
+);
+
+alter table public.holidays enable row level security;
+
+drop policy if exists "holidays: authenticated read" on public.holidays;
+create policy "holidays: authenticated read"
+  on public.holidays for select to authenticated
+  using (true);
+
+drop policy if exists "holidays: manager write" on public.holidays;
+create policy "holidays: manager write"
+  on public.holidays for all to authenticated
+  using (public.get_my_role() = 'manager')
+  with check (public.get_my_role() = 'manager');
+
+-- Easter Sunday (anonymous Gregorian algorithm).
+create or replace function public.easter_sunday(p_year integer)
+returns date
+language plpgsql
+immutable
+as $$
+declare
+  a integer := p_year % 19;
+  b integer := p_year / 100;
+  c integer := p_year % 100;
+  d integer := b / 4;
+  e integer := b % 4;
+  f integer := (b + 8) / 25;
+  g integer := (b - f + 1) / 3;
+  h integer := (19 * a + b - d - g + 15) % 30;
+  i integer := c / 4;
+  k integer := c % 4;
+  l integer := (32 + 2 * e + 2 * i - h - k) % 7;
+  m integer := (a + 11 * h + 22 * l) / 451;
+begin
+  return make_date(p_year, (h + l - 7 * m + 114) / 31, ((h + l - 7 * m + 114) % 31) + 1);
+end;
+$$;
+
+-- Default calendar for a year: the Quebec statutory holidays (Loi sur les
+-- normes du travail) plus the extra days of the construction collective
+-- agreements. Managers adjust it to their agreement in Testing → Holidays.
+create or replace function public.default_holidays(p_year integer)
+returns table (holiday_date date, name text, kind text)
+language sql
+immutable
+as $$
+  with anchors as (
+    select
+      public.easter_sunday(p_year) as easter,
+      -- Monday on or before May 24 (Journée nationale des patriotes)
+      make_date(p_year, 5, 24) - ((extract(isodow from make_date(p_year, 5, 24))::integer + 6) % 7) as patriotes,
+      -- first Monday of September, second Monday of October
+      make_date(p_year, 9, 1) + ((8 - extract(isodow from make_date(p_year, 9, 1))::integer) % 7) as labour,
+      make_date(p_year, 10, 1) + ((8 - extract(isodow from make_date(p_year, 10, 1))::integer) % 7) + 7 as thanksgiving
+  )
+  select v.holiday_date, v.name, v.kind
+  from anchors,
+  lateral (values
+    (make_date(p_year, 1, 1),   'Jour de l''An',                     'statutory'),
+    (make_date(p_year, 1, 2),   'Lendemain du jour de l''An',        'construction'),
+    (anchors.easter - 2,        'Vendredi saint',                    'statutory'),
+    (anchors.easter + 1,        'Lundi de Pâques',                   'construction'),
+    (anchors.patriotes,         'Journée nationale des patriotes',   'statutory'),
+    (make_date(p_year, 6, 24),  'Fête nationale du Québec',          'statutory'),
+    (make_date(p_year, 7, 1),   'Fête du Canada',                    'statutory'),
+    (anchors.labour,            'Fête du Travail',                   'statutory'),
+    (anchors.thanksgiving,      'Action de grâces',                  'statutory'),
+    (make_date(p_year, 12, 24), 'Veille de Noël',                    'construction'),
+    (make_date(p_year, 12, 25), 'Noël',                              'statutory'),
+    (make_date(p_year, 12, 26), 'Lendemain de Noël',                 'construction'),
+    (make_date(p_year, 12, 31), 'Veille du jour de l''An',           'construction')
+  ) as v(holiday_date, name, kind);
+$$;
+
+-- Returns how many rows were added (0 when the year already had holidays).
+-- Security definer so the cron job and managers can both call it; the
+-- manager check keeps employees out.
+create or replace function public.generate_holidays(p_year integer)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  added integer;
+begin
+  if auth.uid() is not null and public.get_my_role() is distinct from 'manager' then
+    raise exception 'Only managers can generate holidays';
+  end if;
+  if exists (
+    select 1 from public.holidays
+    where holiday_date between make_date(p_year, 1, 1) and make_date(p_year, 12, 31)
+  ) then
+    return 0;
+  end if;
+  insert into public.holidays (holiday_date, name, kind, generated)
+  select d.holiday_date, d.name, d.kind, true
+  from public.default_holidays(p_year) d
+  on conflict (holiday_date) do nothing;
+  get diagnostics added = row_count;
+  return added;
+end;
+$$;
+
+select public.generate_holidays(extract(year from now())::integer);
+select public.generate_holidays(extract(year from now())::integer + 1);
+
+create extension if not exists pg_cron;
+
+do $$
+begin
+  perform cron.unschedule('holidays-next-year');
+exception when others then null;
+end $$;
+
+select cron.schedule(
+  'holidays-next-year',
+  '0 6 1 12 *',
+  $cron$ select public.generate_holidays(extract(year from now())::integer + 1); $cron$
+);
+
+-- ── Payroll engine: holiday flag and multiplier ─────────────────────────────
+create or replace view public.payroll_job_lines
+with (security_invoker = true) as
+select
+  j.id                                          as job_id,
+  j.user_id,
+  j.job_date,
+  date_trunc('week', j.job_date)::date          as week_start,
+  j.status,
+  j.ot,
+  j.depart,
+  j.arrivee,
+  j.fin,
+  case
+    when j.depart is null or j.fin is null then 0
+    else ((extract(epoch from (j.fin - j.depart))::integer / 60) + 1440) % 1440
+  end                                           as work_minutes,
+  coalesce(j.return_time_minutes, 0)            as return_minutes,
+  coalesce(j.km_aller, 0)                       as km_aller,
+  coalesce(j.km_retour, 0)                      as km_retour,
+  coalesce(j.km_aller, 0) + coalesce(j.km_retour, 0) as km_total,
+  h.name                                        as holiday_name
+from public.jobs j
+left join public.holidays h on h.holiday_date = j.job_date;
+
+-- payroll_daily and payroll_weekly gain holiday columns: drop and recreate
+-- them with their dependent view, as in 0014.
+drop view if exists public.payroll_approved_weeks;
+drop function if exists public.payroll_weekly(date, date, uuid, text[]);
+drop function if exists public.payroll_daily(date, date, uuid, text[]);
+
+create function public.payroll_daily(
+  p_from     date   default null,
+  p_to       date   default null,
+  p_user_id  uuid   default null,
+  p_statuses text[] default array['approved']
+)
+returns table (
+  user_id          uuid,
+  job_date         date,
+  week_start       date,
+  job_count        integer,
+  ot_count         integer,
+  work_minutes     integer,
+  return_minutes   integer,
+  counted_minutes  integer,
+  day_multiplier   numeric,
+  holiday_name     text,
+  regular_minutes  integer,
+  overtime_minutes integer,
+  ot15_minutes     integer,
+  ot20_minutes     integer,
+  km_total         numeric
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with days as (
+    select
+      l.user_id,
+      l.job_date,
+      l.week_start,
+      count(*)::integer                                               as job_count,
+      count(*) filter (where coalesce(trim(l.ot), '') <> '')::integer as ot_count,
+      sum(l.work_minutes)::integer                                    as work_minutes,
+      sum(l.return_minutes)::integer                                  as return_minutes,
+      sum(l.km_total)                                                 as km_total
+    from public.payroll_job_lines l
+    where (p_from is null or l.job_date >= p_from)
+      and (p_to is null or l.job_date <= p_to)
+      and (p_user_id is null or l.user_id = p_user_id)
+      and (p_statuses is null or l.status = any (p_statuses))
+    group by l.user_id, l.job_date, l.week_start
+  ),
+  -- counted: minutes that count toward thresholds; extra: return time paid
+  -- as regular when the employee's return time does not count.
+  ruled as (
+    select
+      d.*,
+      case when coalesce(p.include_return_time_in_overtime, true)
+        then d.work_minutes + d.return_minutes else d.work_minutes end as counted,
+      case when coalesce(p.include_return_time_in_overtime, true)
+        then 0 else d.return_minutes end                              as extra,
+      r.daily_regular_minutes,
+      r.weekly_regular_minutes,
+      r.ot15_minutes                                                  as ot15_limit,
+      r.ot15_scope,
+      h.name                                                          as holiday_name,
+      case
+        when h.holiday_date is not null then r.holiday_multiplier
+        when extract(isodow from d.job_date) = 6 then r.saturday_multiplier
+        when extract(isodow from d.job_date) = 7 then r.sunday_multiplier
+        else 1
+      end                                                             as multiplier
+    from days d
+    left join public.profiles p on p.id = d.user_id
+    left join public.holidays h on h.holiday_date = d.job_date
+    left join lateral public.overtime_rule_for_sector(p.sector) r on true
+  ),
+  daily as (
+    select
+      ruled.*,
+      case when ruled.multiplier > 1 then 0
+        else least(ruled.counted, coalesce(ruled.daily_regular_minutes, ruled.counted))
+      end as daily_regular
+    from ruled
+  ),
+  -- Weekly threshold: regular minutes past weekly_regular_minutes, in date
+  -- order, become overtime on the day they are worked.
+  weekly as (
+    select
+      daily.*,
+      sum(daily.daily_regular) over w as cum_regular
+    from daily
+    window w as (partition by daily.user_id, daily.week_start order by daily.job_date)
+  ),
+  split as (
+    select
+      weekly.*,
+      case when weekly.weekly_regular_minutes is null then 0
+        else greatest(weekly.cum_regular - weekly.weekly_regular_minutes, 0)
+           - greatest(weekly.cum_regular - weekly.daily_regular - weekly.weekly_regular_minutes, 0)
+      end as weekly_excess
+    from weekly
+  ),
+  overtime as (
+    select
+      split.*,
+      split.daily_regular - split.weekly_excess as reg,
+      case when split.multiplier > 1 then 0
+        else split.counted - split.daily_regular + split.weekly_excess
+      end as ot,
+      case when split.multiplier > 1 then split.counted + split.extra else 0 end as premium
+    from split
+  ),
+  cumulative as (
+    select
+      overtime.*,
+      sum(overtime.ot) over w as cum_ot
+    from overtime
+    window w as (partition by overtime.user_id, overtime.week_start order by overtime.job_date)
+  ),
+  buckets as (
+    select
+      c.*,
+      case
+        when c.ot15_limit is null then c.ot
+        when c.ot15_scope = 'day' then least(c.ot, c.ot15_limit)
+        else least(c.cum_ot, c.ot15_limit) - least(c.cum_ot - c.ot, c.ot15_limit)
+      end
+      + case when c.multiplier > 1 and c.multiplier < 2 then c.premium else 0 end as ot15,
+      case when c.multiplier >= 2 then c.premium else 0 end                         as premium20
+    from cumulative c
+  )
+  select
+    b.user_id,
+    b.job_date,
+    b.week_start,
+    b.job_count,
+    b.ot_count,
+    b.work_minutes,
+    b.return_minutes,
+    b.counted,
+    b.multiplier,
+    b.holiday_name,
+    (case when b.multiplier > 1 then 0 else b.reg + b.extra end)::integer,
+    (b.ot + b.premium)::integer,
+    b.ot15::integer,
+    (b.ot + b.premium - b.ot15)::integer,
+    b.km_total
+  from buckets b;
+$$;
+
+create function public.payroll_weekly(
+  p_from     date   default null,
+  p_to       date   default null,
+  p_user_id  uuid   default null,
+  p_statuses text[] default array['approved']
+)
+returns table (
+  user_id               uuid,
+  week_start            date,
+  week_end              date,
+  days_worked           integer,
+  job_count             integer,
+  work_minutes          integer,
+  return_minutes        integer,
+  regular_minutes       integer,
+  ot15_minutes          integer,
+  ot20_minutes          integer,
+  paid_minutes          integer,
+  holiday_minutes       integer,
+  km_total              numeric,
+  km_rate               numeric,
+  km_reimbursement      numeric,
+  storage_compensation  numeric
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select
+    d.user_id,
+    d.week_start,
+    d.week_start + 6                                        as week_end,
+    count(*)::integer                                       as days_worked,
+    sum(d.job_count)::integer                               as job_count,
+    sum(d.work_minutes)::integer                            as work_minutes,
+    sum(d.return_minutes)::integer                          as return_minutes,
+    sum(d.regular_minutes)::integer                         as regular_minutes,
+    sum(d.ot15_minutes)::integer                            as ot15_minutes,
+    sum(d.ot20_minutes)::integer                            as ot20_minutes,
+    sum(d.regular_minutes + d.overtime_minutes)::integer    as paid_minutes,
+    coalesce(sum(d.regular_minutes + d.overtime_minutes)
+      filter (where d.holiday_name is not null), 0)::integer as holiday_minutes,
+    sum(d.km_total)                                         as km_total,
+    p.km_rate,
+    round(sum(d.km_total) * coalesce(p.km_rate, 0), 2)      as km_reimbursement,
+    case when coalesce(p.storage_compensation, false) then 50.00 else 0 end as storage_compensation
+  from public.payroll_daily(p_from, p_to, p_user_id, p_statuses) d
+  left join public.profiles p on p.id = d.user_id
+  group by d.user_id, d.week_start, p.km_rate, p.storage_compensation
+  order by d.week_start desc, d.user_id;
+$$;
+
+create or replace view public.payroll_approved_weeks
+with (security_invoker = true) as
+select * from public.payroll_weekly();
+
+-- Evidence check: holidays count as premium days like weekends.
+create or replace function public.overtime_check(
+  p_job_date          date,
+  p_candidate_minutes integer,
+  p_exclude_job_id    uuid default null
+)
+returns table (
+  daily_minutes         integer,
+  overtime_minutes      integer,
+  daily_regular_minutes integer,
+  saturday_multiplier   numeric,
+  sunday_multiplier     numeric
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with me as (
+    select p.id, coalesce(p.include_return_time_in_overtime, true) as include_return, p.sector
+    from public.profiles p
+    where p.id = auth.uid()
+  ),
+  rule as (
+    select r.* from me cross join lateral public.overtime_rule_for_sector(me.sector) r
+  ),
+  week_days as (
+    select
+      x.job_date,
+      sum(x.counted)::integer as counted
+    from (
+      select
+        l.job_date,
+        l.work_minutes + case when me.include_return then l.return_minutes else 0 end as counted
+      from public.payroll_job_lines l, me
+      where l.user_id = me.id
+        and l.week_start = date_trunc('week', p_job_date)::date
+        and l.job_date <= p_job_date
+        and (p_exclude_job_id is null or l.job_id <> p_exclude_job_id)
+      union all
+      select p_job_date, p_candidate_minutes
+    ) x
+    group by x.job_date
+  ),
+  ruled as (
+    select
+      w.job_date,
+      w.counted,
+      case
+        when h.holiday_date is not null then rule.holiday_multiplier
+        when extract(isodow from w.job_date) = 6 then rule.saturday_multiplier
+        when extract(isodow from w.job_date) = 7 then rule.sunday_multiplier
+        else 1
+      end > 1 as premium,
+      rule.daily_regular_minutes,
+      rule.weekly_regular_minutes
+    from week_days w
+    left join rule on true
+    left join public.holidays h on h.holiday_date = w.job_date
+  ),
+  daily as (
+    select
+      ruled.*,
+      case when ruled.premium then 0
+        else least(ruled.counted, coalesce(ruled.daily_regular_minutes, ruled.counted))
+      end as daily_regular
+    from ruled
+  ),
+  week_regular as (
+    select coalesce(sum(daily_regular), 0) as before_day
+    from daily
+    where job_date < p_job_date
+  )
+  select
+    d.counted,
+    case when d.premium then d.counted
+      else d.counted - d.daily_regular
+        + case when d.weekly_regular_minutes is null then 0
+            else greatest(wr.before_day + d.daily_regular - d.weekly_regular_minutes, 0)
+               - greatest(wr.before_day - d.weekly_regular_minutes, 0)
+          end
+    end::integer,
+    d.daily_regular_minutes,
+    rule.saturday_multiplier,
+    rule.sunday_multiplier
+  from daily d
+  cross join week_regular wr
+  left join rule on true
+  where d.job_date = p_job_date;
+$$;
+
+grant execute on function public.default_holidays(integer) to authenticated;
+grant execute on function public.generate_holidays(integer) to authenticated;
+grant execute on function public.payroll_daily(date, date, uuid, text[]) to authenticated;
+grant execute on function public.payroll_weekly(date, date, uuid, text[]) to authenticated;
+grant select on public.payroll_approved_weeks to authenticated;
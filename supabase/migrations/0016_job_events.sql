@@ -0,0 +1,120 @@
+-- Audit trail of every change to a job.
+--
+-- An AFTER trigger on jobs writes one job_events row per insert, update and
+-- delete: who did it, the status before and after, and the changed fields
+-- with their before/after values. Rows are written by the trigger only
+-- (security definer); nobody can insert, edit or delete them through the API.
+--
+-- Actions that need a reason (unlock here, reject later) go through an RPC
+-- that sets `sparklog.job_event_reason` for the transaction; the trigger
+-- copies it onto the event.
+--
+-- job_id has no foreign key on purpose: the 'deleted' event outlives the job.
+
+create table if not exists public.job_events (
+  id          uuid primary key default gen_random_uuid(),
+  job_id      uuid not null,
+  user_id     uuid not null,
+  actor_id    uuid,
+  actor_name  text,
+  actor_role  text,
+  action      text not null check (action in ('created', 'edited', 'submitted', 'approved', 'unlocked', 'status_changed', 'exported', 'deleted')),
+  old_status  text,
+  new_status  text,
+  changes     jsonb not null default '{}'::jsonb,
+  reason      text,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists job_events_job_idx on public.job_events (job_id, created_at);
+create index if not exists job_events_user_idx on public.job_events (user_id, created_at desc);
+
+alter table public.job_events enable row level security;
+
+drop policy if exists "job_events: employee read own" on public.job_events;
+create policy "job_events: employee read own"
+  on public.job_events for select to authenticated
+  using (user_id = auth.uid());
+
+drop policy if exists "job_events: manager read" on public.job_events;
+create policy "job_events: manager read"
+  on public.job_events for select to authenticated
+  using (public.get_my_role() = 'manager');
+
+create or replace function public.record_job_event()
+returns trigger language plpgsql security definer set search_path = public as $$
+declare
+  before_row jsonb := case when tg_op = 'INSERT' then '{}'::jsonb else to_jsonb(old) end;
+  after_row  jsonb := case when tg_op = 'DELETE' then '{}'::jsonb else to_jsonb(new) end;
+  diff       jsonb := '{}'::jsonb;
+  key        text;
+  act        text;
+  actor      public.profiles%rowtype;
+begin
+  for key in
+    select k from jsonb_object_keys(before_row || after_row) k
+    where k not in ('id', 'user_id', 'updated_at', 'created_at')
+  loop
+    if (before_row -> key) is distinct from (after_row -> key) then
+      diff := diff || jsonb_build_object(key, jsonb_build_object('before', before_row -> key, 'after', after_row -> key));
+    end if;
+  end loop;
+
+  if tg_op = 'UPDATE' and diff = '{}'::jsonb then
+    return null;
+  end if;
+
+  act := case
+    when tg_op = 'INSERT' then 'created'
+    when tg_op = 'DELETE' then 'deleted'
+    when new.status is distinct from old.status and new.status = 'submitted' then 'submitted'
+    when new.status is distinct from old.status and new.status = 'approved' then 'approved'
+    when old.locked and not new.locked then 'unlocked'
+    when new.status is distinct from old.status then 'status_changed'
+    when diff ?| array['exported_to_sheet', 'exported_at', 'exported_by']
+      and (diff - array['exported_to_sheet', 'exported_at', 'exported_by']) = '{}'::jsonb then 'exported'
+    else 'edited'
+  end;
+
+  select * into actor from public.profiles where id = auth.uid();
+
+  insert into public.job_events (job_id, user_id, actor_id, actor_name, actor_role, action, old_status, new_status, changes, reason)
+  values (
+    coalesce(new.id, old.id),
+    coalesce(new.user_id, old.user_id),
+    auth.uid(),
+    coalesce(nullif(trim(actor.full_name), ''), actor.email),
+    coalesce(actor.role, case when auth.uid() is null then 'system' end),
+    act,
+    case when tg_op = 'INSERT' then null else old.status end,
+    case when tg_op = 'DELETE' then null else new.status end,
+    case when tg_op = 'UPDATE' then diff else '{}'::jsonb end,
+    nullif(trim(current_setting('sparklog.job_event_reason', true)), '')
+  );
+  return null;
+end;
+$$;
+
+drop trigger if exists jobs_record_event on public.jobs;
+create trigger jobs_record_event
+after insert or update or delete on public.jobs
+for each row execute function public.record_job_event();
+
+-- Manager unlock with a mandatory reason. Security invoker: the jobs RLS
+-- ("jobs: manager update all") still decides who may do it.
+create or replace function public.unlock_job(p_job_id uuid, p_reason text)
+returns void language plpgsql security invoker set search_path = public as $$
+begin
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'An unlock reason is required';
+  end if;
+  perform set_config('sparklog.job_event_reason', trim(p_reason), true);
+  update public.jobs set status = 'updated', locked = false where id = p_job_id;
+  if not found then
+    raise exception 'Job not found';
+  end if;
+end;
+$$;
+
+grant select on public.job_events to authenticated;
+grant execute on function public.unlock_job(uuid, text) to authenticated;
@@ -0,0 +1,134 @@
+-- "Request changes": a manager sends a submitted job back to the employee
+-- with a comment. The job becomes status 'rejected' (unlocked, editable);
+-- the employee's next save moves it to 'updated' and they can resubmit.
+--
+-- The comment is the reason on the 'rejected' job_events row (0016), and the
+-- employee gets an employee_notifications row pointing at the job.
+
+alter table public.jobs
+  drop constraint if exists jobs_status_check,
+  add constraint jobs_status_check check (status in ('saved', 'updated', 'submitted', 'approved', 'rejected'));
+
+alter table public.job_events
+  drop constraint if exists job_events_action_check,
+  add constraint job_events_action_check check (action in ('created', 'edited', 'submitted', 'approved', 'rejected', 'unlocked', 'status_changed', 'exported', 'deleted'));
+
+-- record_job_event from 0016, now naming the 'rejected' transition.
+create or replace function public.record_job_event()
+returns trigger language plpgsql security definer set search_path = public as $$
+declare
+  before_row jsonb := case when tg_op = 'INSERT' then '{}'::jsonb else to_jsonb(old) end;
+  after_row  jsonb := case when tg_op = 'DELETE' then '{}'::jsonb else to_jsonb(new) end;
+  diff       jsonb := '{}'::jsonb;
+  key        text;
+  act        text;
+  actor      public.profiles%rowtype;
+begin
+  for key in
+    select k from jsonb_object_keys(before_row || after_row) k
+    where k not in ('id', 'user_id', 'updated_at', 'created_at')
+  loop
+    if (before_row -> key) is distinct from (after_row -> key) then
+      diff := diff || jsonb_build_object(key, jsonb_build_object('before', before_row -> key, 'after', after_row -> key));
+    end if;
+  end loop;
+
+  if tg_op = 'UPDATE' and diff = '{}'::jsonb then
+    return null;
+  end if;
+
+  act := case
+    when tg_op = 'INSERT' then 'created'
+    when tg_op = 'DELETE' then 'deleted'
+    when new.status is distinct from old.status and new.status = 'submitted' then 'submitted'
+    when new.status is distinct from old.status and new.status = 'approved' then 'approved'
+    when new.status is distinct from old.status and new.status = 'rejected' then 'rejected'
+    when old.locked and not new.locked then 'unlocked'
+    when new.status is distinct from old.status then 'status_changed'
+    when diff ?| array['exported_to_sheet', 'exported_at', 'exported_by']
+      and (diff - array['exported_to_sheet', 'exported_at', 'exported_by']) = '{}'::jsonb then 'exported'
+    else 'edited'
+  end;
+
+  select * into actor from public.profiles where id = auth.uid();
+
+  insert into public.job_events (job_id, user_id, actor_id, actor_name, actor_role, action, old_status, new_status, changes, reason)
+  values (
+    coalesce(new.id, old.id),
+    coalesce(new.user_id, old.user_id),
+    auth.uid(),
+    coalesce(nullif(trim(actor.full_name), ''), actor.email),
+    coalesce(actor.role, case when auth.uid() is null then 'system' end),
+    act,
+    case when tg_op = 'INSERT' then null else old.status end,
+    case when tg_op = 'DELETE' then null else new.status end,
+    case when tg_op = 'UPDATE' then diff else '{}'::jsonb end,
+    nullif(trim(current_setting('sparklog.job_event_reason', true)), '')
+  );
+  return null;
+end;
+$$;
+
+-- Messages for employees (the manager_notifications counterpart).
+create table if not exists public.employee_notifications (
+  id         uuid primary key default gen_random_uuid(),
+  user_id    uuid not null references public.profiles(id) on delete cascade,
+  type       text not null check (type in ('job_rejected')),
+  job_id     uuid references public.jobs(id) on delete cascade,
+  body       text,
+  created_by uuid references public.profiles(id) on delete set null,
+  created_at timestamptz not null default now(),
+  read_at    timestamptz
+);
+
+create index if not exists employee_notifications_user_idx
+  on public.employee_notifications (user_id, created_at desc);
+
+alter table public.employee_notifications enable row level security;
+
+drop policy if exists "employee notifications: own read" on public.employee_notifications;
+create policy "employee notifications: own read"
+  on public.employee_notifications for select to authenticated
+  using (user_id = auth.uid() or public.get_my_role() = 'manager');
+
+drop policy if exists "employee notifications: own mark read" on public.employee_notifications;
+create policy "employee notifications: own mark read"
+  on public.employee_notifications for update to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+drop policy if exists "employee notifications: manager insert" on public.employee_notifications;
+create policy "employee notifications: manager insert"
+  on public.employee_notifications for insert to authenticated
+  with check (public.get_my_role() = 'manager');
+
+-- Security invoker: jobs RLS still decides who may update the job.
+create or replace function public.reject_job(p_job_id uuid, p_reason text)
+returns void language plpgsql security invoker set search_path = public as $$
+declare
+  job public.jobs%rowtype;
+begin
+  if public.get_my_role() is distinct from 'manager' then
+    raise exception 'Only managers can request changes';
+  end if;
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'A comment is required';
+  end if;
+  select * into job from public.jobs where id = p_job_id;
+  if not found then
+    raise exception 'Job not found';
+  end if;
+  if job.status <> 'submitted' then
+    raise exception 'Only submitted jobs can be sent back';
+  end if;
+
+  perform set_config('sparklog.job_event_reason', trim(p_reason), true);
+  update public.jobs set status = 'rejected', locked = false where id = p_job_id;
+
+  insert into public.employee_notifications (user_id, type, job_id, body, created_by)
+  values (job.user_id, 'job_rejected', job.id, trim(p_reason), auth.uid());
+end;
+$$;
+
+grant select, update on public.employee_notifications to authenticated;
+grant execute on function public.reject_job(uuid, text) to authenticated;
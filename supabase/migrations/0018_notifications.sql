@@ -0,0 +1,172 @@
+-- In-app notification center for employees.
+--
+-- employee_notifications (0017) becomes the general per-user `notifications`
+-- table, delivered in realtime to the bell in the app header:
+--   job_approved / job_unlocked / job_rejected
+--                 written by a trigger on jobs when someone other than the
+--                 employee changes their job's status
+--   announcement  written by the send_announcement edge function, one row
+--                 per recipient, next to the email
+--   reminder      written by a weekday pg_cron job for jobs left unsubmitted
+--
+-- `link` is the in-app route the notification opens (History entry or the
+-- job form); `data` carries what the bell needs to label it (OT, date…).
+-- Managers keep their own overtime bell (manager_notifications, 0011).
+
+alter table if exists public.employee_notifications rename to notifications;
+alter index if exists public.employee_notifications_user_idx rename to notifications_user_idx;
+
+alter table public.notifications
+  add column if not exists title text,
+  add column if not exists link  text,
+  add column if not exists data  jsonb not null default '{}'::jsonb;
+
+alter table public.notifications
+  drop constraint if exists employee_notifications_type_check,
+  drop constraint if exists notifications_type_check,
+  add constraint notifications_type_check check (type in ('job_approved', 'job_unlocked', 'job_rejected', 'announcement', 'reminder'));
+
+update public.notifications
+set link = '/form?edit=' || job_id
+where type = 'job_rejected' and link is null and job_id is not null;
+
+drop policy if exists "employee notifications: own read" on public.notifications;
+drop policy if exists "employee notifications: own mark read" on public.notifications;
+drop policy if exists "employee notifications: manager insert" on public.notifications;
+
+drop policy if exists "notifications: own read" on public.notifications;
+create policy "notifications: own read"
+  on public.notifications for select to authenticated
+  using (user_id = auth.uid() or public.get_my_role() = 'manager');
+
+drop policy if exists "notifications: own mark read" on public.notifications;
+create policy "notifications: own mark read"
+  on public.notifications for update to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+drop policy if exists "notifications: manager insert" on public.notifications;
+create policy "notifications: manager insert"
+  on public.notifications for insert to authenticated
+  with check (public.get_my_role() = 'manager');
+
+-- Job status notifications. Only changes made by someone else (a manager,
+-- or the system) notify the employee; the reason set by unlock_job /
+-- reject_job becomes the body.
+create or replace function public.notify_job_status()
+returns trigger language plpgsql security definer set search_path = public as $$
+declare
+  kind text;
+begin
+  if auth.uid() is not distinct from new.user_id then
+    return null;
+  end if;
+
+  kind := case
+    when new.status = 'approved' and old.status is distinct from 'approved' then 'job_approved'
+    when new.status = 'rejected' and old.status is distinct from 'rejected' then 'job_rejected'
+    when old.locked and not new.locked then 'job_unlocked'
+  end;
+  if kind is null then
+    return null;
+  end if;
+
+  insert into public.notifications (user_id, type, job_id, body, link, data, created_by)
+  values (
+    new.user_id,
+    kind,
+    new.id,
+    nullif(trim(current_setting('sparklog.job_event_reason', true)), ''),
+    case when kind = 'job_approved' then '/history?job=' || new.id else '/form?edit=' || new.id end,
+    jsonb_build_object('ot', new.ot, 'job_date', new.job_date),
+    auth.uid()
+  );
+  return null;
+end;
+$$;
+
+drop trigger if exists jobs_notify_status on public.jobs;
+create trigger jobs_notify_status
+after update of status, locked on public.jobs
+for each row execute function public.notify_job_status();
+
+-- reject_job from 0017 without its own insert: the trigger above notifies.
+create or replace function public.reject_job(p_job_id uuid, p_reason text)
+returns void language plpgsql security invoker set search_path = public as $$
+declare
+  job public.jobs%rowtype;
+begin
+  if public.get_my_role() is distinct from 'manager' then
+    raise exception 'Only managers can request changes';
+  end if;
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'A comment is required';
+  end if;
+  select * into job from public.jobs where id = p_job_id;
+  if not found then
+    raise exception 'Job not found';
+  end if;
+  if job.status <> 'submitted' then
+    raise exception 'Only submitted jobs can be sent back';
+  end if;
+
+  perform set_config('sparklog.job_event_reason', trim(p_reason), true);
+  update public.jobs set status = 'rejected', locked = false where id = p_job_id;
+end;
+$$;
+
+-- One reminder per employee per day while they have editable jobs from
+-- previous days that were never submitted.
+create or replace function public.queue_submit_reminders()
+returns integer language plpgsql security definer set search_path = public as $$
+declare
+  added integer;
+begin
+  insert into public.notifications (user_id, type, link, data)
+  select j.user_id, 'reminder', '/history', jsonb_build_object('count', count(*), 'oldest', min(j.job_date))
+  from public.jobs j
+  where j.status in ('saved', 'updated', 'rejected')
+    and j.job_date < current_date
+    and not exists (
+      select 1 from public.notifications n
+      where n.user_id = j.user_id
+        and n.type = 'reminder'
+        and n.created_at >= date_trunc('day', now())
+    )
+  group by j.user_id;
+  get diagnostics added = row_count;
+  return added;
+end;
+$$;
+
+revoke execute on function public.queue_submit_reminders() from public, anon, authenticated;
+
+create extension if not exists pg_cron;
+
+do $$
+begin
+  perform cron.unschedule('submit-reminders');
+exception when others then null;
+end $$;
+
+-- 21:00 UTC on weekdays ≈ 17:00 EDT / 16:00 EST, end of the work day.
+select cron.schedule(
+  'submit-reminders',
+  '0 21 * * 1-5',
+  $cron$ select public.queue_submit_reminders(); $cron$
+);
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_publication_tables
+    where pubname = 'supabase_realtime'
+      and schemaname = 'public'
+      and tablename = 'notifications'
+  ) then
+    execute 'alter publication supabase_realtime add table public.notifications';
+  end if;
+end $$;
+
+grant select, update on public.notifications to authenticated;
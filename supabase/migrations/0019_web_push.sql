@@ -0,0 +1,118 @@
+-- Web Push (VAPID) for the notification bells.
+--
+-- push_subscriptions holds one row per browser/device that opted in from the
+-- Profile page. Two per-user switches on profiles choose what is pushed:
+--   push_overtime_evidence  managers: new manager_notifications row
+--   push_job_updates        employees: job approved / unlocked / sent back
+--
+-- Triggers hand new notification rows to the `send_push` edge function via
+-- pg_net; the function resolves recipients, sends, and prunes subscriptions
+-- the push service reports as gone.
+--
+-- Run this SQL in the Supabase SQL editor after replacing
+-- YOUR_PUSH_WEBHOOK_SECRET with the PUSH_WEBHOOK_SECRET function secret.
+
+create extension if not exists pg_net;
+
+alter table public.profiles
+  add column if not exists push_overtime_evidence boolean not null default true,
+  add column if not exists push_job_updates boolean not null default true;
+
+create table if not exists public.push_subscriptions (
+  id            uuid primary key default gen_random_uuid(),
+  user_id       uuid not null references public.profiles(id) on delete cascade,
+  endpoint      text not null unique,
+  p256dh        text not null,
+  auth          text not null,
+  user_agent    text,
+  language      text not null default 'fr' check (language in ('en', 'fr')),
+  created_at    timestamptz not null default now(),
+  last_success_at timestamptz,
+  failure_count integer not null default 0
+);
+
+create index if not exists push_subscriptions_user_idx on public.push_subscriptions (user_id);
+
+alter table public.push_subscriptions enable row level security;
+
+drop policy if exists "push subscriptions: own rows" on public.push_subscriptions;
+create policy "push subscriptions: own rows"
+  on public.push_subscriptions for all to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+grant select, insert, update, delete on public.push_subscriptions to authenticated;
+
+-- A browser keeps one endpoint per origin, so when someone else signs in on
+-- the same device the existing row changes owner instead of failing RLS.
+-- `language` is the app language on that device; pushes are written in it.
+create or replace function public.register_push_subscription(
+  p_endpoint text, p_p256dh text, p_auth text, p_user_agent text default null, p_language text default 'fr'
+)
+returns void language plpgsql security definer set search_path = public as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not signed in';
+  end if;
+  insert into public.push_subscriptions (user_id, endpoint, p256dh, auth, user_agent, language)
+  values (auth.uid(), p_endpoint, p_p256dh, p_auth, p_user_agent,
+          case when p_language = 'en' then 'en' else 'fr' end)
+  on conflict (endpoint) do update
+    set user_id = excluded.user_id,
+        p256dh = excluded.p256dh,
+        auth = excluded.auth,
+        user_agent = excluded.user_agent,
+        language = excluded.language,
+        failure_count = 0;
+end;
+$$;
+
+revoke execute on function public.register_push_subscription(text, text, text, text, text) from public, anon;
+grant execute on function public.register_push_subscription(text, text, text, text, text) to authenticated;
+
+create or replace function public.request_push(p_source text, p_id uuid)
+returns void language plpgsql security definer set search_path = public as $$
+begin
+  perform net.http_post(
+    url     := 'https://sqpsjmyycxxwfstmpgom.supabase.co/functions/v1/send_push',
+    headers := jsonb_build_object(
+      'Content-Type',  'application/json',
+      'x-push-secret', 'YOUR_PUSH_WEBHOOK_SECRET'
+    ),
+    body    := jsonb_build_object('source', p_source, 'id', p_id)
+  );
+exception when others then
+  -- Never block the write that raised the notification.
+  raise warning 'request_push failed: %', sqlerrm;
+end;
+$$;
+
+revoke execute on function public.request_push(text, uuid) from public, anon, authenticated;
+
+create or replace function public.push_manager_notification()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  perform public.request_push('manager_notifications', new.id);
+  return null;
+end;
+$$;
+
+drop trigger if exists manager_notifications_push on public.manager_notifications;
+create trigger manager_notifications_push
+after insert on public.manager_notifications
+for each row execute function public.push_manager_notification();
+
+create or replace function public.push_notification()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  if new.type in ('job_approved', 'job_unlocked', 'job_rejected') then
+    perform public.request_push('notifications', new.id);
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists notifications_push on public.notifications;
+create trigger notifications_push
+after insert on public.notifications
+for each row execute function public.push_notification();
@@ -0,0 +1,164 @@
+-- Multi-stop day routes.
+--
+-- A day route is storage → OT A → OT B → … → storage, entered once in the
+-- form's route mode and saved as one job per stop sharing a route_id:
+--   * route_seq orders the stops (1 = first stop after the storage shop)
+--   * each stop's depart is when the employee left the previous place
+--     (the storage shop, then the previous stop's fin), so fin - depart is
+--     that OT's travel leg plus its time on site and legs never overlap
+--   * km_aller is the leg from the previous place
+--   * only the last stop carries the return leg (return_time_minutes,
+--     km_retour)
+--
+-- payroll_job_lines ignores return values on any stop but the last, so a
+-- route can never count its return twice, and overtime_check can leave out
+-- a whole route while it is being edited.
+
+alter table public.jobs
+  add column if not exists route_id  uuid,
+  add column if not exists route_seq smallint;
+
+alter table public.jobs
+  drop constraint if exists jobs_route_check,
+  add constraint jobs_route_check check (
+    (route_id is null and route_seq is null)
+    or (route_id is not null and route_seq >= 1)
+  );
+
+create index if not exists jobs_route_idx on public.jobs (route_id, route_seq) where route_id is not null;
+
+comment on column public.jobs.route_id is
+  'Day route this job is a stop of; null for a standalone job.';
+comment on column public.jobs.route_seq is
+  'Position of the stop in its day route, starting at 1.';
+
+create or replace view public.payroll_job_lines
+with (security_invoker = true) as
+select
+  j.id                                          as job_id,
+  j.user_id,
+  j.job_date,
+  date_trunc('week', j.job_date)::date          as week_start,
+  j.status,
+  j.ot,
+  j.depart,
+  j.arrivee,
+  j.fin,
+  case
+    when j.depart is null or j.fin is null then 0
+    else ((extract(epoch from (j.fin - j.depart))::integer / 60) + 1440) % 1440
+  end                                           as work_minutes,
+  case when r.last_stop then coalesce(j.return_time_minutes, 0) else 0 end as return_minutes,
+  coalesce(j.km_aller, 0)                       as km_aller,
+  case when r.last_stop then coalesce(j.km_retour, 0) else 0 end as km_retour,
+  coalesce(j.km_aller, 0)
+    + case when r.last_stop then coalesce(j.km_retour, 0) else 0 end as km_total,
+  h.name                                        as holiday_name,
+  j.route_id,
+  j.route_seq
+from public.jobs j
+cross join lateral (
+  select j.route_id is null or not exists (
+    select 1 from public.jobs n
+    where n.route_id = j.route_id and n.route_seq > j.route_seq
+  ) as last_stop
+) r
+left join public.holidays h on h.holiday_date = j.job_date;
+
+-- overtime_check gains p_exclude_route_id: while a route is edited its saved
+-- stops are replaced by the candidate minutes of the whole route.
+drop function if exists public.overtime_check(date, integer, uuid);
+
+create function public.overtime_check(
+  p_job_date          date,
+  p_candidate_minutes integer,
+  p_exclude_job_id    uuid default null,
+  p_exclude_route_id  uuid default null
+)
+returns table (
+  daily_minutes         integer,
+  overtime_minutes      integer,
+  daily_regular_minutes integer,
+  saturday_multiplier   numeric,
+  sunday_multiplier     numeric
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with me as (
+    select p.id, coalesce(p.include_return_time_in_overtime, true) as include_return, p.sector
+    from public.profiles p
+    where p.id = auth.uid()
+  ),
+  rule as (
+    select r.* from me cross join lateral public.overtime_rule_for_sector(me.sector) r
+  ),
+  week_days as (
+    select
+      x.job_date,
+      sum(x.counted)::integer as counted
+    from (
+      select
+        l.job_date,
+        l.work_minutes + case when me.include_return then l.return_minutes else 0 end as counted
+      from public.payroll_job_lines l, me
+      where l.user_id = me.id
+        and l.week_start = date_trunc('week', p_job_date)::date
+        and l.job_date <= p_job_date
+        and (p_exclude_job_id is null or l.job_id <> p_exclude_job_id)
+        and (p_exclude_route_id is null or l.route_id is distinct from p_exclude_route_id)
+      union all
+      select p_job_date, p_candidate_minutes
+    ) x
+    group by x.job_date
+  ),
+  ruled as (
+    select
+      w.job_date,
+      w.counted,
+      case
+        when h.holiday_date is not null then rule.holiday_multiplier
+        when extract(isodow from w.job_date) = 6 then rule.saturday_multiplier
+        when extract(isodow from w.job_date) = 7 then rule.sunday_multiplier
+        else 1
+      end > 1 as premium,
+      rule.daily_regular_minutes,
+      rule.weekly_regular_minutes
+    from week_days w
+    left join rule on true
+    left join public.holidays h on h.holiday_date = w.job_date
+  ),
+  daily as (
+    select
+      ruled.*,
+      case when ruled.premium then 0
+        else least(ruled.counted, coalesce(ruled.daily_regular_minutes, ruled.counted))
+      end as daily_regular
+    from ruled
+  ),
+  week_regular as (
+    select coalesce(sum(daily_regular), 0) as before_day
+    from daily
+    where job_date < p_job_date
+  )
+  select
+    d.counted,
+    case when d.premium then d.counted
+      else d.counted - d.daily_regular
+        + case when d.weekly_regular_minutes is null then 0
+            else greatest(wr.before_day + d.daily_regular - d.weekly_regular_minutes, 0)
+               - greatest(wr.before_day - d.weekly_regular_minutes, 0)
+          end
+    end::integer,
+    d.daily_regular_minutes,
+    rule.saturday_multiplier,
+    rule.sunday_multiplier
+  from daily d
+  cross join week_regular wr
+  left join rule on true
+  where d.job_date = p_job_date;
+$$;
+
+grant execute on function public.overtime_check(date, integer, uuid, uuid) to authenticated;
@@ -0,0 +1,41 @@
+-- GPS-assisted kilometre capture.
+--
+-- The form's optional trip recorder logs a breadcrumb trail between "Start
+-- trip" and "Arrived" (src/lib/trip.js) and stores one object per leg:
+--   { polyline, distance_km, point_count, started_at, ended_at, source }
+-- polyline is the Douglas–Peucker-simplified trail in Google encoded
+-- polyline format; distance_km is measured on the full trail and is what
+-- pre-filled km_aller / km_retour. source is 'gps' or 'synthetic' (the
+-- Testing → GPS feed), so simulated trips stay visible as such.
+--
+-- km_aller / km_retour stay the values paid: the employee may still correct
+-- them, and the manager dashboard flags jobs whose typed km stray from the
+-- recorded trip.
+
+alter table public.jobs
+  add column if not exists km_aller_track  jsonb,
+  add column if not exists km_retour_track jsonb;
+
+-- A simplified trip is a few hundred characters; the cap keeps a runaway
+-- client from writing megabytes per job (and per job_events diff).
+alter table public.jobs
+  drop constraint if exists jobs_trip_tracks_check,
+  add constraint jobs_trip_tracks_check check (
+    (km_aller_track is null or (
+      jsonb_typeof(km_aller_track) = 'object'
+      and jsonb_typeof(km_aller_track -> 'polyline') = 'string'
+      and jsonb_typeof(km_aller_track -> 'distance_km') = 'number'
+      and length(km_aller_track::text) <= 20000
+    ))
+    and (km_retour_track is null or (
+      jsonb_typeof(km_retour_track) = 'object'
+      and jsonb_typeof(km_retour_track -> 'polyline') = 'string'
+      and jsonb_typeof(km_retour_track -> 'distance_km') = 'number'
+      and length(km_retour_track::text) <= 20000
+    ))
+  );
+
+comment on column public.jobs.km_aller_track is
+  'GPS trip of the outbound leg recorded in the form: {polyline, distance_km, point_count, started_at, ended_at, source}.';
+comment on column public.jobs.km_retour_track is
+  'GPS trip of the return to the storage shop (last stop only on a day route); same shape as km_aller_track.';
@@ -0,0 +1,118 @@
+-- Clients and job sites.
+--
+-- Jobs only carried a free-text OT number, so nothing could be reported by
+-- client or address. Managers now keep a registry (Testing → Sites):
+--   * clients: who the work is for
+--   * sites: an address of a client, with its one-way driving distance from
+--     the storage shop (distance_km), used to suggest km in the form
+-- jobs.site_id ties an OT to its site. The employee picks it in the form;
+-- managers can set or fix it from the dashboard. It stays optional, and a
+-- site that is still referenced cannot be deleted, only deactivated.
+--
+-- payroll_job_lines gains the site and client so the dashboard and the
+-- payroll CSV can filter on them.
+
+create table if not exists public.clients (
+  id          uuid primary key default gen_random_uuid(),
+  name        text not null check (length(trim(name)) > 0),
+  notes       text,
+  active      boolean not null default true,
+  created_at  timestamptz not null default now(),
+  updated_at  timestamptz not null default now(),
+  updated_by  uuid references auth.users (id) on delete set null
+);
+
+create unique index if not exists clients_name_key on public.clients (lower(name));
+
+create table if not exists public.sites (
+  id           uuid primary key default gen_random_uuid(),
+  client_id    uuid not null references public.clients (id) on delete restrict,
+  name         text not null check (length(trim(name)) > 0),
+  address      text,
+  city         text,
+  postal_code  text,
+  distance_km  numeric(6, 1) check (distance_km is null or distance_km >= 0),
+  active       boolean not null default true,
+  created_at   timestamptz not null default now(),
+  updated_at   timestamptz not null default now(),
+  updated_by   uuid references auth.users (id) on delete set null
+);
+
+create index if not exists sites_client_idx on public.sites (client_id);
+
+comment on column public.sites.distance_km is
+  'One-way driving distance from the storage shop, suggested as km_aller (and km_retour) in the form.';
+
+alter table public.clients enable row level security;
+alter table public.sites enable row level security;
+
+-- Employees read the registry for the form's site picker.
+drop policy if exists "clients: authenticated read" on public.clients;
+create policy "clients: authenticated read"
+  on public.clients for select to authenticated
+  using (true);
+
+drop policy if exists "clients: manager write" on public.clients;
+create policy "clients: manager write"
+  on public.clients for all to authenticated
+  using (public.get_my_role() = 'manager')
+  with check (public.get_my_role() = 'manager');
+
+drop policy if exists "sites: authenticated read" on public.sites;
+create policy "sites: authenticated read"
+  on public.sites for select to authenticated
+  using (true);
+
+drop policy if exists "sites: manager write" on public.sites;
+create policy "sites: manager write"
+  on public.sites for all to authenticated
+  using (public.get_my_role() = 'manager')
+  with check (public.get_my_role() = 'manager');
+
+alter table public.jobs
+  add column if not exists site_id uuid references public.sites (id) on delete restrict;
+
+create index if not exists jobs_site_idx on public.jobs (site_id) where site_id is not null;
+
+comment on column public.jobs.site_id is
+  'Site the OT was done at; null when the employee did not pick one.';
+
+create or replace view public.payroll_job_lines
+with (security_invoker = true) as
+select
+  j.id                                          as job_id,
+  j.user_id,
+  j.job_date,
+  date_trunc('week', j.job_date)::date          as week_start,
+  j.status,
+  j.ot,
+  j.depart,
+  j.arrivee,
+  j.fin,
+  case
+    when j.depart is null or j.fin is null then 0
+    else ((extract(epoch from (j.fin - j.depart))::integer / 60) + 1440) % 1440
+  end                                           as work_minutes,
+  case when r.last_stop then coalesce(j.return_time_minutes, 0) else 0 end as return_minutes,
+  coalesce(j.km_aller, 0)                       as km_aller,
+  case when r.last_stop then coalesce(j.km_retour, 0) else 0 end as km_retour,
+  coalesce(j.km_aller, 0)
+    + case when r.last_stop then coalesce(j.km_retour, 0) else 0 end as km_total,
+  h.name                                        as holiday_name,
+  j.route_id,
+  j.route_seq,
+  j.site_id,
+  s.name                                        as site_name,
+  concat_ws(', ', s.address, s.city, s.postal_code) as site_address,
+  s.client_id,
+  c.name                                        as client_name
+from public.jobs j
+cross join lateral (
+  select j.route_id is null or not exists (
+    select 1 from public.jobs n
+    where n.route_id = j.route_id and n.route_seq > j.route_seq
+  ) as last_stop
+) r
+left join public.holidays h on h.holiday_date = j.job_date
+left join public.sites s on s.id = j.site_id
+left join public.clients c on c.id = s.client_id;
@@ -0,0 +1,206 @@
+-- Storage shops, each employee's home shop, and storage compensation from
+-- actual usage.
+--
+-- 0010 added the return-to-storage leg and 0009 the flat $50 storage
+-- compensation, but nothing said where the shops are or whether an
+-- employee used one in a given week. Now:
+--   * storage_locations lists the shops (Testing → Storage shops), each
+--     with the weekly compensation paid to employees who use it
+--   * profiles.storage_location_id is the employee's home shop
+--     (Testing → Employees), the default of the form's return dialog
+--   * jobs.storage_location_id is the shop the employee drove back to,
+--     saved with the return leg (the last stop of a day route)
+--   * return_trip_defaults(site, shop) suggests the return km and time
+--     from earlier trips between the same site and shop
+--   * payroll_weekly pays storage compensation only in weeks where the
+--     employee returned to a shop at least once, at that shop's rate;
+--     profiles.storage_compensation stays the eligibility switch
+--
+-- Jobs saved before this migration have no shop: their returns count
+-- toward the home shop.
+
+create table if not exists public.storage_locations (
+  id                   uuid primary key default gen_random_uuid(),
+  name                 text not null check (length(trim(name)) > 0),
+  address              text,
+  city                 text,
+  postal_code          text,
+  weekly_compensation  numeric(8, 2) not null default 50.00 check (weekly_compensation >= 0),
+  active               boolean not null default true,
+  created_at           timestamptz not null default now(),
+  updated_at           timestamptz not null default now(),
+  updated_by           uuid references auth.users (id) on delete set null
+);
+
+alter table public.storage_locations enable row level security;
+
+drop policy if exists "storage_locations: authenticated read" on public.storage_locations;
+create policy "storage_locations: authenticated read"
+  on public.storage_locations for select to authenticated
+  using (true);
+
+drop policy if exists "storage_locations: manager write" on public.storage_locations;
+create policy "storage_locations: manager write"
+  on public.storage_locations for all to authenticated
+  using (public.get_my_role() = 'manager')
+  with check (public.get_my_role() = 'manager');
+
+alter table public.profiles
+  add column if not exists storage_location_id uuid references public.storage_locations (id) on delete set null;
+
+alter table public.jobs
+  add column if not exists storage_location_id uuid references public.storage_locations (id) on delete restrict;
+
+create index if not exists jobs_storage_location_idx
+  on public.jobs (site_id, storage_location_id, job_date desc)
+  where storage_location_id is not null;
+
+comment on column public.profiles.storage_location_id is
+  'Home storage shop: the default destination of the return leg.';
+comment on column public.jobs.storage_location_id is
+  'Storage shop the employee returned to after this job; null when there was no return leg.';
+comment on column public.profiles.storage_compensation is
+  'When true, the employee receives the weekly storage compensation of the shop used, in weeks with at least one return to a shop.';
+comment on column public.sites.distance_km is
+  'One-way driving distance from the storage shop, suggested as km_aller in the form and as km_retour until trips to a shop give a better figure.';
+
+-- Median of the last 20 returns from the site to the shop (any employee),
+-- the time rounded to the dialog's 15-minute steps. km falls back to the
+-- site's registered distance. Security definer so employees benefit from
+-- trips they cannot read; only the aggregates leave the function.
+create or replace function public.return_trip_defaults(p_site_id uuid, p_storage_location_id uuid)
+returns table (km numeric, return_minutes integer, sample_size integer)
+language sql stable security definer set search_path = public as $$
+  with recent as (
+    select j.km_retour, j.return_time_minutes
+    from public.jobs j
+    where j.site_id = p_site_id
+      and j.storage_location_id = p_storage_location_id
+      and j.km_retour > 0
+    order by j.job_date desc, j.updated_at desc
+    limit 20
+  )
+  select
+    coalesce(
+      (select round((percentile_cont(0.5) within group (order by r.km_retour))::numeric, 1) from recent r),
+      (select s.distance_km from public.sites s where s.id = p_site_id)
+    ),
+    (select least(greatest((round(percentile_cont(0.5) within group (order by r.return_time_minutes) / 15) * 15)::integer, 15), 240)
+       from recent r where r.return_time_minutes > 0),
+    (select count(*)::integer from recent);
+$$;
+
+revoke execute on function public.return_trip_defaults(uuid, uuid) from public, anon;
+grant execute on function public.return_trip_defaults(uuid, uuid) to authenticated;
+
+-- payroll_job_lines carries the shop returned to (0022 columns unchanged).
+create or replace view public.payroll_job_lines
+with (security_invoker = true) as
+select
+  j.id                                          as job_id,
+  j.user_id,
+  j.job_date,
+  date_trunc('week', j.job_date)::date          as week_start,
+  j.status,
+  j.ot,
+  j.depart,
+  j.arrivee,
+  j.fin,
+  case
+    when j.depart is null or j.fin is null then 0
+    else ((extract(epoch from (j.fin - j.depart))::integer / 60) + 1440) % 1440
+  end                                           as work_minutes,
+  case when r.last_stop then coalesce(j.return_time_minutes, 0) else 0 end as return_minutes,
+  coalesce(j.km_aller, 0)                       as km_aller,
+  case when r.last_stop then coalesce(j.km_retour, 0) else 0 end as km_retour,
+  coalesce(j.km_aller, 0)
+    + case when r.last_stop then coalesce(j.km_retour, 0) else 0 end as km_total,
+  h.name                                        as holiday_name,
+  j.route_id,
+  j.route_seq,
+  j.site_id,
+  s.name                                        as site_name,
+  concat_ws(', ', s.address, s.city, s.postal_code) as site_address,
+  s.client_id,
+  c.name                                        as client_name,
+  j.storage_location_id
+from public.jobs j
+cross join lateral (
+  select j.route_id is null or not exists (
+    select 1 from public.jobs n
+    where n.route_id = j.route_id and n.route_seq > j.route_seq
+  ) as last_stop
+) r
+left join public.holidays h on h.holiday_date = j.job_date
+left join public.sites s on s.id = j.site_id
+left join public.clients c on c.id = s.client_id;
+
+-- Same signature and columns as 0015; only storage_compensation changes.
+create or replace function public.payroll_weekly(
+  p_from     date   default null,
+  p_to       date   default null,
+  p_user_id  uuid   default null,
+  p_statuses text[] default array['approved']
+)
+returns table (
+  user_id               uuid,
+  week_start            date,
+  week_end              date,
+  days_worked           integer,
+  job_count             integer,
+  work_minutes          integer,
+  return_minutes        integer,
+  regular_minutes       integer,
+  ot15_minutes          integer,
+  ot20_minutes          integer,
+  paid_minutes          integer,
+  holiday_minutes       integer,
+  km_total              numeric,
+  km_rate               numeric,
+  km_reimbursement      numeric,
+  storage_compensation  numeric
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with storage_use as (
+    select
+      l.user_id,
+      l.week_start,
+      max(coalesce(s.weekly_compensation, 50.00)) as rate
+    from public.payroll_job_lines l
+    left join public.profiles p on p.id = l.user_id
+    left join public.storage_locations s on s.id = coalesce(l.storage_location_id, p.storage_location_id)
+    where (l.return_minutes > 0 or l.km_retour > 0)
+      and (p_from is null or l.job_date >= p_from)
+      and (p_to is null or l.job_date <= p_to)
+      and (p_user_id is null or l.user_id = p_user_id)
+      and (p_statuses is null or l.status = any (p_statuses))
+    group by l.user_id, l.week_start
+  )
+  select
+    d.user_id,
+    d.week_start,
+    d.week_start + 6                                        as week_end,
+    count(*)::integer                                       as days_worked,
+    sum(d.job_count)::integer                               as job_count,
+    sum(d.work_minutes)::integer                            as work_minutes,
+    sum(d.return_minutes)::integer                          as return_minutes,
+    sum(d.regular_minutes)::integer                         as regular_minutes,
+    sum(d.ot15_minutes)::integer                            as ot15_minutes,
+    sum(d.ot20_minutes)::integer                            as ot20_minutes,
+    sum(d.regular_minutes + d.overtime_minutes)::integer    as paid_minutes,
+    coalesce(sum(d.regular_minutes + d.overtime_minutes)
+      filter (where d.holiday_name is not null), 0)::integer as holiday_minutes,
+    sum(d.km_total)                                         as km_total,
+    p.km_rate,
+    round(sum(d.km_total) * coalesce(p.km_rate, 0), 2)      as km_reimbursement,
+    case when coalesce(p.storage_compensation, false) then coalesce(u.rate, 0) else 0 end as storage_compensation
+  from public.payroll_daily(p_from, p_to, p_user_id, p_statuses) d
+  left join public.profiles p on p.id = d.user_id
+  left join storage_use u on u.user_id = d.user_id and u.week_start = d.week_start
+  group by d.user_id, d.week_start, p.km_rate, p.storage_compensation, u.rate
+  order by d.week_start desc, d.user_id;
+$$;
@@ -0,0 +1,40 @@
+-- Work-order photos attached from the form's auto-fill review.
+--
+-- Auto-fill reads a photo of the work order; the employee can now keep
+-- that photo on the job so the manager sees what the values were read from.
+-- The photo lives in the private 'work-order-photos' bucket under
+-- <user_id>/<job_id>/, and jobs.source_image_path points at it.
+--
+-- Employees manage their own folder (upload, view, replace); managers read
+-- every photo. Like overtime evidence, nothing is public: the apps show
+-- short-lived signed URLs.
+
+alter table public.jobs
+  add column if not exists source_image_path text;
+
+comment on column public.jobs.source_image_path is
+  'Path in the work-order-photos bucket of the photo the form was auto-filled from; null when none was attached.';
+
+insert into storage.buckets (id, name, public)
+values ('work-order-photos', 'work-order-photos', false)
+on conflict (id) do update set public = false;
+
+drop policy if exists "work order photos: employee upload" on storage.objects;
+create policy "work order photos: employee upload"
+  on storage.objects for insert to authenticated
+  with check (bucket_id = 'work-order-photos' and (storage.foldername(name))[1] = auth.uid()::text);
+
+drop policy if exists "work order photos: employee read own" on storage.objects;
+create policy "work order photos: employee read own"
+  on storage.objects for select to authenticated
+  using (bucket_id = 'work-order-photos' and (storage.foldername(name))[1] = auth.uid()::text);
+
+drop policy if exists "work order photos: employee delete own" on storage.objects;
+create policy "work order photos: employee delete own"
+  on storage.objects for delete to authenticated
+  using (bucket_id = 'work-order-photos' and (storage.foldername(name))[1] = auth.uid()::text);
+
+drop policy if exists "work order photos: manager read" on storage.objects;
+create policy "work order photos: manager read"
+  on storage.objects for select to authenticated
+  using (bucket_id = 'work-order-photos' and public.get_my_role() = 'manager');
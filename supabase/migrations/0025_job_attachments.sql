@@ -0,0 +1,171 @@
+-- General job attachments: work-order photos, signed sheets, material
+-- receipts.
+--
+-- 0024 kept a single auto-fill photo per job (jobs.source_image_path). Jobs
+-- can now carry any number of files:
+--   * job_attachments lists them (kind, original name, size), one row per
+--     object in the private 'job-attachments' bucket under
+--     <job owner>/<job_id>/
+--   * access mirrors jobs: the employee who owns the job and managers
+--   * once a job is approved its attachments are locked (no add, no
+--     delete) until a manager unlocks the job
+--   * payroll_job_lines counts them and the sheet exports link them
+--
+-- The 0024 photos become 'work_order' attachments that stay in their bucket
+-- (job_attachments.bucket), and jobs.source_image_path is dropped.
+
+create table if not exists public.job_attachments (
+  id            uuid primary key default gen_random_uuid(),
+  job_id        uuid not null references public.jobs (id) on delete cascade,
+  user_id       uuid not null references public.profiles (id) on delete cascade,
+  kind          text not null default 'other' check (kind in ('work_order', 'signed_sheet', 'receipt', 'other')),
+  bucket        text not null default 'job-attachments' check (bucket in ('job-attachments', 'work-order-photos')),
+  storage_path  text not null,
+  file_name     text not null,
+  content_type  text,
+  size_bytes    integer check (size_bytes is null or size_bytes >= 0),
+  created_at    timestamptz not null default now(),
+  created_by    uuid references auth.users (id) on delete set null default auth.uid(),
+  unique (bucket, storage_path)
+);
+
+create index if not exists job_attachments_job_idx on public.job_attachments (job_id, created_at);
+
+comment on column public.job_attachments.user_id is
+  'Owner of the job (not necessarily the uploader): the first folder of storage_path.';
+
+alter table public.job_attachments enable row level security;
+
+drop policy if exists "job attachments: owner or manager read" on public.job_attachments;
+create policy "job attachments: owner or manager read"
+  on public.job_attachments for select to authenticated
+  using (user_id = auth.uid() or public.get_my_role() = 'manager');
+
+drop policy if exists "job attachments: owner or manager insert" on public.job_attachments;
+create policy "job attachments: owner or manager insert"
+  on public.job_attachments for insert to authenticated
+  with check (
+    exists (
+      select 1 from public.jobs j
+      where j.id = job_id
+        and j.user_id = job_attachments.user_id
+        and (j.user_id = auth.uid() or public.get_my_role() = 'manager')
+    )
+  );
+
+drop policy if exists "job attachments: owner or manager delete" on public.job_attachments;
+create policy "job attachments: owner or manager delete"
+  on public.job_attachments for delete to authenticated
+  using (user_id = auth.uid() or public.get_my_role() = 'manager');
+
+-- Approved jobs are final: their files can neither be added nor removed.
+-- A deleted job takes its rows with it (the cascade runs after the job is
+-- gone, so it is not blocked).
+create or replace function public.lock_approved_job_attachments()
+returns trigger language plpgsql security definer set search_path = public as $$
+declare
+  v_job_id uuid := coalesce(new.job_id, old.job_id);
+begin
+  if exists (select 1 from public.jobs where id = v_job_id and status = 'approved') then
+    raise exception 'Attachments of an approved job are locked' using errcode = 'P0001';
+  end if;
+  return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists job_attachments_lock_approved on public.job_attachments;
+create trigger job_attachments_lock_approved
+before insert or update or delete on public.job_attachments
+for each row execute function public.lock_approved_job_attachments();
+
+insert into storage.buckets (id, name, public)
+values ('job-attachments', 'job-attachments', false)
+on conflict (id) do update set public = false;
+
+-- Objects follow the rows: <owner>/<job_id>/<file>. Writes check the job
+-- itself so the lock also holds for the files.
+drop policy if exists "job attachment files: owner or manager read" on storage.objects;
+create policy "job attachment files: owner or manager read"
+  on storage.objects for select to authenticated
+  using (
+    bucket_id = 'job-attachments'
+    and ((storage.foldername(name))[1] = auth.uid()::text or public.get_my_role() = 'manager')
+  );
+
+drop policy if exists "job attachment files: owner or manager upload" on storage.objects;
+create policy "job attachment files: owner or manager upload"
+  on storage.objects for insert to authenticated
+  with check (
+    bucket_id = 'job-attachments'
+    and exists (
+      select 1 from public.jobs j
+      where j.id::text = (storage.foldername(name))[2]
+        and j.user_id::text = (storage.foldername(name))[1]
+        and j.status <> 'approved'
+        and (j.user_id = auth.uid() or public.get_my_role() = 'manager')
+    )
+  );
+
+drop policy if exists "job attachment files: owner or manager delete" on storage.objects;
+create policy "job attachment files: owner or manager delete"
+  on storage.objects for delete to authenticated
+  using (
+    bucket_id = 'job-attachments'
+    and ((storage.foldername(name))[1] = auth.uid()::text or public.get_my_role() = 'manager')
+    and not exists (
+      select 1 from public.jobs j
+      where j.id::text = (storage.foldername(name))[2] and j.status = 'approved'
+    )
+  );
+
+-- 0024 photos → attachments.
+insert into public.job_attachments (job_id, user_id, kind, bucket, storage_path, file_name, content_type, created_by)
+select j.id, j.user_id, 'work_order', 'work-order-photos', j.source_image_path, 'work-order.jpg', 'image/jpeg', j.user_id
+from public.jobs j
+where j.source_image_path is not null
+on conflict (bucket, storage_path) do nothing;
+
+alter table public.jobs drop column if exists source_image_path;
+
+-- payroll_job_lines counts the attachments (0023 columns unchanged).
+create or replace view public.payroll_job_lines
+with (security_invoker = true) as
+select
+  j.id                                          as job_id,
+  j.user_id,
+  j.job_date,
+  date_trunc('week', j.job_date)::date          as week_start,
+  j.status,
+  j.ot,
+  j.depart,
+  j.arrivee,
+  j.fin,
+  case
+    when j.depart is null or j.fin is null then 0
+    else ((extract(epoch from (j.fin - j.depart))::integer / 60) + 1440) % 1440
+  end                                           as work_minutes,
+  case when r.last_stop then coalesce(j.return_time_minutes, 0) else 0 end as return_minutes,
+  coalesce(j.km_aller, 0)                       as km_aller,
+  case when r.last_stop then coalesce(j.km_retour, 0) else 0 end as km_retour,
+  coalesce(j.km_aller, 0)
+    + case when r.last_stop then coalesce(j.km_retour, 0) else 0 end as km_total,
+  h.name                                        as holiday_name,
+  j.route_id,
+  j.route_seq,
+  j.site_id,
+  s.name                                        as site_name,
+  concat_ws(', ', s.address, s.city, s.postal_code) as site_address,
+  s.client_id,
+  c.name                                        as client_name,
+  j.storage_location_id,
+  (select count(*) from public.job_attachments a where a.job_id = j.id)::integer as attachment_count
+from public.jobs j
+cross join lateral (
+  select j.route_id is null or not exists (
+    select 1 from public.jobs n
+    where n.route_id = j.route_id and n.route_seq > j.route_seq
+  ) as last_stop
+) r
+left join public.holidays h on h.holiday_date = j.job_date
+left join public.sites s on s.id = j.site_id
+left join public.clients c on c.id = s.client_id;
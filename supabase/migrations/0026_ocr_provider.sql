@@ -0,0 +1,17 @@
+-- OCR providers behind one service (the `ocr` edge function and
+-- src/lib/ocr.js).
+--
+-- The overtime SMS screenshot is now read by whichever provider of the
+-- chain answered first (ocr.space, vision LLM, in-browser Tesseract, mock).
+-- The evidence keeps which one it was and the engine's confidence, so a
+-- manager reviewing it knows how much to trust ocr_text.
+
+alter table public.overtime_evidence
+  add column if not exists ocr_provider text,
+  add column if not exists ocr_confidence numeric(3, 2)
+    check (ocr_confidence is null or (ocr_confidence >= 0 and ocr_confidence <= 1));
+
+comment on column public.overtime_evidence.ocr_provider is
+  'OCR provider that read ocr_text (ocr_space, vision, tesseract, mock); null when no OCR ran.';
+comment on column public.overtime_evidence.ocr_confidence is
+  'Engine-reported confidence (0–1) of ocr_text; null when the provider reports none.';
@@ -0,0 +1,109 @@
+-- Manager review of overtime SMS evidence.
+--
+-- Evidence whose OCR could not confirm the authorization (ocr_status
+-- 'needs_review' or 'failed') waits in the review queue (/evidence) until a
+-- manager accepts or rejects it:
+--   * review_status  pending → accepted | rejected; evidence read cleanly
+--                    by OCR starts as 'not_required'
+--   * reviewed_by / reviewed_at / review_note record the decision
+--   * a rejection sends the job back to the employee (status 'rejected',
+--     with the note as the reason, so job_events and the notification
+--     trigger from 0018 pick it up) and clears overtime_evidence_captured
+--     so the form asks for a new screenshot
+--
+-- A job can therefore collect several evidence rows over time; only one may
+-- be live (not rejected).
+
+alter table public.overtime_evidence
+  add column if not exists review_status text not null default 'pending'
+    check (review_status in ('pending', 'not_required', 'accepted', 'rejected')),
+  add column if not exists reviewed_by uuid references public.profiles (id) on delete set null,
+  add column if not exists reviewed_at timestamptz,
+  add column if not exists review_note text;
+
+update public.overtime_evidence
+set review_status = 'not_required'
+where ocr_status = 'processed' and review_status = 'pending';
+
+alter table public.overtime_evidence
+  drop constraint if exists overtime_evidence_job_id_key;
+
+create unique index if not exists overtime_evidence_job_live_idx
+  on public.overtime_evidence (job_id)
+  where review_status <> 'rejected';
+
+create index if not exists overtime_evidence_review_idx
+  on public.overtime_evidence (review_status, created_at);
+
+-- The client inserts the row; whether it needs a manager follows from OCR.
+create or replace function public.set_overtime_evidence_review_status()
+returns trigger language plpgsql set search_path = public as $$
+begin
+  new.review_status := case when new.ocr_status = 'processed' then 'not_required' else 'pending' end;
+  new.reviewed_by := null;
+  new.reviewed_at := null;
+  new.review_note := null;
+  return new;
+end;
+$$;
+
+drop trigger if exists overtime_evidence_review_status on public.overtime_evidence;
+create trigger overtime_evidence_review_status
+before insert on public.overtime_evidence
+for each row execute function public.set_overtime_evidence_review_status();
+
+drop policy if exists "overtime evidence: manager review" on public.overtime_evidence;
+create policy "overtime evidence: manager review"
+  on public.overtime_evidence for update to authenticated
+  using (public.get_my_role() = 'manager')
+  with check (public.get_my_role() = 'manager');
+
+-- Security invoker like reject_job: RLS still decides who may touch the job.
+create or replace function public.review_overtime_evidence(p_evidence_id uuid, p_decision text, p_note text default null)
+returns void language plpgsql security invoker set search_path = public as $$
+declare
+  ev  public.overtime_evidence%rowtype;
+  job public.jobs%rowtype;
+begin
+  if public.get_my_role() is distinct from 'manager' then
+    raise exception 'Only managers can review overtime evidence';
+  end if;
+  if p_decision not in ('accepted', 'rejected') then
+    raise exception 'Unknown decision: %', p_decision;
+  end if;
+  if p_decision = 'rejected' and coalesce(trim(p_note), '') = '' then
+    raise exception 'A comment is required';
+  end if;
+
+  select * into ev from public.overtime_evidence where id = p_evidence_id for update;
+  if not found then
+    raise exception 'Evidence not found';
+  end if;
+  if ev.review_status <> 'pending' then
+    raise exception 'This evidence was already reviewed';
+  end if;
+
+  if p_decision = 'rejected' then
+    select * into job from public.jobs where id = ev.job_id;
+    if job.status = 'approved' then
+      raise exception 'Unlock the job before rejecting its evidence';
+    end if;
+  end if;
+
+  update public.overtime_evidence
+  set review_status = p_decision,
+      reviewed_by = auth.uid(),
+      reviewed_at = now(),
+      review_note = nullif(trim(p_note), '')
+  where id = p_evidence_id;
+
+  if p_decision = 'rejected' then
+    perform set_config('sparklog.job_event_reason', trim(p_note), true);
+    update public.jobs
+    set status = 'rejected', locked = false, overtime_evidence_captured = false
+    where id = ev.job_id;
+  end if;
+end;
+$$;
+
+grant execute on function public.review_overtime_evidence(uuid, text, text) to authenticated;
@@ -0,0 +1,41 @@
+-- What the overtime SMS actually authorizes.
+--
+-- The form parses the screenshot's OCR text (src/lib/overtime-sms.js) into
+-- who authorized the overtime, for which day, for how long (or until when)
+-- and on which OT, and compares that with the overtime the day really
+-- holds. Both are kept on the evidence:
+--   * authorized_*            the parsed authorization; null when not found
+--   * overtime_minutes        overtime of the day when the evidence was taken
+--   * authorization_warnings  codes from compareAuthorization(), e.g.
+--                             'exceeds_authorized' when more overtime was
+--                             worked than approved
+--
+-- Evidence with warnings goes to the manager review queue (0027) even when
+-- OCR read it cleanly.
+
+alter table public.overtime_evidence
+  add column if not exists authorized_by text,
+  add column if not exists authorized_date date,
+  add column if not exists authorized_minutes integer check (authorized_minutes is null or authorized_minutes > 0),
+  add column if not exists authorized_until time,
+  add column if not exists authorized_ot text,
+  add column if not exists overtime_minutes integer,
+  add column if not exists authorization_warnings text[] not null default '{}';
+
+comment on column public.overtime_evidence.authorization_warnings is
+  'exceeds_authorized, after_until, date_mismatch, ot_mismatch, no_authorizer (see compareAuthorization in src/lib/overtime-sms.js).';
+
+-- 0027's insert trigger, now also queueing evidence with warnings.
+create or replace function public.set_overtime_evidence_review_status()
+returns trigger language plpgsql set search_path = public as $$
+begin
+  new.review_status := case
+    when new.ocr_status = 'processed' and cardinality(new.authorization_warnings) = 0 then 'not_required'
+    else 'pending'
+  end;
+  new.reviewed_by := null;
+  new.reviewed_at := null;
+  new.review_note := null;
+  return new;
+end;
+$$;
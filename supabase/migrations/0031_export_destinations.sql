@@ -0,0 +1,231 @@
+-- Export destinations: where approved jobs go, chosen per approval batch.
+--
+-- Until now the export outbox (0029, 0030) had one hard-wired target, the
+-- Apps Script sheet. Destinations are now rows the managers configure under
+-- Testing → Exports; SparkLog runs one company per Supabase project, so
+-- this table is the company's export configuration:
+--   * kind    google_sheets  the Apps Script sink (apps-script-doPost.js)
+--             webhook        signed JSON POST to any URL (HMAC-SHA256)
+--             file_drop      a CSV file per batch in the private
+--                            'export-files' bucket, the stand-in for an
+--                            SFTP drop folder
+--             payroll_file   weekly payroll totals per employee, dropped in
+--                            the same bucket
+--   * config  non-secret settings per kind: url, folder, and secret_env,
+--             the name of the edge function secret holding the token or
+--             signing key (secrets never live in the table)
+--   * is_default  pre-selected on the dashboard and used when an approval
+--             does not name its destinations
+--
+-- export_outbox is keyed by (job_id, destination_id): each destination
+-- exports, retries and voids a job on its own. approve_jobs() takes the
+-- batch's destinations and hands them to the queueing trigger through the
+-- 'sparklog.export_destinations' setting, like job_event_reason.
+
+create table if not exists public.export_destinations (
+  id          uuid primary key default gen_random_uuid(),
+  name        text not null check (length(trim(name)) > 0),
+  kind        text not null check (kind in ('google_sheets', 'webhook', 'file_drop', 'payroll_file')),
+  config      jsonb not null default '{}'::jsonb,
+  active      boolean not null default true,
+  is_default  boolean not null default false,
+  created_at  timestamptz not null default now(),
+  updated_at  timestamptz not null default now(),
+  updated_by  uuid references auth.users (id) on delete set null
+);
+
+alter table public.export_destinations enable row level security;
+
+drop policy if exists "export_destinations: manager write" on public.export_destinations;
+create policy "export_destinations: manager write"
+  on public.export_destinations for all to authenticated
+  using (public.get_my_role() = 'manager')
+  with check (public.get_my_role() = 'manager');
+
+-- The sheet the outbox has been exporting to so far.
+insert into public.export_destinations (name, kind, config, is_default)
+select 'Google Sheet', 'google_sheets', '{}'::jsonb, true
+where not exists (select 1 from public.export_destinations where kind = 'google_sheets');
+
+alter table public.export_outbox
+  add column if not exists destination_id uuid references public.export_destinations (id) on delete cascade;
+
+update public.export_outbox
+set destination_id = (
+  select id from public.export_destinations where kind = 'google_sheets' order by created_at limit 1
+)
+where destination_id is null;
+
+alter table public.export_outbox alter column destination_id set not null;
+alter table public.export_outbox drop constraint if exists export_outbox_pkey;
+alter table public.export_outbox add primary key (job_id, destination_id);
+
+-- 0030's trigger, per destination. Approval queues the batch's
+-- destinations (or the defaults); leaving 'approved' voids what may have
+-- gone out and drops what has not.
+create or replace function public.enqueue_job_export()
+returns trigger language plpgsql security definer set search_path = public as $$
+declare
+  chosen text := nullif(current_setting('sparklog.export_destinations', true), '');
+begin
+  if new.status = 'approved' and old.status is distinct from 'approved' then
+    insert into public.export_outbox (job_id, destination_id, action, status, attempts, next_attempt_at, last_error, queued_by, queued_at)
+    select new.id, d.id, 'upsert', 'pending', 0, now(), null, auth.uid(), now()
+    from public.export_destinations d
+    where d.active
+      and (case when chosen is null then d.is_default else d.id = any (chosen::uuid[]) end)
+    on conflict (job_id, destination_id) do update
+      set action = 'upsert',
+          status = 'pending',
+          attempts = 0,
+          next_attempt_at = now(),
+          last_error = null,
+          queued_by = excluded.queued_by,
+          queued_at = now();
+  elsif old.status = 'approved' and new.status is distinct from 'approved' then
+    update public.export_outbox
+    set action = 'void', status = 'pending', attempts = 0, next_attempt_at = now(), last_error = null
+    where job_id = new.id and action = 'upsert' and (status = 'exported' or attempts > 0);
+    delete from public.export_outbox where job_id = new.id and action = 'upsert';
+  end if;
+  return null;
+end;
+$$;
+
+-- p_destination_ids: null → the default destinations, '{}' → no export.
+drop function if exists public.approve_jobs(uuid[]);
+create or replace function public.approve_jobs(p_job_ids uuid[], p_destination_ids uuid[] default null)
+returns setof uuid language plpgsql security invoker set search_path = public as $$
+begin
+  if public.get_my_role() is distinct from 'manager' then
+    raise exception 'Only managers can approve jobs';
+  end if;
+  perform set_config('sparklog.export_destinations', coalesce(p_destination_ids::text, ''), true);
+  return query
+    update public.jobs
+    set status = 'approved', locked = true
+    where id = any (p_job_ids) and status = 'submitted'
+    returning id;
+end;
+$$;
+
+-- Sends an approved job again to one destination, or to all it was queued
+-- for (the defaults when none); unlocked jobs retry their pending voids.
+drop function if exists public.retry_job_export(uuid);
+create or replace function public.retry_job_export(p_job_id uuid, p_destination_id uuid default null)
+returns void language plpgsql security definer set search_path = public as $$
+begin
+  if public.get_my_role() is distinct from 'manager' then
+    raise exception 'Only managers can retry exports';
+  end if;
+  if exists (select 1 from public.jobs where id = p_job_id and status = 'approved') then
+    insert into public.export_outbox (job_id, destination_id, action, status, attempts, next_attempt_at, queued_by)
+    select p_job_id, d.id, 'upsert', 'pending', 0, now(), auth.uid()
+    from public.export_destinations d
+    where d.active
+      and case
+        when p_destination_id is not null then d.id = p_destination_id
+        when exists (select 1 from public.export_outbox where job_id = p_job_id) then
+          d.id in (select destination_id from public.export_outbox where job_id = p_job_id)
+        else d.is_default
+      end
+    on conflict (job_id, destination_id) do update
+      set action = 'upsert', status = 'pending', attempts = 0, next_attempt_at = now(), last_error = null;
+  else
+    update public.export_outbox
+    set status = 'pending', attempts = 0, next_attempt_at = now(), last_error = null
+    where job_id = p_job_id
+      and action = 'void'
+      and status in ('pending', 'failed')
+      and (p_destination_id is null or destination_id = p_destination_id);
+    if not found then
+      raise exception 'Only approved jobs can be exported';
+    end if;
+  end if;
+end;
+$$;
+
+create or replace function public.claim_job_exports(p_limit integer default 100)
+returns setof public.export_outbox language plpgsql security definer set search_path = public as $$
+begin
+  return query
+    update public.export_outbox o
+    set attempts = o.attempts + 1,
+        last_attempt_at = now(),
+        next_attempt_at = now() + interval '5 minutes'
+    where (o.job_id, o.destination_id) in (
+      select q.job_id, q.destination_id
+      from public.export_outbox q
+      join public.jobs j on j.id = q.job_id
+      join public.export_destinations d on d.id = q.destination_id and d.active
+      where q.status in ('pending', 'failed')
+        and q.next_attempt_at <= now()
+        and (j.status = 'approved') = (q.action = 'upsert')
+      order by q.next_attempt_at
+      limit p_limit
+      for update of q skip locked
+    )
+    returning o.*;
+end;
+$$;
+
+-- jobs.exported_to_sheet follows the Google Sheets destinations only.
+drop function if exists public.complete_job_exports(uuid[], text);
+create or replace function public.complete_job_exports(p_destination_id uuid, p_job_ids uuid[], p_error text default null)
+returns void language plpgsql security definer set search_path = public as $$
+declare
+  is_sheet boolean := exists (
+    select 1 from public.export_destinations where id = p_destination_id and kind = 'google_sheets'
+  );
+begin
+  if p_error is null then
+    update public.export_outbox
+    set status = case when action = 'void' then 'voided' else 'exported' end,
+        exported_at = case when action = 'void' then exported_at else now() end,
+        next_attempt_at = null,
+        last_error = null
+    where destination_id = p_destination_id and job_id = any (p_job_ids);
+
+    if is_sheet then
+      update public.jobs j
+      set exported_to_sheet = true, exported_at = now(), exported_by = o.queued_by
+      from public.export_outbox o
+      where o.job_id = j.id and o.destination_id = p_destination_id
+        and j.id = any (p_job_ids) and o.action = 'upsert' and j.status = 'approved';
+
+      perform set_config('sparklog.job_event_reason', 'Voided on the sheet', true);
+      update public.jobs j
+      set exported_to_sheet = false
+      from public.export_outbox o
+      where o.job_id = j.id and o.destination_id = p_destination_id
+        and j.id = any (p_job_ids) and o.action = 'void' and j.exported_to_sheet;
+      perform set_config('sparklog.job_event_reason', '', true);
+    end if;
+  else
+    update public.export_outbox
+    set status = 'failed',
+        last_error = left(p_error, 1000),
+        next_attempt_at = case
+          when attempts >= 10 then null
+          else now() + least(interval '1 minute' * power(2, greatest(attempts - 1, 0)), interval '6 hours')
+        end
+    where destination_id = p_destination_id and job_id = any (p_job_ids);
+  end if;
+end;
+$$;
+
+revoke execute on function public.claim_job_exports(integer) from public, anon, authenticated;
+revoke execute on function public.complete_job_exports(uuid, uuid[], text) from public, anon, authenticated;
+grant execute on function public.approve_jobs(uuid[], uuid[]) to authenticated;
+grant execute on function public.retry_job_export(uuid, uuid) to authenticated;
+grant select, insert, update, delete on public.export_destinations to authenticated;
+
+-- Files written by the file_drop and payroll_file destinations.
+insert into storage.buckets (id, name, public)
+values ('export-files', 'export-files', false)
+on conflict (id) do nothing;
+
+drop policy if exists "export files: manager read" on storage.objects;
+create policy "export files: manager read"
+  on storage.objects for select to authenticated
+  using (bucket_id = 'export-files' and public.get_my_role() = 'manager');
@@ -0,0 +1,47 @@
+-- Desjardins payroll import file.
+--
+-- The payroll CSV (payroll edge function) is a detailed report for people;
+-- Desjardins imports a fixed layout instead: one line per employee and
+-- earning code over the pay period (supabase/functions/payroll/desjardins.ts).
+-- It needs:
+--   * profiles.payroll_employee_code  the employee's number at Desjardins
+--                                     (Testing → Employees)
+--   * payroll_earning_codes           the Desjardins earning code of each
+--                                     SparkLog amount (Testing → Payroll
+--                                     codes). The seeded codes are
+--                                     placeholders: match them to the
+--                                     company's Desjardins setup
+--
+-- The generator refuses to build the file while an employee in it has no
+-- code or an earning it uses has none.
+
+alter table public.profiles
+  add column if not exists payroll_employee_code text;
+
+comment on column public.profiles.payroll_employee_code is
+  'Employee number in the Desjardins payroll, the first column of the import file.';
+
+create table if not exists public.payroll_earning_codes (
+  earning     text primary key check (earning in ('regular', 'ot15', 'ot20', 'km', 'storage')),
+  code        text not null check (code ~ '^[A-Za-z0-9]{1,6}$'),
+  updated_at  timestamptz not null default now(),
+  updated_by  uuid references auth.users (id) on delete set null
+);
+
+alter table public.payroll_earning_codes enable row level security;
+
+drop policy if exists "payroll_earning_codes: manager write" on public.payroll_earning_codes;
+create policy "payroll_earning_codes: manager write"
+  on public.payroll_earning_codes for all to authenticated
+  using (public.get_my_role() = 'manager')
+  with check (public.get_my_role() = 'manager');
+
+grant select, insert, update, delete on public.payroll_earning_codes to authenticated;
+
+insert into public.payroll_earning_codes (earning, code) values
+  ('regular', 'REG'),
+  ('ot15',    'T150'),
+  ('ot20',    'T200'),
+  ('km',      'KM'),
+  ('storage', 'ENTR')
+on conflict (earning) do nothing;
@@ -0,0 +1,276 @@
+-- Pay periods.
+--
+-- Jobs were approved one by one or a week at a time, with nothing saying
+-- when a stretch of days was paid and done. Now:
+--   * pay_period_settings  one row: periods are 'weekly' or 'biweekly',
+--                          counted from anchor_date (a Monday), so every
+--                          period covers whole ISO weeks
+--   * pay_periods          created on demand by list_pay_periods(), each
+--                          open → review → closed. Closing takes the payroll
+--                          snapshot (payroll_weekly and payroll_weekly_pay of
+--                          the period, approved jobs) that the period's
+--                          exports read from then on
+--   * pay_period_events    who moved a period, when, and the reason of each
+--                          reopen
+--
+-- A closed period freezes its jobs: jobs_guard_pay_period refuses any
+-- insert, update (approve and unlock included) or delete of a job dated
+-- inside it. Export bookkeeping (exported_to_sheet/at/by, 0029) still goes
+-- through so the outbox can finish. A manager reopens the period with a
+-- reason to change anything; closing it again takes a new snapshot.
+--
+-- Changing the frequency or anchor only shapes periods created afterwards;
+-- a new period never overlaps an existing one.
+
+create table if not exists public.pay_period_settings (
+  id           boolean primary key default true check (id),
+  frequency    text not null default 'weekly' check (frequency in ('weekly', 'biweekly')),
+  anchor_date  date not null check (extract(isodow from anchor_date) = 1),
+  updated_at   timestamptz not null default now(),
+  updated_by   uuid references auth.users (id) on delete set null
+);
+
+insert into public.pay_period_settings (id, frequency, anchor_date)
+values (true, 'weekly', date_trunc('week', current_date)::date)
+on conflict (id) do nothing;
+
+create table if not exists public.pay_periods (
+  id             uuid primary key default gen_random_uuid(),
+  start_date     date not null,
+  end_date       date not null,
+  status         text not null default 'open' check (status in ('open', 'review', 'closed')),
+  snapshot       jsonb,
+  closed_at      timestamptz,
+  closed_by      uuid references auth.users (id) on delete set null,
+  reopened_at    timestamptz,
+  reopened_by    uuid references auth.users (id) on delete set null,
+  reopen_reason  text,
+  created_at     timestamptz not null default now(),
+  check (end_date >= start_date),
+  constraint pay_periods_no_overlap exclude using gist (daterange(start_date, end_date, '[]') with &&)
+);
+
+create index if not exists pay_periods_closed_idx
+  on public.pay_periods (start_date, end_date)
+  where status = 'closed';
+
+create table if not exists public.pay_period_events (
+  id           uuid primary key default gen_random_uuid(),
+  period_id    uuid not null references public.pay_periods (id) on delete cascade,
+  old_status   text,
+  new_status   text not null,
+  reason       text,
+  actor_id     uuid references auth.users (id) on delete set null,
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists pay_period_events_period_idx on public.pay_period_events (period_id, created_at);
+
+alter table public.pay_period_settings enable row level security;
+alter table public.pay_periods enable row level security;
+alter table public.pay_period_events enable row level security;
+
+-- Everyone reads the settings and periods (the form can tell a closed day
+-- before saving); only managers change them, through the functions below.
+drop policy if exists "pay_period_settings: authenticated read" on public.pay_period_settings;
+create policy "pay_period_settings: authenticated read"
+  on public.pay_period_settings for select to authenticated
+  using (true);
+
+drop policy if exists "pay_period_settings: manager write" on public.pay_period_settings;
+create policy "pay_period_settings: manager write"
+  on public.pay_period_settings for update to authenticated
+  using (public.get_my_role() = 'manager')
+  with check (public.get_my_role() = 'manager');
+
+drop policy if exists "pay_periods: authenticated read" on public.pay_periods;
+create policy "pay_periods: authenticated read"
+  on public.pay_periods for select to authenticated
+  using (true);
+
+drop policy if exists "pay_period_events: manager read" on public.pay_period_events;
+create policy "pay_period_events: manager read"
+  on public.pay_period_events for select to authenticated
+  using (public.get_my_role() = 'manager');
+
+-- The period a date falls in: the existing one, or a new one shaped by the
+-- settings and trimmed against its neighbours.
+create or replace function public.ensure_pay_period(p_date date)
+returns public.pay_periods language plpgsql security definer set search_path = public as $$
+declare
+  settings  public.pay_period_settings%rowtype;
+  days      integer;
+  v_start   date;
+  v_end     date;
+  period    public.pay_periods%rowtype;
+begin
+  select * into period from public.pay_periods where p_date between start_date and end_date;
+  if found then
+    return period;
+  end if;
+
+  select * into settings from public.pay_period_settings where id;
+  days := case when settings.frequency = 'biweekly' then 14 else 7 end;
+  v_start := settings.anchor_date + (floor((p_date - settings.anchor_date)::numeric / days) * days)::integer;
+  v_end := v_start + days - 1;
+
+  select greatest(v_start, coalesce(max(end_date) + 1, v_start)) into v_start
+  from public.pay_periods where end_date >= v_start and end_date < p_date;
+  select least(v_end, coalesce(min(start_date) - 1, v_end)) into v_end
+  from public.pay_periods where start_date <= v_end and start_date > p_date;
+
+  insert into public.pay_periods (start_date, end_date)
+  values (v_start, v_end)
+  returning * into period;
+  return period;
+end;
+$$;
+
+-- The current period and the p_count - 1 before it, newest first, with the
+-- job counts a review needs.
+create or replace function public.list_pay_periods(p_count integer default 8)
+returns table (
+  id              uuid,
+  start_date      date,
+  end_date        date,
+  status          text,
+  snapshot        jsonb,
+  closed_at       timestamptz,
+  closed_by       uuid,
+  reopened_at     timestamptz,
+  reopened_by     uuid,
+  reopen_reason   text,
+  job_count       integer,
+  approved_count  integer,
+  submitted_count integer,
+  draft_count     integer
+)
+language plpgsql security definer set search_path = public as $$
+declare
+  period public.pay_periods%rowtype;
+  i      integer;
+begin
+  if public.get_my_role() is distinct from 'manager' then
+    raise exception 'Only managers can list pay periods';
+  end if;
+  period := public.ensure_pay_period(current_date);
+  for i in 2 .. greatest(p_count, 1) loop
+    period := public.ensure_pay_period(period.start_date - 1);
+  end loop;
+
+  return query
+    select p.id, p.start_date, p.end_date, p.status, p.snapshot,
+           p.closed_at, p.closed_by, p.reopened_at, p.reopened_by, p.reopen_reason,
+           count(j.id)::integer,
+           (count(j.id) filter (where j.status = 'approved'))::integer,
+           (count(j.id) filter (where j.status = 'submitted'))::integer,
+           (count(j.id) filter (where j.status in ('saved', 'updated', 'rejected')))::integer
+    from public.pay_periods p
+    left join public.jobs j on j.job_date between p.start_date and p.end_date
+    where p.start_date >= period.start_date and p.start_date <= current_date
+    group by p.id
+    order by p.start_date desc;
+end;
+$$;
+
+-- open ↔ review, review → closed (no job may still wait for approval; the
+-- snapshot is taken), closed → open or review with a reason.
+create or replace function public.set_pay_period_status(p_period_id uuid, p_status text, p_reason text default null)
+returns public.pay_periods language plpgsql security definer set search_path = public as $$
+declare
+  period      public.pay_periods%rowtype;
+  old_status  text;
+  pending     integer;
+begin
+  if public.get_my_role() is distinct from 'manager' then
+    raise exception 'Only managers can change pay periods';
+  end if;
+  select * into period from public.pay_periods where id = p_period_id for update;
+  if not found then
+    raise exception 'Pay period not found';
+  end if;
+  if p_status not in ('open', 'review', 'closed') or p_status = period.status then
+    raise exception 'Invalid pay period status: % → %', period.status, p_status;
+  end if;
+  old_status := period.status;
+
+  if p_status = 'closed' then
+    if period.status <> 'review' then
+      raise exception 'Review the pay period before closing it';
+    end if;
+    select count(*) into pending
+    from public.jobs
+    where job_date between period.start_date and period.end_date and status = 'submitted';
+    if pending > 0 then
+      raise exception '% job(s) in this pay period still wait for approval', pending;
+    end if;
+    update public.pay_periods
+    set status = 'closed',
+        closed_at = now(),
+        closed_by = auth.uid(),
+        snapshot = jsonb_build_object(
+          'taken_at', now(),
+          'weeks', coalesce((
+            select jsonb_agg(to_jsonb(w) order by w.user_id, w.week_start)
+            from public.payroll_weekly(period.start_date, period.end_date, null, array['approved']) w
+          ), '[]'::jsonb),
+          'pay', coalesce((
+            select jsonb_agg(to_jsonb(w) order by w.user_id, w.week_start)
+            from public.payroll_weekly_pay(period.start_date, period.end_date, null, array['approved']) w
+          ), '[]'::jsonb)
+        )
+    where id = period.id
+    returning * into period;
+  elsif period.status = 'closed' then
+    if coalesce(trim(p_reason), '') = '' then
+      raise exception 'A reason is required to reopen a pay period';
+    end if;
+    update public.pay_periods
+    set status = p_status, reopened_at = now(), reopened_by = auth.uid(), reopen_reason = trim(p_reason)
+    where id = period.id
+    returning * into period;
+  else
+    update public.pay_periods set status = p_status where id = period.id returning * into period;
+  end if;
+
+  insert into public.pay_period_events (period_id, old_status, new_status, reason, actor_id)
+  values (period.id, old_status, p_status, nullif(trim(p_reason), ''), auth.uid());
+  return period;
+end;
+$$;
+
+-- Closed periods freeze their jobs (both the old and the new date count).
+create or replace function public.guard_closed_pay_period()
+returns trigger language plpgsql security definer set search_path = public as $$
+declare
+  bookkeeping text[] := array['exported_to_sheet', 'exported_at', 'exported_by', 'updated_at'];
+  closed      public.pay_periods%rowtype;
+begin
+  if tg_op = 'UPDATE' and (to_jsonb(new) - bookkeeping) = (to_jsonb(old) - bookkeeping) then
+    return new;
+  end if;
+
+  select * into closed
+  from public.pay_periods p
+  where p.status = 'closed'
+    and ((tg_op <> 'DELETE' and new.job_date between p.start_date and p.end_date)
+      or (tg_op <> 'INSERT' and old.job_date between p.start_date and p.end_date))
+  limit 1;
+  if found then
+    raise exception 'The pay period % – % is closed', closed.start_date, closed.end_date
+      using errcode = 'P0001', hint = 'A manager must reopen the pay period first.';
+  end if;
+  return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists jobs_guard_pay_period on public.jobs;
+create trigger jobs_guard_pay_period
+before insert or update or delete on public.jobs
+for each row execute function public.guard_closed_pay_period();
+
+grant select on public.pay_period_settings, public.pay_periods, public.pay_period_events to authenticated;
+grant update on public.pay_period_settings to authenticated;
+revoke execute on function public.ensure_pay_period(date) from public, anon, authenticated;
+grant execute on function public.list_pay_periods(integer) to authenticated;
+grant execute on function public.set_pay_period_status(uuid, text, text) to authenticated;
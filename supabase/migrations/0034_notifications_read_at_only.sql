@@ -0,0 +1,9 @@
+-- Employees only mark their notifications read.
+--
+-- "notifications: own mark read" (0018) let a user update their own rows,
+-- and the table-wide update grant let that update rewrite the title, body,
+-- link or kind. The bell (src/lib/notifications.js) only ever writes
+-- read_at, so that is the one column left updatable.
+
+revoke update on public.notifications from authenticated;
+grant update (read_at) on public.notifications to authenticated;
@@ -0,0 +1,61 @@
+-- OT → site.
+--
+-- 0022 only stored the site picked on each job, so typing an OT that was
+-- already known still left the picker empty. ot_sites keeps the site of
+-- every OT: jobs_remember_ot_site records it whenever a job is saved with
+-- an OT and a site (by the employee, or by a manager from the dashboard),
+-- the latest one winning. The form looks the OT up and fills an empty
+-- picker with it.
+
+create table if not exists public.ot_sites (
+  ot          text primary key check (ot = trim(ot) and ot <> ''),
+  site_id     uuid not null references public.sites (id) on delete cascade,
+  updated_at  timestamptz not null default now(),
+  updated_by  uuid references auth.users (id) on delete set null
+);
+
+create index if not exists ot_sites_site_idx on public.ot_sites (site_id);
+
+alter table public.ot_sites enable row level security;
+
+-- Everyone reads the mapping: an OT is often shared by a crew.
+drop policy if exists "ot_sites: authenticated read" on public.ot_sites;
+create policy "ot_sites: authenticated read"
+  on public.ot_sites for select to authenticated
+  using (true);
+
+drop policy if exists "ot_sites: manager write" on public.ot_sites;
+create policy "ot_sites: manager write"
+  on public.ot_sites for all to authenticated
+  using (public.get_my_role() = 'manager')
+  with check (public.get_my_role() = 'manager');
+
+create or replace function public.remember_ot_site()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  if new.site_id is null or coalesce(trim(new.ot), '') = '' then
+    return new;
+  end if;
+  insert into public.ot_sites (ot, site_id, updated_at, updated_by)
+  values (trim(new.ot), new.site_id, now(), auth.uid())
+  on conflict (ot) do update
+    set site_id = excluded.site_id, updated_at = excluded.updated_at, updated_by = excluded.updated_by
+    where public.ot_sites.site_id is distinct from excluded.site_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists jobs_remember_ot_site on public.jobs;
+create trigger jobs_remember_ot_site
+after insert or update of ot, site_id on public.jobs
+for each row execute function public.remember_ot_site();
+
+-- Existing jobs: the site of each OT's most recent job.
+insert into public.ot_sites (ot, site_id, updated_at)
+select distinct on (trim(j.ot)) trim(j.ot), j.site_id, coalesce(j.updated_at, now())
+from public.jobs j
+where j.site_id is not null and coalesce(trim(j.ot), '') <> ''
+order by trim(j.ot), j.job_date desc, j.updated_at desc nulls last
+on conflict (ot) do nothing;
+
+grant select, insert, update, delete on public.ot_sites to authenticated;
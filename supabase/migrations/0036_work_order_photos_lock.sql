@@ -0,0 +1,19 @@
+-- Work-order photos of approved jobs are locked too.
+--
+-- 0025 moved the 0024 photos into job_attachments but left the files in the
+-- 'work-order-photos' bucket, whose delete policy had no approval check: an
+-- employee could delete the file behind a locked attachment and leave the
+-- row pointing at nothing. The bucket now refuses deletes under an approved
+-- job, like 'job-attachments'. The path is still <user_id>/<job_id>/.
+
+drop policy if exists "work order photos: employee delete own" on storage.objects;
+create policy "work order photos: employee delete own"
+  on storage.objects for delete to authenticated
+  using (
+    bucket_id = 'work-order-photos'
+    and (storage.foldername(name))[1] = auth.uid()::text
+    and not exists (
+      select 1 from public.jobs j
+      where j.id::text = (storage.foldername(name))[2] and j.status = 'approved'
+    )
+  );
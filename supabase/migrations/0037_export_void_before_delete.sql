@@ -0,0 +1,33 @@
+-- A job keeps its pending void until the void has gone out.
+--
+-- Unlocking an exported job queues a 'void' row (0030, per destination in
+-- 0031) and makes the job editable, so deletable. export_outbox.job_id
+-- cascades on delete (0029): deleting the job before the void was sent
+-- dropped the row, and the APPROVED line stayed on the sheet for good.
+--
+-- jobs_guard_export_void now refuses to delete a job while a void to an
+-- active destination is still pending or failed. The outbox sends it within
+-- minutes; a void that keeps failing waits for a manager's Retry, like any
+-- other export. Once it is 'voided' the job can go, and the cascade only
+-- removes bookkeeping.
+
+create or replace function public.guard_export_void()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  if exists (
+    select 1
+    from public.export_outbox o
+    join public.export_destinations d on d.id = o.destination_id and d.active
+    where o.job_id = old.id and o.action = 'void' and o.status in ('pending', 'failed')
+  ) then
+    raise exception 'This job is still being removed from an export destination'
+      using errcode = 'P0001', hint = 'Try again in a few minutes, or ask a manager to retry the export.';
+  end if;
+  return old;
+end;
+$$;
+
+drop trigger if exists jobs_guard_export_void on public.jobs;
+create trigger jobs_guard_export_void
+before delete on public.jobs
+for each row execute function public.guard_export_void();
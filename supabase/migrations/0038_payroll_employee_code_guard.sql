@@ -0,0 +1,48 @@
+-- Desjardins employee numbers are set by managers, one per employee.
+--
+-- profiles.payroll_employee_code (0032) fell under "profiles: own update",
+-- so an employee could change their own number, even to a coworker's, and
+-- the import file would pay both under it. Now:
+--   * profiles_protect_payroll_settings refuses the change from anyone but a
+--     manager, like profiles_protect_overtime_evidence_settings (0011)
+--   * profiles_payroll_employee_code_key keeps the numbers unique, case
+--     aside. Numbers already shared must be fixed (Testing → Employees)
+--     before this migration runs
+--   * buildDesjardinsFile refuses two employees with one number
+
+create or replace function public.protect_payroll_settings()
+returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  if public.get_my_role() <> 'manager'
+    and new.payroll_employee_code is distinct from old.payroll_employee_code then
+    raise exception 'Only managers can change the Desjardins employee number';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_protect_payroll_settings on public.profiles;
+create trigger profiles_protect_payroll_settings
+before update on public.profiles
+for each row execute function public.protect_payroll_settings();
+
+do $$
+declare
+  shared text;
+begin
+  select string_agg(code, ', ') into shared
+  from (
+    select upper(payroll_employee_code) as code
+    from public.profiles
+    where payroll_employee_code is not null
+    group by upper(payroll_employee_code)
+    having count(*) > 1
+  ) d;
+  if shared is not null then
+    raise exception 'Desjardins employee numbers used by more than one employee: %', shared;
+  end if;
+end $$;
+
+create unique index if not exists profiles_payroll_employee_code_key
+  on public.profiles (upper(payroll_employee_code))
+  where payroll_employee_code is not null;
@@ -0,0 +1,49 @@
+-- Pay period snapshots are payroll: managers read them, employees only their
+-- own rows.
+--
+-- "pay_periods: authenticated read" (0033) let every employee select
+-- pay_periods.snapshot, i.e. the payroll_weekly_pay rows of every coworker.
+-- Now:
+--   * pay_periods              managers only
+--   * pay_period_snapshot()    a period's dates, status and frozen weeks and
+--                              pay, cut down to the caller's rows unless the
+--                              caller is a manager (the payroll function)
+
+drop policy if exists "pay_periods: authenticated read" on public.pay_periods;
+drop policy if exists "pay_periods: manager read" on public.pay_periods;
+create policy "pay_periods: manager read"
+  on public.pay_periods for select to authenticated
+  using (public.get_my_role() = 'manager');
+
+-- { start_date, end_date, status, weeks, pay }; weeks and pay are null while
+-- the period has no snapshot. Null when the period does not exist.
+create or replace function public.pay_period_snapshot(p_period_id uuid)
+returns jsonb language plpgsql stable security definer set search_path = public as $$
+declare
+  period      public.pay_periods%rowtype;
+  is_manager  boolean := coalesce(public.get_my_role() = 'manager', false);
+begin
+  select * into period from public.pay_periods where id = p_period_id;
+  if not found then
+    return null;
+  end if;
+  return jsonb_build_object(
+    'start_date', period.start_date,
+    'end_date', period.end_date,
+    'status', period.status,
+    'weeks', case when period.snapshot is null then null else coalesce((
+      select jsonb_agg(w)
+      from jsonb_array_elements(period.snapshot -> 'weeks') w
+      where is_manager or w ->> 'user_id' = auth.uid()::text
+    ), '[]'::jsonb) end,
+    'pay', case when period.snapshot is null then null else coalesce((
+      select jsonb_agg(w)
+      from jsonb_array_elements(period.snapshot -> 'pay') w
+      where is_manager or w ->> 'user_id' = auth.uid()::text
+    ), '[]'::jsonb) end
+  );
+end;
+$$;
+
+revoke execute on function public.pay_period_snapshot(uuid) from public, anon;
+grant execute on function public.pay_period_snapshot(uuid) to authenticated;
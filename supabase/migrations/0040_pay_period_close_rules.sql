@@ -0,0 +1,127 @@
+-- Pay periods: close only a finished period, and only ever whole weeks.
+--
+-- * set_pay_period_status() refused a close only while jobs were
+--   'submitted'. A job still saved, updated or rejected in the period was
+--   then frozen by jobs_guard_pay_period and could never be submitted. The
+--   close now also waits for those jobs: submitted and approved, or deleted.
+-- * ensure_pay_period() trims a new period against its neighbours. The trim
+--   is now rounded inward to Monday / Sunday, and pay_periods_whole_weeks
+--   enforces it, so payroll_weekly never sees a truncated week and the
+--   weekly overtime frozen into a snapshot is always that of full weeks.
+
+alter table public.pay_periods
+  drop constraint if exists pay_periods_whole_weeks,
+  add constraint pay_periods_whole_weeks
+    check (extract(isodow from start_date) = 1 and extract(isodow from end_date) = 7);
+
+create or replace function public.ensure_pay_period(p_date date)
+returns public.pay_periods language plpgsql security definer set search_path = public as $$
+declare
+  settings  public.pay_period_settings%rowtype;
+  days      integer;
+  v_start   date;
+  v_end     date;
+  period    public.pay_periods%rowtype;
+begin
+  select * into period from public.pay_periods where p_date between start_date and end_date;
+  if found then
+    return period;
+  end if;
+
+  select * into settings from public.pay_period_settings where id;
+  days := case when settings.frequency = 'biweekly' then 14 else 7 end;
+  v_start := settings.anchor_date + (floor((p_date - settings.anchor_date)::numeric / days) * days)::integer;
+  v_end := v_start + days - 1;
+
+  select greatest(v_start, coalesce(max(end_date) + 1, v_start)) into v_start
+  from public.pay_periods where end_date >= v_start and end_date < p_date;
+  select least(v_end, coalesce(min(start_date) - 1, v_end)) into v_end
+  from public.pay_periods where start_date <= v_end and start_date > p_date;
+
+  -- Whole ISO weeks: next Monday on or after the start, last Sunday on or
+  -- before the end.
+  v_start := v_start + (8 - extract(isodow from v_start)::integer) % 7;
+  v_end := v_end - extract(isodow from v_end)::integer % 7;
+  if p_date not between v_start and v_end then
+    raise exception 'No whole week left for a pay period around %', p_date;
+  end if;
+
+  insert into public.pay_periods (start_date, end_date)
+  values (v_start, v_end)
+  returning * into period;
+  return period;
+end;
+$$;
+
+-- open ↔ review, review → closed (every job approved; the snapshot is
+-- taken), closed → open or review with a reason.
+create or replace function public.set_pay_period_status(p_period_id uuid, p_status text, p_reason text default null)
+returns public.pay_periods language plpgsql security definer set search_path = public as $$
+declare
+  period      public.pay_periods%rowtype;
+  old_status  text;
+  pending     integer;
+  drafts      integer;
+begin
+  if public.get_my_role() is distinct from 'manager' then
+    raise exception 'Only managers can change pay periods';
+  end if;
+  select * into period from public.pay_periods where id = p_period_id for update;
+  if not found then
+    raise exception 'Pay period not found';
+  end if;
+  if p_status not in ('open', 'review', 'closed') or p_status = period.status then
+    raise exception 'Invalid pay period status: % → %', period.status, p_status;
+  end if;
+  old_status := period.status;
+
+  if p_status = 'closed' then
+    if period.status <> 'review' then
+      raise exception 'Review the pay period before closing it';
+    end if;
+    select count(*) filter (where status = 'submitted'),
+           count(*) filter (where status in ('saved', 'updated', 'rejected'))
+    into pending, drafts
+    from public.jobs
+    where job_date between period.start_date and period.end_date;
+    if pending > 0 then
+      raise exception '% job(s) in this pay period still wait for approval', pending;
+    end if;
+    if drafts > 0 then
+      raise exception '% job(s) in this pay period are not submitted yet', drafts
+        using hint = 'A closed period freezes them: have them submitted and approved, or deleted, first.';
+    end if;
+    update public.pay_periods
+    set status = 'closed',
+        closed_at = now(),
+        closed_by = auth.uid(),
+        snapshot = jsonb_build_object(
+          'taken_at', now(),
+          'weeks', coalesce((
+            select jsonb_agg(to_jsonb(w) order by w.user_id, w.week_start)
+            from public.payroll_weekly(period.start_date, period.end_date, null, array['approved']) w
+          ), '[]'::jsonb),
+          'pay', coalesce((
+            select jsonb_agg(to_jsonb(w) order by w.user_id, w.week_start)
+            from public.payroll_weekly_pay(period.start_date, period.end_date, null, array['approved']) w
+          ), '[]'::jsonb)
+        )
+    where id = period.id
+    returning * into period;
+  elsif period.status = 'closed' then
+    if coalesce(trim(p_reason), '') = '' then
+      raise exception 'A reason is required to reopen a pay period';
+    end if;
+    update public.pay_periods
+    set status = p_status, reopened_at = now(), reopened_by = auth.uid(), reopen_reason = trim(p_reason)
+    where id = period.id
+    returning * into period;
+  else
+    update public.pay_periods set status = p_status where id = period.id returning * into period;
+  end if;
+
+  insert into public.pay_period_events (period_id, old_status, new_status, reason, actor_id)
+  values (period.id, old_status, p_status, nullif(trim(p_reason), ''), auth.uid());
+  return period;
+end;
+$$;
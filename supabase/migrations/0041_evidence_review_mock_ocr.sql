@@ -0,0 +1,22 @@
+-- Sample-text OCR never skips the review queue.
+--
+-- set_overtime_evidence_review_status() (0027, 0028) let evidence through as
+-- 'not_required' whenever the client reported a clean read without
+-- warnings. The 'mock' provider returns a fixed authorization whatever the
+-- image, and a null ocr_provider means no OCR ran at all, so such evidence
+-- now always waits for a manager.
+
+create or replace function public.set_overtime_evidence_review_status()
+returns trigger language plpgsql set search_path = public as $$
+begin
+  new.review_status := case
+    when new.ocr_provider is null or new.ocr_provider = 'mock' then 'pending'
+    when new.ocr_status = 'processed' and cardinality(new.authorization_warnings) = 0 then 'not_required'
+    else 'pending'
+  end;
+  new.reviewed_by := null;
+  new.reviewed_at := null;
+  new.review_note := null;
+  return new;
+end;
+$$;